@@ -0,0 +1,44 @@
+// api/admin/audit-log.js
+// Admin API for reading the line item audit trail and status history
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { listAuditLog } from '../../src/lib/auditLog.js';
+import { getStatusHistory } from '../../src/lib/lineItemStatus.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/admin/audit-log?lineItemId=<id> | ?orderId=<id>[&limit=200]
+ * With lineItemId, the response also has the line item's statusHistory.
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { lineItemId, orderId } = req.query || {};
+  if (!lineItemId && !orderId) {
+    return res.status(400).json({ error: 'lineItemId or orderId is required' });
+  }
+
+  try {
+    const entries = await listAuditLog(supabase, {
+      lineItemId,
+      orderId,
+      limit: Math.min(parseInt(req.query.limit, 10) || 200, 1000),
+    });
+    const statusHistory = lineItemId ? await getStatusHistory(supabase, lineItemId) : undefined;
+    return res.status(200).json({ entries, statusHistory });
+  } catch (error) {
+    console.error('❌ Audit log API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
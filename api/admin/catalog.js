@@ -0,0 +1,84 @@
+// api/admin/catalog.js
+// Admin API for the wallet catalog: list, create, edit and retire wallet types
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listCatalogEntries,
+  createCatalogEntry,
+  updateCatalogEntry,
+  retireCatalogEntry,
+  validateCatalogEntry,
+} from '../../src/lib/walletCatalog.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET    /api/admin/catalog[?includeRetired=true]
+ * POST   /api/admin/catalog            { wallet_type, keywords, points, lead_time_days?, standard_minutes?, shopify_product_ids?, shopify_variant_ids?, skus?, property_overrides? }
+ * PATCH  /api/admin/catalog?id=<id>    partial entry
+ * DELETE /api/admin/catalog?id=<id>    retires the entry (kept for history)
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  const id = req.query?.id;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const entries = await listCatalogEntries(supabase, {
+          includeRetired: req.query?.includeRetired === 'true',
+        });
+        return res.status(200).json({ entries });
+      }
+
+      case 'POST': {
+        const { entry, errors } = validateCatalogEntry(req.body || {});
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const created = await createCatalogEntry(supabase, entry);
+        return res.status(201).json({ entry: created });
+      }
+
+      case 'PATCH': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const { entry, errors } = validateCatalogEntry(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const updated = await updateCatalogEntry(supabase, id, entry);
+        return res.status(200).json({ entry: updated });
+      }
+
+      case 'DELETE': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const retired = await retireCatalogEntry(supabase, id);
+        return res.status(200).json({ entry: retired });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    // 23505 = duplicate wallet_type, PGRST116 = no row with that id
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A catalog entry with that wallet_type already exists' });
+    }
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Catalog entry not found' });
+    }
+    console.error('❌ Catalog API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
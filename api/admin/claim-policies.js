@@ -0,0 +1,63 @@
+// api/admin/claim-policies.js
+// Admin API for claim policies: the shop default and per-sewer overrides
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listClaimPolicies,
+  saveClaimPolicy,
+  deleteClaimPolicy,
+  validateClaimPolicy,
+} from '../../src/lib/claimPolicy.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET    /api/admin/claim-policies
+ * PUT    /api/admin/claim-policies[?sewerId=<id>]   { max_claimed_wallets?, max_claimed_points?, claim_ttl_minutes?,
+ *                                                     fair_share_enabled?, fair_share_min_units?, fair_share_max_percent? }
+ *        without sewerId it sets the shop default; null clears a limit (or, for a sewer, falls back to the default)
+ * DELETE /api/admin/claim-policies?sewerId=<id>    removes a sewer's overrides
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  const sewerId = req.query?.sewerId || null;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const policies = await listClaimPolicies(supabase);
+        return res.status(200).json({ policies });
+      }
+
+      case 'PUT': {
+        const { policy, errors } = validateClaimPolicy(req.body || {});
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const saved = await saveClaimPolicy(supabase, sewerId, policy);
+        return res.status(200).json({ policy: saved });
+      }
+
+      case 'DELETE': {
+        if (!sewerId) {
+          return res.status(400).json({ error: 'sewerId is required (the shop default can\'t be removed)' });
+        }
+        await deleteClaimPolicy(supabase, sewerId);
+        return res.status(200).json({ removed: sewerId });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('❌ Claim policies API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,62 @@
+// api/admin/classification-reviews.js
+// Admin API for the classification review queue: list held items and map them
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { listClassificationReviews } from '../../src/lib/classification.js';
+import { resolveClassificationReview } from '../../src/lib/shopifyOrders.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET  /api/admin/classification-reviews[?status=open|resolved]
+ * POST /api/admin/classification-reviews   { id, walletType } or { id, accessory: true }, plus resolvedBy
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const reviews = await listClassificationReviews(supabase, {
+          status: req.query?.status || 'open',
+        });
+        return res.status(200).json({ reviews });
+      }
+
+      case 'POST': {
+        const { id, walletType, accessory, resolvedBy } = req.body || {};
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        if (!walletType && !accessory) {
+          return res.status(400).json({ error: 'walletType or accessory is required' });
+        }
+        const result = await resolveClassificationReview(supabase, id, {
+          walletType,
+          accessory: accessory === true,
+          resolvedBy,
+        });
+        return res.status(200).json(result);
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    // PGRST116 = no open review with that id
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Open review not found' });
+    }
+    if (error.message?.startsWith('Unknown wallet type')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Classification review API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
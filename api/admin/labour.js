@@ -0,0 +1,52 @@
+// api/admin/labour.js
+// Admin API for work sessions, labour time and points calibration suggestions
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { getWorkSessions, getCalibrationSuggestions } from '../../src/lib/workSessions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/admin/labour?lineItemId=   a wallet's work sessions and labour minutes
+ * GET /api/admin/labour?view=calibration[&from=YYYY-MM-DD][&to=YYYY-MM-DD][&minSamples=5]
+ *     labour vs standard_minutes per wallet type (default the last 60 shop days)
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { view, lineItemId, from, to, minSamples } = req.query || {};
+
+  try {
+    if (view === 'calibration') {
+      if ([from, to].some(date => date && !DATE_PATTERN.test(date))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+      }
+      const suggestions = await getCalibrationSuggestions(supabase, {
+        from: from || null,
+        to: to || null,
+        ...(minSamples ? { minSamples: Math.max(1, parseInt(minSamples, 10) || 1) } : {}),
+      });
+      return res.status(200).json(suggestions);
+    }
+
+    if (!lineItemId) {
+      return res.status(400).json({ error: 'lineItemId or view=calibration is required' });
+    }
+    return res.status(200).json(await getWorkSessions(supabase, lineItemId));
+  } catch (error) {
+    console.error('❌ Labour API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
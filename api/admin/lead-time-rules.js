@@ -0,0 +1,83 @@
+// api/admin/lead-time-rules.js
+// Admin API for customization lead time rules: list, create, edit and deactivate
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listLeadTimeRules,
+  createLeadTimeRule,
+  updateLeadTimeRule,
+  deactivateLeadTimeRule,
+  validateLeadTimeRule,
+} from '../../src/lib/sla.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET    /api/admin/lead-time-rules[?includeInactive=true]
+ * POST   /api/admin/lead-time-rules            { name, attribute, extra_days, wallet_type?, match_value? }
+ * PATCH  /api/admin/lead-time-rules?id=<id>    partial rule
+ * DELETE /api/admin/lead-time-rules?id=<id>    deactivates the rule
+ *
+ * Per-wallet-type lead times are edited on the catalog (lead_time_days).
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  const id = req.query?.id;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const rules = await listLeadTimeRules(supabase, {
+          includeInactive: req.query?.includeInactive === 'true',
+        });
+        return res.status(200).json({ rules });
+      }
+
+      case 'POST': {
+        const { rule, errors } = validateLeadTimeRule(req.body || {});
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const created = await createLeadTimeRule(supabase, rule);
+        return res.status(201).json({ rule: created });
+      }
+
+      case 'PATCH': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const { rule, errors } = validateLeadTimeRule(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const updated = await updateLeadTimeRule(supabase, id, rule);
+        return res.status(200).json({ rule: updated });
+      }
+
+      case 'DELETE': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const deactivated = await deactivateLeadTimeRule(supabase, id);
+        return res.status(200).json({ rule: deactivated });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    // PGRST116 = no rule with that id
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Lead time rule not found' });
+    }
+    console.error('❌ Lead time rules API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
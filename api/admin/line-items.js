@@ -0,0 +1,92 @@
+// api/admin/line-items.js
+// Admin API for supervisor corrections on wallets: release, reassign, revert completion,
+// force status. Every action is written to the audit log.
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  releaseWallet,
+  reassignWallet,
+  revertCompletion,
+  forceLineItemStatus,
+  LineItemOperationError,
+} from '../../src/lib/lineItemOperations.js';
+import { enqueueStatusSync } from '../../src/lib/shopifyStatusSync.js';
+import { fulfillOrderIfComplete } from '../../src/lib/fulfillment.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_input: 400,
+  invalid_state: 409,
+  not_owner: 403,
+  conflict: 409,
+};
+
+/**
+ * POST /api/admin/line-items   { action, lineItemId, reason, actor: { id, name }, ... }
+ *   action 'release'
+ *   action 'reassign'          + toSewerId, toSewerName
+ *   action 'revert_completion'
+ *   action 'force_status'      + status
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { action, lineItemId, reason, actor: actorInput, toSewerId, toSewerName, status } = req.body || {};
+  if (!lineItemId) {
+    return res.status(400).json({ error: 'lineItemId is required' });
+  }
+
+  const actor = { id: actorInput?.id || null, name: actorInput?.name || 'admin', role: 'supervisor' };
+
+  try {
+    let lineItem;
+    switch (action) {
+      case 'release':
+        lineItem = await releaseWallet(supabase, lineItemId, { actor, reason });
+        break;
+      case 'reassign':
+        lineItem = await reassignWallet(supabase, lineItemId, { toSewerId, toSewerName, actor, reason });
+        break;
+      case 'revert_completion':
+        lineItem = await revertCompletion(supabase, lineItemId, { actor, reason });
+        break;
+      case 'force_status':
+        lineItem = await forceLineItemStatus(supabase, lineItemId, status, { actor, reason });
+        break;
+      default:
+        return res.status(400).json({ error: 'action must be release, reassign, revert_completion or force_status' });
+    }
+
+    await enqueueStatusSync(supabase, lineItem.order_id);
+
+    let fulfillment = null;
+    if (lineItem.status === 'completed') {
+      try {
+        fulfillment = await fulfillOrderIfComplete(supabase, lineItem.order_id);
+      } catch (fulfillError) {
+        // Recorded on the order as failed; the correction itself stands
+        fulfillment = { error: fulfillError.message };
+      }
+    }
+
+    return res.status(200).json({ lineItem, fulfillment });
+  } catch (error) {
+    if (error instanceof LineItemOperationError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Line item correction error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,134 @@
+// api/admin/materials.js
+// Admin API for materials: stock levels, deliveries and counts, bills of materials and
+// the queue forecast
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listMaterials,
+  validateMaterial,
+  createMaterial,
+  updateMaterial,
+  adjustMaterialStock,
+  listMaterialMovements,
+  validateBillOfMaterials,
+  listBillOfMaterials,
+  setBillOfMaterials,
+  getMaterialsForecast,
+  MaterialsError,
+} from '../../src/lib/materials.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_input: 400,
+};
+
+/**
+ * GET   /api/admin/materials[?includeInactive=true]         stock levels
+ * GET   /api/admin/materials?view=movements[&materialId=<id>][&limit=200]
+ * GET   /api/admin/materials?view=bom[&walletType=]
+ * GET   /api/admin/materials?view=forecast                  needs of the unclaimed queue vs stock
+ * POST  /api/admin/materials   { kind, name?, color?, reorder_point? }                 new material
+ * POST  /api/admin/materials   { action: 'receive' | 'adjust', materialId, quantity, reason?, actor? }
+ * POST  /api/admin/materials   { action: 'set-bom', walletType, lines: [{ kind, material_name?, quantity }] }
+ * PATCH /api/admin/materials?id=<id>   { name?, color?, reorder_point?, active? }
+ *
+ * Quantities are in MATERIAL_UNITS (leather sq ft, thread m, hardware pcs).
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const { view = 'stock', materialId, walletType, includeInactive } = req.query || {};
+
+        switch (view) {
+          case 'stock':
+            return res.status(200).json({ materials: await listMaterials(supabase, { includeInactive: includeInactive === 'true' }) });
+          case 'movements':
+            return res.status(200).json({
+              movements: await listMaterialMovements(supabase, {
+                materialId,
+                limit: Math.min(parseInt(req.query.limit, 10) || 200, 2000),
+              }),
+            });
+          case 'bom':
+            return res.status(200).json({ lines: await listBillOfMaterials(supabase, { walletType }) });
+          case 'forecast':
+            return res.status(200).json(await getMaterialsForecast(supabase));
+          default:
+            return res.status(400).json({ error: 'view must be stock, movements, bom or forecast' });
+        }
+      }
+
+      case 'POST': {
+        const { action, materialId, quantity, reason, actor, walletType, lines } = req.body || {};
+
+        if (action === 'receive' || action === 'adjust') {
+          if (!materialId) {
+            return res.status(400).json({ error: 'materialId is required' });
+          }
+          const material = await adjustMaterialStock(supabase, materialId, { type: action, quantity, reason: reason || null, actor: actor || null });
+          return res.status(200).json({ material });
+        }
+
+        if (action === 'set-bom') {
+          if (typeof walletType !== 'string' || !walletType.trim()) {
+            return res.status(400).json({ error: 'walletType is required' });
+          }
+          const { lines: bomLines, errors } = validateBillOfMaterials(lines);
+          if (errors.length > 0) {
+            return res.status(400).json({ errors });
+          }
+          return res.status(200).json({ lines: await setBillOfMaterials(supabase, walletType.trim(), bomLines) });
+        }
+
+        if (action) {
+          return res.status(400).json({ error: "action must be 'receive', 'adjust' or 'set-bom'" });
+        }
+
+        const { material, errors } = validateMaterial(req.body || {});
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        return res.status(201).json({ material: await createMaterial(supabase, material) });
+      }
+
+      case 'PATCH': {
+        const id = req.query?.id;
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const { material, errors } = validateMaterial(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        return res.status(200).json({ material: await updateMaterial(supabase, id, material) });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof MaterialsError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    // PGRST116 = no material with that id; 23505 = that kind/name/colour already exists
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A material with that kind, name and colour already exists' });
+    }
+    console.error('❌ Materials API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,44 @@
+// api/admin/order-priority.js
+// Admin API for supervisor priority overrides on orders
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { setPriorityOverride } from '../../src/lib/priority.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * POST /api/admin/order-priority   { orderId, score, reason, setBy }  - score null clears the override
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { orderId, score = null, reason, setBy } = req.body || {};
+  if (!orderId) {
+    return res.status(400).json({ error: 'orderId is required' });
+  }
+
+  try {
+    const order = await setPriorityOverride(supabase, orderId, { score, reason, setBy });
+    return res.status(200).json({ order });
+  } catch (error) {
+    // PGRST116 = no order with that id
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (error.message === 'score must be an integer or null') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Order priority API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,84 @@
+// api/admin/pay-periods.js
+// Admin API for pay-period incentive reports (JSON or CSV) and closing periods
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  getPayPeriodReport,
+  closePayPeriod,
+  listClosedPayPeriods,
+  payPeriodReportToCsv,
+  getPayPeriodConfig,
+  PayPeriodError,
+  PAY_PERIOD_TYPES,
+} from '../../src/lib/payPeriods.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ERROR_STATUS = {
+  invalid_input: 400,
+  not_ended: 409,
+  already_closed: 409,
+};
+
+/**
+ * GET  /api/admin/pay-periods[?date=YYYY-MM-DD][&type=weekly|biweekly|semi_monthly][&format=csv]
+ *      report for the period containing date (default today, shop time)
+ * GET  /api/admin/pay-periods?view=closed
+ * POST /api/admin/pay-periods   { action: 'close', date, closedBy? }   lock the period containing date
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const { view, date, type, format } = req.query || {};
+
+        if (view === 'closed') {
+          return res.status(200).json({ periods: await listClosedPayPeriods(supabase) });
+        }
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        if (type && !PAY_PERIOD_TYPES.includes(type)) {
+          return res.status(400).json({ error: `type must be one of: ${PAY_PERIOD_TYPES.join(', ')}` });
+        }
+
+        const config = { ...getPayPeriodConfig(), ...(type ? { type } : {}) };
+        const report = await getPayPeriodReport(supabase, { ...(date ? { date } : {}), config });
+
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-Disposition', `attachment; filename="incentives-${report.period.start}-to-${report.period.end}.csv"`);
+          return res.status(200).send(payPeriodReportToCsv(report));
+        }
+        return res.status(200).json(report);
+      }
+
+      case 'POST': {
+        const { action, date, closedBy } = req.body || {};
+        if (action !== 'close') {
+          return res.status(400).json({ error: "action must be 'close'" });
+        }
+        const report = await closePayPeriod(supabase, { date, closedBy: closedBy || null });
+        return res.status(200).json(report);
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof PayPeriodError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Pay periods API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
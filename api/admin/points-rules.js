@@ -0,0 +1,81 @@
+// api/admin/points-rules.js
+// Admin API for customization points rules: list, create, edit and deactivate
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listPointsRules,
+  createPointsRule,
+  updatePointsRule,
+  deactivatePointsRule,
+  validatePointsRule,
+} from '../../src/lib/pointsRules.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET    /api/admin/points-rules[?includeInactive=true]
+ * POST   /api/admin/points-rules            { name, attribute, modifier, amount, wallet_type?, match_value?, priority? }
+ * PATCH  /api/admin/points-rules?id=<id>    partial rule
+ * DELETE /api/admin/points-rules?id=<id>    deactivates the rule (kept for stored breakdowns)
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  const id = req.query?.id;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const rules = await listPointsRules(supabase, {
+          includeInactive: req.query?.includeInactive === 'true',
+        });
+        return res.status(200).json({ rules });
+      }
+
+      case 'POST': {
+        const { rule, errors } = validatePointsRule(req.body || {});
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const created = await createPointsRule(supabase, rule);
+        return res.status(201).json({ rule: created });
+      }
+
+      case 'PATCH': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const { rule, errors } = validatePointsRule(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+          return res.status(400).json({ errors });
+        }
+        const updated = await updatePointsRule(supabase, id, rule);
+        return res.status(200).json({ rule: updated });
+      }
+
+      case 'DELETE': {
+        if (!id) {
+          return res.status(400).json({ error: 'id is required' });
+        }
+        const deactivated = await deactivatePointsRule(supabase, id);
+        return res.status(200).json({ rule: deactivated });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    // PGRST116 = no rule with that id
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: 'Points rule not found' });
+    }
+    console.error('❌ Points rules API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
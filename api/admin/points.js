@@ -0,0 +1,132 @@
+// api/admin/points.js
+// Admin API for the points ledger: totals, entries, manual adjustments, decisions on points
+// reversals waiting for review (withdrawn wallets) and rebuilding daily_points
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  recordPoints,
+  rebuildDailyPoints,
+  getPointsTotals,
+  listPointsLedger,
+} from '../../src/lib/dailyPoints.js';
+import {
+  listPendingPointsAdjustments,
+  resolvePointsAdjustment,
+  PointsAdjustmentError,
+} from '../../src/lib/withdrawals.js';
+import { getShopDate } from '../../src/lib/shopTime.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_input: 400,
+};
+
+/**
+ * GET  /api/admin/points?view=totals[&from=YYYY-MM-DD][&to=YYYY-MM-DD]    per-sewer totals (default: today)
+ * GET  /api/admin/points?view=ledger[&sewerId=][&lineItemId=][&from=][&to=][&limit=500]
+ * GET  /api/admin/points?view=pending                                  reversals waiting for review
+ * POST /api/admin/points   { action: 'adjust', sewerId, sewerName?, points, reason, workDate?, actor: { name } }
+ * POST /api/admin/points   { action: 'resolve', adjustmentId, decision: 'clawback' | 'waive', actor: { name } }
+ * POST /api/admin/points   { action: 'rebuild', from?, to? }
+ *
+ * Days are the shop's calendar days (SHOP_TIMEZONE).
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const { view = 'totals', sewerId, lineItemId } = req.query || {};
+        const today = getShopDate();
+        const from = req.query?.from || null;
+        const to = req.query?.to || null;
+
+        if ([from, to].some(date => date && !DATE_PATTERN.test(date))) {
+          return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+        }
+
+        if (view === 'totals') {
+          const totals = await getPointsTotals(supabase, { from: from || today, to: to || from || today });
+          return res.status(200).json({ from: from || today, to: to || from || today, totals });
+        }
+        if (view === 'ledger') {
+          const entries = await listPointsLedger(supabase, {
+            sewerId,
+            lineItemId,
+            from,
+            to,
+            limit: Math.min(parseInt(req.query.limit, 10) || 500, 5000),
+          });
+          return res.status(200).json({ entries });
+        }
+        if (view === 'pending') {
+          return res.status(200).json({ adjustments: await listPendingPointsAdjustments(supabase) });
+        }
+        return res.status(400).json({ error: 'view must be totals, ledger or pending' });
+      }
+
+      case 'POST': {
+        const { action, sewerId, sewerName, points, reason, workDate, actor, from, to, adjustmentId, decision } = req.body || {};
+
+        if (action === 'adjust') {
+          const errors = [];
+          if (!sewerId) errors.push('sewerId is required');
+          if (typeof points !== 'number' || !Number.isFinite(points) || points === 0) errors.push('points must be a non-zero number');
+          if (typeof reason !== 'string' || !reason.trim()) errors.push('reason is required');
+          if (workDate && !DATE_PATTERN.test(workDate)) errors.push('workDate must be YYYY-MM-DD');
+          if (errors.length > 0) {
+            return res.status(400).json({ errors });
+          }
+
+          const entry = await recordPoints(supabase, {
+            sewerId,
+            sewerName: sewerName || null,
+            points,
+            type: 'adjustment',
+            workDate: workDate || null,
+            reason: `${reason.trim()} (by ${actor?.name || 'admin'})`,
+          });
+          return res.status(201).json({ entry });
+        }
+
+        if (action === 'rebuild') {
+          if ([from, to].some(date => date && !DATE_PATTERN.test(date))) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+          }
+          const rows = await rebuildDailyPoints(supabase, { from: from || null, to: to || null });
+          return res.status(200).json({ rebuilt: rows });
+        }
+
+        if (action === 'resolve') {
+          if (!adjustmentId) {
+            return res.status(400).json({ error: 'adjustmentId is required' });
+          }
+          const adjustment = await resolvePointsAdjustment(supabase, adjustmentId, { decision, decidedBy: actor?.name || 'admin' });
+          return res.status(200).json({ adjustment });
+        }
+
+        return res.status(400).json({ error: 'action must be adjust, resolve or rebuild' });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof PointsAdjustmentError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Points API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,110 @@
+// api/admin/qc.js
+// Admin API for quality control: the inspection queue, pass/reject, and defect rates
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import {
+  listQcQueue,
+  passInspection,
+  rejectInspection,
+  listInspections,
+  getDefectRates,
+} from '../../src/lib/qualityControl.js';
+import { getDefectCodes } from '../../src/lib/walletCatalog.js';
+import { LineItemOperationError } from '../../src/lib/lineItemOperations.js';
+import { enqueueStatusSync } from '../../src/lib/shopifyStatusSync.js';
+import { fulfillOrderIfComplete } from '../../src/lib/fulfillment.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_input: 400,
+  invalid_state: 409,
+  not_owner: 403,
+  conflict: 409,
+};
+
+/**
+ * GET  /api/admin/qc                                     wallets waiting for inspection
+ * GET  /api/admin/qc?view=defect-codes
+ * GET  /api/admin/qc?view=inspections&lineItemId=<id>
+ * GET  /api/admin/qc?view=defect-rates[&from=<iso>][&to=<iso>][&sewerId=<id>]
+ * POST /api/admin/qc   { lineItemId, result: 'pass' | 'reject', inspector: { id, name },
+ *                        defectCodes (reject), notes?, photoUrls? }
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const { view = 'queue', lineItemId, from, to, sewerId } = req.query || {};
+
+        switch (view) {
+          case 'queue':
+            return res.status(200).json({ lineItems: await listQcQueue(supabase) });
+          case 'defect-codes':
+            return res.status(200).json({ defectCodes: await getDefectCodes(supabase) });
+          case 'inspections':
+            if (!lineItemId) {
+              return res.status(400).json({ error: 'lineItemId is required' });
+            }
+            return res.status(200).json({ inspections: await listInspections(supabase, lineItemId) });
+          case 'defect-rates':
+            return res.status(200).json({ sewers: await getDefectRates(supabase, { from, to, sewerId }) });
+          default:
+            return res.status(400).json({ error: 'view must be queue, defect-codes, inspections or defect-rates' });
+        }
+      }
+
+      case 'POST': {
+        const { lineItemId, result, inspector: inspectorInput, defectCodes, notes, photoUrls } = req.body || {};
+        if (!lineItemId) {
+          return res.status(400).json({ error: 'lineItemId is required' });
+        }
+
+        const inspector = { id: inspectorInput?.id || null, name: inspectorInput?.name || 'admin' };
+        const evidence = { notes: notes ?? null, photoUrls: photoUrls ?? [] };
+
+        let inspected;
+        if (result === 'pass') {
+          inspected = await passInspection(supabase, lineItemId, { inspector, ...evidence });
+        } else if (result === 'reject') {
+          inspected = await rejectInspection(supabase, lineItemId, { inspector, defectCodes, ...evidence });
+        } else {
+          return res.status(400).json({ error: "result must be 'pass' or 'reject'" });
+        }
+
+        const { lineItem, inspection } = inspected;
+        await enqueueStatusSync(supabase, lineItem.order_id);
+
+        let fulfillment = null;
+        if (lineItem.status === 'completed') {
+          try {
+            fulfillment = await fulfillOrderIfComplete(supabase, lineItem.order_id);
+          } catch (fulfillError) {
+            // Recorded on the order as failed; the inspection itself stands
+            fulfillment = { error: fulfillError.message };
+          }
+        }
+
+        return res.status(200).json({ lineItem, inspection, fulfillment });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof LineItemOperationError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ QC API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,55 @@
+// api/admin/shop-holidays.js
+// Admin API for shop holidays (skipped, like weekends, when computing ship-by dates)
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { listShopHolidays, addShopHoliday, removeShopHoliday } from '../../src/lib/sla.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET    /api/admin/shop-holidays[?from=YYYY-MM-DD]
+ * POST   /api/admin/shop-holidays               { date: 'YYYY-MM-DD', name }
+ * DELETE /api/admin/shop-holidays?date=YYYY-MM-DD
+ */
+async function handler(req, res) {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const holidays = await listShopHolidays(supabase, { from: req.query?.from || null });
+        return res.status(200).json({ holidays });
+      }
+
+      case 'POST': {
+        const { date, name } = req.body || {};
+        const holiday = await addShopHoliday(supabase, { date, name });
+        return res.status(201).json({ holiday });
+      }
+
+      case 'DELETE': {
+        const date = req.query?.date;
+        if (!date) {
+          return res.status(400).json({ error: 'date is required' });
+        }
+        await removeShopHoliday(supabase, date);
+        return res.status(200).json({ removed: date });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error.message === 'date must be YYYY-MM-DD') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Shop holidays API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,35 @@
+// api/cron/materials-check.js
+// Keeps material reservations in step with wallet statuses, then alerts on materials at or
+// below their reorder point or short for the queue (every 10 minutes, see vercel.json)
+
+import { createClient } from '@supabase/supabase-js';
+import { requireCronOrAdmin } from '../../src/lib/adminAuth.js';
+import { syncMaterialReservations, checkMaterialStock } from '../../src/lib/materials.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/cron/materials-check (Vercel Cron) - POST also accepted for manual runs
+ * Responds with the stock summary, including the low materials, and the reservation sync
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronOrAdmin(req, res)) return;
+
+  try {
+    const reservations = await syncMaterialReservations(supabase);
+    const summary = await checkMaterialStock(supabase);
+    return res.status(200).json({ ...summary, reservations });
+  } catch (error) {
+    console.error('❌ Materials check error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
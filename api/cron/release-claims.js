@@ -0,0 +1,32 @@
+// api/cron/release-claims.js
+// Puts claims that were never started back in the queue (every 10 minutes, see vercel.json)
+
+import { createClient } from '@supabase/supabase-js';
+import { requireCronOrAdmin } from '../../src/lib/adminAuth.js';
+import { releaseExpiredClaims } from '../../src/lib/claimPolicy.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/cron/release-claims (Vercel Cron) - POST also accepted for manual runs
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronOrAdmin(req, res)) return;
+
+  try {
+    const summary = await releaseExpiredClaims(supabase);
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('❌ Claim release error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,32 @@
+// api/cron/shopify-sync.js
+// Writes queued production status changes to Shopify (runs every minute, see vercel.json)
+
+import { createClient } from '@supabase/supabase-js';
+import { requireCronOrAdmin } from '../../src/lib/adminAuth.js';
+import { processStatusSyncQueue } from '../../src/lib/shopifyStatusSync.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/cron/shopify-sync (Vercel Cron) - POST also accepted for manual runs
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronOrAdmin(req, res)) return;
+
+  try {
+    const summary = await processStatusSyncQueue(supabase);
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('❌ Status sync error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
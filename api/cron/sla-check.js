@@ -0,0 +1,33 @@
+// api/cron/sla-check.js
+// Re-evaluates order SLA states and alerts on at-risk/overdue orders (hourly, see vercel.json)
+
+import { createClient } from '@supabase/supabase-js';
+import { requireCronOrAdmin } from '../../src/lib/adminAuth.js';
+import { checkSlas } from '../../src/lib/sla.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/cron/sla-check (Vercel Cron) - POST also accepted for manual runs
+ * Responds with the summary, including the at-risk and overdue wallets
+ */
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireCronOrAdmin(req, res)) return;
+
+  try {
+    const summary = await checkSlas(supabase);
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('❌ SLA check error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
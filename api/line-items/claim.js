@@ -0,0 +1,67 @@
+// api/line-items/claim.js
+// A sewer claims wallets from the queue. Called by the dashboard's claim functions.
+// The claim policy is checked and the claim written here with the service key, in one
+// database call per try (claimLineItems) - the dashboard (anon key) can't claim itself.
+// Like releases, the sewer is who the dashboard says it is.
+
+import { createClient } from '@supabase/supabase-js';
+import { claimLineItems } from '../../src/lib/claimPolicy.js';
+import { countWalletUnits } from '../../src/lib/walletMapping.js';
+import { enqueueStatusSync } from '../../src/lib/shopifyStatusSync.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * POST /api/line-items/claim
+ * Body: { sewerId, sewerName, lineItemId }    one wallet
+ *       { sewerId, sewerName, orderId }       as much of the order as the sewer's policy allows
+ *       { sewerId, sewerName, lineItemIds }   these wallets, all or nothing
+ *
+ * 200 { lineItems, walletUnits, points, partial, reason } - reason says why some were left (orders)
+ * 409 { error, code, details } when nothing could be claimed (code: ClaimRejectedError codes)
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { sewerId, sewerName, lineItemId, orderId, lineItemIds } = req.body || {};
+  if (!sewerId) {
+    return res.status(400).json({ error: 'sewerId is required' });
+  }
+  if (!lineItemId && !orderId && !(Array.isArray(lineItemIds) && lineItemIds.length > 0)) {
+    return res.status(400).json({ error: 'lineItemId, orderId or lineItemIds is required' });
+  }
+
+  try {
+    const { claimed, rejection } = await claimLineItems(
+      supabase,
+      { id: sewerId, name: sewerName || null },
+      { lineItemId, orderId, lineItemIds }
+    );
+
+    if (claimed.length === 0) {
+      return res.status(409).json({ error: rejection.message, code: rejection.code, details: rejection.details });
+    }
+
+    for (const id of new Set(claimed.map(item => item.order_id))) {
+      await enqueueStatusSync(supabase, id);
+    }
+
+    return res.status(200).json({
+      lineItems: claimed,
+      walletUnits: countWalletUnits(claimed),
+      points: claimed.reduce((sum, item) => sum + (Number(item.points) || 0), 0),
+      partial: Boolean(rejection),
+      reason: rejection?.message || null,
+    });
+  } catch (error) {
+    console.error('❌ Claim error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
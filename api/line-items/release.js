@@ -0,0 +1,56 @@
+// api/line-items/release.js
+// A sewer gives back a wallet they claimed (wrong wallet, going home sick...)
+// Called by the dashboard's releaseWallet. The release is written to the audit log from
+// here with the service key - the dashboard (anon key) can't write the audit log itself.
+// Like claims, the sewer is who the dashboard says it is; releaseWallet only lets them
+// release wallets claimed in their name.
+
+import { createClient } from '@supabase/supabase-js';
+import { releaseWallet, LineItemOperationError } from '../../src/lib/lineItemOperations.js';
+import { enqueueStatusSync } from '../../src/lib/shopifyStatusSync.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_input: 400,
+  invalid_state: 409,
+  not_owner: 403,
+  conflict: 409,
+};
+
+/**
+ * POST /api/line-items/release
+ * Body: { lineItemId, sewerId, sewerName, reason? }
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { lineItemId, sewerId, sewerName, reason } = req.body || {};
+  if (!lineItemId || !sewerId) {
+    return res.status(400).json({ error: 'lineItemId and sewerId are required' });
+  }
+
+  try {
+    const lineItem = await releaseWallet(supabase, lineItemId, {
+      actor: { id: sewerId, name: sewerName || null, role: 'sewer' },
+      reason: reason || null,
+    });
+
+    await enqueueStatusSync(supabase, lineItem.order_id);
+    return res.status(200).json({ lineItem });
+  } catch (error) {
+    if (error instanceof LineItemOperationError) {
+      return res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Release error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,39 @@
+// api/orders/fulfill.js
+// Fulfils an order in Shopify once all its wallets are completed
+// Orders are fulfilled when QC passes their last wallet (api/admin/qc.js); this route
+// retries one that didn't go through. It needs no admin token, so it trusts nothing from
+// the caller but the order id: completion is re-checked from the database before
+// Shopify is touched.
+
+import { createClient } from '@supabase/supabase-js';
+import { fulfillOrderIfComplete } from '../../src/lib/fulfillment.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * POST /api/orders/fulfill
+ * Body: { orderId }
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { orderId } = req.body || {};
+  if (!orderId) {
+    return res.status(400).json({ error: 'orderId is required' });
+  }
+
+  try {
+    const result = await fulfillOrderIfComplete(supabase, orderId);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Fulfillment error:', error);
+    return res.status(502).json({ error: error.message, status: error.status || null });
+  }
+}
+
+export default handler;
@@ -0,0 +1,40 @@
+// api/orders/sync-status.js
+// Queues orders for a production status write to Shopify
+// Called by the dashboard after claim/start/complete. Like /api/orders/fulfill it takes
+// only order ids - what gets written is read from the database by the cron job.
+
+import { createClient } from '@supabase/supabase-js';
+import { enqueueStatusSync } from '../../src/lib/shopifyStatusSync.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * POST /api/orders/sync-status
+ * Body: { orderIds: [...] } (or { orderId })
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { orderId, orderIds } = req.body || {};
+  const ids = [...new Set((orderIds || [orderId]).filter(Boolean))];
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'orderIds is required' });
+  }
+
+  try {
+    for (const id of ids) {
+      await enqueueStatusSync(supabase, id);
+    }
+    return res.status(202).json({ queued: ids.length });
+  } catch (error) {
+    console.error('❌ Status sync queue error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -0,0 +1,40 @@
+// api/stats/leaderboard.js
+// Sewer leaderboard for the shop dashboard (read-only)
+
+import { createClient } from '@supabase/supabase-js';
+import { getLeaderboard, AnalyticsError } from '../../src/lib/analytics.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/stats/leaderboard[?from=YYYY-MM-DD][&to=YYYY-MM-DD][&metric=points|completions|points_per_hour][&limit=20]
+ * Shop days, inclusive; defaults to the last 30 days.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to, metric } = req.query || {};
+
+  try {
+    const leaderboard = await getLeaderboard(supabase, {
+      from,
+      to,
+      metric: metric || 'points',
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+    });
+    return res.status(200).json(leaderboard);
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Leaderboard error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
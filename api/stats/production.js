@@ -0,0 +1,35 @@
+// api/stats/production.js
+// Throughput and cycle-time stats for the shop dashboard (read-only)
+
+import { createClient } from '@supabase/supabase-js';
+import { getProductionStats, AnalyticsError } from '../../src/lib/analytics.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * GET /api/stats/production[?from=YYYY-MM-DD][&to=YYYY-MM-DD][&sewerId=][&walletType=][&interval=day|week]
+ * Shop days, inclusive; defaults to the last 30 days.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to, sewerId, walletType, interval } = req.query || {};
+
+  try {
+    const stats = await getProductionStats(supabase, { from, to, sewerId, walletType, interval });
+    return res.status(200).json(stats);
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ Production stats error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
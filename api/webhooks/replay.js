@@ -0,0 +1,46 @@
+// api/webhooks/replay.js
+// Replays dead-lettered Shopify deliveries through the webhook topic router
+
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../src/lib/adminAuth.js';
+import { replayDeadLetters } from '../../src/lib/deadLetters.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+/**
+ * POST /api/webhooks/replay
+ * Body: { topic?, since?, until?, orderNumber?, limit?, includeResolved?, dryRun? }
+ */
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  const { topic, since, until, orderNumber, limit, includeResolved, dryRun } = req.body || {};
+
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} date` });
+    }
+  }
+
+  try {
+    const summary = await replayDeadLetters(
+      supabase,
+      { topic, since, until, orderNumber, limit, includeResolved },
+      { dryRun: dryRun === true || dryRun === 'true' }
+    );
+
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('❌ Replay error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+export default handler;
@@ -1,8 +1,11 @@
 // api/webhooks/shopify.js
 // UPDATED VERSION - Separates wallets from accessories and tracks wallet attributes
 
-import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { beginWebhookEvent, finishWebhookEvent, getShopifyOrderIdForTopic } from '../../src/lib/webhookEvents.js';
+import { routeWebhook } from '../../src/lib/shopifyOrders.js';
+import { recordDeadLetter } from '../../src/lib/deadLetters.js';
+import { getWebhookSecrets, isVerificationDisabled, verifyShopifyWebhook } from '../../src/lib/webhookVerification.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -10,101 +13,42 @@ const supabase = createClient(
 );
 
 /**
- * WALLET TYPE MAPPINGS - Inline version for webhook
- * (Could be imported from walletMapping.js if using ES modules)
+ * Record a rejected delivery so abuse can be spotted
+ * Never throws - a failed insert must not turn a 401 into a 500
  */
-const WALLET_MAPPINGS = {
-  'Peyton': { keywords: ['peyton'], points: 2 },
-  'The Richmond': { keywords: ['richmond'], points: 2 },
-  'Keller Money Clip': { keywords: ['keller money clip', 'keller'], points: 2 },
-  'The Georgetown': { keywords: ['georgetown'], points: 2 },
-  'Pflugerville': { keywords: ['pflugerville'], points: 2 },
-  'Minimalist Badge Wallet': { keywords: ['minimalist badge wallet', 'minimalist badge'], points: 2 },
-  'Knife Sheath': { keywords: ['knife sheath'], points: 2 },
-  'Keychain': { keywords: ['keychain'], points: 2 },
-  'Passport Holder': { keywords: ['passport holder', 'passport'], points: 3 },
-  'Victory': { keywords: ['victory'], points: 3 },
-  'Western Vertical Wallet': { keywords: ['western vertical wallet', 'western vertical'], points: 3 },
-  'Valet Tray': { keywords: ['valet tray'], points: 3 },
-  'Tyler Vertical Wallet': { keywords: ['tyler vertical wallet', 'tyler vertical'], points: 3 },
-  'Mansfield': { keywords: ['mansfield'], points: 3 },
-  'Leather Field Notes Cover': { keywords: ['leather field notes cover', 'field notes cover', 'field notes'], points: 3 },
-  'Badge Vertical Wallet': { keywords: ['badge vertical wallet', 'badge vertical'], points: 3 },
-  'Apple Watch Leather Band': { keywords: ['apple watch leather band', 'apple watch band', 'watch band'], points: 3 },
-  'Glory Snap': { keywords: ['glory snap'], points: 4 },
-  'Federal Badge Wallet Small': { keywords: ['federal badge wallet small', 'federal badge small'], points: 4 },
-  'Western Long Wallet': { keywords: ['western long wallet', 'western long'], points: 4 },
-  'The Houstonian Long Wallet': { keywords: ['houstonian long wallet', 'houstonian long', 'houstonian'], points: 4 },
-  'Badge Long Wallet': { keywords: ['badge long wallet', 'badge long'], points: 4 },
-  'Sugar Land Clutch': { keywords: ['sugar land clutch', 'sugar land'], points: 5 },
-  'Western Bifold Wallet': { keywords: ['western bifold wallet', 'western bifold'], points: 5 },
-  'Trinity Trifold Wallet': { keywords: ['trinity trifold wallet', 'trinity trifold', 'trinity'], points: 5 },
-  'Rio Grande': { keywords: ['rio grande'], points: 5 },
-  'Badge Bifold Wallet': { keywords: ['badge bifold wallet', 'badge bifold'], points: 5 },
-  'Badge Clutch Wallet': { keywords: ['badge clutch wallet', 'badge clutch'], points: 6 },
-  'Western Trifold Wallet': { keywords: ['western trifold wallet', 'western trifold'], points: 6 },
-  'Big Bend': { keywords: ['big bend'], points: 6 },
-  'Badge Trifold Wallet': { keywords: ['badge trifold wallet', 'badge trifold'], points: 6 },
-};
+async function recordRejectedWebhook(req, reason) {
+  const rejection = {
+    topic: req.headers['x-shopify-topic'] || null,
+    shop_domain: req.headers['x-shopify-shop-domain'] || null,
+    webhook_id: req.headers['x-shopify-webhook-id'] || null,
+    reason,
+    source_ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+    user_agent: req.headers['user-agent'] || null,
+  };
 
-/**
- * Get wallet type from product name
- */
-function getWalletType(productName) {
-  if (!productName) return null;
-  
-  const name = productName.toLowerCase();
-  
-  // Sort by keyword length (longest first) for more specific matches
-  const sortedMappings = Object.entries(WALLET_MAPPINGS).sort((a, b) => {
-    const maxLengthA = Math.max(...a[1].keywords.map(k => k.length));
-    const maxLengthB = Math.max(...b[1].keywords.map(k => k.length));
-    return maxLengthB - maxLengthA;
-  });
-  
-  for (const [walletType, config] of sortedMappings) {
-    const hasMatch = config.keywords.some(keyword => 
-      name.includes(keyword.toLowerCase())
-    );
-    
-    if (hasMatch) {
-      return walletType;
-    }
-  }
-  
-  return null;
-}
+  console.error(`❌ Webhook rejected (${reason}):`, rejection.topic, rejection.shop_domain);
 
-/**
- * Get points for a wallet type
- */
-function getPointsForWalletType(walletType) {
-  return WALLET_MAPPINGS[walletType]?.points || 0;
-}
+  const { error } = await supabase
+    .from('webhook_rejections')
+    .insert([rejection]);
 
-/**
- * Verify webhook is from Shopify
- */
-function verifyShopifyWebhook(rawBody, hmacHeader, secret) {
-  const hash = crypto
-    .createHmac('sha256', secret)
-    .update(rawBody, 'utf8')
-    .digest('base64');
-  
-  return hash === hmacHeader;
+  if (error) {
+    console.error('❌ Could not record webhook rejection:', error);
+  }
 }
 
 /**
  * Get raw body from request
+ * Kept as a Buffer so multi-byte characters split across chunks don't break the HMAC
  */
 async function getRawBody(req) {
   return new Promise((resolve, reject) => {
-    let data = '';
+    const chunks = [];
     req.on('data', chunk => {
-      data += chunk;
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
     });
     req.on('end', () => {
-      resolve(data);
+      resolve(Buffer.concat(chunks));
     });
     req.on('error', reject);
   });
@@ -118,407 +62,106 @@ async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const webhookId = req.headers['x-shopify-webhook-id'];
+  let rawBody;
+  let verified = false;
+  let eventStarted = false;
+
   try {
-    const rawBody = await getRawBody(req);
-    const body = JSON.parse(rawBody);
+    rawBody = await getRawBody(req);
     
     const hmacHeader = req.headers['x-shopify-hmac-sha256'];
     const shopifyTopic = req.headers['x-shopify-topic'];
 
-    console.log('✅ Webhook received:', shopifyTopic);
-
-    // TEMPORARY: Skip HMAC verification for development
-    // const isValid = verifyShopifyWebhook(rawBody, hmacHeader, process.env.SHOPIFY_WEBHOOK_SECRET);
-    const isValid = true;
+    if (isVerificationDisabled()) {
+      console.warn('⚠️ ⚠️ ⚠️  SHOPIFY_WEBHOOK_DEV_MODE is on - HMAC verification is DISABLED. Never enable this outside local development. ⚠️ ⚠️ ⚠️');
+    } else {
+      const secrets = getWebhookSecrets();
 
-    if (!isValid) {
-      console.error('❌ Invalid webhook signature');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+      if (secrets.length === 0) {
+        // Fail closed; 500 lets Shopify retry once the secret is configured
+        console.error('❌ No Shopify webhook secret configured');
+        await recordRejectedWebhook(req, 'no_secret_configured');
+        return res.status(500).json({ error: 'Webhook verification not configured' });
+      }
 
-    // Route to appropriate handler
-    switch (shopifyTopic) {
-      case 'orders/create':
-        await handleOrderCreate(body);
-        break;
-      
-      case 'orders/updated':
-        await handleOrderUpdate(body);
-        break;
+      if (!hmacHeader) {
+        await recordRejectedWebhook(req, 'missing_hmac');
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
 
-      default:
-        console.log(`Unhandled topic: ${shopifyTopic}`);
+      if (!verifyShopifyWebhook(rawBody, hmacHeader, secrets)) {
+        await recordRejectedWebhook(req, 'invalid_hmac');
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
     }
 
-    return res.status(200).json({ received: true });
+    verified = true;
 
-  } catch (error) {
-    console.error('❌ Webhook error:', error);
-    return res.status(200).json({ error: error.message });
-  }
-}
-
-// Vercel config - must be a named export
-export const config = {
-  api: {
-    bodyParser: false,
-  },
-};
+    const body = JSON.parse(rawBody.toString('utf8'));
 
-// Default export
-export default handler;
+    console.log('✅ Webhook received:', shopifyTopic, webhookId || '');
 
-/**
- * Extract wallet attributes from line item properties
- * Returns structured data for wallet customization
- */
-function extractWalletAttributes(lineItem) {
-  const attributes = {
-    color: null,
-    leather_type: null,
-    thread_color: null,
-    has_monogram: false,
-    monogram_text: null,
-    monogram_font: null,
-    has_special_engraving: false,
-    special_engraving_text: null,
-    engraving_font: null,
-    engraving_location: null,
-    has_custom_id: false,
-    custom_id_text: null,
-    has_custom_logo: false,
-    custom_logo_details: null,
-    has_badge_cutout: false,
-    badge_type: null,
-    customer_note: null,
-    other_customizations: []
-  };
-
-  if (!lineItem.properties || !Array.isArray(lineItem.properties)) {
-    return attributes;
-  }
+    const event = await beginWebhookEvent(supabase, {
+      webhookId,
+      topic: shopifyTopic,
+      shopDomain: req.headers['x-shopify-shop-domain'] || null,
+      shopifyOrderId: getShopifyOrderIdForTopic(shopifyTopic, body),
+      triggeredAt: req.headers['x-shopify-triggered-at'],
+    });
 
-  lineItem.properties.forEach(prop => {
-    const key = prop.name.toLowerCase();
-    const value = prop.value;
+    if (!event.proceed) {
+      console.log(`⏭️ Skipping delivery ${webhookId} (${event.reason})`);
 
-    // Map properties to attributes
-    if (key.includes('color') || key.includes('leather')) {
-      if (key.includes('thread')) {
-        attributes.thread_color = value;
-      } else {
-        attributes.color = value;
-        attributes.leather_type = value;
-      }
-    } 
-    else if (key.includes('monogram')) {
-      attributes.has_monogram = true;
-      if (key.includes('font')) {
-        attributes.monogram_font = value;
-      } else {
-        attributes.monogram_text = value;
+      // In-flight: a non-2xx makes Shopify retry later in case the first attempt dies
+      if (event.reason === 'in_flight') {
+        return res.status(409).json({ error: 'Delivery already in progress' });
       }
-    } 
-    else if (key.includes('special engraving')) {
-      attributes.has_special_engraving = true;
-      attributes.special_engraving_text = value;
-    }
-    else if (key.includes('engraving_font')) {
-      attributes.engraving_font = value;
-    }
-    else if (key.includes('engraving_location')) {
-      attributes.engraving_location = value;
-    }
-    else if (key.includes('custom id') || key.includes('add custom id')) {
-      attributes.has_custom_id = true;
-      attributes.custom_id_text = value;
-    } 
-    else if (key.includes('badge type')) {
-      attributes.badge_type = value;
+      return res.status(200).json({ received: true, duplicate: true });
     }
-    else if (key.includes('badge cutout') || key.includes('add custom badge cutout')) {
-      attributes.has_badge_cutout = true;
-      if (value && value !== 'Yes') {
-        attributes.badge_type = value;
-      }
-    } 
-    else if (key.includes('custom_logo') || key.includes('custom logo')) {
-      attributes.has_custom_logo = true;
-      attributes.custom_logo_details = value;
-    }
-    else if (key.includes('customer_note') || key.includes('customer note')) {
-      attributes.customer_note = value;
-    }
-    else {
-      // Store other customizations
-      attributes.other_customizations.push({
-        name: prop.name,
-        value: value
-      });
-    }
-  });
-
-  return attributes;
-}
-
-/**
- * Determine if a line item is an accessory/add-on
- */
-function isAccessoryItem(productName) {
-  if (!productName) return false;
-  
-  const name = productName.toLowerCase();
-  const ACCESSORY_KEYWORDS = [
-    'monogram',
-    'special engraving',
-    'monogram_font',
-    'engraving_font',
-    'engraving_location',
-    'customer_note',
-    'custom_logo',
-    'add custom id',
-    'badge type',
-    'add custom badge cutout',
-    'rfid cards',
-    'extra'
-  ];
-  
-  return ACCESSORY_KEYWORDS.some(keyword => name.includes(keyword));
-}
-
-/**
- * Handle new order creation
- */
-async function handleOrderCreate(shopifyOrder) {
-  console.log('📦 Processing new order:', shopifyOrder.order_number);
+    eventStarted = true;
 
-  const customerName = shopifyOrder.customer 
-    ? `${shopifyOrder.customer.first_name || ''} ${shopifyOrder.customer.last_name || ''}`.trim()
-    : shopifyOrder.billing_address?.name || 'Unknown';
+    // Route to appropriate handler
+    const result = await routeWebhook(supabase, shopifyTopic, body);
 
-  const customerEmail = shopifyOrder.customer?.email || 
-                       shopifyOrder.contact_email || 
-                       null;
+    await finishWebhookEvent(supabase, webhookId, result?.skipped ? 'ignored' : 'processed');
 
-  const orderTags = shopifyOrder.tags ? shopifyOrder.tags.split(',').map(t => t.trim()) : [];
+    return res.status(200).json({ received: true });
 
-  // Separate wallets from accessories
-  const walletItems = [];
-  const accessoryItems = [];
-  
-  shopifyOrder.line_items.forEach(item => {
-    const walletType = getWalletType(item.title);
-    if (walletType) {
-      const points = getPointsForWalletType(walletType);
-      walletItems.push({ ...item, detected_wallet_type: walletType, points });
-    } else if (isAccessoryItem(item.title)) {
-      accessoryItems.push(item);
-    } else {
-      // Unknown items - treat as accessories for now
-      accessoryItems.push(item);
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    if (eventStarted) {
+      await finishWebhookEvent(supabase, webhookId, 'failed', error);
     }
-  });
 
-  // Calculate total points from all wallets
-  const totalPoints = walletItems.reduce((sum, item) => sum + item.points, 0);
-  
-  // Collate wallet types
-  const walletTypes = walletItems
-    .map(item => item.detected_wallet_type)
-    .filter(Boolean)
-    .join(', ');
-
-  console.log(`📊 Order has ${walletItems.length} wallets worth ${totalPoints} points total`);
-
-  // Create parent order
-  const orderData = {
-    order_number: shopifyOrder.order_number.toString(),
-    shopify_order_id: shopifyOrder.id.toString(),
-    status: 'pending',
-    orderer_name: customerName,
-    points: totalPoints, // Will be updated after wallet mapping
-    wallet_type: walletTypes || null, // Collated wallet types
-    total_wallets: walletItems.length,
-    total_accessories: accessoryItems.length,
-    
-    shopify_metadata: {
-      shopify_order_id: shopifyOrder.id,
-      order_number: shopifyOrder.order_number,
-      customer_email: customerEmail,
-      customer_name: customerName,
-      tags: orderTags,
-      financial_status: shopifyOrder.financial_status,
-      fulfillment_status: shopifyOrder.fulfillment_status,
-      note: shopifyOrder.note || null,
-      note_attributes: shopifyOrder.note_attributes || [],
-      total_price: shopifyOrder.total_price,
-      currency: shopifyOrder.currency,
-      created_at: shopifyOrder.created_at,
-      shipping_address: shopifyOrder.shipping_address,
+    // Unverified bodies are never stored
+    if (!verified) {
+      return res.status(500).json({ error: error.message });
     }
-  };
-
-  const { data: insertedOrder, error: orderError } = await supabase
-    .from('orders')
-    .insert([orderData])
-    .select()
-    .single();
-
-  if (orderError) {
-    console.error('❌ Order insert error:', orderError);
-    throw orderError;
-  }
 
-  console.log('✅ Order inserted:', insertedOrder.order_number);
-
-  // Create line items for WALLETS
-  const walletLineItemsData = walletItems.map(item => {
-    const walletAttributes = extractWalletAttributes(item);
-    
-    return {
-      order_id: insertedOrder.id,
-      order_number: insertedOrder.order_number,
-      item_type: 'wallet',
-      
-      product_id: item.product_id?.toString(),
-      variant_id: item.variant_id?.toString(),
-      sku: item.sku,
-      product_name: item.title,
-      variant_name: item.variant_title,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      
-      wallet_type: item.detected_wallet_type, // Already calculated
-      points: item.points, // Already calculated
-      wallet_attributes: walletAttributes,
-      
-      status: 'pending',
-      
-      shopify_line_item: {
-        product_id: item.product_id,
-        variant_id: item.variant_id,
-        sku: item.sku,
-        title: item.title,
-        variant_title: item.variant_title,
-        quantity: item.quantity,
-        price: item.price,
-        properties: item.properties || [],
-        vendor: item.vendor,
-        product_type: item.product_type,
-      }
-    };
-  });
-
-  // Create line items for ACCESSORIES
-  const accessoryLineItemsData = accessoryItems.map(item => {
-    return {
-      order_id: insertedOrder.id,
-      order_number: insertedOrder.order_number,
-      item_type: 'accessory', // NEW: Mark as accessory
-      
-      product_id: item.product_id?.toString(),
-      variant_id: item.variant_id?.toString(),
-      sku: item.sku,
-      product_name: item.title,
-      variant_name: item.variant_title,
-      quantity: item.quantity,
-      price: parseFloat(item.price),
-      
-      wallet_type: null, // Not applicable for accessories
-      points: 0, // Accessories don't earn points
-      wallet_attributes: null, // Not applicable for accessories
-      
-      status: 'pending',
-      
-      shopify_line_item: {
-        product_id: item.product_id,
-        variant_id: item.variant_id,
-        sku: item.sku,
-        title: item.title,
-        variant_title: item.variant_title,
-        quantity: item.quantity,
-        price: item.price,
-        properties: item.properties || [],
-        vendor: item.vendor,
-        product_type: item.product_type,
-      }
-    };
-  });
-
-  // Insert all line items (wallets + accessories)
-  const allLineItems = [...walletLineItemsData, ...accessoryLineItemsData];
-  
-  if (allLineItems.length > 0) {
-    const { data: insertedLineItems, error: lineItemsError } = await supabase
-      .from('order_line_items')
-      .insert(allLineItems)
-      .select();
+    const stored = await recordDeadLetter(supabase, {
+      webhookId,
+      topic: req.headers['x-shopify-topic'],
+      shopDomain: req.headers['x-shopify-shop-domain'],
+      headers: req.headers,
+      rawBody,
+      error,
+    });
 
-    if (lineItemsError) {
-      console.error('❌ Line items insert error:', lineItemsError);
-      throw lineItemsError;
+    // Stored payloads are replayed by us; if storing failed too, let Shopify retry
+    if (!stored) {
+      return res.status(500).json({ error: error.message });
     }
-
-    console.log(`✅ Created ${walletLineItemsData.length} wallet items and ${accessoryLineItemsData.length} accessory items`);
-    
-    // Log wallet details with points
-    insertedLineItems
-      .filter(item => item.item_type === 'wallet')
-      .forEach((item, idx) => {
-        const attrs = item.wallet_attributes;
-        const customizations = [];
-        if (attrs?.has_monogram) customizations.push('Monogram');
-        if (attrs?.has_custom_id) customizations.push('Custom ID');
-        if (attrs?.has_badge_cutout) customizations.push('Badge Cutout');
-        if (attrs?.has_special_engraving) customizations.push('Engraving');
-        
-        console.log(`   Wallet ${idx + 1}: ${item.product_name}${item.variant_name ? ' - ' + item.variant_name : ''} → ${item.wallet_type} (${item.points} pts)${customizations.length > 0 ? ' [' + customizations.join(', ') + ']' : ''}`);
-      });
-    
-    console.log(`📊 Order total: ${totalPoints} points`);
+    return res.status(200).json({ error: error.message, deadLettered: true });
   }
-
-  return { success: true, order: insertedOrder };
 }
 
-/**
- * Handle order updates
- */
-async function handleOrderUpdate(shopifyOrder) {
-  console.log('🔄 Processing order update:', shopifyOrder.order_number);
-
-  // Find existing order
-  const { data: existingOrder } = await supabase
-    .from('orders')
-    .select('*')
-    .eq('shopify_order_id', shopifyOrder.id.toString())
-    .single();
-
-  if (!existingOrder) {
-    console.log('Order not found, creating new order');
-    return handleOrderCreate(shopifyOrder);
-  }
-
-  // Update order metadata
-  const updateData = {
-    shopify_metadata: {
-      ...existingOrder.shopify_metadata,
-      financial_status: shopifyOrder.financial_status,
-      fulfillment_status: shopifyOrder.fulfillment_status,
-      updated_at: new Date().toISOString(),
-    }
-  };
-
-  const { error } = await supabase
-    .from('orders')
-    .update(updateData)
-    .eq('id', existingOrder.id);
-
-  if (error) {
-    console.error('❌ Order update error:', error);
-    throw error;
-  }
+// Vercel config - must be a named export
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
 
-  console.log('✅ Order updated:', shopifyOrder.order_number);
-  return { success: true };
-}
\ No newline at end of file
+// Default export
+export default handler;
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// scripts/mock-shopify-admin.js
+// Minimal local stand-in for the Shopify Admin API endpoints this app calls
+//
+// Usage:
+//   node scripts/mock-shopify-admin.js [--port 4010] [--fail-first 2]
+//   SHOPIFY_ADMIN_BASE_URL=http://localhost:4010 <run the app or a test>
+//
+// Every order gets one open fulfillment order. Seed its line items (and tags) first:
+//   POST /__mock/orders/<shopify order id>  { "line_items": [{ "id": 11, "quantity": 2 }], "tags": "vip" }
+// Order tags and metafields are kept in memory. GET /__mock/requests lists the requests
+// received. --fail-first N answers the first N API requests with 503 to exercise retries.
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4010' },
+    'fail-first': { type: 'string', default: '0' },
+  },
+});
+
+const orders = new Map();
+const orderTags = new Map();
+const metafields = new Map();
+const requests = [];
+let failuresLeft = parseInt(args['fail-first'], 10) || 0;
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const body = await readBody(req);
+  const path = req.url.split('?')[0];
+
+  if (path === '/__mock/requests') return send(res, 200, { requests });
+
+  const seed = path.match(/^\/__mock\/orders\/(\d+)$/);
+  if (seed && req.method === 'POST') {
+    const fulfillmentOrderId = nextId++;
+    orders.set(seed[1], {
+      id: fulfillmentOrderId,
+      order_id: Number(seed[1]),
+      status: 'open',
+      line_items: (body?.line_items || []).map(item => ({
+        id: nextId++,
+        line_item_id: item.id,
+        quantity: item.quantity,
+        fulfillable_quantity: item.quantity,
+      })),
+    });
+    orderTags.set(seed[1], body?.tags || '');
+    return send(res, 201, { fulfillment_order: orders.get(seed[1]) });
+  }
+
+  requests.push({ method: req.method, path, body });
+
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    return send(res, 503, { errors: 'Mock failure' });
+  }
+
+  const fulfillmentOrders = path.match(/\/orders\/(\d+)\/fulfillment_orders\.json$/);
+  if (fulfillmentOrders && req.method === 'GET') {
+    const order = orders.get(fulfillmentOrders[1]);
+    return send(res, 200, { fulfillment_orders: order ? [order] : [] });
+  }
+
+  const order = path.match(/\/orders\/(\d+)\.json$/);
+  if (order && req.method === 'GET') {
+    return send(res, 200, { order: { id: Number(order[1]), tags: orderTags.get(order[1]) || '' } });
+  }
+  if (order && req.method === 'PUT') {
+    orderTags.set(order[1], body?.order?.tags || '');
+    return send(res, 200, { order: { id: Number(order[1]), tags: orderTags.get(order[1]) } });
+  }
+
+  const orderMetafields = path.match(/\/orders\/(\d+)\/metafields\.json$/);
+  if (orderMetafields && req.method === 'POST') {
+    const { namespace, key } = body?.metafield || {};
+    const metafieldKey = `${orderMetafields[1]}:${namespace}.${key}`;
+    const metafield = { id: metafields.get(metafieldKey)?.id || nextId++, ...body?.metafield };
+    metafields.set(metafieldKey, metafield);
+    return send(res, 201, { metafield });
+  }
+
+  if (path.endsWith('/fulfillments.json') && req.method === 'POST') {
+    const fulfillmentId = nextId++;
+    for (const group of body?.fulfillment?.line_items_by_fulfillment_order || []) {
+      const order = [...orders.values()].find(fo => fo.id === group.fulfillment_order_id);
+      if (!order) return send(res, 404, { errors: 'Fulfillment order not found' });
+
+      for (const { id, quantity } of group.fulfillment_order_line_items) {
+        const line = order.line_items.find(item => item.id === id);
+        if (!line || quantity > line.fulfillable_quantity) {
+          return send(res, 422, { errors: `Invalid quantity for fulfillment order line item ${id}` });
+        }
+        line.fulfillable_quantity -= quantity;
+      }
+      if (order.line_items.every(item => item.fulfillable_quantity === 0)) order.status = 'closed';
+    }
+    return send(res, 201, { fulfillment: { id: fulfillmentId, status: 'success' } });
+  }
+
+  return send(res, 404, { errors: 'Not Found' });
+});
+
+server.listen(parseInt(args.port, 10), () => {
+  console.log(`🧪 Mock Shopify Admin API on http://localhost:${args.port}`);
+});
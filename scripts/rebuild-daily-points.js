@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// scripts/rebuild-daily-points.js
+// Recomputes daily_points from the points ledger
+//
+// Usage:
+//   node scripts/rebuild-daily-points.js [--from 2026-10-01] [--to 2026-10-31]
+//
+// Without --from/--to every day is rebuilt. Days are the shop's (SHOP_TIMEZONE).
+// Needs SUPABASE_URL and SUPABASE_SERVICE_KEY in the environment.
+
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { rebuildDailyPoints } from '../src/lib/dailyPoints.js';
+
+const { values: args } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+  },
+});
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+if ([args.from, args.to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+  console.error('--from and --to must be YYYY-MM-DD');
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+try {
+  await rebuildDailyPoints(supabase, { from: args.from || null, to: args.to || null });
+  process.exit(0);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
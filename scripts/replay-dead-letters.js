@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// scripts/replay-dead-letters.js
+// Replays dead-lettered Shopify deliveries from the command line
+//
+// Usage:
+//   node scripts/replay-dead-letters.js [--topic orders/create] [--since 2026-01-01]
+//     [--until 2026-01-31] [--order 1234] [--limit 50] [--include-resolved] [--dry-run]
+//
+// Needs SUPABASE_URL and SUPABASE_SERVICE_KEY in the environment.
+
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { replayDeadLetters } from '../src/lib/deadLetters.js';
+
+const { values: args } = parseArgs({
+  options: {
+    topic: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    order: { type: 'string' },
+    limit: { type: 'string' },
+    'include-resolved': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const summary = await replayDeadLetters(
+  supabase,
+  {
+    topic: args.topic,
+    since: args.since,
+    until: args.until,
+    orderNumber: args.order,
+    limit: args.limit ? parseInt(args.limit, 10) : undefined,
+    includeResolved: args['include-resolved'],
+  },
+  { dryRun: args['dry-run'] }
+);
+
+summary.results.forEach(result => {
+  const order = result.order_number ? ` #${result.order_number}` : '';
+  console.log(`${result.status.padEnd(12)} ${result.topic}${order} (${result.webhook_id || result.id}, ${result.attempts} attempts)${result.error ? ' - ' + result.error : ''}`);
+});
+
+console.log(`\n${summary.dryRun ? 'Dry run: ' : ''}${summary.matched} matched, ${summary.replayed} replayed, ${summary.failed} failed`);
+
+process.exit(summary.failed > 0 ? 1 : 0);
@@ -0,0 +1,223 @@
+// src/lib/addOns.js
+// Personalization add-on line items ("Monogram", "Add Custom ID", "Add Custom Badge Cutout")
+// linked to the wallet they customize
+
+/**
+ * Add-on kinds, the title keywords that identify them, and the wallet attributes they set
+ * Longer keywords first so "add custom badge cutout" isn't read as something shorter.
+ */
+const ADD_ON_KINDS = [
+  { kind: 'badge_cutout', keywords: ['add custom badge cutout', 'badge cutout'], flag: 'has_badge_cutout', field: 'badge_type' },
+  { kind: 'custom_id', keywords: ['add custom id', 'custom id'], flag: 'has_custom_id', field: 'custom_id_text' },
+  { kind: 'special_engraving', keywords: ['special engraving'], flag: 'has_special_engraving', field: 'special_engraving_text' },
+  { kind: 'custom_logo', keywords: ['custom logo', 'custom_logo'], flag: 'has_custom_logo', field: 'custom_logo_details' },
+  { kind: 'monogram', keywords: ['monogram'], flag: 'has_monogram', field: 'monogram_text' },
+];
+
+/**
+ * Line item properties personalization apps use to tie an add-on to its wallet
+ */
+const GROUP_PROPERTY_NAMES = [
+  '_bundle_id',
+  '_bundle_key',
+  '_group_id',
+  '_group_key',
+  '_parent_id',
+  '_customization_id',
+  'bundle_id',
+  'group_id',
+];
+
+/**
+ * Add-on kind for a product title, or null when it isn't an add-on
+ */
+export function getAddOnKind(title) {
+  if (!title) return null;
+
+  const name = title.toLowerCase();
+  return ADD_ON_KINDS.find(({ keywords }) => keywords.some(keyword => name.includes(keyword)))?.kind || null;
+}
+
+/**
+ * Bundle/group values on a Shopify line item, e.g. ['_bundle_id=abc123']
+ */
+function getGroupKeys(item) {
+  return (item.properties || [])
+    .filter(prop => GROUP_PROPERTY_NAMES.includes(String(prop.name).toLowerCase()) && prop.value)
+    .map(prop => `${String(prop.name).toLowerCase()}=${prop.value}`);
+}
+
+/**
+ * Properties a customer filled in (underscore-prefixed ones are app bookkeeping)
+ */
+function getVisibleProperties(item) {
+  return (item.properties || []).filter(prop => !String(prop.name).startsWith('_'));
+}
+
+/**
+ * Work out which wallet unit(s) each add-on belongs to
+ *
+ * lineItems: the Shopify order's line_items, in order (positions drive the fallback)
+ * walletRows: wallet unit rows (new or stored), keyed by shopify_line_item_id + unit_index
+ * addOnRows: accessory rows whose title is an add-on
+ *
+ * Matching, most reliable first:
+ *   1. group_property - the add-on shares a bundle/group property value with one wallet
+ *   2. single_wallet  - the order has only one wallet line item
+ *   3. position       - the nearest wallet before the add-on (other add-ons in between are fine)
+ * A link is ambiguous (flag for review) when the guess could easily be wrong: a group value
+ * shared by several wallets, an add-on separated from its wallet by other items or placed
+ * before any wallet, more add-ons than wallet units, or an add-on covering only some units.
+ *
+ * Returns [{ addOnRow, kind, parentRows, method, ambiguous, reason }]
+ */
+export function linkAddOns(lineItems, walletRows, addOnRows) {
+  const positions = new Map(lineItems.map((item, index) => [String(item.id), index]));
+  const itemsById = new Map(lineItems.map(item => [String(item.id), item]));
+
+  // Wallet line items (groups of unit rows) in order position
+  const walletGroups = new Map();
+  walletRows.forEach(row => {
+    if (!walletGroups.has(row.shopify_line_item_id)) walletGroups.set(row.shopify_line_item_id, []);
+    walletGroups.get(row.shopify_line_item_id).push(row);
+  });
+  walletGroups.forEach(rows => rows.sort((a, b) => (a.unit_index || 1) - (b.unit_index || 1)));
+
+  const walletIds = [...walletGroups.keys()]
+    .filter(id => positions.has(id))
+    .sort((a, b) => positions.get(a) - positions.get(b));
+
+  const isAddOnItem = item => getAddOnKind(item.title) !== null;
+
+  // Units already carrying each kind of add-on
+  const usedUnits = new Map();
+  const takeUnits = (walletId, kind, quantity) => {
+    const key = `${walletId}:${kind}`;
+    const used = usedUnits.get(key) || new Set();
+    usedUnits.set(key, used);
+
+    const free = walletGroups.get(walletId).filter(row => !used.has(row.unit_index || 1));
+    const taken = free.slice(0, quantity);
+    taken.forEach(row => used.add(row.unit_index || 1));
+    return { taken, free: free.length, total: walletGroups.get(walletId).length };
+  };
+
+  const links = [];
+
+  for (const addOnRow of addOnRows) {
+    const kind = getAddOnKind(addOnRow.product_name);
+    const item = itemsById.get(addOnRow.shopify_line_item_id) || addOnRow.shopify_line_item || {};
+    const position = positions.get(addOnRow.shopify_line_item_id);
+
+    let walletId = null;
+    let method = null;
+    let reason = null;
+
+    // 1. Bundle/group properties
+    const groupKeys = getGroupKeys(item);
+    if (groupKeys.length > 0) {
+      const grouped = walletIds.filter(id => getGroupKeys(itemsById.get(id)).some(key => groupKeys.includes(key)));
+      if (grouped.length >= 1) {
+        walletId = grouped[0];
+        method = 'group_property';
+        if (grouped.length > 1) reason = `bundle shared by ${grouped.length} wallets`;
+      }
+    }
+
+    // 2. Only one wallet to choose from
+    if (!walletId && walletIds.length === 1) {
+      walletId = walletIds[0];
+      method = 'single_wallet';
+    }
+
+    // 3. Nearest wallet before the add-on
+    if (!walletId && walletIds.length > 1 && position !== undefined) {
+      const preceding = walletIds.filter(id => positions.get(id) < position);
+      if (preceding.length > 0) {
+        walletId = preceding[preceding.length - 1];
+        method = 'position';
+
+        const between = lineItems.slice(positions.get(walletId) + 1, position);
+        if (!between.every(isAddOnItem)) {
+          reason = 'add-on is not next to its wallet';
+        }
+      } else {
+        walletId = walletIds[0];
+        method = 'position';
+        reason = 'add-on comes before every wallet';
+      }
+    }
+
+    if (!walletId) {
+      links.push({ addOnRow, kind, parentRows: [], method: null, ambiguous: true, reason: 'no wallet to attach to' });
+      continue;
+    }
+
+    const quantity = addOnRow.quantity || 1;
+    const { taken, free, total } = takeUnits(walletId, kind, quantity);
+
+    if (!reason && free < quantity) {
+      reason = `${quantity} ${kind} add-ons for ${free} wallet units`;
+    } else if (!reason && quantity < total) {
+      reason = `${kind} covers ${quantity} of ${total} wallet units`;
+    }
+
+    links.push({ addOnRow, kind, parentRows: taken, method, ambiguous: Boolean(reason), reason });
+  }
+
+  return links;
+}
+
+/**
+ * Summary of an add-on kept in its wallet's wallet_attributes.add_ons
+ * `attributes` is extractWalletAttributes run over the add-on's own properties.
+ */
+export function describeAddOn(addOnRow, kind, attributes) {
+  const item = addOnRow.shopify_line_item || {};
+
+  return {
+    shopify_line_item_id: addOnRow.shopify_line_item_id,
+    kind,
+    title: addOnRow.product_name,
+    variant_title: addOnRow.variant_name || null,
+    properties: getVisibleProperties(item).map(prop => ({ name: prop.name, value: prop.value })),
+    attributes,
+  };
+}
+
+/**
+ * Wallet attributes with an add-on's details merged in
+ * Sets the add-on's flag, fills its detail (monogram text, ID text, badge type...)
+ * and any other fields the wallet doesn't already have. Re-applying the same add-on is a no-op.
+ */
+export function mergeAddOnAttributes(walletAttributes, addOn) {
+  const merged = {
+    ...walletAttributes,
+    add_ons: [...(walletAttributes?.add_ons || [])],
+  };
+
+  if (!merged.add_ons.some(existing => existing.shopify_line_item_id === addOn.shopify_line_item_id)) {
+    merged.add_ons.push(addOn);
+  }
+
+  const definition = ADD_ON_KINDS.find(({ kind }) => kind === addOn.kind);
+  if (!definition) return merged;
+
+  merged[definition.flag] = true;
+
+  // Detail: what the add-on's properties mapped to, else the first thing the customer typed
+  const detail = addOn.attributes?.[definition.field] ||
+    addOn.properties[0]?.value ||
+    addOn.variant_title ||
+    null;
+  if (detail && !merged[definition.field]) {
+    merged[definition.field] = detail;
+  }
+
+  for (const [field, value] of Object.entries(addOn.attributes || {})) {
+    if (field === 'other_customizations' || typeof value === 'boolean') continue;
+    if (value && !merged[field]) merged[field] = value;
+  }
+
+  return merged;
+}
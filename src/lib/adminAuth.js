@@ -0,0 +1,63 @@
+// src/lib/adminAuth.js
+// Bearer-token auth for internal/admin API routes
+
+import crypto from 'crypto';
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * True when the request carries `Authorization: Bearer <ADMIN_API_TOKEN>`
+ */
+export function isAdminRequest(req) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) return false;
+
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+
+  return scheme === 'Bearer' && safeEqual(value, token);
+}
+
+/**
+ * Reject the request with 401 unless it is an admin request
+ * Returns true when the caller may continue
+ */
+export function requireAdmin(req, res) {
+  if (isAdminRequest(req)) return true;
+
+  console.warn('❌ Unauthorized admin request:', req.method, req.url);
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
+
+/**
+ * True when the request comes from Vercel Cron (`Authorization: Bearer <CRON_SECRET>`)
+ */
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+
+  return scheme === 'Bearer' && safeEqual(value, secret);
+}
+
+/**
+ * Reject the request with 401 unless it is a cron or admin request
+ * Returns true when the caller may continue
+ */
+export function requireCronOrAdmin(req, res) {
+  if (isCronRequest(req) || isAdminRequest(req)) return true;
+
+  console.warn('❌ Unauthorized cron request:', req.method, req.url);
+  res.status(401).json({ error: 'Unauthorized' });
+  return false;
+}
@@ -0,0 +1,289 @@
+// src/lib/analytics.js
+// Throughput and cycle-time analytics from line_item_status_history (lineItemStatus.js)
+//
+// For each wallet completed in a date range, its last claim cycle (from the final
+// transition into 'claimed' to completion) is split into time per status:
+//   claim_to_start     time in 'claimed' before work started
+//   start_to_complete  time in 'in_progress' (first pass and rework) - paused, on hold,
+//                      waiting for rework and waiting for QC don't count
+//   points_per_hour    points / start_to_complete hours
+// Wallets without a recorded start (e.g. history backfilled from claimed_at/completed_at)
+// count towards completions and points but not the times.
+
+import { getShopDate, addDays } from './shopTime.js';
+import { fetchAllRows, fetchAllRowsIn } from './pagination.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Longest range one request may cover
+ */
+const MAX_RANGE_DAYS = 366;
+
+export const LEADERBOARD_METRICS = ['points', 'completions', 'points_per_hour'];
+
+/**
+ * A stats request that can't be answered as asked (code: invalid_input)
+ */
+export class AnalyticsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.code = code;
+  }
+}
+
+/**
+ * Time spent in each status (ms) during a wallet's last claim cycle
+ * history: its status history, oldest first. Returns null when there is no completion.
+ */
+export function getCycleDurations(history) {
+  const completedAt = history.map(entry => entry.to_status).lastIndexOf('completed');
+  if (completedAt === -1) return null;
+
+  const claimedAt = history.slice(0, completedAt).map(entry => entry.to_status).lastIndexOf('claimed');
+  const cycle = history.slice(claimedAt === -1 ? 0 : claimedAt, completedAt + 1);
+
+  const durations = {};
+  for (let i = 1; i < cycle.length; i++) {
+    const elapsed = new Date(cycle[i].created_at) - new Date(cycle[i - 1].created_at);
+    durations[cycle[i].from_status] = (durations[cycle[i].from_status] || 0) + Math.max(0, elapsed);
+  }
+
+  return {
+    claimed: claimedAt !== -1,
+    started: cycle.some(entry => entry.to_status === 'in_progress'),
+    completedAt: history[completedAt].created_at,
+    durations,
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round = (value, places = 1) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+function summarize(completions) {
+  const timed = completions.filter(completion => completion.started);
+  const claimToStart = timed.filter(completion => completion.claimed).map(completion => completion.claimToStartMs / MINUTE_MS);
+  const work = timed.map(completion => completion.workMs / MINUTE_MS);
+  const points = completions.reduce((sum, completion) => sum + completion.points, 0);
+  const workHours = work.reduce((sum, minutes) => sum + minutes, 0) / 60;
+  const timedPoints = timed.reduce((sum, completion) => sum + completion.points, 0);
+
+  return {
+    completions: completions.length,
+    points: round(points, 2),
+    claim_to_start_minutes: {
+      average: claimToStart.length ? round(claimToStart.reduce((a, b) => a + b, 0) / claimToStart.length) : null,
+      median: round(median(claimToStart)),
+    },
+    start_to_complete_minutes: {
+      average: work.length ? round(work.reduce((a, b) => a + b, 0) / work.length) : null,
+      median: round(median(work)),
+    },
+    points_per_hour: workHours > 0 ? round(timedPoints / workHours, 2) : null,
+  };
+}
+
+function bucketStart(date, interval) {
+  if (interval !== 'week') return date;
+  // Weeks start on Monday
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Completions per day or week over the range (empty buckets included) with a least-squares
+ * slope of completions per bucket
+ */
+function buildTrend(completions, { from, to, interval }) {
+  const buckets = new Map();
+  for (let date = bucketStart(from, interval); date <= to; date = addDays(date, interval === 'week' ? 7 : 1)) {
+    buckets.set(date, []);
+  }
+  completions.forEach(completion => buckets.get(bucketStart(completion.date, interval))?.push(completion));
+
+  const series = [...buckets.entries()].map(([start, bucket]) => {
+    const { completions: count, points, start_to_complete_minutes: work, points_per_hour } = summarize(bucket);
+    return { start, completions: count, points, average_start_to_complete_minutes: work.average, points_per_hour };
+  });
+
+  const n = series.length;
+  const meanX = (n - 1) / 2;
+  const meanY = series.reduce((sum, bucket) => sum + bucket.completions, 0) / (n || 1);
+  const denominator = series.reduce((sum, _, x) => sum + (x - meanX) ** 2, 0);
+  const slope = denominator > 0
+    ? series.reduce((sum, bucket, x) => sum + (x - meanX) * (bucket.completions - meanY), 0) / denominator
+    : 0;
+
+  return { interval, series, completions_slope: round(slope, 3) };
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  items.forEach(item => {
+    const value = item[key] ?? null;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  });
+  return groups;
+}
+
+async function fetchHistory(supabase, lineItemIds) {
+  const { data, error } = await fetchAllRowsIn(lineItemIds, chunk => supabase
+    .from('line_item_status_history')
+    .select('line_item_id, from_status, to_status, created_at, id')
+    .in('line_item_id', chunk)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  if (error) {
+    console.error('❌ Error fetching status history:', error);
+    throw error;
+  }
+
+  const byLineItem = new Map();
+  data.forEach(entry => {
+    if (!byLineItem.has(entry.line_item_id)) byLineItem.set(entry.line_item_id, []);
+    byLineItem.get(entry.line_item_id).push(entry);
+  });
+
+  return byLineItem;
+}
+
+/**
+ * Wallets completed on shop days [from, to], with their cycle times
+ */
+async function fetchCompletions(supabase, { from, to, sewerId = null, walletType = null }) {
+  // Padded by a day each side, then trimmed to shop days
+  const { data: completedEntries, error } = await fetchAllRows(() => supabase
+    .from('line_item_status_history')
+    .select('line_item_id, created_at')
+    .eq('to_status', 'completed')
+    .gte('created_at', `${addDays(from, -1)}T00:00:00Z`)
+    .lt('created_at', `${addDays(to, 2)}T00:00:00Z`)
+    .order('id', { ascending: true }));
+
+  if (error) {
+    console.error('❌ Error fetching completions:', error);
+    throw error;
+  }
+
+  const ids = [...new Set(completedEntries
+    .filter(entry => {
+      const date = getShopDate(entry.created_at);
+      return date >= from && date <= to;
+    })
+    .map(entry => entry.line_item_id))];
+
+  const { data: lineItems, error: lineItemsError } = await fetchAllRowsIn(ids, chunk => {
+    let query = supabase
+      .from('order_line_items')
+      .select('id, claimed_by, claimed_by_name, wallet_type, points, item_type')
+      .in('id', chunk)
+      .eq('status', 'completed') // Reverted or withdrawn since don't count
+      .eq('item_type', 'wallet')
+      .order('id', { ascending: true });
+
+    if (sewerId) query = query.eq('claimed_by', sewerId);
+    if (walletType) query = query.eq('wallet_type', walletType);
+    return query;
+  });
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  const history = await fetchHistory(supabase, lineItems.map(lineItem => lineItem.id));
+
+  return lineItems
+    .map(lineItem => {
+      const cycle = getCycleDurations(history.get(lineItem.id) || []);
+      if (!cycle) return null;
+
+      const date = getShopDate(cycle.completedAt);
+      if (date < from || date > to) return null;
+
+      return {
+        line_item_id: lineItem.id,
+        sewer_id: lineItem.claimed_by,
+        sewer_name: lineItem.claimed_by_name,
+        wallet_type: lineItem.wallet_type,
+        points: Number(lineItem.points) || 0,
+        date,
+        claimed: cycle.claimed,
+        started: cycle.started,
+        claimToStartMs: cycle.durations.claimed || 0,
+        workMs: cycle.durations.in_progress || 0,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Check and default a date range (shop days, inclusive; default the last 30 days)
+ */
+export function resolveRange({ from = null, to = null } = {}) {
+  const end = to || getShopDate();
+  const start = from || addDays(end, -29);
+
+  if (![start, end].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    throw new AnalyticsError('invalid_input', 'from and to must be YYYY-MM-DD');
+  }
+  if (start > end) throw new AnalyticsError('invalid_input', 'from must not be after to');
+  if (addDays(start, MAX_RANGE_DAYS) <= end) throw new AnalyticsError('invalid_input', `The range can cover at most ${MAX_RANGE_DAYS} days`);
+
+  return { from: start, to: end };
+}
+
+/**
+ * Throughput and cycle times for shop days [from, to]: overall, per sewer, per wallet
+ * type, and a trend by day or week. sewerId / walletType narrow everything down.
+ */
+export async function getProductionStats(supabase, { from = null, to = null, sewerId = null, walletType = null, interval = 'day' } = {}) {
+  const range = resolveRange({ from, to });
+  const completions = await fetchCompletions(supabase, { ...range, sewerId, walletType });
+
+  const sewers = [...groupBy(completions, 'sewer_id').entries()]
+    .map(([id, group]) => ({ sewer_id: id, sewer_name: group[0].sewer_name, ...summarize(group) }))
+    .sort((a, b) => b.points - a.points);
+
+  const walletTypes = [...groupBy(completions, 'wallet_type').entries()]
+    .map(([type, group]) => ({ wallet_type: type, ...summarize(group) }))
+    .sort((a, b) => b.completions - a.completions);
+
+  return {
+    ...range,
+    overall: summarize(completions),
+    sewers,
+    wallet_types: walletTypes,
+    trend: buildTrend(completions, { ...range, interval: interval === 'week' ? 'week' : 'day' }),
+  };
+}
+
+/**
+ * Sewers ranked by points, completions or points per hour over shop days [from, to]
+ */
+export async function getLeaderboard(supabase, { from = null, to = null, metric = 'points', limit = 20 } = {}) {
+  if (!LEADERBOARD_METRICS.includes(metric)) {
+    throw new AnalyticsError('invalid_input', `metric must be one of: ${LEADERBOARD_METRICS.join(', ')}`);
+  }
+
+  const range = resolveRange({ from, to });
+  const completions = await fetchCompletions(supabase, range);
+
+  const entries = [...groupBy(completions, 'sewer_id').entries()]
+    .map(([id, group]) => ({ sewer_id: id, sewer_name: group[0].sewer_name, ...summarize(group) }))
+    .filter(entry => entry[metric] !== null)
+    .sort((a, b) => b[metric] - a[metric])
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return { ...range, metric, entries };
+}
@@ -0,0 +1,64 @@
+// src/lib/auditLog.js
+// Append-only audit trail for manual line item operations (line_item_audit_log table)
+
+/**
+ * Line item fields captured before and after each operation
+ */
+const SNAPSHOT_FIELDS = ['status', 'claimed_by', 'claimed_by_name', 'claimed_at', 'completed_at', 'points'];
+
+export const ACTOR_ROLES = ['sewer', 'supervisor', 'system'];
+
+/**
+ * The audited fields of a line item
+ */
+export function snapshotLineItem(lineItem) {
+  return Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, lineItem?.[field] ?? null]));
+}
+
+/**
+ * Record one operation
+ * actor: { id, name, role } - role is 'sewer', 'supervisor' or 'system'
+ */
+export async function recordAudit(supabase, { action, lineItem, after, actor, reason = null }) {
+  const { error } = await supabase
+    .from('line_item_audit_log')
+    .insert([{
+      line_item_id: lineItem.id,
+      order_id: lineItem.order_id,
+      action,
+      actor_id: actor?.id ? String(actor.id) : null,
+      actor_name: actor?.name || null,
+      actor_role: actor?.role || 'system',
+      reason,
+      before: snapshotLineItem(lineItem),
+      after: snapshotLineItem(after),
+    }]);
+
+  if (error) {
+    console.error('❌ Error writing audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Audit entries for a line item or an order, oldest first
+ */
+export async function listAuditLog(supabase, { lineItemId = null, orderId = null, limit = 200 } = {}) {
+  let query = supabase
+    .from('line_item_audit_log')
+    .select('*');
+
+  if (lineItemId) query = query.eq('line_item_id', lineItemId);
+  if (orderId) query = query.eq('order_id', orderId);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('❌ Error reading audit log:', error);
+    throw error;
+  }
+
+  return data;
+}
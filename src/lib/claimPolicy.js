@@ -0,0 +1,534 @@
+// src/lib/claimPolicy.js
+// Claim policies: how much work one sewer may hold at once, and how long an unstarted
+// claim lasts (claim_policies table). Claims are checked, written and reserve their
+// materials server-side in claimLineItems (api/line-items/claim.js); expired claims are
+// released by a cron job (api/cron/release-claims.js).
+
+import { countWalletUnits } from './walletMapping.js';
+import { roundPoints } from './pointsRules.js';
+import { notifySewer } from './notifications.js';
+import { enqueueStatusSync } from './shopifyStatusSync.js';
+import { recordAudit } from './auditLog.js';
+import { getClaimReservations } from './materials.js';
+import { transitionLineItem, StaleStatusError, HELD_STATUSES } from './lineItemStatus.js';
+
+/**
+ * Used when there's no policy row at all: no limits, the previous behaviour
+ */
+export const DEFAULT_CLAIM_POLICY = {
+  max_claimed_wallets: null,
+  max_claimed_points: null,
+  claim_ttl_minutes: null,
+  fair_share_enabled: false,
+  fair_share_min_units: 10,
+  fair_share_max_percent: 50,
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_CLAIM_POLICY);
+
+/**
+ * A claim the policy (or the wallet's current state) doesn't allow
+ * `code` is one of: not_available, max_wallets, max_points, fair_share, out_of_stock, busy
+ */
+export class ClaimRejectedError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ClaimRejectedError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * A sewer's effective policy: the shop default with their own row's settings on top
+ */
+export function resolveClaimPolicy(policyRows, sewerId) {
+  const shopDefault = policyRows.find(row => row.sewer_id === null || row.sewer_id === undefined) || {};
+  const sewerRow = sewerId ? policyRows.find(row => row.sewer_id === String(sewerId)) || {} : {};
+
+  const policy = {};
+  for (const field of POLICY_FIELDS) {
+    policy[field] = sewerRow[field] ?? shopDefault[field] ?? DEFAULT_CLAIM_POLICY[field];
+  }
+  return policy;
+}
+
+/**
+ * Most wallet units of an order one sewer may hold at once (null when the order isn't shared)
+ */
+export function getFairShare(policy, orderUnits) {
+  if (!policy.fair_share_enabled || orderUnits < policy.fair_share_min_units) return null;
+  return Math.max(1, Math.floor(orderUnits * policy.fair_share_max_percent / 100));
+}
+
+function sumPoints(items) {
+  return roundPoints(items.reduce((sum, item) => sum + (Number(item.points) || 0), 0));
+}
+
+/**
+ * Check a claim against a policy
+ *
+ * held:       wallets the sewer holds now (claimed / in progress)
+ * candidates: pending rows being claimed, in the order they should be taken
+ * orderUnits: Map of order_id -> active wallet units, for fair share
+ * upTo:       take as many candidates as the limits allow instead of all or nothing
+ *
+ * Only wallets count towards limits; other rows (accessories) go along with them.
+ * Returns { allowed, rejection } - rejection is a ClaimRejectedError, or null; with
+ * upTo it's set when candidates were left out (allowed may still be non-empty).
+ */
+export function evaluateClaim(policy, { held, candidates, orderUnits = new Map(), upTo = false }) {
+  const allowed = [];
+  let rejection = null;
+
+  let heldUnits = countWalletUnits(held);
+  let heldPoints = sumPoints(held.filter(item => item.item_type === 'wallet'));
+  const heldByOrder = new Map();
+  held.filter(item => item.item_type === 'wallet').forEach(item => {
+    heldByOrder.set(item.order_id, (heldByOrder.get(item.order_id) || 0) + (item.quantity || 1));
+  });
+
+  const wallets = candidates.filter(item => item.item_type === 'wallet');
+
+  for (const item of wallets) {
+    const units = item.quantity || 1;
+    const points = Number(item.points) || 0;
+    const fairShare = getFairShare(policy, orderUnits.get(item.order_id) || 0);
+    const heldInOrder = heldByOrder.get(item.order_id) || 0;
+
+    if (policy.max_claimed_wallets && heldUnits + units > policy.max_claimed_wallets) {
+      rejection = new ClaimRejectedError(
+        'max_wallets',
+        `You can hold ${policy.max_claimed_wallets} wallets at once and already have ${heldUnits}. Finish or release one first.`,
+        { limit: policy.max_claimed_wallets, held: heldUnits }
+      );
+    } else if (policy.max_claimed_points && heldPoints + points > policy.max_claimed_points) {
+      rejection = new ClaimRejectedError(
+        'max_points',
+        `You can hold ${policy.max_claimed_points} points of work at once and already have ${heldPoints}; this wallet is ${points} more.`,
+        { limit: policy.max_claimed_points, held: heldPoints }
+      );
+    } else if (fairShare !== null && heldInOrder + units > fairShare) {
+      rejection = new ClaimRejectedError(
+        'fair_share',
+        `Order ${item.order_number} is shared between sewers - you can hold ${fairShare} of its ${orderUnits.get(item.order_id)} wallets at once.`,
+        { limit: fairShare, held: heldInOrder, orderId: item.order_id }
+      );
+    }
+
+    if (rejection) break;
+
+    allowed.push(item);
+    heldUnits += units;
+    heldPoints = roundPoints(heldPoints + points);
+    heldByOrder.set(item.order_id, heldInOrder + units);
+  }
+
+  if (rejection && !upTo) return { allowed: [], rejection };
+
+  // Accessories ride along only when every wallet went through
+  if (!rejection) {
+    allowed.push(...candidates.filter(item => item.item_type !== 'wallet'));
+  }
+
+  if (wallets.length > 0 && allowed.length === 0) return { allowed: [], rejection };
+
+  return { allowed, rejection };
+}
+
+/**
+ * Load a sewer's effective claim policy
+ */
+export async function getClaimPolicy(supabase, sewerId) {
+  // The shop default and the sewer's own row, as separate filters (the id never goes into a filter string)
+  const queries = [supabase.from('claim_policies').select('*').is('sewer_id', null)];
+  if (sewerId) {
+    queries.push(supabase.from('claim_policies').select('*').eq('sewer_id', String(sewerId)));
+  }
+
+  const results = await Promise.all(queries);
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('❌ Error loading claim policy:', failed.error);
+    throw failed.error;
+  }
+
+  return resolveClaimPolicy(results.flatMap(result => result.data), sewerId);
+}
+
+/**
+ * Check that a sewer may claim `candidates` (pending rows), reading what they hold now
+ * Returns evaluateClaim's { allowed, rejection }, plus `held` (the rows it counted)
+ */
+export async function checkClaim(supabase, sewerId, candidates, { upTo = false } = {}) {
+  const policy = await getClaimPolicy(supabase, sewerId);
+
+  const { data: held, error: heldError } = await supabase
+    .from('order_line_items')
+    .select('id, order_id, item_type, quantity, points, status')
+    .eq('claimed_by', sewerId)
+    .in('status', HELD_STATUSES);
+
+  if (heldError) {
+    console.error('❌ Error loading claimed wallets:', heldError);
+    throw heldError;
+  }
+
+  // Active wallet units per order, for fair share
+  const orderUnits = new Map();
+  const orderIds = [...new Set(candidates.map(item => item.order_id))];
+  if (policy.fair_share_enabled && orderIds.length > 0) {
+    const { data: orderWallets, error: unitsError } = await supabase
+      .from('order_line_items')
+      .select('order_id, quantity')
+      .in('order_id', orderIds)
+      .eq('item_type', 'wallet')
+      .neq('status', 'cancelled');
+
+    if (unitsError) {
+      console.error('❌ Error counting order wallets:', unitsError);
+      throw unitsError;
+    }
+
+    orderWallets.forEach(item => {
+      orderUnits.set(item.order_id, (orderUnits.get(item.order_id) || 0) + (item.quantity || 1));
+    });
+  }
+
+  return { ...evaluateClaim(policy, { held, candidates, orderUnits, upTo }), held };
+}
+
+/**
+ * Times a claim is checked again when the sewer's holdings change under it (another tab)
+ */
+const MAX_CLAIM_ATTEMPTS = 3;
+
+async function fetchLineItem(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('id', lineItemId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching line item:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Pending rows, oldest first and in unit order
+ */
+async function fetchPendingLineItems(supabase, filter) {
+  const { data, error } = await filter(supabase.from('order_line_items').select('*'))
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .order('unit_index', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching pending line items:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Why a wallet can't be claimed any more
+ */
+function notAvailable(lineItem) {
+  if (!lineItem) {
+    return new ClaimRejectedError('not_available', 'This wallet is no longer in the queue.');
+  }
+  if (lineItem.claimed_by_name && HELD_STATUSES.includes(lineItem.status)) {
+    return new ClaimRejectedError('not_available', `${lineItem.claimed_by_name} already claimed this wallet.`);
+  }
+  return new ClaimRejectedError('not_available', `This wallet can't be claimed (it is ${lineItem.status.replace('_', ' ')}).`);
+}
+
+/**
+ * Rows left in the queue because their materials aren't in stock
+ */
+function outOfStock(lineItems) {
+  const [first, ...others] = lineItems;
+  return new ClaimRejectedError(
+    'out_of_stock',
+    `There aren't enough materials in stock for ${first.product_name}${others.length > 0 ? ` and ${others.length} more` : ''} - ask a supervisor.`,
+    { lineItemIds: lineItems.map(lineItem => lineItem.id) }
+  );
+}
+
+/**
+ * Claim pending rows for a sewer, within their claim policy and the materials in stock
+ *
+ * target: { lineItemId }  one wallet
+ *         { orderId }     as much of the order as the policy allows
+ *         { lineItemIds } these rows, all or nothing against the policy
+ *
+ * The policy is checked and the claim written by claim_line_items (claim_policies and
+ * materials migrations), which only claims if the sewer's holdings are still the ones
+ * checked - otherwise it's checked again - and reserves each wallet's materials with it.
+ * Rows someone else claimed meanwhile, or whose materials aren't free, are left.
+ * Returns { claimed, rejection }: rejection is a ClaimRejectedError when nothing was
+ * claimed, or why some rows were left.
+ */
+export async function claimLineItems(supabase, { id: sewerId, name: sewerName }, { lineItemId = null, orderId = null, lineItemIds = null }) {
+  let candidates;
+  if (lineItemId) {
+    candidates = await fetchPendingLineItems(supabase, query => query.eq('id', lineItemId));
+    if (candidates.length === 0) return { claimed: [], rejection: notAvailable(await fetchLineItem(supabase, lineItemId)) };
+  } else if (orderId) {
+    candidates = await fetchPendingLineItems(supabase, query => query.eq('order_id', orderId));
+    if (candidates.length === 0) return { claimed: [], rejection: new ClaimRejectedError('not_available', 'Nothing in this order is left to claim.') };
+  } else {
+    candidates = await fetchPendingLineItems(supabase, query => query.in('id', lineItemIds || []));
+    if (candidates.length === 0) return { claimed: [], rejection: new ClaimRejectedError('not_available', 'None of these wallets are left to claim.') };
+  }
+
+  const reservations = await getClaimReservations(supabase, candidates);
+
+  for (let attempt = 1; attempt <= MAX_CLAIM_ATTEMPTS; attempt++) {
+    const { allowed, rejection, held } = await checkClaim(supabase, sewerId, candidates, { upTo: Boolean(orderId) });
+    if (allowed.length === 0) return { claimed: [], rejection };
+
+    const { data, error } = await supabase.rpc('claim_line_items', {
+      p_sewer_id: String(sewerId),
+      p_sewer_name: sewerName || null,
+      p_line_item_ids: allowed.map(item => item.id),
+      p_held_ids: held.map(item => item.id),
+      p_materials: reservations,
+    });
+
+    if (error) {
+      console.error('❌ Error claiming line items:', error);
+      throw error;
+    }
+
+    // Their holdings changed since the check (a claim from another tab) - check again
+    if (data === null) continue;
+
+    const { line_items: claimed, out_of_stock: outOfStockIds } = data;
+    const short = outOfStockIds.length > 0
+      ? outOfStock(allowed.filter(item => outOfStockIds.map(String).includes(String(item.id))))
+      : null;
+
+    // Lost the race to another sewer, or no stock for it
+    if (claimed.length === 0) {
+      if (short) return { claimed, rejection: short };
+      const taken = lineItemId
+        ? notAvailable(await fetchLineItem(supabase, lineItemId))
+        : new ClaimRejectedError('not_available', 'Someone else claimed these wallets first.');
+      return { claimed, rejection: taken };
+    }
+
+    return { claimed, rejection: rejection || short };
+  }
+
+  return { claimed: [], rejection: new ClaimRejectedError('busy', 'Your wallets changed while claiming - try again.') };
+}
+
+function formatMinutes(minutes) {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+}
+
+/**
+ * Release claims that were never started within their sewer's claim TTL
+ * Each wallet goes back to pending (compare-and-set on its claim, so a wallet started
+ * or re-claimed meanwhile is left alone) and its sewer is told.
+ * Returns { released, orders }
+ */
+export async function releaseExpiredClaims(supabase, { now = new Date() } = {}) {
+  const { data: policyRows, error: policyError } = await supabase
+    .from('claim_policies')
+    .select('*');
+
+  if (policyError) {
+    console.error('❌ Error loading claim policies:', policyError);
+    throw policyError;
+  }
+
+  const ttls = [null, ...policyRows.map(row => row.sewer_id)]
+    .map(sewerId => resolveClaimPolicy(policyRows, sewerId).claim_ttl_minutes)
+    .filter(Boolean);
+
+  if (ttls.length === 0) return { released: 0, orders: 0 };
+
+  // Nothing younger than the shortest TTL can have expired
+  const oldestAllowed = new Date(now.getTime() - Math.min(...ttls) * 60 * 1000).toISOString();
+
+  const { data: claimed, error: claimedError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('status', 'claimed')
+    .lt('claimed_at', oldestAllowed);
+
+  if (claimedError) {
+    console.error('❌ Error fetching claimed wallets:', claimedError);
+    throw claimedError;
+  }
+
+  const releasedOrders = new Set();
+  let released = 0;
+
+  for (const item of claimed) {
+    const ttl = resolveClaimPolicy(policyRows, item.claimed_by).claim_ttl_minutes;
+    if (!ttl || now.getTime() - new Date(item.claimed_at).getTime() < ttl * 60 * 1000) continue;
+
+    let releasedRow;
+    try {
+      releasedRow = await transitionLineItem(supabase, item, 'pending', {
+        actor: { role: 'system' },
+        reason: `claim expired after ${formatMinutes(ttl)}`,
+        expect: { claimed_at: item.claimed_at },
+      });
+    } catch (error) {
+      // Started or re-claimed meanwhile
+      if (error instanceof StaleStatusError) continue;
+      throw error;
+    }
+
+    released++;
+    releasedOrders.add(item.order_id);
+    await recordAudit(supabase, {
+      action: 'claim_expired',
+      lineItem: item,
+      after: releasedRow,
+      actor: { role: 'system' },
+      reason: `Not started within ${formatMinutes(ttl)}`,
+    });
+    await notifySewer(supabase, item, {
+      type: 'claim_expired',
+      message: `${item.product_name} went back to the queue - it wasn't started within ${formatMinutes(ttl)} of claiming`,
+    });
+  }
+
+  for (const orderId of releasedOrders) {
+    await enqueueStatusSync(supabase, orderId);
+  }
+
+  console.log(`⌛ Released ${released} expired claims across ${releasedOrders.size} orders`);
+  return { released, orders: releasedOrders.size };
+}
+
+/**
+ * ADMIN: policy maintenance
+ */
+
+/**
+ * Validate and normalize a policy patch
+ * Returns { policy, errors }
+ */
+export function validateClaimPolicy(input) {
+  const errors = [];
+  const policy = {};
+
+  for (const field of POLICY_FIELDS) {
+    if (input[field] !== undefined) policy[field] = input[field];
+  }
+
+  for (const field of ['max_claimed_wallets', 'claim_ttl_minutes', 'fair_share_min_units', 'fair_share_max_percent']) {
+    if (policy[field] === undefined || policy[field] === null) continue;
+    const value = Number(policy[field]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${field} must be a positive integer or null`);
+    } else {
+      policy[field] = value;
+    }
+  }
+
+  if (policy.max_claimed_points !== undefined && policy.max_claimed_points !== null) {
+    const value = Number(policy.max_claimed_points);
+    if (Number.isNaN(value) || value <= 0) {
+      errors.push('max_claimed_points must be a number > 0 or null');
+    } else {
+      policy.max_claimed_points = value;
+    }
+  }
+
+  if (policy.fair_share_max_percent > 100) {
+    errors.push('fair_share_max_percent must be at most 100');
+  }
+
+  if (policy.fair_share_min_units === 1) {
+    errors.push('fair_share_min_units must be at least 2');
+  }
+
+  if (policy.fair_share_enabled !== undefined && policy.fair_share_enabled !== null &&
+      typeof policy.fair_share_enabled !== 'boolean') {
+    errors.push('fair_share_enabled must be true, false or null');
+  }
+
+  return { policy, errors };
+}
+
+/**
+ * List policy rows (the shop default first)
+ */
+export async function listClaimPolicies(supabase) {
+  const { data, error } = await supabase
+    .from('claim_policies')
+    .select('*')
+    .order('sewer_id', { ascending: true, nullsFirst: true });
+
+  if (error) {
+    console.error('❌ Error listing claim policies:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Set the shop default (sewerId null) or a sewer's overrides
+ */
+export async function saveClaimPolicy(supabase, sewerId, patch) {
+  const lookup = supabase
+    .from('claim_policies')
+    .select('*');
+
+  const { data: existing, error: fetchError } = await (sewerId
+    ? lookup.eq('sewer_id', String(sewerId))
+    : lookup.is('sewer_id', null)
+  ).maybeSingle();
+
+  if (fetchError) {
+    console.error('❌ Error fetching claim policy:', fetchError);
+    throw fetchError;
+  }
+
+  const row = { ...patch, updated_at: new Date().toISOString() };
+  const query = existing
+    ? supabase.from('claim_policies').update(row).eq('id', existing.id)
+    : supabase.from('claim_policies').insert([{ ...row, sewer_id: sewerId ? String(sewerId) : null }]);
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    console.error('❌ Error saving claim policy:', error);
+    throw error;
+  }
+
+  console.log(`✅ Claim policy saved: ${sewerId ? `sewer ${sewerId}` : 'shop default'}`);
+  return data;
+}
+
+/**
+ * Remove a sewer's overrides (the shop default can't be removed)
+ */
+export async function deleteClaimPolicy(supabase, sewerId) {
+  const { error } = await supabase
+    .from('claim_policies')
+    .delete()
+    .eq('sewer_id', String(sewerId));
+
+  if (error) {
+    console.error('❌ Error deleting claim policy:', error);
+    throw error;
+  }
+
+  console.log(`✅ Claim policy removed for sewer ${sewerId}`);
+}
@@ -0,0 +1,244 @@
+// src/lib/classification.js
+// Line item classification: Shopify identifiers first, keywords as a fallback,
+// with a confidence score and an unmatched/low-confidence review queue
+
+import { getCatalogPoints } from './walletCatalog.js';
+
+/**
+ * Items classified below this confidence are held for a supervisor instead of
+ * going straight into production
+ */
+export const MIN_CLASSIFICATION_CONFIDENCE = parseFloat(process.env.CLASSIFICATION_MIN_CONFIDENCE || '') || 0.6;
+
+/**
+ * Confidence per matching rule
+ * A single generic word ("keller", "trinity") is weak evidence on its own.
+ */
+const RULE_CONFIDENCE = {
+  variant_id: 1,
+  product_id: 1,
+  sku: 0.95,
+  keyword_full_name: 0.85,
+  keyword_phrase: 0.75,
+  keyword_single_word: 0.5,
+  accessory_keyword: 0.7,
+};
+
+/**
+ * Lowered when keywords from more than one wallet type match the same title
+ */
+const AMBIGUOUS_KEYWORD_PENALTY = 0.2;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word match, so "keller" doesn't match "bestseller"
+ */
+function containsWords(text, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}($|[^a-z0-9])`).test(text);
+}
+
+function includesId(values, id) {
+  return id != null && id !== '' && (values || []).map(String).includes(String(id));
+}
+
+/**
+ * Match a title against catalog keywords
+ * Returns { walletType, rule, confidence, matched } for the most specific keyword, or null
+ */
+export function matchKeywords(catalog, title) {
+  if (!title) return null;
+
+  const name = title.toLowerCase();
+  const matches = [];
+
+  for (const entry of catalog) {
+    for (const keyword of entry.keywords || []) {
+      const phrase = keyword.toLowerCase();
+      if (containsWords(name, phrase)) {
+        matches.push({ entry, keyword: phrase });
+      }
+    }
+  }
+
+  if (matches.length === 0) return null;
+
+  // Longest keyword wins - it is the most specific
+  matches.sort((a, b) => b.keyword.length - a.keyword.length);
+  const best = matches[0];
+
+  let rule;
+  if (best.keyword === best.entry.wallet_type.toLowerCase() || best.keyword === name.trim()) {
+    rule = 'keyword_full_name';
+  } else if (best.keyword.includes(' ')) {
+    rule = 'keyword_phrase';
+  } else {
+    rule = 'keyword_single_word';
+  }
+
+  // Another wallet type's keyword that isn't just part of the winning keyword
+  const isAmbiguous = matches.some(match =>
+    match.entry.wallet_type !== best.entry.wallet_type && !best.keyword.includes(match.keyword)
+  );
+
+  return {
+    walletType: best.entry.wallet_type,
+    rule,
+    confidence: Math.max(0, RULE_CONFIDENCE[rule] - (isAmbiguous ? AMBIGUOUS_KEYWORD_PENALTY : 0)),
+    matched: best.keyword,
+    ambiguous: isAmbiguous,
+  };
+}
+
+/**
+ * Classify a Shopify line item (or a stored row - title/product_name both work)
+ *
+ * Returns {
+ *   itemType: 'wallet' | 'accessory' | 'unclassified',
+ *   walletType, points, confidence (0-1), rule, matched, needsReview
+ * }
+ */
+export function classifyLineItem(catalog, knownAccessories, item, { isAccessoryTitle } = {}) {
+  const title = item.title ?? item.product_name;
+  const productId = item.product_id;
+  const variantId = item.variant_id;
+  const sku = item.sku?.trim();
+
+  const wallet = (entry, rule, matched) => ({
+    itemType: 'wallet',
+    walletType: entry.wallet_type,
+    points: getCatalogPoints(catalog, entry.wallet_type),
+    confidence: RULE_CONFIDENCE[rule],
+    rule,
+    matched: String(matched),
+    needsReview: false,
+  });
+
+  // 1. Shopify identifiers
+  const byVariant = catalog.find(entry => includesId(entry.shopify_variant_ids, variantId));
+  if (byVariant) return wallet(byVariant, 'variant_id', variantId);
+
+  const byProduct = catalog.find(entry => includesId(entry.shopify_product_ids, productId));
+  if (byProduct) return wallet(byProduct, 'product_id', productId);
+
+  const bySku = sku && catalog.find(entry =>
+    (entry.skus || []).some(entrySku => entrySku.toLowerCase() === sku.toLowerCase())
+  );
+  if (bySku) return wallet(bySku, 'sku', sku);
+
+  const knownAccessory = knownAccessories.find(accessory =>
+    includesId([accessory.variant_id], variantId) ||
+    includesId([accessory.product_id], productId) ||
+    (sku && accessory.sku?.toLowerCase() === sku.toLowerCase())
+  );
+  if (knownAccessory) {
+    return {
+      itemType: 'accessory',
+      walletType: null,
+      points: 0,
+      confidence: 1,
+      rule: 'known_accessory',
+      matched: String(knownAccessory.variant_id || knownAccessory.product_id || knownAccessory.sku),
+      needsReview: false,
+    };
+  }
+
+  // 2. Keywords
+  const keywordMatch = matchKeywords(catalog, title);
+  if (keywordMatch) {
+    return {
+      itemType: 'wallet',
+      walletType: keywordMatch.walletType,
+      points: getCatalogPoints(catalog, keywordMatch.walletType),
+      confidence: keywordMatch.confidence,
+      rule: keywordMatch.ambiguous ? `${keywordMatch.rule}_ambiguous` : keywordMatch.rule,
+      matched: keywordMatch.matched,
+      needsReview: keywordMatch.confidence < MIN_CLASSIFICATION_CONFIDENCE,
+    };
+  }
+
+  if (isAccessoryTitle?.(title)) {
+    return {
+      itemType: 'accessory',
+      walletType: null,
+      points: 0,
+      confidence: RULE_CONFIDENCE.accessory_keyword,
+      rule: 'accessory_keyword',
+      matched: title,
+      needsReview: RULE_CONFIDENCE.accessory_keyword < MIN_CLASSIFICATION_CONFIDENCE,
+    };
+  }
+
+  // 3. Nothing matched
+  return {
+    itemType: 'unclassified',
+    walletType: null,
+    points: 0,
+    confidence: 0,
+    rule: 'no_match',
+    matched: null,
+    needsReview: true,
+  };
+}
+
+/**
+ * Summary stored on each line item row
+ */
+export function toClassificationRecord(result) {
+  return {
+    confidence: result.confidence,
+    rule: result.rule,
+    matched: result.matched,
+    suggested_wallet_type: result.walletType,
+    classified_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Put a held line item on the supervisor review queue
+ */
+export async function queueClassificationReview(supabase, order, item, result) {
+  const { error } = await supabase
+    .from('classification_reviews')
+    .insert([{
+      order_id: order.id,
+      order_number: order.order_number,
+      shopify_line_item_id: item.id?.toString() || null,
+      product_id: item.product_id?.toString() || null,
+      variant_id: item.variant_id?.toString() || null,
+      sku: item.sku || null,
+      title: item.title,
+      variant_title: item.variant_title || null,
+      suggested_wallet_type: result.walletType,
+      confidence: result.confidence,
+      rule: result.rule,
+      status: 'open',
+    }]);
+
+  if (error) {
+    console.error('❌ Error queueing classification review:', error);
+    throw error;
+  }
+
+  console.log(`🔍 Queued for review: "${item.title}" (${result.rule}, confidence ${result.confidence})`);
+}
+
+/**
+ * Open review queue, oldest first
+ */
+export async function listClassificationReviews(supabase, { status = 'open' } = {}) {
+  const { data, error } = await supabase
+    .from('classification_reviews')
+    .select('*')
+    .eq('status', status)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching classification reviews:', error);
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,163 @@
+// src/lib/dailyPoints.js
+// Sewer points: an append-only ledger (points_ledger) with daily_points as its running
+// total per sewer and shop-local day. Both are written in one database transaction by
+// record_points() (see the points_ledger migration), so concurrent awards can't lose an
+// increment, and daily_points can always be rebuilt from the ledger.
+
+import { SHOP_TIMEZONE } from './shopTime.js';
+
+export const POINTS_ENTRY_TYPES = ['award', 'reversal', 'adjustment'];
+
+/**
+ * Record an award, reversal or adjustment and add it to the sewer's daily_points
+ *
+ * occurredAt:      when the work happened (default now); its day in SHOP_TIMEZONE is the work day
+ * workDate:        book it on this YYYY-MM-DD instead (e.g. a reversal on the award's day)
+ * ordersCompleted: change to the day's completed count (+1 award, -1 reversal, 0 adjustment)
+ * lineItem:        the line item it is for, if any
+ *
+ * Returns the ledger entry.
+ */
+export async function recordPoints(supabase, {
+  sewerId,
+  sewerName = null,
+  points,
+  type = 'award',
+  ordersCompleted = 0,
+  occurredAt = null,
+  workDate = null,
+  lineItem = null,
+  adjustmentId = null,
+  reason = null,
+}) {
+  if (!POINTS_ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown points entry type: ${type}`);
+  }
+
+  const { data, error } = await supabase.rpc('record_points', {
+    p_sewer_id: String(sewerId),
+    p_sewer_name: sewerName,
+    p_entry_type: type,
+    p_points: points,
+    p_orders_completed: ordersCompleted,
+    p_occurred_at: occurredAt ? new Date(occurredAt).toISOString() : new Date().toISOString(),
+    p_timezone: SHOP_TIMEZONE,
+    p_line_item_id: lineItem?.id ?? null,
+    p_order_id: lineItem?.order_id ?? null,
+    p_points_adjustment_id: adjustmentId,
+    p_reason: reason,
+    p_work_date: workDate,
+  });
+
+  if (error) {
+    console.error('❌ Error recording points:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * The latest award for a line item, or null (what a reversal takes back, and on which day)
+ */
+export async function findLatestAward(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('points_ledger')
+    .select('*')
+    .eq('line_item_id', lineItemId)
+    .eq('entry_type', 'award')
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error reading points ledger:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * The latest award or reversal for a line item, or null
+ * A reversal newer than any award means its completion points are already taken back.
+ */
+export async function findLatestCompletionEntry(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('points_ledger')
+    .select('*')
+    .eq('line_item_id', lineItemId)
+    .in('entry_type', ['award', 'reversal'])
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error reading points ledger:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Recompute daily_points from the ledger for shop-local days [from, to]
+ * (YYYY-MM-DD, both optional - without them every day is rebuilt)
+ * Returns the number of daily rows written.
+ */
+export async function rebuildDailyPoints(supabase, { from = null, to = null } = {}) {
+  const { data, error } = await supabase.rpc('rebuild_daily_points', {
+    p_from: from,
+    p_to: to,
+  });
+
+  if (error) {
+    console.error('❌ Error rebuilding daily points:', error);
+    throw error;
+  }
+
+  console.log(`🔁 Rebuilt daily_points${from || to ? ` for ${from || '…'} to ${to || '…'}` : ''}: ${data} rows`);
+  return data;
+}
+
+/**
+ * Per-sewer totals from the ledger for shop-local days [from, to] (YYYY-MM-DD, inclusive)
+ */
+export async function getPointsTotals(supabase, { from, to }) {
+  const { data, error } = await supabase.rpc('points_totals', {
+    p_from: from,
+    p_to: to,
+  });
+
+  if (error) {
+    console.error('❌ Error fetching points totals:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Ledger entries, oldest first, filtered by sewer, line item and/or work days [from, to]
+ */
+export async function listPointsLedger(supabase, { sewerId = null, lineItemId = null, from = null, to = null, limit = 500 } = {}) {
+  let query = supabase
+    .from('points_ledger')
+    .select('*');
+
+  if (sewerId) query = query.eq('sewer_id', sewerId);
+  if (lineItemId) query = query.eq('line_item_id', lineItemId);
+  if (from) query = query.gte('work_date', from);
+  if (to) query = query.lte('work_date', to);
+
+  const { data, error } = await query
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('❌ Error reading points ledger:', error);
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,190 @@
+// src/lib/deadLetters.js
+// Dead-letter store for webhook deliveries that failed, and replay through the topic router
+
+import { routeWebhook } from './shopifyOrders.js';
+import { finishWebhookEvent } from './webhookEvents.js';
+
+/**
+ * Headers worth keeping for a replay (the HMAC is kept for forensics only)
+ */
+function pickShopifyHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => name.toLowerCase().startsWith('x-shopify-'))
+  );
+}
+
+/**
+ * Best-effort order number from a raw payload, used for replay filtering
+ */
+function extractOrderNumber(rawBody) {
+  try {
+    const payload = JSON.parse(rawBody);
+    return payload.order_number?.toString() || payload.name?.replace(/^#/, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a failed delivery
+ * Repeat failures of the same webhook id bump the attempt count instead of adding rows.
+ * Returns true when the payload is safely stored.
+ */
+export async function recordDeadLetter(supabase, { webhookId, topic, shopDomain, headers, rawBody, error }) {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody ?? '');
+  const now = new Date().toISOString();
+  const errorMessage = error?.message || String(error);
+
+  if (webhookId) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('webhook_dead_letters')
+      .select('id, attempts')
+      .eq('webhook_id', webhookId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('❌ Dead-letter lookup error:', fetchError);
+      return false;
+    }
+
+    if (existing) {
+      const { error: updateError } = await supabase
+        .from('webhook_dead_letters')
+        .update({
+          attempts: existing.attempts + 1,
+          last_error: errorMessage,
+          last_failed_at: now,
+          resolved_at: null,
+        })
+        .eq('id', existing.id);
+
+      if (updateError) {
+        console.error('❌ Dead-letter update error:', updateError);
+        return false;
+      }
+      return true;
+    }
+  }
+
+  const { error: insertError } = await supabase
+    .from('webhook_dead_letters')
+    .insert([{
+      webhook_id: webhookId || null,
+      topic: topic || null,
+      shop_domain: shopDomain || null,
+      order_number: extractOrderNumber(body),
+      headers: pickShopifyHeaders(headers),
+      raw_body: body,
+      last_error: errorMessage,
+      attempts: 1,
+      first_failed_at: now,
+      last_failed_at: now,
+    }]);
+
+  if (insertError) {
+    console.error('❌ Dead-letter insert error:', insertError);
+    return false;
+  }
+
+  console.log(`🪦 Stored failed ${topic} delivery ${webhookId || ''} for replay`);
+  return true;
+}
+
+/**
+ * List dead letters
+ * Filters: topic, since / until (ISO dates, on first failure), orderNumber, includeResolved, limit
+ */
+export async function listDeadLetters(supabase, filters = {}) {
+  let query = supabase
+    .from('webhook_dead_letters')
+    .select('*');
+
+  if (!filters.includeResolved) {
+    query = query.is('resolved_at', null);
+  }
+  if (filters.topic) {
+    query = query.eq('topic', filters.topic);
+  }
+  if (filters.since) {
+    query = query.gte('first_failed_at', new Date(filters.since).toISOString());
+  }
+  if (filters.until) {
+    query = query.lte('first_failed_at', new Date(filters.until).toISOString());
+  }
+  if (filters.orderNumber) {
+    query = query.eq('order_number', filters.orderNumber.toString().replace(/^#/, ''));
+  }
+
+  query = query
+    .order('first_failed_at', { ascending: true })
+    .limit(filters.limit || 100);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error fetching dead letters:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Re-run stored payloads through the same topic router as the live webhook
+ * Oldest first, so creates are replayed before the updates that follow them.
+ * With dryRun nothing is executed; the matching dead letters are returned.
+ */
+export async function replayDeadLetters(supabase, filters = {}, { dryRun = false } = {}) {
+  const deadLetters = await listDeadLetters(supabase, filters);
+
+  const summary = { matched: deadLetters.length, replayed: 0, failed: 0, dryRun, results: [] };
+
+  for (const deadLetter of deadLetters) {
+    const entry = {
+      id: deadLetter.id,
+      webhook_id: deadLetter.webhook_id,
+      topic: deadLetter.topic,
+      order_number: deadLetter.order_number,
+      attempts: deadLetter.attempts,
+    };
+
+    if (dryRun) {
+      summary.results.push({ ...entry, status: 'would_replay' });
+      continue;
+    }
+
+    const now = new Date().toISOString();
+
+    try {
+      const payload = JSON.parse(deadLetter.raw_body);
+      await routeWebhook(supabase, deadLetter.topic, payload);
+
+      await supabase
+        .from('webhook_dead_letters')
+        .update({ resolved_at: now, replayed_at: now })
+        .eq('id', deadLetter.id);
+
+      await finishWebhookEvent(supabase, deadLetter.webhook_id, 'processed');
+
+      summary.replayed++;
+      summary.results.push({ ...entry, status: 'replayed' });
+      console.log(`✅ Replayed ${deadLetter.topic} ${deadLetter.webhook_id || deadLetter.id}`);
+    } catch (error) {
+      await supabase
+        .from('webhook_dead_letters')
+        .update({
+          attempts: deadLetter.attempts + 1,
+          last_error: error.message || String(error),
+          last_failed_at: now,
+          replayed_at: now,
+        })
+        .eq('id', deadLetter.id);
+
+      summary.failed++;
+      summary.results.push({ ...entry, status: 'failed', error: error.message || String(error) });
+      console.error(`❌ Replay failed for ${deadLetter.topic} ${deadLetter.webhook_id || deadLetter.id}:`, error);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,162 @@
+// src/lib/fulfillment.js
+// Order completion -> Shopify fulfillment
+// When the last wallet of an order is completed, the order's line items are fulfilled
+// in Shopify and the fulfillment id is recorded on the order.
+
+import { getShopifyAdminClient } from './shopifyAdmin.js';
+
+/**
+ * A fulfillment that has been "in progress" this long is assumed to have died and can be retried
+ */
+const STALE_FULFILLMENT_MS = 5 * 60 * 1000;
+
+/**
+ * True when every production item of an order is completed
+ * Production items are wallets and items still held for classification; accessories
+ * and add-ons aren't worked by sewers and ship with the wallets. Cancelled items don't count.
+ */
+export function isProductionComplete(lineItems) {
+  const production = lineItems.filter(item => item.status !== 'cancelled' && item.item_type !== 'accessory');
+  return production.length > 0 && production.every(item => item.status === 'completed');
+}
+
+/**
+ * Quantity to ship per Shopify line item id (wallet units are one row each)
+ */
+function getQuantitiesToFulfill(lineItems) {
+  const quantities = new Map();
+  lineItems
+    .filter(item => item.status !== 'cancelled' && item.shopify_line_item_id)
+    .forEach(item => {
+      const id = String(item.shopify_line_item_id);
+      quantities.set(id, (quantities.get(id) || 0) + (item.quantity || 1));
+    });
+  return quantities;
+}
+
+/**
+ * Match the quantities against Shopify's open fulfillment orders
+ * Returns line_items_by_fulfillment_order for createFulfillment (empty when nothing is left to ship)
+ */
+export function buildFulfillmentRequest(fulfillmentOrders, lineItems) {
+  const remaining = getQuantitiesToFulfill(lineItems);
+  const request = [];
+
+  for (const fulfillmentOrder of fulfillmentOrders) {
+    if (!['open', 'in_progress'].includes(fulfillmentOrder.status)) continue;
+
+    const fulfillmentOrderLineItems = [];
+    for (const foLineItem of fulfillmentOrder.line_items || []) {
+      const wanted = remaining.get(String(foLineItem.line_item_id)) || 0;
+      const quantity = Math.min(wanted, foLineItem.fulfillable_quantity ?? foLineItem.quantity ?? 0);
+      if (quantity <= 0) continue;
+
+      fulfillmentOrderLineItems.push({ id: foLineItem.id, quantity });
+      remaining.set(String(foLineItem.line_item_id), wanted - quantity);
+    }
+
+    if (fulfillmentOrderLineItems.length > 0) {
+      request.push({
+        fulfillment_order_id: fulfillmentOrder.id,
+        fulfillment_order_line_items: fulfillmentOrderLineItems,
+      });
+    }
+  }
+
+  return request;
+}
+
+/**
+ * Fulfil an order in Shopify if all its wallets are completed
+ * Safe to call repeatedly and concurrently: completion is re-checked from the database
+ * and only one caller at a time gets to talk to Shopify.
+ *
+ * Returns { fulfilled: true, fulfillmentId } or { skipped: 'not_found' | 'cancelled' |
+ * 'already_fulfilled' | 'not_complete' | 'in_progress' }. Throws when Shopify fails
+ * (after the client's retries) - the order is left 'failed' so it can be retried.
+ */
+export async function fulfillOrderIfComplete(supabase, orderId, { client = getShopifyAdminClient() } = {}) {
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (orderError) {
+    console.error('❌ Order lookup error:', orderError);
+    throw orderError;
+  }
+
+  if (!order) return { skipped: 'not_found' };
+  if (order.status === 'cancelled') return { skipped: 'cancelled' };
+  if (order.shopify_fulfillment_id || order.fulfillment_sync_status === 'fulfilled') {
+    return { skipped: 'already_fulfilled' };
+  }
+
+  const { data: lineItems, error: lineItemsError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', orderId);
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  if (!isProductionComplete(lineItems)) return { skipped: 'not_complete' };
+
+  // Claim the order so two completions racing each other don't both fulfil it
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_FULFILLMENT_MS).toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('orders')
+    .update({ fulfillment_sync_status: 'in_progress', fulfillment_sync_started_at: now.toISOString() })
+    .eq('id', orderId)
+    .is('shopify_fulfillment_id', null)
+    .or(`fulfillment_sync_status.is.null,fulfillment_sync_status.eq.failed,fulfillment_sync_started_at.lt.${staleBefore}`)
+    .select();
+
+  if (claimError) {
+    console.error('❌ Error claiming order for fulfillment:', claimError);
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) return { skipped: 'in_progress' };
+
+  try {
+    const fulfillmentOrders = await client.getFulfillmentOrders(order.shopify_order_id);
+    const request = buildFulfillmentRequest(fulfillmentOrders, lineItems);
+
+    // Nothing left open in Shopify - someone already shipped it by hand
+    const fulfillment = request.length > 0 ? await client.createFulfillment(request) : null;
+    const fulfillmentId = fulfillment?.id ? String(fulfillment.id) : null;
+
+    const { error: saveError } = await supabase
+      .from('orders')
+      .update({
+        status: 'completed',
+        shopify_fulfillment_id: fulfillmentId,
+        fulfilled_at: new Date().toISOString(),
+        fulfillment_sync_status: 'fulfilled',
+        fulfillment_error: null,
+      })
+      .eq('id', orderId);
+
+    if (saveError) {
+      console.error('❌ Error recording fulfillment:', saveError);
+      throw saveError;
+    }
+
+    console.log(`📦 Order ${order.order_number} fulfilled in Shopify${fulfillmentId ? ` (fulfillment ${fulfillmentId})` : ' (nothing left to fulfil)'}`);
+    return { fulfilled: true, fulfillmentId };
+  } catch (error) {
+    console.error(`❌ Fulfillment failed for order ${order.order_number}:`, error.message);
+
+    await supabase
+      .from('orders')
+      .update({ fulfillment_sync_status: 'failed', fulfillment_error: error.message })
+      .eq('id', orderId);
+
+    throw error;
+  }
+}
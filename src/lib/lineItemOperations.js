@@ -0,0 +1,353 @@
+// src/lib/lineItemOperations.js
+// Undoing mistakes on the production floor: release a claim, hand a wallet to another
+// sewer, revert a completion, or (supervisors) force a status. Every operation is
+// written to the audit log (auditLog.js) with who did it, why, and the before/after state.
+//
+// These only touch the database; callers queue the Shopify status sync themselves.
+
+import { recordPoints, findLatestCompletionEntry } from './dailyPoints.js';
+import { notifySewer } from './notifications.js';
+import { recordAudit } from './auditLog.js';
+import {
+  transitionLineItem,
+  isLineItemStatus,
+  HELD_STATUSES,
+  StaleStatusError,
+  LineItemStatusError,
+} from './lineItemStatus.js';
+
+/**
+ * An operation that doesn't apply to the line item as it is now
+ * `code` is one of: not_found, invalid_state, not_owner, conflict, invalid_input
+ */
+export class LineItemOperationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LineItemOperationError';
+    this.code = code;
+  }
+}
+
+async function fetchLineItem(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('id', lineItemId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching line item:', error);
+    throw error;
+  }
+
+  if (!data) throw new LineItemOperationError('not_found', `Line item ${lineItemId} not found`);
+  return data;
+}
+
+function conflictError(lineItem) {
+  return new LineItemOperationError('conflict', `${lineItem.product_name} changed while this was being done - reload and try again`);
+}
+
+/**
+ * Compare-and-set on the status we read (no status change), then audit the change
+ */
+async function applyOperation(supabase, lineItem, update, { action, actor, reason }) {
+  const { data: updated, error } = await supabase
+    .from('order_line_items')
+    .update(update)
+    .eq('id', lineItem.id)
+    .eq('status', lineItem.status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error applying ${action}:`, error);
+    throw error;
+  }
+
+  if (!updated) throw conflictError(lineItem);
+
+  await recordAudit(supabase, { action, lineItem, after: updated, actor, reason });
+  return updated;
+}
+
+/**
+ * Status change through the state machine, then audit the change
+ */
+async function applyTransition(supabase, lineItem, to, { action, actor, reason, patch = {}, force = false }) {
+  let updated;
+  try {
+    updated = await transitionLineItem(supabase, lineItem, to, { patch, actor, reason, force });
+  } catch (error) {
+    if (error instanceof StaleStatusError) throw conflictError(lineItem);
+    if (error instanceof LineItemStatusError) throw new LineItemOperationError('invalid_state', error.message);
+    throw error;
+  }
+
+  await recordAudit(supabase, { action, lineItem, after: updated, actor, reason });
+  return updated;
+}
+
+/**
+ * Reverse the points a completed wallet earned, on the day they were awarded
+ * Returns what was reversed ({ points, workDate, adjustmentId }), or null when there was nothing to take back.
+ */
+async function reverseCompletionPoints(supabase, lineItem, reason) {
+  if (!lineItem.claimed_by || !(lineItem.points > 0)) return null;
+
+  // Taken back already by an attempt whose status change never went through
+  const latest = await findLatestCompletionEntry(supabase, lineItem.id);
+  if (latest?.entry_type === 'reversal') return null;
+
+  const points = latest ? Number(latest.points) : lineItem.points;
+  const workDate = latest?.work_date ?? null;
+
+  const { data: adjustment, error } = await supabase
+    .from('points_adjustments')
+    .insert([{
+      sewer_id: lineItem.claimed_by,
+      sewer_name: lineItem.claimed_by_name,
+      line_item_id: lineItem.id,
+      order_id: lineItem.order_id,
+      points: -points,
+      reason,
+      status: 'applied',
+      decided_at: new Date().toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error recording points adjustment:', error);
+    throw error;
+  }
+
+  await recordPoints(supabase, {
+    sewerId: lineItem.claimed_by,
+    sewerName: lineItem.claimed_by_name,
+    points: -points,
+    type: 'reversal',
+    ordersCompleted: -1,
+    workDate,
+    occurredAt: lineItem.completed_at,
+    lineItem,
+    adjustmentId: adjustment.id,
+    reason,
+  });
+
+  console.log(`↩️ Reversed ${points} pts from ${lineItem.claimed_by_name}`);
+  return { points, workDate, adjustmentId: adjustment.id };
+}
+
+/**
+ * Give back points reversed for a status change that then failed (re-awarded on the same day)
+ */
+async function restoreCompletionPoints(supabase, lineItem, reversed, reason) {
+  await recordPoints(supabase, {
+    sewerId: lineItem.claimed_by,
+    sewerName: lineItem.claimed_by_name,
+    points: reversed.points,
+    type: 'award',
+    ordersCompleted: 1,
+    workDate: reversed.workDate,
+    occurredAt: lineItem.completed_at,
+    lineItem,
+    reason,
+  });
+
+  const { error } = await supabase
+    .from('points_adjustments')
+    .update({ status: 'waived', decided_at: new Date().toISOString() })
+    .eq('id', reversed.adjustmentId);
+
+  if (error) {
+    console.error('❌ Error waiving points adjustment:', error);
+    throw error;
+  }
+
+  console.log(`↪️ Restored ${reversed.points} pts to ${lineItem.claimed_by_name}`);
+}
+
+/**
+ * Take a completed wallet out of completed: its points are reversed first, so they are
+ * never still credited for a wallet that isn't completed, and given back if the status
+ * change fails
+ */
+async function transitionFromCompleted(supabase, lineItem, to, options, pointsReason) {
+  const reversed = await reverseCompletionPoints(supabase, lineItem, pointsReason);
+
+  try {
+    return await applyTransition(supabase, lineItem, to, options);
+  } catch (error) {
+    if (reversed) {
+      await restoreCompletionPoints(supabase, lineItem, reversed, `Status change failed: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Credit a completed wallet's points to its sewer (supervisor forcing 'completed')
+ */
+async function creditCompletionPoints(supabase, lineItem, reason) {
+  if (!lineItem.claimed_by || !(lineItem.points > 0)) return;
+
+  await recordPoints(supabase, {
+    sewerId: lineItem.claimed_by,
+    sewerName: lineItem.claimed_by_name,
+    points: lineItem.points,
+    type: 'award',
+    ordersCompleted: 1,
+    lineItem,
+    reason,
+  });
+}
+
+function requireReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new LineItemOperationError('invalid_input', 'A reason is required');
+  }
+  return reason.trim();
+}
+
+/**
+ * Put a claimed (or started) wallet back in the queue
+ * A sewer may only release their own wallets; supervisors may release anyone's.
+ */
+export async function releaseWallet(supabase, lineItemId, { actor, reason = null }) {
+  const lineItem = await fetchLineItem(supabase, lineItemId);
+
+  if (!['claimed', 'in_progress', 'paused'].includes(lineItem.status)) {
+    throw new LineItemOperationError('invalid_state', `Only claimed, in-progress or paused wallets can be released (this one is ${lineItem.status})`);
+  }
+
+  if (actor?.role === 'sewer' && String(lineItem.claimed_by) !== String(actor.id)) {
+    throw new LineItemOperationError('not_owner', `${lineItem.product_name} is claimed by ${lineItem.claimed_by_name}, not you`);
+  }
+
+  const updated = await applyTransition(supabase, lineItem, 'pending', { action: 'release', actor, reason });
+
+  // Someone else let it go on their behalf
+  if (actor?.role !== 'sewer') {
+    await notifySewer(supabase, lineItem, {
+      type: 'released',
+      message: `${lineItem.product_name} was put back in the queue by ${actor?.name || 'a supervisor'}${reason ? ` (${reason})` : ''}`,
+    });
+  }
+
+  console.log(`🔓 Released ${lineItem.product_name} from ${lineItem.claimed_by_name}`);
+  return updated;
+}
+
+/**
+ * Hand a wallet a sewer holds (HELD_STATUSES) to another sewer (keeps its status)
+ */
+export async function reassignWallet(supabase, lineItemId, { toSewerId, toSewerName, actor, reason }) {
+  const why = requireReason(reason);
+  if (!toSewerId) {
+    throw new LineItemOperationError('invalid_input', 'toSewerId is required');
+  }
+
+  const lineItem = await fetchLineItem(supabase, lineItemId);
+
+  if (!HELD_STATUSES.includes(lineItem.status)) {
+    throw new LineItemOperationError('invalid_state', `Only wallets a sewer is holding can be reassigned (this one is ${lineItem.status})`);
+  }
+
+  if (String(lineItem.claimed_by) === String(toSewerId)) {
+    throw new LineItemOperationError('invalid_input', `${lineItem.product_name} is already with ${lineItem.claimed_by_name}`);
+  }
+
+  const updated = await applyOperation(supabase, lineItem, {
+    claimed_by: toSewerId,
+    claimed_by_name: toSewerName || null,
+    claimed_at: new Date().toISOString(),
+  }, { action: 'reassign', actor, reason: why });
+
+  await notifySewer(supabase, lineItem, {
+    type: 'reassigned',
+    message: `${lineItem.product_name} was reassigned to ${toSewerName || 'another sewer'} (${why})`,
+  });
+  await notifySewer(supabase, updated, {
+    type: 'assigned',
+    message: `${lineItem.product_name} was assigned to you by ${actor?.name || 'a supervisor'} (${why})`,
+  });
+
+  console.log(`🔀 Reassigned ${lineItem.product_name}: ${lineItem.claimed_by_name} → ${toSewerName}`);
+  return updated;
+}
+
+/**
+ * Undo a completion: the wallet goes back to in progress with the same sewer (or to the
+ * queue if nobody had claimed it) and the points it earned are reversed (on the day
+ * they were awarded)
+ * An order already fulfilled in Shopify stays fulfilled there.
+ */
+export async function revertCompletion(supabase, lineItemId, { actor, reason }) {
+  const why = requireReason(reason);
+  const lineItem = await fetchLineItem(supabase, lineItemId);
+
+  if (lineItem.status !== 'completed') {
+    throw new LineItemOperationError('invalid_state', `Only completed wallets can be reverted (this one is ${lineItem.status})`);
+  }
+
+  const to = lineItem.claimed_by ? 'in_progress' : 'pending';
+  const updated = await transitionFromCompleted(supabase, lineItem, to, {
+    action: 'revert_completion',
+    actor,
+    reason: why,
+  }, `Completion reverted: ${why}`);
+
+  await notifySewer(supabase, lineItem, {
+    type: 'completion_reverted',
+    message: to === 'pending'
+      ? `${lineItem.product_name} was moved back to the queue (${why}).`
+      : `${lineItem.product_name} was moved back to in progress (${why}). Its ${lineItem.points} pts were taken off.`,
+  });
+
+  console.log(`⏪ Completion reverted: ${lineItem.product_name}`);
+  return updated;
+}
+
+/**
+ * Supervisor override: set any status, allowed transition or not (recorded as forced)
+ * Claim fields follow the status (see lineItemStatus.js), and points are credited
+ * or reversed when the wallet moves into or out of completed.
+ */
+export async function forceLineItemStatus(supabase, lineItemId, status, { actor, reason }) {
+  const why = requireReason(reason);
+  if (!isLineItemStatus(status)) {
+    throw new LineItemOperationError('invalid_input', `Unknown status: ${status}`);
+  }
+
+  const lineItem = await fetchLineItem(supabase, lineItemId);
+  if (lineItem.status === status) {
+    throw new LineItemOperationError('invalid_state', `${lineItem.product_name} is already ${status}`);
+  }
+
+  const options = {
+    action: 'force_status',
+    actor,
+    reason: why,
+    patch: status === 'cancelled' ? { cancel_reason: why } : {},
+    force: true,
+  };
+
+  const updated = lineItem.status === 'completed'
+    ? await transitionFromCompleted(supabase, lineItem, status, options, `Status forced to ${status}: ${why}`)
+    : await applyTransition(supabase, lineItem, status, options);
+
+  if (status === 'completed' && lineItem.item_type === 'wallet') {
+    await creditCompletionPoints(supabase, updated, `Status forced to completed: ${why}`);
+  }
+
+  if (lineItem.claimed_by) {
+    await notifySewer(supabase, lineItem, {
+      type: 'status_forced',
+      message: `${lineItem.product_name} was set to ${status.replace('_', ' ')} by ${actor?.name || 'a supervisor'} (${why})`,
+    });
+  }
+
+  console.log(`🛠️ ${lineItem.product_name}: ${lineItem.status} → ${status} (forced by ${actor?.name || 'supervisor'})`);
+  return updated;
+}
@@ -0,0 +1,229 @@
+// src/lib/lineItemStatus.js
+// Line item status state machine
+// Every status change goes through transitionLineItem(s): the transition is checked
+// against TRANSITIONS, written with a compare-and-set on the current status, and
+// recorded in line_item_status_history (who, why, when) by a trigger in the same
+// write, as are work sessions (workSessions.js). Material reservations are brought in
+// line by the materials cron (materials.js).
+
+export const LINE_ITEM_STATUSES = [
+  'pending',     // in the queue
+  'on_hold',     // held for classification, not claimable
+  'claimed',     // a sewer has it, not started
+  'in_progress', // being worked on
+  'paused',      // started, set aside for now
+  'qc',          // waiting for quality control
+  'rework',      // failed QC, back with its sewer
+  'completed',
+  'cancelled',   // withdrawn (order cancelled, refunded or edited)
+];
+
+/**
+ * Allowed transitions: from -> [to]
+ * Finished work goes through QC (qualityControl.js); only an inspector's pass completes it.
+ * Supervisors can force anything else (force: true); cancelled is final otherwise.
+ */
+export const TRANSITIONS = {
+  pending: ['claimed', 'on_hold', 'cancelled'],
+  on_hold: ['pending', 'cancelled'],
+  claimed: ['in_progress', 'qc', 'pending', 'cancelled'],
+  in_progress: ['paused', 'qc', 'pending', 'cancelled'],
+  paused: ['in_progress', 'pending', 'cancelled'],
+  qc: ['completed', 'rework', 'cancelled'],
+  rework: ['in_progress', 'qc', 'cancelled'],
+  completed: ['in_progress', 'pending', 'rework', 'cancelled'],
+  cancelled: [],
+};
+
+/**
+ * Statuses in which a wallet is with a sewer
+ */
+export const HELD_STATUSES = ['claimed', 'in_progress', 'paused', 'rework'];
+
+/**
+ * Base class for state machine errors
+ * `code` is unknown_status, illegal_transition or stale_status
+ */
+export class LineItemStatusError extends Error {
+  constructor(message, { code, lineItemId = null, from = null, to = null } = {}) {
+    super(message);
+    this.name = 'LineItemStatusError';
+    this.code = code;
+    this.lineItemId = lineItemId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Not one of LINE_ITEM_STATUSES
+ */
+export class UnknownStatusError extends LineItemStatusError {
+  constructor(status, lineItemId = null) {
+    super(`Unknown line item status: ${status}`, { code: 'unknown_status', lineItemId, to: status });
+    this.name = 'UnknownStatusError';
+  }
+}
+
+/**
+ * Not allowed from the current status
+ */
+export class IllegalTransitionError extends LineItemStatusError {
+  constructor(from, to, lineItemId = null) {
+    super(`Can't go from ${from} to ${to}`, { code: 'illegal_transition', lineItemId, from, to });
+    this.name = 'IllegalTransitionError';
+  }
+}
+
+/**
+ * The line item wasn't in the status we read any more (someone else changed it)
+ */
+export class StaleStatusError extends LineItemStatusError {
+  constructor(from, to, lineItemId = null) {
+    super(`Line item ${lineItemId} is no longer ${from}`, { code: 'stale_status', lineItemId, from, to });
+    this.name = 'StaleStatusError';
+  }
+}
+
+export function isLineItemStatus(status) {
+  return LINE_ITEM_STATUSES.includes(status);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw unless from -> to is allowed (with force, only both statuses have to exist)
+ */
+export function assertTransition(from, to, { force = false, lineItemId = null } = {}) {
+  if (!isLineItemStatus(to)) throw new UnknownStatusError(to, lineItemId);
+  if (!isLineItemStatus(from)) throw new UnknownStatusError(from, lineItemId);
+  if (from === to) throw new IllegalTransitionError(from, to, lineItemId);
+  if (!force && !canTransition(from, to)) throw new IllegalTransitionError(from, to, lineItemId);
+}
+
+/**
+ * Fields that follow from entering a status (the caller's patch wins)
+ */
+function getStatusFields(from, to, now) {
+  const fields = { status: to, status_changed_at: now };
+
+  if (['pending', 'on_hold'].includes(to)) {
+    Object.assign(fields, { claimed_by: null, claimed_by_name: null, claimed_at: null });
+  }
+  if (to === 'claimed') fields.claimed_at = now;
+  if (to === 'completed') fields.completed_at = now;
+  if (from === 'completed') fields.completed_at = null;
+  if (to === 'cancelled') fields.cancelled_at = now;
+
+  return fields;
+}
+
+/**
+ * Who is making the change and why, written with the status - the status history
+ * trigger (line_item_status_history migration) turns them into the history row
+ */
+function getActorFields({ actor, reason, force }) {
+  return {
+    status_actor_id: actor?.id ? String(actor.id) : null,
+    status_actor_name: actor?.name || null,
+    status_actor_role: actor?.role || 'system',
+    status_change_reason: reason || null,
+    status_change_forced: force,
+  };
+}
+
+/**
+ * Move one line item (as read) to `to`
+ *
+ * patch:  other fields to write with the change (e.g. claimed_by)
+ * actor:  { id, name, role } - role is 'sewer', 'inspector', 'supervisor' or 'system'
+ * reason: free text kept in the history
+ * force:  supervisor override, skips the transition table
+ * expect: other columns that must still hold their read values (e.g. { claimed_at })
+ *
+ * Returns the updated row. Throws UnknownStatusError / IllegalTransitionError before
+ * writing, and StaleStatusError if the row changed since it was read.
+ */
+export async function transitionLineItem(supabase, lineItem, to, { patch = {}, actor = null, reason = null, force = false, expect = {} } = {}) {
+  assertTransition(lineItem.status, to, { force, lineItemId: lineItem.id });
+
+  const now = new Date().toISOString();
+  let query = supabase
+    .from('order_line_items')
+    .update({ ...getStatusFields(lineItem.status, to, now), ...getActorFields({ actor, reason, force }), ...patch })
+    .eq('id', lineItem.id)
+    .eq('status', lineItem.status);
+
+  for (const [column, value] of Object.entries(expect)) {
+    query = value === null ? query.is(column, null) : query.eq(column, value);
+  }
+
+  const { data, error } = await query
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error moving line item to ${to}:`, error);
+    throw error;
+  }
+
+  if (!data) throw new StaleStatusError(lineItem.status, to, lineItem.id);
+
+  return data;
+}
+
+/**
+ * Move several line items (as read) to `to` in one write per current status
+ * Rows that changed since they were read are skipped rather than failing the batch.
+ * Returns the updated rows.
+ */
+export async function transitionLineItems(supabase, lineItems, to, { patch = {}, actor = null, reason = null, force = false } = {}) {
+  lineItems.forEach(lineItem => assertTransition(lineItem.status, to, { force, lineItemId: lineItem.id }));
+
+  const now = new Date().toISOString();
+  const byStatus = new Map();
+  lineItems.forEach(lineItem => {
+    if (!byStatus.has(lineItem.status)) byStatus.set(lineItem.status, []);
+    byStatus.get(lineItem.status).push(lineItem);
+  });
+
+  const updated = [];
+  for (const [from, group] of byStatus) {
+    const { data, error } = await supabase
+      .from('order_line_items')
+      .update({ ...getStatusFields(from, to, now), ...getActorFields({ actor, reason, force }), ...patch })
+      .in('id', group.map(lineItem => lineItem.id))
+      .eq('status', from)
+      .select();
+
+    if (error) {
+      console.error(`❌ Error moving line items to ${to}:`, error);
+      throw error;
+    }
+
+    updated.push(...data);
+  }
+
+  return updated;
+}
+
+/**
+ * Status history for a line item, oldest first
+ */
+export async function getStatusHistory(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('line_item_status_history')
+    .select('*')
+    .eq('line_item_id', lineItemId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error reading status history:', error);
+    throw error;
+  }
+
+  return data;
+}
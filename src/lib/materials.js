@@ -0,0 +1,734 @@
+// src/lib/materials.js
+// Materials: stock per leather / thread colour / hardware item, a bill of materials per
+// wallet type, reservations for claimed wallets and low-stock alerts
+//
+// A bill of materials line says how much of a kind one wallet uses. Which stock it draws
+// on comes from the wallet's attributes (extractWalletAttributes):
+//   leather   materials.name = leather_type, materials.color = color
+//   thread    materials.color = thread_color
+//   hardware  materials.name = the line's material_name
+// A leather or thread line with its own material_name uses that instead of the attribute,
+// and leather/thread with no matching named stock falls back to the house stock (name null)
+// in that colour.
+//
+// A wallet reserves its materials when it's claimed, in the same transaction as the claim
+// (claimLineItems, claimPolicy.js) - a wallet whose stock isn't free stays in the queue. It
+// consumes them when it completes and releases them when it goes back to the queue or is
+// cancelled; the materials cron reconciles reservations with wallet statuses
+// (syncMaterialReservations). Wallets claimed before their type had a bill of materials
+// reserve nothing.
+
+import { getBillOfMaterials, invalidateWalletCatalog } from './walletCatalog.js';
+import { getNotifier } from './notifier.js';
+import { HELD_STATUSES } from './lineItemStatus.js';
+import { fetchAllRows, fetchAllRowsIn } from './pagination.js';
+
+export const MATERIAL_KINDS = ['leather', 'thread', 'hardware'];
+
+export const MATERIAL_UNITS = {
+  leather: 'sq ft',
+  thread: 'm',
+  hardware: 'pcs',
+};
+
+/**
+ * Statuses of the queue the forecast covers (not claimed yet)
+ */
+const QUEUE_STATUSES = ['pending', 'on_hold'];
+
+/**
+ * Statuses in which a wallet holds its materials (with a sewer or waiting for QC)
+ */
+const RESERVING_STATUSES = [...HELD_STATUSES, 'qc'];
+
+/**
+ * Wallets completed this recently that never reserved (claimed and finished between two
+ * reservation syncs) still reserve and consume their materials
+ */
+const COMPLETED_CATCH_UP_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A materials request that can't be carried out (code: invalid_input | not_found)
+ */
+export class MaterialsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MaterialsError';
+    this.code = code;
+  }
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/**
+ * e.g. 'Black house leather', 'Tan Chromexcel leather', 'Natural house thread', 'Snap'
+ */
+const describeMaterial = ({ kind, name, color }) => kind === 'hardware'
+  ? [color, name].filter(Boolean).join(' ')
+  : [color, name || 'house', kind].filter(Boolean).join(' ');
+
+/**
+ * The stock a bill of materials line draws on for a wallet, or null when none is tracked
+ */
+export function findMaterial(materials, { kind, name = null, color = null }) {
+  const candidates = materials.filter(material => material.kind === kind && material.active !== false && sameText(material.color, color));
+  return candidates.find(material => sameText(material.name, name)) ||
+    (name && kind !== 'hardware' ? candidates.find(material => !material.name) : null) ||
+    null;
+}
+
+/**
+ * What one wallet needs: [{ kind, name, color, quantity, material }]
+ * (material is null for stock that isn't tracked yet)
+ */
+export function getMaterialNeeds(lineItem, bom, materials) {
+  const attributes = lineItem.wallet_attributes || {};
+
+  return bom
+    .filter(line => line.wallet_type === lineItem.wallet_type)
+    .map(line => {
+      const key = {
+        kind: line.kind,
+        name: line.material_name || (line.kind === 'leather' ? attributes.leather_type || null : null),
+        color: { leather: attributes.color, thread: attributes.thread_color }[line.kind] || null,
+      };
+      return { ...key, quantity: Number(line.quantity), material: findMaterial(materials, key) };
+    });
+}
+
+async function fetchMaterials(supabase, { includeInactive = false } = {}) {
+  let query = supabase
+    .from('materials')
+    .select('*');
+
+  if (!includeInactive) {
+    query = query.eq('active', true);
+  }
+
+  const { data, error } = await query
+    .order('kind', { ascending: true })
+    .order('name', { ascending: true })
+    .order('color', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching materials:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * What a wallet reserves: [{ material_id, quantity }] (empty when nothing is tracked)
+ */
+function getReservationLines(lineItem, bom, materials) {
+  const needs = getMaterialNeeds(lineItem, bom, materials);
+
+  needs
+    .filter(need => !need.material)
+    .forEach(need => console.warn(`⚠️ No stock tracked for ${describeMaterial(need)} - not reserved for line item ${lineItem.id}`));
+
+  // Two lines on the same stock reserve together
+  const lines = new Map();
+  needs
+    .filter(need => need.material)
+    .forEach(need => lines.set(need.material.id, (lines.get(need.material.id) || 0) + need.quantity));
+
+  return [...lines.entries()].map(([materialId, quantity]) => ({ material_id: materialId, quantity }));
+}
+
+/**
+ * What claiming these rows reserves, per wallet: { [lineItemId]: [{ material_id, quantity }] }
+ * Passed to claim_line_items, which reserves it with the claim.
+ */
+export async function getClaimReservations(supabase, lineItems) {
+  const wallets = lineItems.filter(lineItem => lineItem.item_type === 'wallet');
+  if (wallets.length === 0) return {};
+
+  const bom = await getBillOfMaterials(supabase);
+  const materials = await fetchMaterials(supabase);
+
+  return Object.fromEntries(wallets
+    .map(lineItem => [lineItem.id, getReservationLines(lineItem, bom, materials)])
+    .filter(([, lines]) => lines.length > 0));
+}
+
+/**
+ * Hold a claimed wallet's materials (reconciling; claims reserve through claim_line_items)
+ * Returns the number of reservations made.
+ */
+async function reserveMaterials(supabase, lineItem, bom, materials) {
+  const lines = getReservationLines(lineItem, bom, materials);
+  if (lines.length === 0) return 0;
+
+  const { data, error } = await supabase.rpc('reserve_materials', {
+    p_line_item_id: lineItem.id,
+    p_lines: lines,
+  });
+
+  if (error) {
+    console.error('❌ Error reserving materials:', error);
+    throw error;
+  }
+
+  return data.length;
+}
+
+/**
+ * Consume ('consumed') or hand back ('released') a wallet's reserved materials
+ */
+async function settleMaterials(supabase, lineItem, status) {
+  const { data, error } = await supabase.rpc('settle_materials', {
+    p_line_item_id: lineItem.id,
+    p_status: status,
+  });
+
+  if (error) {
+    console.error('❌ Error settling material reservations:', error);
+    throw error;
+  }
+
+  if (data > 0) console.log(`🧵 ${data} material reservation${data === 1 ? '' : 's'} ${status} for line item ${lineItem.id}`);
+}
+
+/**
+ * Bring material reservations in line with wallet statuses (claims reserve themselves;
+ * this catches what they couldn't, e.g. wallets whose bill of materials came later)
+ * Wallets with a sewer or in QC reserve once per claim; completed wallets consume their
+ * reservations and wallets back in the queue or cancelled release them. A wallet that
+ * fails is skipped and retried on the next run.
+ *
+ * Returns { reserved, consumed, released, failed } (wallets)
+ */
+export async function syncMaterialReservations(supabase, { now = new Date() } = {}) {
+  const summary = { reserved: 0, consumed: 0, released: 0, failed: 0 };
+
+  const { data: openReservations, error } = await fetchAllRows(() => supabase
+    .from('material_reservations')
+    .select('id, line_item_id')
+    .eq('status', 'reserved')
+    .order('id', { ascending: true }));
+
+  if (error) {
+    console.error('❌ Error fetching material reservations:', error);
+    throw error;
+  }
+
+  const reservedIds = new Set(openReservations.map(reservation => reservation.line_item_id));
+  const { data: reservedLineItems, error: reservedError } = await fetchAllRowsIn([...reservedIds], chunk => supabase
+    .from('order_line_items')
+    .select('id, status')
+    .in('id', chunk)
+    .order('id', { ascending: true }));
+
+  if (reservedError) {
+    console.error('❌ Error fetching reserved line items:', reservedError);
+    throw reservedError;
+  }
+
+  for (const lineItem of reservedLineItems) {
+    if (RESERVING_STATUSES.includes(lineItem.status)) continue;
+
+    const status = lineItem.status === 'completed' ? 'consumed' : 'released';
+    try {
+      await settleMaterials(supabase, lineItem, status);
+      summary[status]++;
+    } catch (settleError) {
+      summary.failed++;
+    }
+  }
+
+  const walletColumns = 'id, status, wallet_type, wallet_attributes, claimed_at';
+  const { data: holding, error: holdingError } = await fetchAllRows(() => supabase
+    .from('order_line_items')
+    .select(walletColumns)
+    .eq('item_type', 'wallet')
+    .in('status', RESERVING_STATUSES)
+    .order('id', { ascending: true }));
+
+  if (holdingError) {
+    console.error('❌ Error fetching claimed wallets:', holdingError);
+    throw holdingError;
+  }
+
+  const { data: completed, error: completedError } = await fetchAllRows(() => supabase
+    .from('order_line_items')
+    .select(walletColumns)
+    .eq('item_type', 'wallet')
+    .eq('status', 'completed')
+    .gte('completed_at', new Date(now.getTime() - COMPLETED_CATCH_UP_MS).toISOString())
+    .order('id', { ascending: true }));
+
+  if (completedError) {
+    console.error('❌ Error fetching completed wallets:', completedError);
+    throw completedError;
+  }
+
+  const unreserved = [...holding, ...completed].filter(lineItem => !reservedIds.has(lineItem.id));
+  if (unreserved.length === 0) return logReservationSync(summary);
+
+  // Already reserved for this claim (and settled, e.g. completed, or completed then reverted)
+  const { data: pastReservations, error: pastError } = await fetchAllRowsIn(unreserved.map(lineItem => lineItem.id), chunk => supabase
+    .from('material_reservations')
+    .select('id, line_item_id, created_at')
+    .in('line_item_id', chunk)
+    .order('id', { ascending: true }));
+
+  if (pastError) {
+    console.error('❌ Error fetching material reservations:', pastError);
+    throw pastError;
+  }
+
+  const claimedAt = new Map(unreserved.map(lineItem => [lineItem.id, lineItem.claimed_at]));
+  const reservedThisClaim = new Set(pastReservations
+    .filter(reservation => {
+      const since = claimedAt.get(reservation.line_item_id);
+      return !since || new Date(reservation.created_at) >= new Date(since);
+    })
+    .map(reservation => reservation.line_item_id));
+
+  const toReserve = unreserved.filter(lineItem => !reservedThisClaim.has(lineItem.id));
+  if (toReserve.length === 0) return logReservationSync(summary);
+
+  const bom = await getBillOfMaterials(supabase);
+  const materials = await fetchMaterials(supabase);
+
+  for (const lineItem of toReserve) {
+    try {
+      if (await reserveMaterials(supabase, lineItem, bom, materials) === 0) continue;
+
+      if (lineItem.status === 'completed') {
+        await settleMaterials(supabase, lineItem, 'consumed');
+        summary.consumed++;
+      } else {
+        summary.reserved++;
+      }
+    } catch (reserveError) {
+      summary.failed++;
+    }
+  }
+
+  return logReservationSync(summary);
+}
+
+function logReservationSync(summary) {
+  console.log(`🧵 Material reservations: ${summary.reserved} reserved, ${summary.consumed} consumed, ${summary.released} released, ${summary.failed} failed`);
+  return summary;
+}
+
+/**
+ * Stock levels with what's free to reserve
+ */
+export async function listMaterials(supabase, { includeInactive = false } = {}) {
+  const materials = await fetchMaterials(supabase, { includeInactive });
+
+  return materials.map(material => {
+    const available = round(Number(material.on_hand) - Number(material.reserved));
+    return {
+      ...material,
+      unit: MATERIAL_UNITS[material.kind],
+      available,
+      low_stock: available <= Number(material.reorder_point),
+    };
+  });
+}
+
+/**
+ * Material needs of the queue (wallets not claimed yet) against stock
+ * Returns { wallets, materials, untracked, wallet_types_without_bom }
+ *   materials: every active material with queue_need, after_queue (available - queue_need)
+ *              and shortfall
+ *   untracked: needs with no stock to draw on, by kind/name/colour
+ */
+export async function getMaterialsForecast(supabase) {
+  const { data: queue, error } = await supabase
+    .from('order_line_items')
+    .select('id, wallet_type, wallet_attributes, status')
+    .eq('item_type', 'wallet')
+    .in('status', QUEUE_STATUSES);
+
+  if (error) {
+    console.error('❌ Error fetching the queue for the materials forecast:', error);
+    throw error;
+  }
+
+  const bom = await getBillOfMaterials(supabase);
+  const materials = await listMaterials(supabase);
+
+  const needByMaterial = new Map();
+  const untracked = new Map();
+  const withoutBom = new Map();
+
+  queue.forEach(wallet => {
+    const needs = getMaterialNeeds(wallet, bom, materials);
+    if (needs.length === 0) {
+      withoutBom.set(wallet.wallet_type, (withoutBom.get(wallet.wallet_type) || 0) + 1);
+      return;
+    }
+
+    needs.forEach(need => {
+      if (need.material) {
+        needByMaterial.set(need.material.id, (needByMaterial.get(need.material.id) || 0) + need.quantity);
+        return;
+      }
+
+      const key = [need.kind, need.name, need.color].join('|');
+      const entry = untracked.get(key) || { kind: need.kind, name: need.name, color: need.color, unit: MATERIAL_UNITS[need.kind], quantity: 0, wallets: 0 };
+      entry.quantity = round(entry.quantity + need.quantity);
+      entry.wallets++;
+      untracked.set(key, entry);
+    });
+  });
+
+  return {
+    wallets: queue.length,
+    materials: materials.map(material => {
+      const queueNeed = round(needByMaterial.get(material.id) || 0);
+      const afterQueue = round(material.available - queueNeed);
+      return {
+        ...material,
+        queue_need: queueNeed,
+        after_queue: afterQueue,
+        shortfall: afterQueue < 0 ? -afterQueue : 0,
+      };
+    }),
+    untracked: [...untracked.values()].sort((a, b) => b.quantity - a.quantity),
+    wallet_types_without_bom: [...withoutBom.entries()]
+      .map(([walletType, wallets]) => ({ wallet_type: walletType, wallets }))
+      .sort((a, b) => b.wallets - a.wallets),
+  };
+}
+
+/**
+ * Alert for a material at or below its reorder point, or short for the queue
+ */
+function buildLowStockAlert(material) {
+  const unit = material.unit;
+
+  return {
+    type: 'material_low_stock',
+    title: `Low stock: ${describeMaterial(material)}`,
+    message: [
+      `${material.available} ${unit} available (${material.on_hand} on hand, ${material.reserved} reserved), reorder point ${material.reorder_point} ${unit}.`,
+      material.queue_need > 0
+        ? `The queue needs ${material.queue_need} ${unit}${material.shortfall > 0 ? ` - ${material.shortfall} ${unit} short` : ''}.`
+        : null,
+    ].filter(Boolean).join('\n'),
+    data: {
+      material_id: material.id,
+      kind: material.kind,
+      name: material.name,
+      color: material.color,
+      on_hand: material.on_hand,
+      reserved: material.reserved,
+      available: material.available,
+      reorder_point: material.reorder_point,
+      queue_need: material.queue_need,
+      shortfall: material.shortfall,
+    },
+  };
+}
+
+/**
+ * Alert on materials at or below their reorder point or short for the queue
+ * A material alerts once per dip; it re-arms when stock recovers. A failed alert is retried
+ * on the next run.
+ *
+ * Returns { checked, low, alerted, recovered, materials } (materials: the low ones)
+ */
+export async function checkMaterialStock(supabase, { notifier = getNotifier(), now = new Date() } = {}) {
+  const forecast = await getMaterialsForecast(supabase);
+  const summary = { checked: forecast.materials.length, low: 0, alerted: 0, recovered: 0, materials: [] };
+
+  for (const material of forecast.materials) {
+    const low = material.low_stock || material.shortfall > 0;
+
+    if (!low) {
+      if (!material.low_stock_alerted_at) continue;
+
+      const { error } = await supabase
+        .from('materials')
+        .update({ low_stock_alerted_at: null })
+        .eq('id', material.id);
+
+      if (error) {
+        console.error('❌ Error re-arming low-stock alert:', error);
+        throw error;
+      }
+      summary.recovered++;
+      continue;
+    }
+
+    summary.low++;
+    summary.materials.push(material);
+    if (material.low_stock_alerted_at) continue;
+
+    try {
+      await notifier.notify(buildLowStockAlert(material));
+    } catch (notifyError) {
+      console.error(`❌ Low-stock alert failed for material ${material.id}:`, notifyError.message);
+      continue;
+    }
+
+    summary.alerted++;
+    const { error: alertedError } = await supabase
+      .from('materials')
+      .update({ low_stock_alerted_at: now.toISOString() })
+      .eq('id', material.id);
+
+    if (alertedError) {
+      console.error('❌ Error recording low-stock alert:', alertedError);
+    }
+  }
+
+  console.log(`🧵 Materials check: ${summary.checked} checked, ${summary.low} low, ${summary.alerted} alerted, ${summary.recovered} recovered`);
+  return summary;
+}
+
+/**
+ * ADMIN: materials, stock movements and bills of materials
+ */
+
+const MATERIAL_FIELDS = ['kind', 'name', 'color', 'reorder_point', 'active'];
+
+const trimOrNull = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+/**
+ * Validate and normalize a material (or a partial patch when `partial` is set)
+ * Stock itself only changes through adjustMaterialStock.
+ * Returns { material, errors }
+ */
+export function validateMaterial(input, { partial = false } = {}) {
+  const errors = [];
+  const material = {};
+
+  for (const field of MATERIAL_FIELDS) {
+    if (input[field] !== undefined) material[field] = input[field];
+  }
+
+  if (partial && material.kind !== undefined) {
+    errors.push('kind cannot be changed - add a new material instead');
+  } else if (!partial && !MATERIAL_KINDS.includes(material.kind)) {
+    errors.push(`kind must be one of: ${MATERIAL_KINDS.join(', ')}`);
+  }
+
+  if (material.name !== undefined) material.name = trimOrNull(material.name);
+  if (material.color !== undefined) material.color = trimOrNull(material.color);
+
+  if (!partial && material.kind === 'hardware' && !material.name) {
+    errors.push('name is required for hardware');
+  }
+
+  if (material.reorder_point !== undefined) {
+    const reorderPoint = Number(material.reorder_point);
+    if (material.reorder_point === null || Number.isNaN(reorderPoint) || reorderPoint < 0) {
+      errors.push('reorder_point must be a number >= 0');
+    } else {
+      material.reorder_point = reorderPoint;
+    }
+  }
+
+  if (material.active !== undefined && typeof material.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return { material, errors };
+}
+
+/**
+ * Create a material (no stock; receive it with adjustMaterialStock)
+ */
+export async function createMaterial(supabase, material) {
+  const { data, error } = await supabase
+    .from('materials')
+    .insert([{ ...material, active: true }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating material:', error);
+    throw error;
+  }
+
+  console.log(`✅ Material created: ${describeMaterial(data)}`);
+  return data;
+}
+
+/**
+ * Edit a material
+ */
+export async function updateMaterial(supabase, id, patch) {
+  const { data, error } = await supabase
+    .from('materials')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error updating material:', error);
+    throw error;
+  }
+
+  console.log(`✅ Material updated: ${describeMaterial(data)}`);
+  return data;
+}
+
+/**
+ * Change a material's stock: 'receive' a delivery (quantity > 0) or 'adjust' after a
+ * count (quantity is the correction, + or -)
+ */
+export async function adjustMaterialStock(supabase, id, { type, quantity, reason = null, actor = null }) {
+  if (!['receive', 'adjust'].includes(type)) {
+    throw new MaterialsError('invalid_input', "type must be 'receive' or 'adjust'");
+  }
+
+  const amount = Number(quantity);
+  if (quantity === null || quantity === '' || Number.isNaN(amount) || amount === 0) {
+    throw new MaterialsError('invalid_input', 'quantity must be a non-zero number');
+  }
+  if (type === 'receive' && amount < 0) {
+    throw new MaterialsError('invalid_input', 'A delivery must be a positive quantity - use adjust for corrections');
+  }
+  if (type === 'adjust' && !reason) {
+    throw new MaterialsError('invalid_input', 'A reason is required for a stock adjustment');
+  }
+
+  const { data, error } = await supabase.rpc('adjust_material_stock', {
+    p_material_id: id,
+    p_movement_type: type,
+    p_quantity: amount,
+    p_reason: reason,
+    p_actor: actor,
+  });
+
+  if (error) {
+    // P0002 = raised by adjust_material_stock for an unknown id
+    if (error.code === 'P0002') throw new MaterialsError('not_found', `Material ${id} not found`);
+    console.error('❌ Error adjusting material stock:', error);
+    throw error;
+  }
+
+  console.log(`📦 ${describeMaterial(data)}: ${amount > 0 ? '+' : ''}${amount} ${MATERIAL_UNITS[data.kind]} (${type}), ${data.on_hand} on hand`);
+  return data;
+}
+
+/**
+ * A material's stock movements, newest first
+ */
+export async function listMaterialMovements(supabase, { materialId = null, limit = 200 } = {}) {
+  let query = supabase
+    .from('material_movements')
+    .select('*');
+
+  if (materialId) {
+    query = query.eq('material_id', materialId);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('❌ Error fetching material movements:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Validate and normalize a wallet type's bill of materials
+ * Returns { lines, errors }
+ */
+export function validateBillOfMaterials(input) {
+  const errors = [];
+
+  if (!Array.isArray(input)) {
+    return { lines: [], errors: ['lines must be an array'] };
+  }
+
+  const lines = input.map((line, index) => {
+    const kind = line?.kind;
+    const materialName = trimOrNull(line?.material_name);
+    const quantity = Number(line?.quantity);
+
+    if (!MATERIAL_KINDS.includes(kind)) {
+      errors.push(`lines[${index}].kind must be one of: ${MATERIAL_KINDS.join(', ')}`);
+    }
+    if (kind === 'hardware' && !materialName) {
+      errors.push(`lines[${index}].material_name is required for hardware`);
+    }
+    if (line?.quantity === null || Number.isNaN(quantity) || quantity <= 0) {
+      errors.push(`lines[${index}].quantity must be a number > 0`);
+    }
+
+    return { kind, material_name: materialName, quantity };
+  });
+
+  return { lines, errors };
+}
+
+/**
+ * Bill of materials lines, for one wallet type or all
+ */
+export async function listBillOfMaterials(supabase, { walletType = null } = {}) {
+  let query = supabase
+    .from('bill_of_materials')
+    .select('*')
+    .eq('active', true);
+
+  if (walletType) {
+    query = query.eq('wallet_type', walletType);
+  }
+
+  const { data, error } = await query
+    .order('wallet_type', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing bill of materials:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Replace a wallet type's bill of materials (the old lines are kept, inactive)
+ * Wallets already claimed keep what they reserved.
+ */
+export async function setBillOfMaterials(supabase, walletType, lines) {
+  const now = new Date().toISOString();
+
+  const { error: retireError } = await supabase
+    .from('bill_of_materials')
+    .update({ active: false, updated_at: now })
+    .eq('wallet_type', walletType)
+    .eq('active', true);
+
+  if (retireError) {
+    console.error('❌ Error retiring bill of materials:', retireError);
+    throw retireError;
+  }
+
+  let data = [];
+  if (lines.length > 0) {
+    const { data: inserted, error } = await supabase
+      .from('bill_of_materials')
+      .insert(lines.map(line => ({ ...line, wallet_type: walletType, active: true })))
+      .select();
+
+    if (error) {
+      console.error('❌ Error saving bill of materials:', error);
+      throw error;
+    }
+    data = inserted;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Bill of materials set for ${walletType}: ${data.length} line${data.length === 1 ? '' : 's'}`);
+  return data;
+}
@@ -0,0 +1,24 @@
+// src/lib/notifications.js
+// In-app notifications for sewers (shown via subscribeToSewerNotifications)
+
+/**
+ * Notify whoever has claimed a line item
+ * Never throws - a missed notification must not fail the webhook
+ */
+export async function notifySewer(supabase, lineItem, { type, message }) {
+  if (!lineItem.claimed_by) return;
+
+  const { error } = await supabase
+    .from('sewer_notifications')
+    .insert([{
+      sewer_id: lineItem.claimed_by,
+      line_item_id: lineItem.id,
+      order_id: lineItem.order_id,
+      type,
+      message: `Order ${lineItem.order_number}: ${message}`,
+    }]);
+
+  if (error) {
+    console.error('❌ Error notifying sewer:', error);
+  }
+}
@@ -0,0 +1,59 @@
+// src/lib/notifier.js
+// Pluggable delivery for operational alerts (SLA breaches and the like)
+// A notifier is any object with `async notify({ type, title, message, data })`.
+// The shared one posts to ALERT_WEBHOOK_URL (Slack-style incoming webhook) when set,
+// otherwise it writes to the function log. Swap it with setNotifier.
+
+/**
+ * Writes alerts to the log
+ */
+export function createConsoleNotifier() {
+  return {
+    name: 'console',
+    async notify({ title, message }) {
+      console.warn(`🚨 ${title}\n${message}`);
+    },
+  };
+}
+
+/**
+ * Posts alerts as JSON to a webhook: { text, alert }
+ * `text` is what Slack (and most chat webhooks) display; `alert` is the full payload.
+ */
+export function createWebhookNotifier(url, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  return {
+    name: 'webhook',
+    async notify(alert) {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `${alert.title}\n${alert.message}`, alert }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Alert webhook returned ${response.status}`);
+      }
+    },
+  };
+}
+
+let sharedNotifier = null;
+
+/**
+ * The notifier server code uses, created from the environment on first use
+ */
+export function getNotifier() {
+  if (!sharedNotifier) {
+    sharedNotifier = process.env.ALERT_WEBHOOK_URL
+      ? createWebhookNotifier(process.env.ALERT_WEBHOOK_URL)
+      : createConsoleNotifier();
+  }
+  return sharedNotifier;
+}
+
+/**
+ * Swap the shared notifier (tests, another channel). Pass null to reset.
+ */
+export function setNotifier(notifier) {
+  sharedNotifier = notifier;
+}
@@ -0,0 +1,47 @@
+// src/lib/pagination.js
+// Reads past PostgREST's row cap (db-max-rows, 1000 on Supabase), which otherwise
+// truncates a large result without an error
+
+/**
+ * Rows per request - at most the server's cap, or a full page looks like the last one
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Largest id list sent in one .in() filter (it goes in the URL)
+ */
+export const IN_CHUNK_SIZE = 200;
+
+/**
+ * Every row of a query, a page at a time. Returns { data, error } like the query itself.
+ * buildQuery() must return a new query on each call, ordered down to a unique column
+ * so pages don't overlap.
+ */
+export async function fetchAllRows(buildQuery, { pageSize = PAGE_SIZE } = {}) {
+  const data = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data: page, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) return { data: null, error };
+
+    data.push(...page);
+    if (page.length < pageSize) return { data, error: null };
+  }
+}
+
+/**
+ * fetchAllRows for a query filtered on a list of ids, IN_CHUNK_SIZE ids per query
+ * buildQuery(chunk) gets each slice of ids.
+ */
+export async function fetchAllRowsIn(ids, buildQuery, options) {
+  const data = [];
+
+  for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + IN_CHUNK_SIZE);
+    const { data: rows, error } = await fetchAllRows(() => buildQuery(chunk), options);
+    if (error) return { data: null, error };
+    data.push(...rows);
+  }
+
+  return { data, error: null };
+}
@@ -0,0 +1,311 @@
+// src/lib/payPeriods.js
+// Pay-period incentive reports from the points ledger (dailyPoints.js)
+//
+// A period's report has per-sewer totals broken down by wallet type, customization bonus,
+// rework and reversals. Closing a period stores its report in pay_periods and locks it:
+// ledger entries recorded after the close for days in that period are carried into the
+// open period of the day they were recorded.
+
+import { SHOP_TIMEZONE, getShopDate, addDays } from './shopTime.js';
+
+export const PAY_PERIOD_TYPES = ['weekly', 'biweekly', 'semi_monthly'];
+
+/**
+ * Pay period from the environment
+ *   PAY_PERIOD         weekly | biweekly | semi_monthly (default biweekly)
+ *   PAY_PERIOD_ANCHOR  first day of any weekly/biweekly period (default 2026-01-05, a Monday)
+ */
+export function getPayPeriodConfig() {
+  const type = PAY_PERIOD_TYPES.includes(process.env.PAY_PERIOD) ? process.env.PAY_PERIOD : 'biweekly';
+  const anchor = /^\d{4}-\d{2}-\d{2}$/.test(process.env.PAY_PERIOD_ANCHOR || '') ? process.env.PAY_PERIOD_ANCHOR : '2026-01-05';
+  return { type, anchor };
+}
+
+/**
+ * Something wrong with a pay period request
+ * `code` is one of: invalid_input, not_ended, already_closed
+ */
+export class PayPeriodError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PayPeriodError';
+    this.code = code;
+  }
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The pay period containing a shop date: { type, start, end } (YYYY-MM-DD, inclusive)
+ */
+export function getPayPeriod(date, { type, anchor } = getPayPeriodConfig()) {
+  if (type === 'semi_monthly') {
+    const [year, month, day] = date.split('-').map(Number);
+    const monthStart = date.slice(0, 8);
+    if (day <= 15) return { type, start: `${monthStart}01`, end: `${monthStart}15` };
+
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { type, start: `${monthStart}16`, end: `${monthStart}${lastDay}` };
+  }
+
+  const length = type === 'weekly' ? 7 : 14;
+  const offset = Math.floor(daysBetween(anchor, date) / length) * length;
+  const start = addDays(anchor, offset);
+  return { type, start, end: addDays(start, length - 1) };
+}
+
+/**
+ * Closed periods, newest first
+ */
+export async function listClosedPayPeriods(supabase, { withReports = false } = {}) {
+  const { data, error } = await supabase
+    .from('pay_periods')
+    .select(withReports ? '*' : 'id, period_type, start_date, end_date, closed_at, closed_by')
+    .order('start_date', { ascending: false });
+
+  if (error) {
+    console.error('❌ Error fetching pay periods:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Which period an entry is paid in: the one containing its work day, unless that one
+ * was closed before the entry was recorded - then the one containing the day it was recorded
+ */
+function getEntryPeriodStart(entry, closedPeriods, config) {
+  const natural = getPayPeriod(entry.work_date, config);
+  const closed = closedPeriods.find(period => period.start_date <= entry.work_date && period.end_date >= entry.work_date);
+
+  if (closed && new Date(entry.created_at) > new Date(closed.closed_at)) {
+    return { start: getPayPeriod(getShopDate(entry.created_at), config).start, carried: true };
+  }
+  return { start: closed ? closed.start_date : natural.start, carried: false };
+}
+
+async function fetchPeriodEntries(supabase, period, { recordedBy = null } = {}) {
+  // Entries for days in the period, plus earlier days recorded during it (carried over)
+  const recordedFrom = new Date(`${addDays(period.start, -1)}T00:00:00Z`).toISOString();
+
+  const queries = [
+    supabase.from('points_ledger').select('*').gte('work_date', period.start).lte('work_date', period.end),
+    supabase.from('points_ledger').select('*').lt('work_date', period.start).gte('created_at', recordedFrom),
+  ].map(query => (recordedBy ? query.lte('created_at', recordedBy) : query).order('id', { ascending: true }));
+
+  const results = await Promise.all(queries);
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('❌ Error fetching points ledger:', failed.error);
+    throw failed.error;
+  }
+
+  return results.flatMap(result => result.data);
+}
+
+async function fetchLineItems(supabase, ids) {
+  const byId = new Map();
+  const unique = [...new Set(ids.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += 200) {
+    const { data, error } = await supabase
+      .from('order_line_items')
+      .select('id, wallet_type, points_breakdown, rework_count')
+      .in('id', unique.slice(i, i + 200));
+
+    if (error) {
+      console.error('❌ Error fetching line items:', error);
+      throw error;
+    }
+    data.forEach(lineItem => byId.set(lineItem.id, lineItem));
+  }
+
+  return byId;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+function emptySewerTotals(entry) {
+  return {
+    sewer_id: entry.sewer_id,
+    sewer_name: entry.sewer_name,
+    wallets: 0,
+    base_points: 0,
+    customization_bonus: 0,
+    by_wallet_type: {},
+    rework_wallets: 0,
+    rework_points: 0,
+    reversals: 0,
+    reversal_count: 0,
+    adjustments: 0,
+    carried_over: 0,
+    total: 0,
+  };
+}
+
+/**
+ * Per-sewer totals for the period containing `date` (shop date, default today)
+ *
+ * Awards are split into base points and customization bonus (from the wallet's
+ * points_breakdown) and by wallet type; rework_* covers wallets that failed QC at
+ * least once; reversals and manual adjustments are separate. carried_over is the
+ * part of the total that belongs to earlier, already closed periods.
+ *
+ * A closed period returns its locked report.
+ */
+export async function getPayPeriodReport(supabase, { date = getShopDate(), config = getPayPeriodConfig() } = {}) {
+  const closedPeriods = await listClosedPayPeriods(supabase, { withReports: true });
+  const period = getPayPeriod(date, config);
+
+  const closed = closedPeriods.find(closedPeriod => closedPeriod.start_date <= date && closedPeriod.end_date >= date);
+  if (closed) return closed.report;
+
+  return buildReport(supabase, period, closedPeriods, config);
+}
+
+async function buildReport(supabase, period, closedPeriods, config, { recordedBy = null } = {}) {
+  const entries = (await fetchPeriodEntries(supabase, period, { recordedBy }))
+    .map(entry => ({ ...entry, ...getEntryPeriodStart(entry, closedPeriods, config) }))
+    .filter(entry => entry.start === period.start && (entry.work_date >= period.start || entry.carried));
+
+  const lineItems = await fetchLineItems(supabase, entries.map(entry => entry.line_item_id));
+  const bySewer = new Map();
+
+  for (const entry of entries) {
+    if (!bySewer.has(entry.sewer_id)) bySewer.set(entry.sewer_id, emptySewerTotals(entry));
+    const totals = bySewer.get(entry.sewer_id);
+    const points = Number(entry.points);
+    const lineItem = lineItems.get(entry.line_item_id);
+
+    totals.sewer_name = entry.sewer_name || totals.sewer_name;
+    totals.total += points;
+    if (entry.carried) totals.carried_over += points;
+
+    if (entry.entry_type === 'award') {
+      const base = Math.min(points, Number(lineItem?.points_breakdown?.base ?? points));
+      const walletType = lineItem?.wallet_type || 'Unknown';
+
+      totals.wallets += entry.orders_completed;
+      totals.base_points += base;
+      totals.customization_bonus += points - base;
+      totals.by_wallet_type[walletType] = round((totals.by_wallet_type[walletType] || 0) + points);
+
+      if (lineItem?.rework_count > 0) {
+        totals.rework_wallets++;
+        totals.rework_points += points;
+      }
+    } else if (entry.entry_type === 'reversal') {
+      totals.reversals += points;
+      totals.reversal_count++;
+      totals.wallets += entry.orders_completed;
+    } else {
+      totals.adjustments += points;
+    }
+  }
+
+  const sewers = [...bySewer.values()]
+    .map(totals => ({
+      ...totals,
+      base_points: round(totals.base_points),
+      customization_bonus: round(totals.customization_bonus),
+      rework_points: round(totals.rework_points),
+      reversals: round(totals.reversals),
+      adjustments: round(totals.adjustments),
+      carried_over: round(totals.carried_over),
+      total: round(totals.total),
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    period: { type: period.type, start: period.start, end: period.end, timezone: SHOP_TIMEZONE },
+    locked: false,
+    generated_at: new Date().toISOString(),
+    sewers,
+    totals: {
+      wallets: sewers.reduce((sum, sewer) => sum + sewer.wallets, 0),
+      points: round(sewers.reduce((sum, sewer) => sum + sewer.total, 0)),
+    },
+  };
+}
+
+/**
+ * Close (lock) the period containing `date`
+ * The period has to be over in shop time. Returns the locked report.
+ */
+export async function closePayPeriod(supabase, { date, closedBy = null, config = getPayPeriodConfig() }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    throw new PayPeriodError('invalid_input', 'date must be YYYY-MM-DD');
+  }
+
+  const period = getPayPeriod(date, config);
+  if (period.end >= getShopDate()) {
+    throw new PayPeriodError('not_ended', `The ${period.start} to ${period.end} pay period hasn't ended yet`);
+  }
+
+  const closedPeriods = await listClosedPayPeriods(supabase, { withReports: false });
+  const overlapping = closedPeriods.find(closed => closed.start_date <= period.end && closed.end_date >= period.start);
+  if (overlapping) {
+    throw new PayPeriodError('already_closed', `${overlapping.start_date} to ${overlapping.end_date} is already closed`);
+  }
+
+  // Entries recorded from here on roll into the next period
+  const closedAt = new Date().toISOString();
+  const report = {
+    ...await buildReport(supabase, period, closedPeriods, config, { recordedBy: closedAt }),
+    locked: true,
+    closed_at: closedAt,
+    closed_by: closedBy,
+  };
+
+  const { error } = await supabase
+    .from('pay_periods')
+    .insert([{
+      period_type: period.type,
+      start_date: period.start,
+      end_date: period.end,
+      closed_at: closedAt,
+      closed_by: closedBy,
+      report,
+    }]);
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new PayPeriodError('already_closed', `${period.start} to ${period.end} is already closed`);
+    }
+    console.error('❌ Error closing pay period:', error);
+    throw error;
+  }
+
+  console.log(`🔒 Pay period ${period.start} to ${period.end} closed: ${report.totals.points} pts`);
+  return report;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A report as CSV: one row per sewer, one "points: <wallet type>" column per wallet type
+ */
+export function payPeriodReportToCsv(report) {
+  const walletTypes = [...new Set(report.sewers.flatMap(sewer => Object.keys(sewer.by_wallet_type)))].sort();
+  const columns = [
+    'period_start', 'period_end', 'sewer_id', 'sewer_name', 'wallets',
+    'base_points', 'customization_bonus', 'rework_wallets', 'rework_points',
+    'reversals', 'adjustments', 'carried_over', 'total',
+  ];
+
+  const header = [...columns, ...walletTypes.map(type => `points: ${type}`)];
+  const rows = report.sewers.map(sewer => [
+    report.period.start,
+    report.period.end,
+    ...columns.slice(2).map(column => sewer[column]),
+    ...walletTypes.map(type => sewer.by_wallet_type[type] || 0),
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,243 @@
+// src/lib/pointsRules.js
+// Customization-aware points: declarative rules (points_rules table) applied on top
+// of a wallet type's catalog points, driven by extractWalletAttributes output
+
+import { invalidateWalletCatalog } from './walletCatalog.js';
+
+export { getPointsRules } from './walletCatalog.js';
+
+const MODIFIERS = ['add', 'multiply'];
+
+/**
+ * Whether an attribute value satisfies a rule
+ * No match_value: any truthy value (true, non-empty text, non-empty list).
+ * Otherwise a case-insensitive match against one value or a list of values.
+ */
+export function attributeMatches(value, matchValue) {
+  if (matchValue === null || matchValue === undefined) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return Boolean(value);
+  }
+
+  if (value === null || value === undefined) return false;
+
+  const expected = (Array.isArray(matchValue) ? matchValue : [matchValue])
+    .map(option => String(option).trim().toLowerCase());
+  return expected.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Points are kept to two decimals (multipliers produce fractions)
+ */
+export function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+/**
+ * Apply points rules to a wallet's base points
+ * Additive rules are summed first, then multiplicative rules scale the result:
+ *   total = (base + Σ add) × Π multiply
+ *
+ * Returns the breakdown stored on the line item:
+ *   { base, rules: [{ id, name, attribute, modifier, amount, points }], total }
+ * where each rule's `points` is what it contributed.
+ */
+export function calculatePoints(basePoints, walletType, attributes, rules) {
+  const base = Number(basePoints) || 0;
+  const breakdown = { base, rules: [], total: base };
+
+  if (!attributes) return breakdown;
+
+  const applicable = (rules || [])
+    .filter(rule => rule.active !== false)
+    .filter(rule => !rule.wallet_type || rule.wallet_type === walletType)
+    .filter(rule => attributeMatches(attributes[rule.attribute], rule.match_value))
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  let total = base;
+
+  for (const rule of applicable.filter(rule => rule.modifier === 'add')) {
+    const amount = Number(rule.amount);
+    total += amount;
+    breakdown.rules.push({ id: rule.id, name: rule.name, attribute: rule.attribute, modifier: 'add', amount, points: amount });
+  }
+
+  for (const rule of applicable.filter(rule => rule.modifier === 'multiply')) {
+    const amount = Number(rule.amount);
+    const before = total;
+    total *= amount;
+    breakdown.rules.push({ id: rule.id, name: rule.name, attribute: rule.attribute, modifier: 'multiply', amount, points: roundPoints(total - before) });
+  }
+
+  breakdown.total = Math.max(0, roundPoints(total));
+  return breakdown;
+}
+
+/**
+ * Human-readable lines for a stored breakdown, e.g. ["Base 6", "+1 Monogram", "×1.25 Custom logo"]
+ */
+export function describePointsBreakdown(breakdown) {
+  if (!breakdown) return [];
+
+  return [
+    `Base ${breakdown.base}`,
+    ...breakdown.rules.map(rule => rule.modifier === 'multiply'
+      ? `×${rule.amount} ${rule.name}`
+      : `${rule.amount >= 0 ? '+' : ''}${rule.amount} ${rule.name}`),
+  ];
+}
+
+/**
+ * ADMIN: rule maintenance
+ */
+
+const EDITABLE_FIELDS = ['name', 'wallet_type', 'attribute', 'match_value', 'modifier', 'amount', 'priority'];
+
+/**
+ * Validate and normalize a rule (or a partial patch when `partial` is set)
+ * Returns { rule, errors }
+ */
+export function validatePointsRule(input, { partial = false } = {}) {
+  const errors = [];
+  const rule = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) rule[field] = input[field];
+  }
+
+  if (!partial || rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('name is required');
+    } else {
+      rule.name = rule.name.trim();
+    }
+  }
+
+  if (!partial || rule.attribute !== undefined) {
+    if (typeof rule.attribute !== 'string' || !rule.attribute.trim()) {
+      errors.push('attribute is required (a wallet_attributes field, e.g. has_monogram)');
+    } else {
+      rule.attribute = rule.attribute.trim();
+    }
+  }
+
+  if (!partial || rule.modifier !== undefined) {
+    if (!MODIFIERS.includes(rule.modifier)) {
+      errors.push(`modifier must be one of: ${MODIFIERS.join(', ')}`);
+    }
+  }
+
+  if (!partial || rule.amount !== undefined) {
+    const amount = Number(rule.amount);
+    if (rule.amount === null || rule.amount === '' || Number.isNaN(amount)) {
+      errors.push('amount must be a number');
+    } else if (rule.modifier === 'multiply' && amount < 0) {
+      errors.push('multiply amount must be >= 0');
+    } else {
+      rule.amount = amount;
+    }
+  }
+
+  if (rule.priority !== undefined) {
+    const priority = parseInt(rule.priority, 10);
+    if (Number.isNaN(priority)) {
+      errors.push('priority must be an integer');
+    } else {
+      rule.priority = priority;
+    }
+  }
+
+  if (rule.wallet_type !== undefined) {
+    rule.wallet_type = typeof rule.wallet_type === 'string' && rule.wallet_type.trim()
+      ? rule.wallet_type.trim()
+      : null;
+  }
+
+  return { rule, errors };
+}
+
+/**
+ * List rules (active only unless includeInactive)
+ */
+export async function listPointsRules(supabase, { includeInactive = false } = {}) {
+  let query = supabase
+    .from('points_rules')
+    .select('*');
+
+  if (!includeInactive) {
+    query = query.eq('active', true);
+  }
+
+  const { data, error } = await query.order('priority', { ascending: true }).order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing points rules:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a rule
+ */
+export async function createPointsRule(supabase, rule) {
+  const { data, error } = await supabase
+    .from('points_rules')
+    .insert([{ ...rule, active: true }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating points rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Points rule created: ${data.name}`);
+  return data;
+}
+
+/**
+ * Edit a rule
+ * Only affects wallets ingested (or re-mapped) afterwards - stored breakdowns are kept.
+ */
+export async function updatePointsRule(supabase, id, patch) {
+  const { data, error } = await supabase
+    .from('points_rules')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error updating points rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Points rule updated: ${data.name}`);
+  return data;
+}
+
+/**
+ * Switch a rule off (kept so stored breakdowns still reference it)
+ */
+export async function deactivatePointsRule(supabase, id) {
+  const { data, error } = await supabase
+    .from('points_rules')
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error deactivating points rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Points rule deactivated: ${data.name}`);
+  return data;
+}
@@ -0,0 +1,156 @@
+// src/lib/priority.js
+// Rush/priority detection for the work queue
+// A score is computed at ingest from the Shopify order (tags, shipping lines, note
+// attributes); order age is added when the queue is read so waiting orders rise.
+// Supervisors can override the computed score.
+
+/**
+ * Order tags that move an order up (case-insensitive, whole tag)
+ */
+const TAG_SIGNALS = [
+  { tags: ['rush', 'rush order'], points: 50, reason: 'rush tag' },
+  { tags: ['priority', 'expedite', 'expedited'], points: 40, reason: 'priority tag' },
+  { tags: ['vip'], points: 10, reason: 'VIP customer' },
+];
+
+/**
+ * Shipping line titles that mean the customer paid to get it sooner
+ */
+const SHIPPING_SIGNALS = [
+  { pattern: /overnight|next[ -]day/i, points: 50, reason: 'overnight shipping' },
+  { pattern: /express|expedited|priority|2[ -]day|two[ -]day/i, points: 30, reason: 'expedited shipping' },
+];
+
+/**
+ * Note attributes (cart attributes) that ask for speed
+ */
+const NOTE_SIGNALS = [
+  { pattern: /rush|urgent|asap/i, points: 30, reason: 'rush requested in order notes' },
+  { pattern: /need(ed)? by|deadline|event date/i, points: 20, reason: 'needed-by date in order notes' },
+];
+
+/**
+ * Age bonus, added at read time
+ */
+const AGE_POINTS_PER_DAY = 2;
+const MAX_AGE_POINTS = 30;
+
+/**
+ * Priority from a Shopify order payload
+ * Returns { score, reasons } - reasons are short human-readable strings
+ */
+export function computePriority(shopifyOrder) {
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const tags = (shopifyOrder.tags || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+  for (const signal of TAG_SIGNALS) {
+    if (signal.tags.some(tag => tags.includes(tag))) add(signal.points, signal.reason);
+  }
+
+  // Strongest shipping signal only - "Priority Overnight" is one upgrade, not two
+  const shippingTitles = (shopifyOrder.shipping_lines || []).map(line => `${line.title || ''} ${line.code || ''}`);
+  const shippingSignal = SHIPPING_SIGNALS.find(signal => shippingTitles.some(title => signal.pattern.test(title)));
+  if (shippingSignal) add(shippingSignal.points, shippingSignal.reason);
+
+  const notes = [
+    ...(shopifyOrder.note_attributes || []).map(attr => `${attr.name}: ${attr.value}`),
+    shopifyOrder.note || '',
+  ];
+  for (const signal of NOTE_SIGNALS) {
+    if (notes.some(note => signal.pattern.test(note))) add(signal.points, signal.reason);
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Age bonus for an order created at `createdAt`
+ */
+function getAgePoints(createdAt, now) {
+  if (!createdAt) return 0;
+  const days = Math.floor((now - new Date(createdAt).getTime()) / (24 * 60 * 60 * 1000));
+  return Math.min(MAX_AGE_POINTS, Math.max(0, days) * AGE_POINTS_PER_DAY);
+}
+
+/**
+ * Effective priority for an order row (as stored by ingest)
+ * A supervisor override replaces everything else, including the age bonus.
+ * Returns { score, reason, overridden }
+ */
+export function getOrderPriority(order, now = Date.now()) {
+  if (order.priority_override !== null && order.priority_override !== undefined) {
+    return {
+      score: order.priority_override,
+      reason: `set by ${order.priority_override_by || 'supervisor'}${order.priority_override_reason ? `: ${order.priority_override_reason}` : ''}`,
+      overridden: true,
+    };
+  }
+
+  const createdAt = order.shopify_metadata?.created_at || order.created_at;
+  const agePoints = getAgePoints(createdAt, now);
+  const reasons = [...(order.priority_reasons || [])];
+  if (agePoints > 0) {
+    const days = Math.round(agePoints / AGE_POINTS_PER_DAY);
+    reasons.push(`waiting ${days} day${days === 1 ? '' : 's'}${agePoints === MAX_AGE_POINTS ? '+' : ''}`);
+  }
+
+  return {
+    score: (order.priority_score || 0) + agePoints,
+    reason: reasons.join(', ') || 'standard',
+    overridden: false,
+  };
+}
+
+/**
+ * Sort wallet rows (joined with their order) by priority, highest first, then oldest first
+ * Adds `priority: { score, reason, overridden }` to each row.
+ */
+export function sortByPriority(rows, now = Date.now()) {
+  return rows
+    .map(row => ({ ...row, priority: getOrderPriority(row.orders || {}, now) }))
+    .sort((a, b) =>
+      b.priority.score - a.priority.score ||
+      new Date(a.orders?.shopify_metadata?.created_at || a.created_at) - new Date(b.orders?.shopify_metadata?.created_at || b.created_at) ||
+      new Date(a.created_at) - new Date(b.created_at) ||
+      (a.unit_index || 0) - (b.unit_index || 0)
+    );
+}
+
+/**
+ * Set or clear (score null) a supervisor's priority override on an order
+ */
+export async function setPriorityOverride(supabase, orderId, { score, reason = null, setBy = null }) {
+  const cleared = score === null || score === undefined;
+  if (!cleared && Number.isNaN(parseInt(score, 10))) {
+    throw new Error('score must be an integer or null');
+  }
+
+  const { data, error } = await supabase
+    .from('orders')
+    .update({
+      priority_override: cleared ? null : parseInt(score, 10),
+      priority_override_reason: cleared ? null : reason,
+      priority_override_by: cleared ? null : setBy,
+      priority_override_at: cleared ? null : new Date().toISOString(),
+    })
+    .eq('id', orderId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error setting priority override:', error);
+    throw error;
+  }
+
+  console.log(`⚡ Order ${data.order_number} priority ${cleared ? 'override cleared' : `set to ${data.priority_override}`}`);
+  return data;
+}
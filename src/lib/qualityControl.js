@@ -0,0 +1,245 @@
+// src/lib/qualityControl.js
+// Quality control: a sewer's finished wallet waits in 'qc' until an inspector passes it
+// (completed, points credited to the sewer) or rejects it with defect codes (rework,
+// back with the same sewer). Every inspection is kept in qc_inspections for defect rates.
+//
+// Like lineItemOperations.js these only touch the database; callers queue the Shopify
+// status sync and fulfilment themselves.
+
+import { SHOP_TIMEZONE } from './shopTime.js';
+import { notifySewer } from './notifications.js';
+import { getDefectCodes } from './walletCatalog.js';
+import { LineItemOperationError } from './lineItemOperations.js';
+
+async function fetchQcLineItem(supabase, lineItemId, inspector) {
+  const { data: lineItem, error } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('id', lineItemId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching line item:', error);
+    throw error;
+  }
+
+  if (!lineItem) throw new LineItemOperationError('not_found', `Line item ${lineItemId} not found`);
+
+  if (lineItem.status !== 'qc') {
+    throw new LineItemOperationError('invalid_state', `${lineItem.product_name} isn't waiting for QC (it is ${lineItem.status.replace('_', ' ')})`);
+  }
+
+  // Nobody signs off their own stitching
+  if (inspector?.id && String(inspector.id) === String(lineItem.claimed_by)) {
+    throw new LineItemOperationError('not_owner', `${lineItem.product_name} has to be inspected by someone other than its sewer`);
+  }
+
+  return lineItem;
+}
+
+function normalizeEvidence({ notes = null, photoUrls = [] }) {
+  if (notes !== null && typeof notes !== 'string') {
+    throw new LineItemOperationError('invalid_input', 'notes must be text');
+  }
+  if (!Array.isArray(photoUrls) || photoUrls.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+    throw new LineItemOperationError('invalid_input', 'photoUrls must be a list of http(s) URLs');
+  }
+  return { notes: notes?.trim() || null, photoUrls };
+}
+
+function conflictError(lineItem) {
+  return new LineItemOperationError('conflict', `${lineItem.product_name} changed while it was being inspected - reload and try again`);
+}
+
+/**
+ * Wallets waiting for inspection, longest-waiting first
+ */
+export async function listQcQueue(supabase) {
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('*, orders!inner (order_number, ship_by_date)')
+    .eq('status', 'qc')
+    .order('status_changed_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching QC queue:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Pass a wallet: it is completed and its points are awarded to the sewer
+ * inspector: { id, name }
+ */
+export async function passInspection(supabase, lineItemId, { inspector, notes = null, photoUrls = [] }) {
+  const evidence = normalizeEvidence({ notes, photoUrls });
+  const lineItem = await fetchQcLineItem(supabase, lineItemId, inspector);
+
+  // Completed, inspected and credited in one transaction (pass_qc_inspection), the points
+  // booked on the day the sewer finished it, not the day it was inspected
+  const { data, error } = await supabase.rpc('pass_qc_inspection', {
+    p_line_item_id: lineItem.id,
+    p_inspector_id: inspector?.id ? String(inspector.id) : null,
+    p_inspector_name: inspector?.name || null,
+    p_notes: evidence.notes,
+    p_photo_urls: evidence.photoUrls,
+    p_timezone: SHOP_TIMEZONE,
+  });
+
+  if (error) {
+    console.error('❌ Error passing inspection:', error);
+    throw error;
+  }
+
+  if (!data) throw conflictError(lineItem);
+
+  const { line_item: updated, inspection } = data;
+  const pointsAwarded = Number(inspection.points_awarded);
+
+  await notifySewer(supabase, updated, {
+    type: 'qc_passed',
+    message: `${lineItem.product_name} passed QC - ${pointsAwarded} pts`,
+  });
+
+  console.log(`✅ QC passed: ${lineItem.product_name} (${lineItem.claimed_by_name}) - ${pointsAwarded} pts`);
+  return { lineItem: updated, inspection };
+}
+
+/**
+ * Reject a wallet: it goes back to its sewer as rework, no points
+ * defectCodes: at least one active code from qc_defect_codes ('other' needs notes)
+ */
+export async function rejectInspection(supabase, lineItemId, { inspector, defectCodes = [], notes = null, photoUrls = [] }) {
+  const evidence = normalizeEvidence({ notes, photoUrls });
+
+  if (!Array.isArray(defectCodes) || defectCodes.length === 0) {
+    throw new LineItemOperationError('invalid_input', 'At least one defect code is required to reject a wallet');
+  }
+
+  const known = new Set((await getDefectCodes(supabase)).map(defect => defect.code));
+  const unknown = defectCodes.filter(code => !known.has(code));
+  if (unknown.length > 0) {
+    throw new LineItemOperationError('invalid_input', `Unknown defect code${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+  if (defectCodes.includes('other') && !evidence.notes) {
+    throw new LineItemOperationError('invalid_input', "Describe the defect in the notes when using 'other'");
+  }
+
+  const lineItem = await fetchQcLineItem(supabase, lineItemId, inspector);
+  const codes = [...new Set(defectCodes)];
+
+  // Sent back and inspected in one transaction (reject_qc_inspection), so every rework has
+  // its inspection on record
+  const { data, error } = await supabase.rpc('reject_qc_inspection', {
+    p_line_item_id: lineItem.id,
+    p_inspector_id: inspector?.id ? String(inspector.id) : null,
+    p_inspector_name: inspector?.name || null,
+    p_defect_codes: codes,
+    p_notes: evidence.notes,
+    p_photo_urls: evidence.photoUrls,
+  });
+
+  if (error) {
+    console.error('❌ Error rejecting inspection:', error);
+    throw error;
+  }
+
+  if (!data) throw conflictError(lineItem);
+
+  const { line_item: updated, inspection } = data;
+
+  await notifySewer(supabase, updated, {
+    type: 'qc_rejected',
+    message: `${lineItem.product_name} failed QC (${codes.join(', ')})${evidence.notes ? `: ${evidence.notes}` : ''}. It's back with you for rework.`,
+  });
+
+  console.log(`🔁 QC rejected: ${lineItem.product_name} (${lineItem.claimed_by_name}) - ${codes.join(', ')}`);
+  return { lineItem: updated, inspection };
+}
+
+/**
+ * Inspections of a line item, oldest first
+ */
+export async function listInspections(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('qc_inspections')
+    .select('*')
+    .eq('line_item_id', lineItemId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching inspections:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Defect rates per sewer for inspections in [from, to) (ISO timestamps, both optional)
+ *
+ * defect_rate:      rejected / inspections
+ * first_pass_yield: wallets passed on their first inspection / wallets first inspected
+ * defects:          { code: count }
+ *
+ * Sorted by defect rate, worst first.
+ */
+export async function getDefectRates(supabase, { from = null, to = null, sewerId = null } = {}) {
+  let query = supabase
+    .from('qc_inspections')
+    .select('sewer_id, sewer_name, result, attempt, defect_codes');
+
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lt('created_at', to);
+  if (sewerId) query = query.eq('sewer_id', sewerId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ Error fetching inspections:', error);
+    throw error;
+  }
+
+  const bySewer = new Map();
+  for (const inspection of data) {
+    const key = inspection.sewer_id || 'unknown';
+    if (!bySewer.has(key)) {
+      bySewer.set(key, {
+        sewer_id: inspection.sewer_id,
+        sewer_name: inspection.sewer_name,
+        inspections: 0,
+        passed: 0,
+        rejected: 0,
+        first_inspections: 0,
+        first_pass: 0,
+        defects: {},
+      });
+    }
+
+    const stats = bySewer.get(key);
+    stats.inspections++;
+    if (inspection.result === 'pass') stats.passed++;
+    else stats.rejected++;
+
+    if (inspection.attempt === 1) {
+      stats.first_inspections++;
+      if (inspection.result === 'pass') stats.first_pass++;
+    }
+
+    for (const code of inspection.defect_codes || []) {
+      stats.defects[code] = (stats.defects[code] || 0) + 1;
+    }
+  }
+
+  const ratio = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+
+  return [...bySewer.values()]
+    .map(stats => ({
+      ...stats,
+      defect_rate: ratio(stats.rejected, stats.inspections),
+      first_pass_yield: ratio(stats.first_pass, stats.first_inspections),
+    }))
+    .sort((a, b) => (b.defect_rate ?? 0) - (a.defect_rate ?? 0));
+}
@@ -2,13 +2,29 @@
 // Real-time subscriptions for processing line items and handling claims
 
 import { createClient } from '@supabase/supabase-js';
-import { processLineItem, processOrderLineItems } from './walletMapping.js';
+import { processLineItem, processOrderLineItems, getUnitLabel } from './walletMapping.js';
+import { sortByPriority } from './priority.js';
+import { ClaimRejectedError } from './claimPolicy.js';
+import {
+  transitionLineItem,
+  LineItemStatusError,
+  IllegalTransitionError,
+} from './lineItemStatus.js';
+import { listQcQueue } from './qualityControl.js';
+import { getWorkSessions } from './workSessions.js';
 
 const supabase = createClient(
   process.env.REACT_APP_SUPABASE_URL,
   process.env.REACT_APP_SUPABASE_ANON_KEY
 );
 
+// Server routes that talk to Shopify (they hold the Admin API token)
+const STATUS_SYNC_API_URL = process.env.REACT_APP_STATUS_SYNC_API_URL || '/api/orders/sync-status';
+const STATS_API_URL = process.env.REACT_APP_STATS_API_URL || '/api/stats';
+// Claims (checked against the claim policy) and releases (audit log) are written server-side
+const CLAIM_API_URL = process.env.REACT_APP_CLAIM_API_URL || '/api/line-items/claim';
+const RELEASE_API_URL = process.env.REACT_APP_RELEASE_API_URL || '/api/line-items/release';
+
 /**
  * Subscribe to new line items and auto-assign wallet types
  */
@@ -114,172 +130,273 @@ export function subscribeToOrders(onUpdate) {
  * CLAIMING FUNCTIONS
  */
 
+/**
+ * Claim through the server, which checks the sewer's claim policy and writes the claim
+ * in one go. Returns { success: true, data, walletUnits, points, partial, reason }, or
+ * { success: false, error, code, reason }
+ */
+async function requestClaim(target, sewerId, sewerName) {
+  let response;
+  let result;
+  try {
+    response = await fetch(CLAIM_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...target, sewerId, sewerName })
+    });
+    result = await response.json();
+  } catch (fetchError) {
+    console.error('❌ Error claiming:', fetchError);
+    return { success: false, error: fetchError };
+  }
+
+  if (response.status === 409) {
+    return rejectClaim(new ClaimRejectedError(result.code, result.error, result.details));
+  }
+  if (!response.ok) {
+    console.error('❌ Error claiming:', result.error);
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    data: result.lineItems,
+    walletUnits: result.walletUnits,
+    points: result.points,
+    partial: result.partial,
+    reason: result.reason,
+  };
+}
+
+/**
+ * Result for a claim that isn't allowed: { success: false, error, code, reason }
+ * `reason` is meant to be shown to the sewer as is.
+ */
+function rejectClaim(rejection) {
+  console.warn('⚠️ Claim rejected:', rejection.message);
+  return { success: false, error: rejection, code: rejection.code, reason: rejection.message };
+}
+
 /**
  * Claim a single wallet (line item)
+ * Rejected with a reason when it's already taken or the sewer's claim policy doesn't allow it.
  */
 export async function claimWallet(lineItemId, sewerId, sewerName) {
-  const { data, error } = await supabase
-    .from('order_line_items')
-    .update({
-      status: 'claimed',
-      claimed_by: sewerId,
-      claimed_by_name: sewerName,
-      claimed_at: new Date().toISOString()
-    })
-    .eq('id', lineItemId)
-    .eq('status', 'pending') // Only claim if pending
-    .select()
-    .single();
+  const result = await requestClaim({ lineItemId }, sewerId, sewerName);
+  if (!result.success) return result;
 
-  if (error) {
-    console.error('❌ Error claiming wallet:', error);
-    return { success: false, error };
-  }
+  const data = result.data[0];
+  const unitLabel = getUnitLabel(data);
+  console.log('✅ Wallet claimed:', data.product_name, unitLabel ? `(${unitLabel})` : '');
 
-  console.log('✅ Wallet claimed:', data.product_name);
   return { success: true, data };
 }
 
 /**
  * Claim ALL wallets in an order
+ * Every pending unit is claimed, up to what the sewer's claim policy allows (e.g. their
+ * fair share of a big order). The result reports wallet units and points claimed; when
+ * some were left for others, `partial` is set and `reason` says why.
  */
 export async function claimEntireOrder(orderId, sewerId, sewerName) {
-  const { data, error } = await supabase
-    .from('order_line_items')
-    .update({
-      status: 'claimed',
-      claimed_by: sewerId,
-      claimed_by_name: sewerName,
-      claimed_at: new Date().toISOString()
-    })
-    .eq('order_id', orderId)
-    .eq('status', 'pending') // Only claim pending ones
-    .select();
+  const result = await requestClaim({ orderId }, sewerId, sewerName);
+  if (!result.success) return result;
 
-  if (error) {
-    console.error('❌ Error claiming order:', error);
-    return { success: false, error };
-  }
-
-  console.log(`✅ Claimed ${data.length} wallets from order`);
-  return { success: true, data };
+  console.log(`✅ Claimed ${result.walletUnits} wallet units (${result.points} pts) from order${result.partial ? ` - ${result.reason}` : ''}`);
+  return result;
 }
 
 /**
  * Claim multiple specific wallets from an order
+ * All or nothing against the claim policy; wallets already taken by someone else are skipped.
  */
 export async function claimPartialOrder(lineItemIds, sewerId, sewerName) {
-  const { data, error } = await supabase
-    .from('order_line_items')
-    .update({
-      status: 'claimed',
-      claimed_by: sewerId,
-      claimed_by_name: sewerName,
-      claimed_at: new Date().toISOString()
-    })
-    .in('id', lineItemIds)
-    .eq('status', 'pending')
-    .select();
+  const result = await requestClaim({ lineItemIds }, sewerId, sewerName);
+  if (!result.success) return result;
 
-  if (error) {
-    console.error('❌ Error claiming wallets:', error);
-    return { success: false, error };
-  }
+  const { data, walletUnits, points } = result;
+  console.log(`✅ Claimed ${walletUnits} wallet units (${points} pts)`);
+  return { success: true, data, walletUnits, points };
+}
 
-  console.log(`✅ Claimed ${data.length} wallets`);
-  return { success: true, data };
+/**
+ * Result for a status change the state machine refused: { success: false, error, code, reason }
+ */
+function statusFailure(error, action) {
+  if (error instanceof LineItemStatusError) {
+    console.warn(`⚠️ Could not ${action}:`, error.message);
+    return { success: false, error, code: error.code, reason: error.message };
+  }
+  console.error(`❌ Error trying to ${action}:`, error);
+  return { success: false, error };
 }
 
 /**
- * Mark a wallet as in progress
+ * Read a line item and move it from one of `from` to `to`, acting as the sewer who holds it
+ * (the state machine allows more; a sewer's own buttons only cover these)
  */
-export async function startWorkOnWallet(lineItemId) {
-  const { data, error } = await supabase
+async function transitionWallet(lineItemId, from, to) {
+  const { data: lineItem, error } = await supabase
     .from('order_line_items')
-    .update({
-      status: 'in_progress'
-    })
+    .select('*')
     .eq('id', lineItemId)
-    .eq('status', 'claimed')
-    .select()
     .single();
 
-  if (error) {
-    console.error('❌ Error starting work:', error);
-    return { success: false, error };
+  if (error) throw error;
+  if (!from.includes(lineItem.status)) throw new IllegalTransitionError(lineItem.status, to, lineItem.id);
+
+  return transitionLineItem(supabase, lineItem, to, {
+    actor: { id: lineItem.claimed_by, name: lineItem.claimed_by_name, role: 'sewer' },
+  });
+}
+
+/**
+ * Mark a wallet as in progress (first start, or starting on rework after QC).
+ * Each stretch in progress is a work session (workSessions.js).
+ */
+export async function startWorkOnWallet(lineItemId) {
+  let data;
+  try {
+    data = await transitionWallet(lineItemId, ['claimed', 'rework'], 'in_progress');
+  } catch (error) {
+    return statusFailure(error, 'start work');
   }
 
+  await requestStatusSync([data.order_id]);
   return { success: true, data };
 }
 
 /**
- * Complete a wallet
+ * Stop the clock on a wallet in progress (end of shift, break...)
  */
-export async function completeWallet(lineItemId) {
-  const { data, error } = await supabase
-    .from('order_line_items')
-    .update({
-      status: 'completed',
-      completed_at: new Date().toISOString()
-    })
-    .eq('id', lineItemId)
-    .in('status', ['claimed', 'in_progress'])
-    .select()
-    .single();
+export async function pauseWallet(lineItemId) {
+  let data;
+  try {
+    data = await transitionWallet(lineItemId, ['in_progress'], 'paused');
+  } catch (error) {
+    return statusFailure(error, 'pause work');
+  }
 
-  if (error) {
-    console.error('❌ Error completing wallet:', error);
-    return { success: false, error };
+  return { success: true, data };
+}
+
+/**
+ * Pick a paused wallet back up (starts a new work session)
+ */
+export async function resumeWallet(lineItemId) {
+  let data;
+  try {
+    data = await transitionWallet(lineItemId, ['paused'], 'in_progress');
+  } catch (error) {
+    return statusFailure(error, 'resume work');
   }
 
-  // Update daily points for the sewer
-  if (data.claimed_by && data.points > 0) {
-    await updateDailyPoints(data.claimed_by, data.claimed_by_name, data.points);
+  return { success: true, data };
+}
+
+/**
+ * A wallet's work sessions and labour time so far: { sessions, labour_minutes, running }
+ */
+export async function getWalletLabour(lineItemId) {
+  try {
+    return await getWorkSessions(supabase, lineItemId);
+  } catch (error) {
+    console.error('❌ Error fetching wallet labour:', error);
+    return null;
+  }
+}
+
+/**
+ * A sewer finishes a wallet: it goes to QC, and its points are credited when it passes
+ */
+export async function completeWallet(lineItemId) {
+  let data;
+  try {
+    data = await transitionWallet(lineItemId, ['claimed', 'in_progress', 'rework'], 'qc');
+  } catch (error) {
+    return statusFailure(error, 'complete wallet');
   }
 
-  console.log('✅ Wallet completed:', data.product_name);
+  const unitLabel = getUnitLabel(data);
+  console.log(`🔍 Wallet ready for QC: ${data.product_name}${unitLabel ? ` (${unitLabel})` : ''}`);
+
+  await requestStatusSync([data.order_id]);
   return { success: true, data };
 }
 
 /**
- * Update daily points for a sewer
+ * QUALITY CONTROL
+ * Inspectors pass and reject wallets through /api/admin/qc (qualityControl.js), which
+ * completes them, credits points and fulfils finished orders server-side.
  */
-async function updateDailyPoints(sewerId, sewerName, points) {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
-  // Try to get existing record for today
-  const { data: existing } = await supabase
-    .from('daily_points')
-    .select('*')
-    .eq('sewer_id', sewerId)
-    .eq('date', today)
-    .single();
+/**
+ * Wallets waiting for inspection, longest-waiting first
+ */
+export async function getQcQueue() {
+  try {
+    return await listQcQueue(supabase);
+  } catch (error) {
+    return [];
+  }
+}
 
-  if (existing) {
-    // Update existing record
-    await supabase
-      .from('daily_points')
-      .update({
-        points: existing.points + points,
-        orders_completed: existing.orders_completed + 1
-      })
-      .eq('id', existing.id);
-  } else {
-    // Create new record
-    await supabase
-      .from('daily_points')
-      .insert({
-        sewer_id: sewerId,
-        sewer_name: sewerName,
-        date: today,
-        points: points,
-        orders_completed: 1
-      });
+/**
+ * CORRECTIONS
+ * Written to the audit log server-side. Supervisors release, reassign, revert and force
+ * status through /api/admin/line-items; the dashboard only has a sewer's own release.
+ */
+
+/**
+ * A sewer gives back a wallet they claimed (wrong wallet, going home sick...)
+ * Returns { success: true, data } or { success: false, error, code, reason }
+ */
+export async function releaseWallet(lineItemId, sewerId, sewerName, reason = null) {
+  try {
+    const response = await fetch(RELEASE_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lineItemId, sewerId, sewerName, reason })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      console.warn('⚠️ Not done:', result.error);
+      return { success: false, error: result.error, code: result.code || null, reason: result.error };
+    }
+
+    return { success: true, data: result.lineItem };
+  } catch (fetchError) {
+    console.error('❌ Error releasing wallet:', fetchError);
+    return { success: false, error: fetchError };
   }
 }
 
 /**
- * Get all available wallets (unclaimed)
+ * Ask the server to show the orders' production status in Shopify
+ * Writes are debounced and batched server-side; never throws.
+ */
+async function requestStatusSync(orderIds) {
+  const ids = [...new Set(orderIds.filter(Boolean))];
+  if (ids.length === 0) return;
+
+  try {
+    const response = await fetch(STATUS_SYNC_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderIds: ids })
+    });
+
+    if (!response.ok) {
+      console.error('❌ Could not queue Shopify status sync:', response.status);
+    }
+  } catch (fetchError) {
+    console.error('❌ Error queueing Shopify status sync:', fetchError);
+  }
+}
+
+/**
+ * Get all available wallets (unclaimed), highest priority first
  */
 export async function getAvailableWallets() {
   const { data, error } = await supabase
@@ -288,18 +405,27 @@ export async function getAvailableWallets() {
       *,
       orders!inner (
         order_number,
-        shopify_metadata
+        shopify_metadata,
+        created_at,
+        priority_score,
+        priority_reasons,
+        priority_override,
+        priority_override_reason,
+        priority_override_by
       )
     `)
     .eq('status', 'pending')
-    .order('created_at', { ascending: false });
+    .order('created_at', { ascending: true })
+    .order('unit_index', { ascending: true });
 
   if (error) {
     console.error('❌ Error fetching available wallets:', error);
     return [];
   }
 
-  return data;
+  // Highest priority first (age bonus included), then first in, first out.
+  // Each row gets priority: { score, reason, overridden } for display.
+  return sortByPriority(data);
 }
 
 /**
@@ -310,7 +436,8 @@ export async function getOrderWallets(orderId) {
     .from('order_line_items')
     .select('*')
     .eq('order_id', orderId)
-    .order('created_at', { ascending: true });
+    .order('created_at', { ascending: true })
+    .order('unit_index', { ascending: true });
 
   if (error) {
     console.error('❌ Error fetching order wallets:', error);
@@ -350,3 +477,68 @@ export async function getSewerWallets(sewerId, status = null) {
 
   return data;
 }
+
+/**
+ * STATS (analytics.js, served by /api/stats/*)
+ * Options are from/to (YYYY-MM-DD shop days, default the last 30 days) plus the
+ * route's filters. Both return null on failure.
+ */
+
+async function fetchStats(path, options) {
+  const params = new URLSearchParams(Object.entries(options).filter(([, value]) => value !== null && value !== undefined));
+
+  try {
+    const response = await fetch(`${STATS_API_URL}/${path}?${params}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+      console.error(`❌ Could not load ${path} stats:`, result.error);
+      return null;
+    }
+    return result;
+  } catch (fetchError) {
+    console.error(`❌ Error loading ${path} stats:`, fetchError);
+    return null;
+  }
+}
+
+/**
+ * Sewers ranked by metric: 'points', 'completions' or 'points_per_hour'
+ */
+export async function getLeaderboard({ from, to, metric = 'points', limit } = {}) {
+  return fetchStats('leaderboard', { from, to, metric, limit });
+}
+
+/**
+ * Completions, cycle times and points per hour - overall, per sewer, per wallet type, with a trend
+ */
+export async function getProductionStats({ from, to, sewerId, walletType, interval = 'day' } = {}) {
+  return fetchStats('production', { from, to, sewerId, walletType, interval });
+}
+
+/**
+ * Subscribe to a sewer's notifications (e.g. a claimed wallet's order was cancelled)
+ */
+export function subscribeToSewerNotifications(sewerId, onNotification) {
+  const channel = supabase
+    .channel(`sewer-notifications-${sewerId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'sewer_notifications',
+        filter: `sewer_id=eq.${sewerId}`
+      },
+      (payload) => {
+        console.log('🔔 Notification:', payload.new.message);
+
+        if (onNotification) {
+          onNotification(payload.new);
+        }
+      }
+    )
+    .subscribe();
+
+  return channel;
+}
@@ -0,0 +1,69 @@
+// src/lib/shopTime.js
+// Calendar days in the shop's timezone, and business-day arithmetic on them
+// Dates are plain 'YYYY-MM-DD' strings so they compare and store (as `date`) without timezone drift.
+
+export const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || 'America/Chicago';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The shop's calendar date for an instant, e.g. 2026-10-19T03:00:00Z -> '2026-10-18' in Chicago
+ */
+export function getShopDate(instant = new Date(), timeZone = SHOP_TIMEZONE) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(instant));
+}
+
+function toUtcDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Calendar date `days` after `date`
+ */
+export function addDays(date, days) {
+  return new Date(toUtcDate(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday to Friday and not a shop holiday
+ */
+export function isBusinessDay(date, holidays = []) {
+  const weekday = toUtcDate(date).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.includes(date);
+}
+
+/**
+ * The date `days` business days after `date` (weekends and holidays don't count)
+ */
+export function addBusinessDays(date, days, holidays = []) {
+  let current = date;
+  let remaining = days;
+  while (remaining > 0) {
+    current = addDays(current, 1);
+    if (isBusinessDay(current, holidays)) remaining--;
+  }
+  return current;
+}
+
+/**
+ * Business days from `from` to `to`: 0 on the same day, 1 if `to` is the next
+ * business day, negative when `to` has passed
+ */
+export function businessDaysBetween(from, to, holidays = []) {
+  if (from === to) return 0;
+
+  const forward = from < to;
+  let current = from;
+  let count = 0;
+  while (current !== to) {
+    current = addDays(current, forward ? 1 : -1);
+    if (isBusinessDay(forward ? current : addDays(current, 1), holidays)) count++;
+  }
+  return forward ? count : -count;
+}
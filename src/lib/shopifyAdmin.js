@@ -0,0 +1,202 @@
+// src/lib/shopifyAdmin.js
+// Shopify Admin REST API client with retries
+// The base URL is configurable so tests can point it at a local mock (scripts/mock-shopify-admin.js),
+// and the shared client can be swapped out entirely with setShopifyAdminClient.
+
+const DEFAULT_API_VERSION = '2024-10';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Longest wait before a retry - a longer Retry-After fails the request instead, so a
+ * rate-limited call can't outlast the function time limit (callers retry later)
+ */
+const DEFAULT_MAX_RETRY_DELAY_MS = 4000;
+
+/**
+ * Error from the Admin API (after retries), with the HTTP status and response body
+ */
+export class ShopifyAdminError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = 'ShopifyAdminError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Rate limits and Shopify-side failures are worth retrying; other 4xx are not
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before the next attempt: Retry-After when Shopify sends one, else exponential backoff
+ */
+function getRetryDelay(response, attempt, retryDelayMs) {
+  const retryAfter = parseFloat(response?.headers?.get('retry-after'));
+  if (!Number.isNaN(retryAfter)) return retryAfter * 1000;
+  return retryDelayMs * 2 ** attempt;
+}
+
+/**
+ * Create an Admin API client
+ * Options default to SHOPIFY_SHOP_DOMAIN, SHOPIFY_ADMIN_ACCESS_TOKEN, SHOPIFY_API_VERSION
+ * and SHOPIFY_ADMIN_BASE_URL (overrides https://<shop>/admin/api/<version>, e.g. a mock server).
+ */
+export function createShopifyAdminClient({
+  shopDomain = process.env.SHOPIFY_SHOP_DOMAIN,
+  accessToken = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
+  apiVersion = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+  baseUrl = process.env.SHOPIFY_ADMIN_BASE_URL,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  const apiBase = (baseUrl || `https://${shopDomain}/admin/api/${apiVersion}`).replace(/\/$/, '');
+
+  /**
+   * JSON request against the Admin API, retried on 429, 5xx and network errors
+   */
+  async function request(method, path, body) {
+    if (!baseUrl && !shopDomain) {
+      throw new ShopifyAdminError('SHOPIFY_SHOP_DOMAIN is not configured');
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let response;
+      try {
+        response = await fetchImpl(`${apiBase}${path}`, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken || '',
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        });
+      } catch (error) {
+        lastError = new ShopifyAdminError(`Shopify request failed: ${error.message}`);
+        if (attempt < maxRetries) {
+          console.warn(`⚠️ Shopify ${method} ${path} failed (${error.message}), retrying`);
+          await sleep(retryDelayMs * 2 ** attempt);
+          continue;
+        }
+        throw lastError;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = text;
+      }
+
+      if (response.ok) return data;
+
+      lastError = new ShopifyAdminError(`Shopify ${method} ${path} returned ${response.status}`, {
+        status: response.status,
+        body: data,
+      });
+
+      if (!isRetryableStatus(response.status) || attempt === maxRetries) {
+        throw lastError;
+      }
+
+      const delay = getRetryDelay(response, attempt, retryDelayMs);
+      if (delay > maxRetryDelayMs) {
+        console.warn(`⚠️ Shopify ${method} ${path} returned ${response.status}, not waiting ${delay}ms to retry`);
+        throw lastError;
+      }
+      console.warn(`⚠️ Shopify ${method} ${path} returned ${response.status}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+
+    throw lastError;
+  }
+
+  return {
+    request,
+
+    get: (path) => request('GET', path),
+    post: (path, body) => request('POST', path, body),
+    put: (path, body) => request('PUT', path, body),
+
+    /**
+     * Order fields (e.g. 'id,tags')
+     */
+    async getOrder(shopifyOrderId, fields) {
+      const query = fields ? `?fields=${encodeURIComponent(fields)}` : '';
+      const data = await request('GET', `/orders/${shopifyOrderId}.json${query}`);
+      return data?.order || null;
+    },
+
+    /**
+     * Replace an order's tags (array or comma-separated string)
+     */
+    async updateOrderTags(shopifyOrderId, tags) {
+      const data = await request('PUT', `/orders/${shopifyOrderId}.json`, {
+        order: { id: Number(shopifyOrderId), tags: Array.isArray(tags) ? tags.join(', ') : tags },
+      });
+      return data?.order || null;
+    },
+
+    /**
+     * Create or update an order metafield ({ namespace, key, type, value })
+     */
+    async setOrderMetafield(shopifyOrderId, metafield) {
+      const data = await request('POST', `/orders/${shopifyOrderId}/metafields.json`, { metafield });
+      return data?.metafield || null;
+    },
+
+    /**
+     * Fulfillment orders for an order (what Shopify still expects to ship)
+     */
+    async getFulfillmentOrders(shopifyOrderId) {
+      const data = await request('GET', `/orders/${shopifyOrderId}/fulfillment_orders.json`);
+      return data?.fulfillment_orders || [];
+    },
+
+    /**
+     * Create a fulfillment
+     * lineItemsByFulfillmentOrder: [{ fulfillment_order_id, fulfillment_order_line_items: [{ id, quantity }] }]
+     */
+    async createFulfillment(lineItemsByFulfillmentOrder, { notifyCustomer = false } = {}) {
+      const data = await request('POST', '/fulfillments.json', {
+        fulfillment: {
+          line_items_by_fulfillment_order: lineItemsByFulfillmentOrder,
+          notify_customer: notifyCustomer,
+        },
+      });
+      return data?.fulfillment;
+    },
+  };
+}
+
+let sharedClient = null;
+
+/**
+ * The client server code uses, created from the environment on first use
+ */
+export function getShopifyAdminClient() {
+  if (!sharedClient) {
+    sharedClient = createShopifyAdminClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Swap the shared client (tests, or a client pointed at a mock). Pass null to reset.
+ */
+export function setShopifyAdminClient(client) {
+  sharedClient = client;
+}
@@ -0,0 +1,1296 @@
+// src/lib/shopifyOrders.js
+// Shopify order topic handlers - shared by the webhook, dead-letter replay API and CLI
+
+import { withdrawLineItems } from './withdrawals.js';
+import { notifySewer } from './notifications.js';
+import { recalculateOrderTotals, getWalletCatalog, isAccessory } from './walletMapping.js';
+import { getKnownAccessories, getCatalogPoints, addIdentifiersToCatalogEntry, addKnownAccessory } from './walletCatalog.js';
+import { getPointsRules, calculatePoints, roundPoints, describePointsBreakdown } from './pointsRules.js';
+import { getAddOnKind, linkAddOns, describeAddOn, mergeAddOnAttributes } from './addOns.js';
+import {
+  extractWalletAttributes,
+  validateWalletAttributes,
+  resolvePropertySchema,
+  getValidationReviewFields,
+} from './walletAttributes.js';
+import { classifyLineItem, toClassificationRecord, queueClassificationReview } from './classification.js';
+import { computePriority } from './priority.js';
+import { refreshShipByDate } from './sla.js';
+import { transitionLineItem, StaleStatusError } from './lineItemStatus.js';
+
+/**
+ * Catalog, remembered accessories and points rules needed to classify and score line items
+ */
+async function loadClassificationContext(supabase) {
+  const [catalog, knownAccessories, pointsRules] = await Promise.all([
+    getWalletCatalog(supabase),
+    getKnownAccessories(supabase),
+    getPointsRules(supabase),
+  ]);
+  return { catalog, knownAccessories, pointsRules };
+}
+
+/**
+ * Wallet type, validated customization attributes and rule-adjusted points for a wallet item
+ * Properties are read with the wallet type's property schema; `addOns` are linked
+ * add-on summaries (see addOns.js) merged into the attributes.
+ */
+function scoreWalletItem(item, walletType, basePoints, { catalog, pointsRules }, addOns = []) {
+  const schema = resolvePropertySchema(catalog, walletType);
+  const walletAttributes = addOns.reduce(mergeAddOnAttributes, extractWalletAttributes(item, schema));
+  const pointsBreakdown = calculatePoints(basePoints, walletType, walletAttributes, pointsRules);
+
+  return {
+    ...item,
+    detected_wallet_type: walletType,
+    wallet_attributes: walletAttributes,
+    validation_errors: validateWalletAttributes(walletAttributes, schema),
+    points: pointsBreakdown.total,
+    points_breakdown: pointsBreakdown,
+  };
+}
+
+/**
+ * Re-validate and re-score a wallet row whose attributes changed
+ * Keeps the base points the row was ingested with.
+ */
+function refreshWalletRow(row, { catalog, pointsRules }) {
+  const basePoints = row.points_breakdown?.base ?? getCatalogPoints(catalog, row.wallet_type);
+  const pointsBreakdown = calculatePoints(basePoints, row.wallet_type, row.wallet_attributes, pointsRules);
+  row.points = pointsBreakdown.total;
+  row.points_breakdown = pointsBreakdown;
+
+  const validationErrors = validateWalletAttributes(row.wallet_attributes, resolvePropertySchema(catalog, row.wallet_type));
+  Object.assign(row, getValidationReviewFields(validationErrors, row.review_reason));
+}
+
+/**
+ * Attach add-on rows ("Monogram", "Add Custom ID"...) to the wallet units they customize
+ * Merges each add-on into its units' wallet_attributes (re-scoring their points) and
+ * records the link on the add-on row; ambiguous links are flagged for review.
+ * Rows are updated in place - the caller writes them. Returns the links.
+ */
+function attachAddOns(lineItems, walletRows, accessoryRows, classificationContext) {
+  const addOnRows = accessoryRows.filter(row => getAddOnKind(row.product_name));
+  const links = linkAddOns(lineItems, walletRows, addOnRows);
+
+  for (const { addOnRow, kind, parentRows, method, ambiguous, reason } of links) {
+    const addOn = describeAddOn(addOnRow, kind, extractWalletAttributes(addOnRow.shopify_line_item || {}));
+
+    for (const parentRow of parentRows) {
+      parentRow.wallet_attributes = mergeAddOnAttributes(parentRow.wallet_attributes, addOn);
+      refreshWalletRow(parentRow, classificationContext);
+    }
+
+    addOnRow.add_on_kind = kind;
+    addOnRow.parent_shopify_line_item_id = parentRows[0]?.shopify_line_item_id || null;
+    addOnRow.add_on_link = {
+      method,
+      unit_indexes: parentRows.map(row => row.unit_index || 1),
+      ambiguous,
+      reason,
+    };
+
+    if (ambiguous) {
+      addOnRow.needs_review = true;
+      addOnRow.review_reason = `add-on link: ${reason}`;
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Point inserted add-on rows at their parent wallet row (the first unit they customize)
+ */
+async function saveAddOnParents(supabase, addOnRows, walletRows) {
+  for (const addOnRow of addOnRows) {
+    if (!addOnRow.parent_shopify_line_item_id) continue;
+
+    const unitIndex = addOnRow.add_on_link?.unit_indexes[0] || 1;
+    const parentRow = walletRows.find(row =>
+      row.shopify_line_item_id === addOnRow.parent_shopify_line_item_id && (row.unit_index || 1) === unitIndex
+    );
+    if (!parentRow?.id) continue;
+
+    const { error } = await supabase
+      .from('order_line_items')
+      .update({ parent_line_item_id: parentRow.id })
+      .eq('id', addOnRow.id);
+
+    if (error) {
+      console.error('❌ Error linking add-on:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Separate Shopify line items into wallets (with type and points), accessories,
+ * and items held for classification review (unknown or low confidence)
+ */
+function splitLineItems(lineItems, classificationContext) {
+  const { catalog, knownAccessories } = classificationContext;
+  const walletItems = [];
+  const accessoryItems = [];
+  const reviewItems = [];
+  
+  lineItems.forEach(item => {
+    const classification = classifyLineItem(catalog, knownAccessories, item, { isAccessoryTitle: isAccessory });
+
+    if (classification.needsReview) {
+      reviewItems.push({ ...item, classification });
+    } else if (classification.itemType === 'wallet') {
+      walletItems.push({
+        ...scoreWalletItem(item, classification.walletType, classification.points, classificationContext),
+        classification,
+      });
+    } else {
+      accessoryItems.push({ ...item, classification });
+    }
+  });
+
+  return { walletItems, accessoryItems, reviewItems };
+}
+
+/**
+ * Snapshot of the Shopify line item kept on each row
+ */
+function buildShopifyLineItemSnapshot(item) {
+  return {
+    id: item.id,
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    sku: item.sku,
+    title: item.title,
+    variant_title: item.variant_title,
+    quantity: item.quantity,
+    price: item.price,
+    properties: item.properties || [],
+    vendor: item.vendor,
+    product_type: item.product_type,
+  };
+}
+
+/**
+ * Build order_line_items rows for a wallet, accessory or unclassified item
+ * Wallets get one row per unit so each can be claimed and credited on its own;
+ * accessories stay a single row carrying the quantity. Unclassified items are
+ * a single on_hold row until a supervisor maps them (resolveClassificationReview).
+ * Items must come from splitLineItems (wallets carry detected_wallet_type, points and their breakdown)
+ */
+function buildLineItemRows(order, item, itemType, { firstUnitIndex = 1, unitCount } = {}) {
+  const isWallet = itemType === 'wallet';
+  const isHeld = itemType === 'unclassified';
+  const quantity = getActiveQuantity(item);
+
+  const row = {
+    order_id: order.id,
+    order_number: order.order_number,
+    item_type: itemType,
+    
+    shopify_line_item_id: item.id?.toString(),
+    product_id: item.product_id?.toString(),
+    variant_id: item.variant_id?.toString(),
+    sku: item.sku,
+    product_name: item.title,
+    variant_name: item.variant_title,
+    quantity: isWallet ? 1 : quantity,
+    price: parseFloat(item.price),
+    
+    wallet_type: isWallet ? item.detected_wallet_type : null, // Not applicable for accessories
+    points: isWallet ? item.points : 0, // Accessories don't earn points (wallets: per unit)
+    points_breakdown: isWallet ? item.points_breakdown : null,
+    wallet_attributes: isWallet ? item.wallet_attributes : null,
+    classification: item.classification ? toClassificationRecord(item.classification) : null,
+    
+    status: isHeld ? 'on_hold' : 'pending',
+    needs_review: isHeld,
+    review_reason: isHeld ? 'needs classification' : null,
+    // Personalizations that fail the property schema are flagged before anyone cuts leather
+    ...(isWallet ? getValidationReviewFields(item.validation_errors || []) : {}),
+    
+    shopify_line_item: buildShopifyLineItemSnapshot(item)
+  };
+
+  if (!isWallet) return [row];
+
+  const count = unitCount ?? quantity;
+  const rows = [];
+  for (let unitIndex = firstUnitIndex; unitIndex <= count; unitIndex++) {
+    rows.push({ ...row, unit_index: unitIndex, unit_count: count });
+  }
+  return rows;
+}
+
+/**
+ * Order in which units of a line item are given up when its quantity drops:
+ * untouched units first, then the highest unit number
+ */
+const WITHDRAW_STATUS_RANK = { pending: 0, claimed: 1, in_progress: 2, completed: 3 };
+
+function sortUnitsForWithdrawal(rows) {
+  return [...rows].sort((a, b) =>
+    (WITHDRAW_STATUS_RANK[a.status] ?? 1) - (WITHDRAW_STATUS_RANK[b.status] ?? 1) ||
+    (b.unit_index || 0) - (a.unit_index || 0)
+  );
+}
+
+/**
+ * Quantity still on the order - order edits leave removed items in line_items
+ * with current_quantity 0 rather than dropping them
+ */
+function getActiveQuantity(item) {
+  return item.current_quantity ?? item.quantity;
+}
+
+/**
+ * True when an order has any line items (in any status)
+ */
+async function hasLineItems(supabase, orderId) {
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('id')
+    .eq('order_id', orderId)
+    .limit(1);
+
+  if (error) {
+    console.error('❌ Error checking line items:', error);
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Handle new order creation
+ */
+export async function handleOrderCreate(supabase, shopifyOrder) {
+  console.log('📦 Processing new order:', shopifyOrder.order_number);
+
+  // Natural key check - a retried or duplicated orders/create must not insert twice
+  const { data: existingOrder, error: existingError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('shopify_order_id', shopifyOrder.id.toString())
+    .maybeSingle();
+
+  if (existingError) {
+    console.error('❌ Order lookup error:', existingError);
+    throw existingError;
+  }
+
+  // An order without line items is a create that failed after inserting the order row -
+  // carry on from there rather than leaving it out of production
+  if (existingOrder && await hasLineItems(supabase, existingOrder.id)) {
+    console.log('⏭️ Order already exists, skipping create:', existingOrder.order_number);
+    return { success: true, skipped: 'duplicate', order: existingOrder };
+  }
+
+  const customerName = shopifyOrder.customer 
+    ? `${shopifyOrder.customer.first_name || ''} ${shopifyOrder.customer.last_name || ''}`.trim()
+    : shopifyOrder.billing_address?.name || 'Unknown';
+
+  const customerEmail = shopifyOrder.customer?.email || 
+                       shopifyOrder.contact_email || 
+                       null;
+
+  const orderTags = shopifyOrder.tags ? shopifyOrder.tags.split(',').map(t => t.trim()) : [];
+
+  // Separate wallets from accessories
+  const classificationContext = await loadClassificationContext(supabase);
+  const { walletItems, accessoryItems, reviewItems } = splitLineItems(
+    shopifyOrder.line_items.filter(item => getActiveQuantity(item) > 0),
+    classificationContext
+  );
+
+  // Calculate total points from all wallet units
+  const totalUnits = walletItems.reduce((sum, item) => sum + getActiveQuantity(item), 0);
+  const totalPoints = roundPoints(walletItems.reduce((sum, item) => sum + item.points * getActiveQuantity(item), 0));
+  
+  // Collate wallet types
+  const walletTypes = walletItems
+    .map(item => item.detected_wallet_type)
+    .filter(Boolean)
+    .join(', ');
+
+  console.log(`📊 Order has ${totalUnits} wallet units worth ${totalPoints} points total`);
+
+  const priority = computePriority(shopifyOrder);
+  if (priority.score > 0) {
+    console.log(`⚡ Priority ${priority.score}: ${priority.reasons.join(', ')}`);
+  }
+
+  // Create parent order
+  const orderData = {
+    order_number: shopifyOrder.order_number.toString(),
+    shopify_order_id: shopifyOrder.id.toString(),
+    shopify_updated_at: shopifyOrder.updated_at || shopifyOrder.created_at || null,
+    status: 'pending',
+    orderer_name: customerName,
+    points: totalPoints, // Will be updated after wallet mapping
+    wallet_type: walletTypes || null, // Collated wallet types
+    total_wallets: totalUnits,
+    total_accessories: accessoryItems.length,
+    priority_score: priority.score,
+    priority_reasons: priority.reasons,
+    
+    shopify_metadata: {
+      shopify_order_id: shopifyOrder.id,
+      order_number: shopifyOrder.order_number,
+      customer_email: customerEmail,
+      customer_name: customerName,
+      tags: orderTags,
+      financial_status: shopifyOrder.financial_status,
+      fulfillment_status: shopifyOrder.fulfillment_status,
+      note: shopifyOrder.note || null,
+      note_attributes: shopifyOrder.note_attributes || [],
+      shipping_lines: (shopifyOrder.shipping_lines || []).map(line => ({ title: line.title, code: line.code })),
+      total_price: shopifyOrder.total_price,
+      currency: shopifyOrder.currency,
+      created_at: shopifyOrder.created_at,
+      shipping_address: shopifyOrder.shipping_address,
+    }
+  };
+
+  let insertedOrder = existingOrder;
+
+  if (existingOrder) {
+    console.log('🔁 Order exists without line items, creating them:', existingOrder.order_number);
+  } else {
+    const { data, error: orderError } = await supabase
+      .from('orders')
+      .insert([orderData])
+      .select()
+      .single();
+
+    if (orderError) {
+      // Lost a race with a concurrent delivery for the same order
+      if (orderError.code === '23505') {
+        console.log('⏭️ Order inserted concurrently, skipping create:', orderData.order_number);
+        return { success: true, skipped: 'duplicate' };
+      }
+      console.error('❌ Order insert error:', orderError);
+      throw orderError;
+    }
+
+    insertedOrder = data;
+    console.log('✅ Order inserted:', insertedOrder.order_number);
+  }
+
+  const walletLineItemsData = walletItems.flatMap(item => buildLineItemRows(insertedOrder, item, 'wallet'));
+  const accessoryLineItemsData = accessoryItems.flatMap(item => buildLineItemRows(insertedOrder, item, 'accessory'));
+  const heldLineItemsData = reviewItems.flatMap(item => buildLineItemRows(insertedOrder, item, 'unclassified'));
+
+  // Personalization add-ons go onto the wallet they customize
+  const addOnLinks = attachAddOns(shopifyOrder.line_items, walletLineItemsData, accessoryLineItemsData, classificationContext);
+
+  // Insert all line items (wallets + accessories + held for review)
+  const allLineItems = [...walletLineItemsData, ...accessoryLineItemsData, ...heldLineItemsData];
+  
+  if (allLineItems.length > 0) {
+    const { data: insertedLineItems, error: lineItemsError } = await supabase
+      .from('order_line_items')
+      .insert(allLineItems)
+      .select();
+
+    if (lineItemsError) {
+      console.error('❌ Line items insert error:', lineItemsError);
+      throw lineItemsError;
+    }
+
+    console.log(`✅ Created ${walletLineItemsData.length} wallet items, ${accessoryLineItemsData.length} accessory items and ${heldLineItemsData.length} held for review`);
+
+    if (addOnLinks.length > 0) {
+      await saveAddOnParents(
+        supabase,
+        insertedLineItems.filter(row => row.add_on_kind),
+        insertedLineItems.filter(row => row.item_type === 'wallet')
+      );
+      await recalculateOrderTotals(supabase, insertedOrder.id);
+
+      const flagged = addOnLinks.filter(link => link.ambiguous).length;
+      console.log(`🔗 Linked ${addOnLinks.length} add-ons to wallets${flagged > 0 ? ` (${flagged} flagged for review)` : ''}`);
+    }
+
+    for (const item of reviewItems) {
+      await queueClassificationReview(supabase, insertedOrder, item, item.classification);
+    }
+
+    await refreshShipByDate(supabase, insertedOrder, insertedLineItems);
+    
+    // Log wallet details with points
+    insertedLineItems
+      .filter(item => item.item_type === 'wallet')
+      .forEach((item, idx) => {
+        const attrs = item.wallet_attributes;
+        const customizations = [];
+        if (attrs?.has_monogram) customizations.push('Monogram');
+        if (attrs?.has_custom_id) customizations.push('Custom ID');
+        if (attrs?.has_badge_cutout) customizations.push('Badge Cutout');
+        if (attrs?.has_special_engraving) customizations.push('Engraving');
+        
+        const pointsDetail = item.points_breakdown?.rules.length > 0
+          ? `: ${describePointsBreakdown(item.points_breakdown).join(' ')}`
+          : '';
+        
+        console.log(`   Wallet ${idx + 1}: ${item.product_name}${item.variant_name ? ' - ' + item.variant_name : ''} → ${item.wallet_type} (${item.points} pts${pointsDetail})${customizations.length > 0 ? ' [' + customizations.join(', ') + ']' : ''}`);
+      });
+    
+    console.log(`📊 Order total: ${totalPoints} points`);
+  }
+
+  return { success: true, order: insertedOrder };
+}
+
+/**
+ * Properties compared when diffing an edited line item
+ */
+function normalizeProperties(properties) {
+  return JSON.stringify(
+    (properties || [])
+      .map(prop => [prop.name, prop.value])
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+  );
+}
+
+/**
+ * Add or withdraw wallet units so a line item has as many units as its edited quantity
+ * Returns the units that remain active.
+ */
+async function syncWalletUnitCount(supabase, classificationContext, order, item, rows, changes) {
+  const targetCount = getActiveQuantity(item);
+
+  if (targetCount < rows.length) {
+    const toWithdraw = sortUnitsForWithdrawal(rows).slice(0, rows.length - targetCount);
+    const withdrawn = await withdrawLineItems(supabase, toWithdraw, 'quantity reduced by order edit');
+    changes.removed += withdrawn.length;
+
+    const withdrawnIds = new Set(withdrawn.map(row => row.id));
+    return rows.filter(row => !withdrawnIds.has(row.id));
+  }
+
+  if (targetCount > rows.length) {
+    const [walletItem] = splitLineItems([item], classificationContext).walletItems;
+    if (!walletItem) return rows;
+
+    const highestUnit = Math.max(...rows.map(row => row.unit_index));
+    const newRows = buildLineItemRows(order, walletItem, 'wallet', { unitCount: highestUnit + targetCount - rows.length })
+      .filter(row => row.unit_index > highestUnit)
+      .map(row => ({
+        ...row,
+        refunded_quantity: Math.max(0, ...rows.map(r => r.refunded_quantity || 0)),
+        refund_ids: [...new Set(rows.flatMap(r => r.refund_ids || []))],
+      }));
+
+    const { error: insertError } = await supabase
+      .from('order_line_items')
+      .insert(newRows);
+
+    if (insertError) {
+      console.error('❌ Line items insert error:', insertError);
+      throw insertError;
+    }
+
+    const { error: countError } = await supabase
+      .from('order_line_items')
+      .update({ unit_count: highestUnit + newRows.length })
+      .in('id', rows.map(row => row.id));
+
+    if (countError) {
+      console.error('❌ Unit count update error:', countError);
+      throw countError;
+    }
+    changes.added += newRows.length;
+  }
+
+  return rows;
+}
+
+/**
+ * Write an edit to a stored row
+ * Pending and held rows take it directly; rows someone is already working on keep
+ * what the sewer is working from - the edit is parked in pending_changes and flagged.
+ */
+async function applyRowEdit(supabase, row, update, changes) {
+  if (['pending', 'on_hold'].includes(row.status)) {
+    const { data: updatedRows, error } = await supabase
+      .from('order_line_items')
+      .update(update)
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .select('id');
+
+    if (error) {
+      console.error('❌ Line item update error:', error);
+      throw error;
+    }
+
+    if (updatedRows.length > 0) {
+      changes.updated++;
+      return;
+    }
+
+    // Claimed (or withdrawn) since it was read - go again from where it is now
+    const { data: current, error: fetchError } = await supabase
+      .from('order_line_items')
+      .select('*')
+      .eq('id', row.id)
+      .single();
+
+    if (fetchError) {
+      console.error('❌ Error fetching line item:', fetchError);
+      throw fetchError;
+    }
+
+    if (current.status === 'cancelled') return;
+    return applyRowEdit(supabase, current, update, changes);
+  }
+
+  // Claimed, in progress or done - keep what the sewer is working from and flag it
+  const { error } = await supabase
+    .from('order_line_items')
+    .update({
+      needs_review: true,
+      review_reason: 'changed by order edit after being claimed',
+      pending_changes: update,
+    })
+    .eq('id', row.id);
+
+  if (error) {
+    console.error('❌ Line item flag error:', error);
+    throw error;
+  }
+
+  await notifySewer(supabase, row, {
+    type: 'order_edited',
+    message: `${row.product_name} was edited by customer service. Check with a supervisor before continuing.`
+  });
+  changes.flagged++;
+}
+
+/**
+ * Apply order edits to production
+ * Diffs the incoming line_items against stored rows by Shopify line item id:
+ * new items are inserted, removed ones withdrawn, and changed quantity/properties
+ * re-extracted. Rows someone is already working on are flagged, never overwritten.
+ */
+async function syncOrderLineItems(supabase, existingOrder, shopifyOrder) {
+  const changes = { added: 0, removed: 0, updated: 0, flagged: 0 };
+  const classificationContext = await loadClassificationContext(supabase);
+
+  const { data: storedRows, error: fetchError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', existingOrder.id)
+    .neq('status', 'cancelled')
+    .order('created_at', { ascending: true });
+
+  if (fetchError) {
+    console.error('❌ Error fetching line items:', fetchError);
+    throw fetchError;
+  }
+
+  if (storedRows.some(row => !row.shopify_line_item_id)) {
+    // Ingested before Shopify line item ids were stored - can't be diffed safely
+    console.warn(`⚠️ Order ${existingOrder.order_number} has rows without Shopify line item ids, skipping line item diff`);
+    return changes;
+  }
+
+  const storedById = new Map();
+  storedRows.forEach(row => {
+    if (!storedById.has(row.shopify_line_item_id)) storedById.set(row.shopify_line_item_id, []);
+    storedById.get(row.shopify_line_item_id).push(row);
+  });
+
+  const incomingById = new Map(
+    (shopifyOrder.line_items || [])
+      .filter(item => getActiveQuantity(item) > 0)
+      .map(item => [item.id.toString(), item])
+  );
+
+  // Wallet rows whose add-ons changed, written once the diff is done
+  const addOnChangedRows = new Set();
+  const removedIds = new Set();
+
+  // Removed (or edited down to zero)
+  for (const [shopifyLineItemId, rows] of storedById) {
+    if (incomingById.has(shopifyLineItemId)) continue;
+
+    const withdrawn = await withdrawLineItems(supabase, rows, 'removed by order edit');
+    changes.removed += withdrawn.length;
+    removedIds.add(shopifyLineItemId);
+  }
+
+  const activeWalletRows = storedRows.filter(row => row.item_type === 'wallet' && !removedIds.has(row.shopify_line_item_id));
+
+  // A removed add-on comes off its wallet
+  for (const row of activeWalletRows) {
+    const addOns = row.wallet_attributes?.add_ons || [];
+    const remaining = addOns.filter(addOn => !removedIds.has(String(addOn.shopify_line_item_id)));
+    if (remaining.length === addOns.length) continue;
+
+    row.wallet_attributes = remaining.reduce(
+      mergeAddOnAttributes,
+      extractWalletAttributes(row.shopify_line_item || {}, resolvePropertySchema(classificationContext.catalog, row.wallet_type))
+    );
+    refreshWalletRow(row, classificationContext);
+    addOnChangedRows.add(row);
+  }
+
+  // Added
+  const addedItems = [...incomingById.values()].filter(item => !storedById.has(item.id.toString()));
+  if (addedItems.length > 0) {
+    const { walletItems, accessoryItems, reviewItems } = splitLineItems(addedItems, classificationContext);
+    const newWalletRows = walletItems.flatMap(item => buildLineItemRows(existingOrder, item, 'wallet'));
+    const newAccessoryRows = accessoryItems.flatMap(item => buildLineItemRows(existingOrder, item, 'accessory'));
+    const newRows = [
+      ...newWalletRows,
+      ...newAccessoryRows,
+      ...reviewItems.flatMap(item => buildLineItemRows(existingOrder, item, 'unclassified')),
+    ];
+
+    // New add-ons can belong to a new wallet or one already in production
+    const addOnLinks = attachAddOns(
+      shopifyOrder.line_items,
+      [...activeWalletRows, ...newWalletRows],
+      newAccessoryRows,
+      classificationContext
+    );
+    addOnLinks
+      .flatMap(link => link.parentRows)
+      .filter(row => row.id)
+      .forEach(row => addOnChangedRows.add(row));
+
+    const { data: insertedRows, error: insertError } = await supabase
+      .from('order_line_items')
+      .insert(newRows)
+      .select();
+
+    if (insertError) {
+      console.error('❌ Line items insert error:', insertError);
+      throw insertError;
+    }
+    changes.added += newRows.length;
+
+    if (addOnLinks.length > 0) {
+      await saveAddOnParents(
+        supabase,
+        insertedRows.filter(row => row.add_on_kind),
+        [...activeWalletRows, ...insertedRows.filter(row => row.item_type === 'wallet')]
+      );
+    }
+
+    for (const item of reviewItems) {
+      await queueClassificationReview(supabase, existingOrder, item, item.classification);
+    }
+  }
+
+  // Changed
+  for (const [shopifyLineItemId, item] of incomingById) {
+    let rows = storedById.get(shopifyLineItemId);
+    if (!rows) continue;
+
+    const isWalletGroup = rows[0].item_type === 'wallet' && rows.every(row => row.unit_index);
+    if (isWalletGroup) {
+      const remainingRows = await syncWalletUnitCount(supabase, classificationContext, existingOrder, item, rows, changes);
+      rows.filter(row => !remainingRows.includes(row)).forEach(row => addOnChangedRows.delete(row));
+      rows = remainingRows;
+    }
+
+    for (const row of rows) {
+      const quantityChanged = !isWalletGroup && row.quantity !== getActiveQuantity(item);
+      const propertiesChanged = normalizeProperties(row.shopify_line_item?.properties) !== normalizeProperties(item.properties);
+      if (!quantityChanged && !propertiesChanged) continue;
+
+      const update = {
+        quantity: isWalletGroup ? 1 : getActiveQuantity(item),
+        wallet_attributes: null,
+        shopify_line_item: buildShopifyLineItemSnapshot(item),
+      };
+
+      // Customizations drive points, so re-score wallets from the edited properties (keeping linked add-ons)
+      if (row.item_type === 'wallet') {
+        const scored = scoreWalletItem(
+          item,
+          row.wallet_type,
+          row.points_breakdown?.base ?? getCatalogPoints(classificationContext.catalog, row.wallet_type),
+          classificationContext,
+          row.wallet_attributes?.add_ons || []
+        );
+        update.wallet_attributes = scored.wallet_attributes;
+        update.points = scored.points;
+        update.points_breakdown = scored.points_breakdown;
+        Object.assign(update, getValidationReviewFields(scored.validation_errors, row.review_reason));
+      }
+
+      await applyRowEdit(supabase, row, update, changes);
+      addOnChangedRows.delete(row);
+    }
+  }
+
+  // Wallets that gained or lost an add-on (and weren't already rewritten above)
+  for (const row of addOnChangedRows) {
+    await applyRowEdit(supabase, row, {
+      wallet_attributes: row.wallet_attributes,
+      points: row.points,
+      points_breakdown: row.points_breakdown,
+      validation_errors: row.validation_errors,
+      needs_review: row.needs_review,
+      review_reason: row.review_reason,
+    }, changes);
+  }
+
+  if (changes.added || changes.removed || changes.updated) {
+    await recalculateOrderTotals(supabase, existingOrder.id);
+  }
+
+  console.log(`✏️ Line item diff: ${changes.added} added, ${changes.removed} removed, ${changes.updated} updated, ${changes.flagged} flagged`);
+  return changes;
+}
+
+/**
+ * True when an orders/updated payload is older than the version already stored
+ * The same version isn't stale: the order is stamped before its line items are synced,
+ * so a retry or replay of a delivery whose sync failed must be able to run it again
+ * (the diff is idempotent).
+ */
+function isStaleOrderUpdate(existingOrder, shopifyOrder) {
+  if (!existingOrder.shopify_updated_at || !shopifyOrder.updated_at) return false;
+
+  return new Date(shopifyOrder.updated_at).getTime() < new Date(existingOrder.shopify_updated_at).getTime();
+}
+
+/**
+ * Handle order updates
+ */
+export async function handleOrderUpdate(supabase, shopifyOrder) {
+  console.log('🔄 Processing order update:', shopifyOrder.order_number);
+
+  // Find existing order
+  const { data: existingOrder, error: fetchError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('shopify_order_id', shopifyOrder.id.toString())
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('❌ Order lookup error:', fetchError);
+    throw fetchError;
+  }
+
+  if (!existingOrder) {
+    console.log('Order not found, creating new order');
+    return handleOrderCreate(supabase, shopifyOrder);
+  }
+
+  // Cancelled orders have been withdrawn from production (handleOrderCancel). Their rows are
+  // all cancelled, so a diff would bring every wallet back as new work.
+  if (existingOrder.status === 'cancelled' || shopifyOrder.cancelled_at) {
+    console.log(`⏭️ Ignoring update for cancelled order ${shopifyOrder.order_number}`);
+    return { success: true, skipped: 'cancelled' };
+  }
+
+  // Shopify doesn't guarantee delivery order - ignore anything older than what we've applied
+  if (isStaleOrderUpdate(existingOrder, shopifyOrder)) {
+    console.log(`⏭️ Ignoring stale update for order ${shopifyOrder.order_number} (${shopifyOrder.updated_at} < ${existingOrder.shopify_updated_at})`);
+    return { success: true, skipped: 'stale' };
+  }
+
+  // Update order metadata - tags and notes can be edited, so priority is recomputed too
+  // (a supervisor override lives in its own columns and is left alone)
+  const priority = computePriority(shopifyOrder);
+  const updateData = {
+    shopify_updated_at: shopifyOrder.updated_at || existingOrder.shopify_updated_at,
+    priority_score: priority.score,
+    priority_reasons: priority.reasons,
+    shopify_metadata: {
+      ...existingOrder.shopify_metadata,
+      financial_status: shopifyOrder.financial_status,
+      fulfillment_status: shopifyOrder.fulfillment_status,
+      tags: shopifyOrder.tags ? shopifyOrder.tags.split(',').map(t => t.trim()) : [],
+      note: shopifyOrder.note || null,
+      note_attributes: shopifyOrder.note_attributes || [],
+      shipping_lines: (shopifyOrder.shipping_lines || []).map(line => ({ title: line.title, code: line.code })),
+      updated_at: new Date().toISOString(),
+    }
+  };
+
+  let updateQuery = supabase
+    .from('orders')
+    .update(updateData)
+    .eq('id', existingOrder.id);
+
+  // Compare-and-set so two concurrent updates can't apply out of order. The stamp goes
+  // first for that reason; if the line item sync below fails, the retry carries the
+  // same updated_at and isn't treated as stale.
+  updateQuery = existingOrder.shopify_updated_at
+    ? updateQuery.eq('shopify_updated_at', existingOrder.shopify_updated_at)
+    : updateQuery.is('shopify_updated_at', null);
+
+  const { data: updatedRows, error } = await updateQuery.select('id');
+
+  if (error) {
+    console.error('❌ Order update error:', error);
+    throw error;
+  }
+
+  if (updatedRows.length === 0) {
+    // Another delivery updated the order between our read and write - re-check against it
+    console.log('🔁 Order changed concurrently, re-evaluating update:', shopifyOrder.order_number);
+    return handleOrderUpdate(supabase, shopifyOrder);
+  }
+
+  const lineItemChanges = await syncOrderLineItems(supabase, existingOrder, shopifyOrder);
+
+  // Wallets added, removed or re-customized can change the promised date
+  if (lineItemChanges.added + lineItemChanges.removed + lineItemChanges.updated > 0) {
+    await refreshShipByDate(supabase, existingOrder);
+  }
+
+  console.log('✅ Order updated:', shopifyOrder.order_number);
+  return { success: true, lineItemChanges };
+}
+
+/**
+ * Handle order cancellation
+ * Withdraws every line item from production and reverses points already earned
+ */
+export async function handleOrderCancel(supabase, shopifyOrder) {
+  console.log('🛑 Processing order cancellation:', shopifyOrder.order_number);
+
+  const { data: existingOrder, error: fetchError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('shopify_order_id', shopifyOrder.id.toString())
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('❌ Order lookup error:', fetchError);
+    throw fetchError;
+  }
+
+  if (!existingOrder) {
+    // Never made it into production, so there is nothing to withdraw
+    console.log('Order not found, nothing to cancel:', shopifyOrder.order_number);
+    return { success: true, skipped: 'unknown_order' };
+  }
+
+  const { error: orderError } = await supabase
+    .from('orders')
+    .update({
+      status: 'cancelled',
+      shopify_updated_at: shopifyOrder.updated_at || existingOrder.shopify_updated_at,
+      shopify_metadata: {
+        ...existingOrder.shopify_metadata,
+        financial_status: shopifyOrder.financial_status,
+        cancelled_at: shopifyOrder.cancelled_at,
+        cancel_reason: shopifyOrder.cancel_reason,
+        updated_at: new Date().toISOString(),
+      }
+    })
+    .eq('id', existingOrder.id);
+
+  if (orderError) {
+    console.error('❌ Order cancel error:', orderError);
+    throw orderError;
+  }
+
+  const { data: lineItems, error: lineItemsError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', existingOrder.id)
+    .neq('status', 'cancelled');
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  const reason = `order cancelled${shopifyOrder.cancel_reason ? ': ' + shopifyOrder.cancel_reason : ''}`;
+  const withdrawn = await withdrawLineItems(supabase, lineItems, reason);
+
+  console.log(`✅ Order cancelled: ${shopifyOrder.order_number} (${withdrawn.length} line items withdrawn)`);
+  return { success: true, withdrawn };
+}
+
+/**
+ * Find the stored rows for a refunded Shopify line item
+ * Rows ingested before shopify_line_item_id was stored are matched on variant and title.
+ */
+function findRowsForRefundLineItem(lineItems, refundLineItem) {
+  const shopifyLineItemId = refundLineItem.line_item_id?.toString();
+  const byId = lineItems.filter(row => row.shopify_line_item_id === shopifyLineItemId);
+  if (byId.length > 0) return byId;
+
+  const refunded = refundLineItem.line_item || {};
+  return lineItems.filter(row =>
+    !row.shopify_line_item_id &&
+    row.variant_id === refunded.variant_id?.toString() &&
+    row.product_name === refunded.title
+  );
+}
+
+/**
+ * Withdraw a number of refunded units from the rows of one Shopify line item
+ * Shopify also sends orders/updated with a lower current_quantity, which may
+ * already have been applied - so rows are only brought down to
+ * (ordered - refunded), never reduced twice for the same refund. A refund is
+ * counted once per line item (refund_ids), so a retry after a partial failure
+ * only finishes the withdrawal.
+ */
+async function withdrawRefundedUnits(supabase, rows, refundId, quantity, reason) {
+  const orderedQuantity = rows[0].shopify_line_item?.quantity ?? rows.reduce((total, row) => total + row.quantity, 0);
+  const activeQuantity = rows.reduce((total, row) => total + row.quantity, 0);
+
+  // refunded_quantity is the line item's running total, kept on each of its rows
+  const counted = rows.some(row => (row.refund_ids || []).includes(refundId));
+  let refundedQuantity = Math.max(0, ...rows.map(row => row.refunded_quantity || 0));
+
+  if (!counted) {
+    refundedQuantity += quantity;
+
+    const { error: refundedError } = await supabase
+      .from('order_line_items')
+      .update({
+        refunded_quantity: refundedQuantity,
+        refund_ids: [...new Set([...rows.flatMap(row => row.refund_ids || []), refundId])],
+      })
+      .in('id', rows.map(row => row.id));
+
+    if (refundedError) {
+      console.error('❌ Error recording refunded quantity:', refundedError);
+      throw refundedError;
+    }
+  }
+
+  let excess = activeQuantity - Math.max(0, orderedQuantity - refundedQuantity);
+  const withdrawn = [];
+
+  for (const row of sortUnitsForWithdrawal(rows)) {
+    if (excess <= 0) break;
+
+    if (excess >= row.quantity) {
+      withdrawn.push(...await withdrawLineItems(supabase, [row], reason));
+      excess -= row.quantity;
+      continue;
+    }
+
+    const { error } = await supabase
+      .from('order_line_items')
+      .update({ quantity: row.quantity - excess })
+      .eq('id', row.id);
+
+    if (error) {
+      console.error('❌ Error reducing line item quantity:', error);
+      throw error;
+    }
+    excess = 0;
+  }
+
+  return withdrawn;
+}
+
+/**
+ * Add a refund to the order's applied refunds
+ * Compare-and-set on the list, so concurrent refunds don't drop each other; only
+ * refund_ids is written, so a concurrent orders/updated keeps its metadata.
+ */
+async function recordOrderRefund(supabase, order, refundId) {
+  const refundIds = order.refund_ids || [];
+  if (refundIds.includes(refundId)) return;
+
+  const { data: updatedRows, error } = await supabase
+    .from('orders')
+    .update({ refund_ids: [...refundIds, refundId] })
+    .eq('id', order.id)
+    .eq('refund_ids', `{${refundIds.join(',')}}`)
+    .select('id');
+
+  if (error) {
+    console.error('❌ Error recording refund:', error);
+    throw error;
+  }
+
+  if (updatedRows.length > 0) return;
+
+  // Another refund was recorded in between - add to the current list
+  const { data: current, error: fetchError } = await supabase
+    .from('orders')
+    .select('id, refund_ids')
+    .eq('id', order.id)
+    .single();
+
+  if (fetchError) {
+    console.error('❌ Order lookup error:', fetchError);
+    throw fetchError;
+  }
+
+  await recordOrderRefund(supabase, current, refundId);
+}
+
+/**
+ * Handle a refund
+ * Withdraws only the refunded units and recomputes the order totals
+ */
+export async function handleRefundCreate(supabase, refund) {
+  console.log('💸 Processing refund:', refund.id, 'for order', refund.order_id);
+
+  const { data: existingOrder, error: fetchError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('shopify_order_id', refund.order_id.toString())
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('❌ Order lookup error:', fetchError);
+    throw fetchError;
+  }
+
+  if (!existingOrder) {
+    console.log('Order not found, nothing to refund:', refund.order_id);
+    return { success: true, skipped: 'unknown_order' };
+  }
+
+  const refundId = refund.id.toString();
+  if ((existingOrder.refund_ids || []).includes(refundId)) {
+    console.log('⏭️ Refund already applied:', refund.id);
+    return { success: true, skipped: 'duplicate' };
+  }
+
+  const refundLineItems = refund.refund_line_items || [];
+  if (refundLineItems.length === 0) {
+    // Shipping-only or amount-only refunds don't touch production
+    console.log('Refund has no line items, nothing to withdraw:', refund.id);
+  }
+
+  const { data: lineItems, error: lineItemsError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', existingOrder.id)
+    .neq('status', 'cancelled')
+    .order('created_at', { ascending: true });
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  // A line item can appear more than once in a refund (e.g. restocked to two locations)
+  const refundedByLineItem = new Map();
+  for (const refundLineItem of refundLineItems) {
+    const key = refundLineItem.line_item_id?.toString();
+    const entry = refundedByLineItem.get(key) || { refundLineItem, quantity: 0 };
+    entry.quantity += refundLineItem.quantity;
+    refundedByLineItem.set(key, entry);
+  }
+
+  const withdrawn = [];
+  for (const { refundLineItem, quantity } of refundedByLineItem.values()) {
+    const rows = findRowsForRefundLineItem(lineItems, refundLineItem);
+
+    if (rows.length === 0) {
+      console.warn(`⚠️ No production rows for refunded line item ${refundLineItem.line_item_id}`);
+      continue;
+    }
+
+    withdrawn.push(...await withdrawRefundedUnits(supabase, rows, refundId, quantity, `refunded (refund ${refund.id})`));
+  }
+
+  await recalculateOrderTotals(supabase, existingOrder.id);
+  await recordOrderRefund(supabase, existingOrder, refundId);
+
+  console.log(`✅ Refund applied: ${withdrawn.length} line items withdrawn`);
+  return { success: true, withdrawn };
+}
+
+/**
+ * Release one order's held row for a resolved review into production
+ */
+async function applyClassificationToHeldRows(supabase, review, { walletType, resolvedBy, catalog, pointsRules }) {
+  const { data: heldRows, error: fetchError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', review.order_id)
+    .eq('shopify_line_item_id', review.shopify_line_item_id)
+    .eq('item_type', 'unclassified')
+    .eq('status', 'on_hold');
+
+  if (fetchError) {
+    console.error('❌ Error fetching held line items:', fetchError);
+    throw fetchError;
+  }
+
+  for (const heldRow of heldRows) {
+    const shopifyItem = { ...heldRow.shopify_line_item, current_quantity: heldRow.quantity };
+    const scored = walletType
+      ? scoreWalletItem(shopifyItem, walletType, getCatalogPoints(catalog, walletType), { catalog, pointsRules })
+      : shopifyItem;
+    const item = {
+      ...scored,
+      classification: {
+        walletType: walletType || null,
+        confidence: 1,
+        rule: 'supervisor',
+        matched: resolvedBy || null,
+      },
+    };
+    const order = { id: heldRow.order_id, order_number: heldRow.order_number };
+
+    const rows = buildLineItemRows(order, item, walletType ? 'wallet' : 'accessory');
+
+    // The held row becomes the first unit; any further units are new rows
+    const [{ status, ...firstRow }, ...extraRows] = rows;
+    try {
+      await transitionLineItem(supabase, heldRow, status, {
+        patch: firstRow,
+        actor: { name: resolvedBy, role: 'supervisor' },
+        reason: walletType ? `classified as ${walletType}` : 'classified as accessory',
+      });
+    } catch (error) {
+      // Withdrawn while it was waiting
+      if (!(error instanceof StaleStatusError)) throw error;
+      continue;
+    }
+
+    if (extraRows.length > 0) {
+      const { error: insertError } = await supabase
+        .from('order_line_items')
+        .insert(extraRows);
+
+      if (insertError) {
+        console.error('❌ Line items insert error:', insertError);
+        throw insertError;
+      }
+    }
+  }
+
+  await recalculateOrderTotals(supabase, review.order_id);
+}
+
+/**
+ * Supervisor decision on a classification review
+ * Maps the product to a wallet type (or marks it an accessory), remembers the
+ * mapping by Shopify id/SKU, and releases every open review it now settles.
+ */
+export async function resolveClassificationReview(supabase, reviewId, { walletType, accessory = false, resolvedBy }) {
+  if (!walletType && !accessory) {
+    throw new Error('Either walletType or accessory is required');
+  }
+
+  const { data: review, error: fetchError } = await supabase
+    .from('classification_reviews')
+    .select('*')
+    .eq('id', reviewId)
+    .eq('status', 'open')
+    .single();
+
+  if (fetchError) {
+    console.error('❌ Error fetching classification review:', fetchError);
+    throw fetchError;
+  }
+
+  if (!accessory) {
+    const currentCatalog = await getWalletCatalog(supabase, { force: true });
+    if (!currentCatalog.some(entry => entry.wallet_type === walletType)) {
+      throw new Error(`Unknown wallet type: ${walletType}`);
+    }
+  }
+
+  const identifiers = { productId: review.product_id, variantId: review.variant_id, sku: review.sku };
+
+  if (accessory) {
+    await addKnownAccessory(supabase, { ...identifiers, title: review.title });
+  } else {
+    // Product id covers every variant; fall back to variant id and SKU for custom items
+    await addIdentifiersToCatalogEntry(supabase, walletType, {
+      productId: identifiers.productId,
+      variantId: identifiers.productId ? null : identifiers.variantId,
+      sku: identifiers.sku,
+    });
+  }
+
+  const catalog = await getWalletCatalog(supabase, { force: true });
+  const pointsRules = await getPointsRules(supabase);
+
+  // Every open review for the same product is settled by this mapping
+  const { data: openReviews, error: openError } = await supabase
+    .from('classification_reviews')
+    .select('*')
+    .eq('status', 'open');
+
+  if (openError) {
+    console.error('❌ Error fetching classification reviews:', openError);
+    throw openError;
+  }
+
+  const settled = openReviews.filter(other => other.id === review.id || (
+    (review.product_id && other.product_id === review.product_id) ||
+    (review.sku && other.sku === review.sku)
+  ));
+
+  for (const settledReview of settled) {
+    await applyClassificationToHeldRows(supabase, settledReview, {
+      walletType: accessory ? null : walletType,
+      resolvedBy,
+      catalog,
+      pointsRules,
+    });
+
+    const { error: resolveError } = await supabase
+      .from('classification_reviews')
+      .update({
+        status: 'resolved',
+        resolution: accessory ? 'accessory' : walletType,
+        resolved_by: resolvedBy || null,
+        resolved_at: new Date().toISOString(),
+      })
+      .eq('id', settledReview.id);
+
+    if (resolveError) {
+      console.error('❌ Error resolving classification review:', resolveError);
+      throw resolveError;
+    }
+
+    // The held item now has a real lead time
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', settledReview.order_id)
+      .maybeSingle();
+
+    if (orderError) {
+      console.error('❌ Order lookup error:', orderError);
+      throw orderError;
+    }
+
+    if (order) await refreshShipByDate(supabase, order);
+  }
+
+  console.log(`✅ "${review.title}" mapped to ${accessory ? 'accessory' : walletType} (${settled.length} reviews settled)`);
+  return { resolution: accessory ? 'accessory' : walletType, settled: settled.length };
+}
+
+/**
+ * Route a webhook payload to its topic handler
+ * Returns the handler result, or { skipped: 'unhandled_topic' } for topics we ignore
+ */
+export async function routeWebhook(supabase, topic, payload) {
+  switch (topic) {
+    case 'orders/create':
+      return handleOrderCreate(supabase, payload);
+
+    case 'orders/updated':
+      return handleOrderUpdate(supabase, payload);
+
+    case 'orders/cancelled':
+      return handleOrderCancel(supabase, payload);
+
+    case 'refunds/create':
+      return handleRefundCreate(supabase, payload);
+
+    default:
+      console.log(`Unhandled topic: ${topic}`);
+      return { skipped: 'unhandled_topic' };
+  }
+}
@@ -0,0 +1,263 @@
+// src/lib/shopifyStatusSync.js
+// Production status written back to the Shopify order (tags + a JSON metafield)
+// so customer service can see it in the Shopify admin.
+//
+// Claim/start/complete only queue the order (shopify_sync_queue); a cron job
+// (api/cron/shopify-sync.js) writes each due order once, however many wallets moved.
+
+import { getShopifyAdminClient } from './shopifyAdmin.js';
+import { getUnitLabel } from './walletMapping.js';
+
+/**
+ * Quiet period after the last transition before an order is written
+ */
+const DEBOUNCE_MS = parseInt(process.env.SHOPIFY_SYNC_DEBOUNCE_MS || '', 10) || 30 * 1000;
+
+/**
+ * An order that keeps changing is still written at least this often
+ */
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Orders written per cron run - each is up to three Admin API calls, and the
+ * run has to fit in the function time limit (vercel.json)
+ */
+const DEFAULT_BATCH_SIZE = 8;
+
+/**
+ * No new order is started after this long into a run: Admin API retries can make one
+ * order take seconds, and what's left is picked up by the next run
+ */
+const DEFAULT_TIME_BUDGET_MS = parseInt(process.env.SHOPIFY_SYNC_TIME_BUDGET_MS || '', 10) || 6000;
+
+const TAG_PREFIX = 'prod:';
+
+export const PRODUCTION_TAGS = {
+  waiting: 'prod:waiting',
+  claimed: 'prod:claimed',
+  in_progress: 'prod:in-progress',
+  qc: 'prod:qc',
+  completed: 'prod:completed',
+  cancelled: 'prod:cancelled',
+};
+
+export const STATUS_METAFIELD = { namespace: 'production', key: 'status' };
+
+/**
+ * Queue an order for a status write, pushing it back while transitions keep coming
+ */
+export async function enqueueStatusSync(supabase, orderId) {
+  const now = Date.now();
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('shopify_sync_queue')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('❌ Error reading sync queue:', fetchError);
+    throw fetchError;
+  }
+
+  const firstRequestedAt = existing ? new Date(existing.first_requested_at).getTime() : now;
+  const dueAt = new Date(Math.min(now + DEBOUNCE_MS, firstRequestedAt + MAX_DELAY_MS)).toISOString();
+
+  if (existing) {
+    const { error } = await supabase
+      .from('shopify_sync_queue')
+      .update({ due_at: dueAt, requested_at: new Date(now).toISOString() })
+      .eq('id', existing.id);
+
+    if (error) {
+      console.error('❌ Error updating sync queue:', error);
+      throw error;
+    }
+    return;
+  }
+
+  const { error } = await supabase
+    .from('shopify_sync_queue')
+    .insert([{
+      order_id: orderId,
+      due_at: dueAt,
+      requested_at: new Date(now).toISOString(),
+      first_requested_at: new Date(now).toISOString(),
+    }]);
+
+  // Queued concurrently - that entry will pick this transition up too
+  if (error && error.code !== '23505') {
+    console.error('❌ Error queueing status sync:', error);
+    throw error;
+  }
+}
+
+/**
+ * Order-level production state from its wallet units
+ */
+export function getProductionState(order, walletItems) {
+  if (order.status === 'cancelled') return 'cancelled';
+
+  const active = walletItems.filter(item => item.status !== 'cancelled');
+  if (active.length === 0) return 'waiting';
+  if (active.every(item => item.status === 'completed')) return 'completed';
+  if (active.some(item => ['in_progress', 'paused', 'rework'].includes(item.status))) return 'in_progress';
+  if (active.every(item => ['qc', 'completed'].includes(item.status))) return 'qc';
+  if (active.some(item => ['claimed', 'qc', 'completed'].includes(item.status))) return 'claimed';
+  return 'waiting';
+}
+
+/**
+ * JSON metafield value: one entry per wallet unit
+ */
+export function buildStatusMetafieldValue(order, walletItems) {
+  return {
+    state: getProductionState(order, walletItems),
+    updated_at: new Date().toISOString(),
+    wallets: walletItems.map(item => ({
+      line_item_id: item.shopify_line_item_id,
+      product: item.product_name,
+      wallet_type: item.wallet_type,
+      unit: getUnitLabel(item),
+      status: item.status,
+      sewer: item.claimed_by_name || null,
+      claimed_at: item.claimed_at || null,
+      completed_at: item.completed_at || null,
+    })),
+  };
+}
+
+/**
+ * Order tags with our prod:* tag swapped in (other tags are left alone)
+ */
+function replaceProductionTag(tags, productionTag) {
+  const existing = (tags || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag && !tag.startsWith(TAG_PREFIX));
+  return [...existing, productionTag];
+}
+
+/**
+ * Write one order's production status to Shopify
+ */
+export async function syncOrderStatus(supabase, orderId, { client = getShopifyAdminClient() } = {}) {
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (orderError) {
+    console.error('❌ Order lookup error:', orderError);
+    throw orderError;
+  }
+
+  if (!order?.shopify_order_id) return { skipped: 'not_found' };
+
+  const { data: lineItems, error: lineItemsError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', orderId)
+    .eq('item_type', 'wallet')
+    .order('created_at', { ascending: true })
+    .order('unit_index', { ascending: true });
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  const metafieldValue = buildStatusMetafieldValue(order, lineItems);
+  const productionTag = PRODUCTION_TAGS[metafieldValue.state];
+
+  // Tags only change with the order-level state; the metafield is written every time
+  if (order.shopify_production_tag !== productionTag) {
+    const shopifyOrder = await client.getOrder(order.shopify_order_id, 'id,tags');
+    await client.updateOrderTags(order.shopify_order_id, replaceProductionTag(shopifyOrder?.tags, productionTag));
+  }
+
+  await client.setOrderMetafield(order.shopify_order_id, {
+    ...STATUS_METAFIELD,
+    type: 'json',
+    value: JSON.stringify(metafieldValue),
+  });
+
+  const { error: saveError } = await supabase
+    .from('orders')
+    .update({ shopify_production_tag: productionTag, shopify_status_synced_at: new Date().toISOString() })
+    .eq('id', orderId);
+
+  if (saveError) {
+    console.error('❌ Error recording status sync:', saveError);
+    throw saveError;
+  }
+
+  console.log(`🏷️ Order ${order.order_number} synced to Shopify: ${productionTag}`);
+  return { synced: true, tag: productionTag };
+}
+
+/**
+ * Write every due order in the queue (oldest first, batchSize per run, stopping once
+ * timeBudgetMs has passed)
+ * An entry re-queued while it was being written stays for the next run.
+ * Returns { synced, failed, skipped, deferred }
+ */
+export async function processStatusSyncQueue(supabase, {
+  client = getShopifyAdminClient(),
+  batchSize = DEFAULT_BATCH_SIZE,
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+} = {}) {
+  const startedAt = Date.now();
+  const summary = { synced: 0, failed: 0, skipped: 0, deferred: 0 };
+
+  const { data: due, error } = await supabase
+    .from('shopify_sync_queue')
+    .select('*')
+    .lte('due_at', new Date().toISOString())
+    .order('due_at', { ascending: true })
+    .limit(batchSize);
+
+  if (error) {
+    console.error('❌ Error reading sync queue:', error);
+    throw error;
+  }
+
+  for (const entry of due) {
+    // Still due, so the next run takes it first
+    if (Date.now() - startedAt > timeBudgetMs) {
+      summary.deferred++;
+      continue;
+    }
+
+    try {
+      const result = await syncOrderStatus(supabase, entry.order_id, { client });
+      if (result.skipped) summary.skipped++;
+      else summary.synced++;
+
+      // Only if nothing new was queued while we were writing
+      await supabase
+        .from('shopify_sync_queue')
+        .delete()
+        .eq('id', entry.id)
+        .eq('requested_at', entry.requested_at);
+    } catch (syncError) {
+      summary.failed++;
+      console.error(`❌ Status sync failed for order ${entry.order_id}:`, syncError.message);
+
+      // Back off before the next try
+      const attempts = (entry.attempts || 0) + 1;
+      await supabase
+        .from('shopify_sync_queue')
+        .update({
+          attempts,
+          last_error: syncError.message,
+          due_at: new Date(Date.now() + Math.min(attempts, 10) * 60 * 1000).toISOString(),
+        })
+        .eq('id', entry.id);
+    }
+  }
+
+  console.log(`🏷️ Status sync: ${summary.synced} synced, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.deferred} deferred`);
+  return summary;
+}
@@ -0,0 +1,466 @@
+// src/lib/sla.js
+// Promised ship-by dates and SLA tracking
+// Each order gets a ship-by date from its wallets' lead times (wallet_catalog.lead_time_days
+// plus lead_time_rules for customizations), counted in business days from the day it was
+// placed (shop timezone). A scheduled job (api/cron/sla-check.js) keeps orders.sla_state
+// current and alerts through the notifier when an order becomes at risk or overdue.
+
+import { getWalletCatalog, getLeadTimeRules, getShopHolidays, invalidateWalletCatalog } from './walletCatalog.js';
+import { attributeMatches } from './pointsRules.js';
+import { getShopDate, addBusinessDays, businessDaysBetween } from './shopTime.js';
+import { getNotifier } from './notifier.js';
+import { getUnitLabel } from './walletMapping.js';
+import { fetchAllRows, fetchAllRowsIn } from './pagination.js';
+
+/**
+ * Lead time for wallet types without one in the catalog
+ */
+const DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.SLA_DEFAULT_LEAD_TIME_DAYS || '', 10) || 5;
+
+/**
+ * An order is at risk with this many business days (or fewer) left - one more
+ * while any of its wallets hasn't been claimed yet
+ */
+const AT_RISK_DAYS = parseInt(process.env.SLA_AT_RISK_DAYS || '', 10) || 1;
+
+export const SLA_STATES = ['on_track', 'at_risk', 'overdue'];
+
+/**
+ * Line items that still need production work
+ */
+function isOpenWork(item) {
+  return ['wallet', 'unclassified'].includes(item.item_type) && !['completed', 'cancelled'].includes(item.status);
+}
+
+/**
+ * Business days to make one wallet: its type's lead time plus customization rules
+ */
+export function getWalletLeadTime(walletType, attributes, catalog, rules) {
+  const entry = catalog.find(catalogEntry => catalogEntry.wallet_type === walletType);
+  const base = entry?.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS;
+
+  const extra = (rules || [])
+    .filter(rule => rule.active !== false)
+    .filter(rule => !rule.wallet_type || rule.wallet_type === walletType)
+    .filter(rule => attributes && attributeMatches(attributes[rule.attribute], rule.match_value))
+    .reduce((sum, rule) => sum + (Number(rule.extra_days) || 0), 0);
+
+  return base + extra;
+}
+
+/**
+ * Business days for an order: the slowest wallet, since the order ships together
+ * Items held for classification use the default until a supervisor maps them.
+ */
+export function getOrderLeadTime(lineItems, catalog, rules) {
+  const production = lineItems.filter(item => ['wallet', 'unclassified'].includes(item.item_type) && item.status !== 'cancelled');
+  if (production.length === 0) return DEFAULT_LEAD_TIME_DAYS;
+
+  return Math.max(...production.map(item => item.item_type === 'wallet'
+    ? getWalletLeadTime(item.wallet_type, item.wallet_attributes, catalog, rules)
+    : DEFAULT_LEAD_TIME_DAYS));
+}
+
+/**
+ * Ship-by date: lead time business days after the (shop-local) day the order was placed
+ */
+export function computeShipByDate(placedAt, leadTimeDays, holidays = []) {
+  return addBusinessDays(getShopDate(placedAt), leadTimeDays, holidays);
+}
+
+/**
+ * SLA state for an open order on `today` (a shop date)
+ * Returns { state, daysLeft }
+ */
+export function getSlaState(shipByDate, openItems, { today = getShopDate(), holidays = [] } = {}) {
+  const daysLeft = businessDaysBetween(today, shipByDate, holidays);
+
+  if (today > shipByDate) return { state: 'overdue', daysLeft };
+
+  const unclaimed = openItems.some(item => ['pending', 'on_hold'].includes(item.status));
+  if (daysLeft <= AT_RISK_DAYS + (unclaimed ? 1 : 0)) return { state: 'at_risk', daysLeft };
+
+  return { state: 'on_track', daysLeft };
+}
+
+/**
+ * (Re)compute and store an order's ship-by date from its current line items
+ * Called at ingest and whenever the wallets on an order change.
+ */
+export async function refreshShipByDate(supabase, order, lineItems = null) {
+  let items = lineItems;
+  if (!items) {
+    const { data, error } = await supabase
+      .from('order_line_items')
+      .select('*')
+      .eq('order_id', order.id);
+
+    if (error) {
+      console.error('❌ Error fetching line items:', error);
+      throw error;
+    }
+    items = data;
+  }
+
+  const [catalog, rules, holidays] = await Promise.all([
+    getWalletCatalog(supabase),
+    getLeadTimeRules(supabase),
+    getShopHolidays(supabase),
+  ]);
+
+  const leadTimeDays = getOrderLeadTime(items, catalog, rules);
+  const placedAt = order.shopify_metadata?.created_at || order.created_at || new Date();
+  const shipByDate = computeShipByDate(placedAt, leadTimeDays, holidays);
+
+  if (order.ship_by_date === shipByDate && order.lead_time_days === leadTimeDays) {
+    return { leadTimeDays, shipByDate };
+  }
+
+  const { state } = getSlaState(shipByDate, items.filter(isOpenWork), { holidays });
+
+  const update = { lead_time_days: leadTimeDays, ship_by_date: shipByDate };
+  if (state !== order.sla_state) {
+    Object.assign(update, { sla_state: state, sla_state_changed_at: new Date().toISOString() });
+  }
+
+  const { error } = await supabase
+    .from('orders')
+    .update(update)
+    .eq('id', order.id);
+
+  if (error) {
+    console.error('❌ Error saving ship-by date:', error);
+    throw error;
+  }
+
+  console.log(`📅 Order ${order.order_number} ships by ${shipByDate} (${leadTimeDays} business days)`);
+  return { leadTimeDays, shipByDate };
+}
+
+/**
+ * Alert for an order entering at_risk or overdue
+ */
+function buildSlaAlert(order, state, daysLeft, wallets) {
+  const when = state === 'overdue'
+    ? `was due ${order.ship_by_date}`
+    : `ships by ${order.ship_by_date} (${daysLeft} business day${daysLeft === 1 ? '' : 's'} left)`;
+
+  return {
+    type: `sla_${state}`,
+    title: `Order ${order.order_number} ${state === 'overdue' ? 'is overdue' : 'is at risk'}`,
+    message: [
+      `Order ${order.order_number} ${when}, ${wallets.length} wallet${wallets.length === 1 ? '' : 's'} not done:`,
+      ...wallets.map(wallet => `• ${wallet.product_name} ${wallet.unit} - ${wallet.status}${wallet.sewer ? ` (${wallet.sewer})` : ''}`),
+    ].join('\n'),
+    data: { order_id: order.id, order_number: order.order_number, ship_by_date: order.ship_by_date, state, wallets },
+  };
+}
+
+/**
+ * Re-evaluate every open order's SLA state, alert on new at-risk/overdue orders and
+ * list the wallets behind them
+ * An order alerts once per state it enters; a failed alert is retried on the next run.
+ *
+ * Returns { checked, on_track, at_risk, overdue, alerted, wallets }
+ */
+export async function checkSlas(supabase, { notifier = getNotifier(), now = new Date() } = {}) {
+  const summary = { checked: 0, on_track: 0, at_risk: 0, overdue: 0, alerted: 0, wallets: [] };
+
+  const { data: orders, error: ordersError } = await fetchAllRows(() => supabase
+    .from('orders')
+    .select('*')
+    .not('status', 'in', '(completed,cancelled)')
+    .not('ship_by_date', 'is', null)
+    .order('ship_by_date', { ascending: true })
+    .order('id', { ascending: true }));
+
+  if (ordersError) {
+    console.error('❌ Error fetching orders for SLA check:', ordersError);
+    throw ordersError;
+  }
+
+  if (orders.length === 0) return summary;
+
+  const { data: lineItems, error: lineItemsError } = await fetchAllRowsIn(orders.map(order => order.id), orderIds => supabase
+    .from('order_line_items')
+    .select('*')
+    .in('order_id', orderIds)
+    .order('created_at', { ascending: true })
+    .order('unit_index', { ascending: true })
+    .order('id', { ascending: true }));
+
+  if (lineItemsError) {
+    console.error('❌ Error fetching line items for SLA check:', lineItemsError);
+    throw lineItemsError;
+  }
+
+  const holidays = await getShopHolidays(supabase);
+  const today = getShopDate(now);
+
+  for (const order of orders) {
+    const openItems = lineItems.filter(item => item.order_id === order.id && isOpenWork(item));
+
+    // Production is done - it's waiting on fulfillment, not on us
+    if (openItems.length === 0) continue;
+
+    summary.checked++;
+    const { state, daysLeft } = getSlaState(order.ship_by_date, openItems, { today, holidays });
+    summary[state]++;
+
+    if (state !== order.sla_state) {
+      const { error } = await supabase
+        .from('orders')
+        .update({
+          sla_state: state,
+          sla_state_changed_at: now.toISOString(),
+          // Back on track (e.g. the ship-by date moved) - alert again if it slips
+          ...(state === 'on_track' ? { sla_alerted_state: null } : {}),
+        })
+        .eq('id', order.id);
+
+      if (error) {
+        console.error('❌ Error saving SLA state:', error);
+        throw error;
+      }
+    }
+
+    if (state === 'on_track') continue;
+
+    const wallets = openItems.map(item => ({
+      line_item_id: item.id,
+      order_id: order.id,
+      order_number: order.order_number,
+      product_name: item.product_name,
+      wallet_type: item.wallet_type,
+      unit: getUnitLabel(item),
+      status: item.status,
+      sewer: item.claimed_by_name || null,
+      ship_by_date: order.ship_by_date,
+      sla_state: state,
+    }));
+    summary.wallets.push(...wallets);
+
+    if (order.sla_alerted_state === state) continue;
+
+    try {
+      await notifier.notify(buildSlaAlert(order, state, daysLeft, wallets));
+    } catch (notifyError) {
+      console.error(`❌ SLA alert failed for order ${order.order_number}:`, notifyError.message);
+      continue;
+    }
+
+    summary.alerted++;
+    const { error: alertedError } = await supabase
+      .from('orders')
+      .update({ sla_alerted_state: state })
+      .eq('id', order.id);
+
+    if (alertedError) {
+      console.error('❌ Error recording SLA alert:', alertedError);
+    }
+  }
+
+  console.log(`⏰ SLA check: ${summary.on_track} on track, ${summary.at_risk} at risk, ${summary.overdue} overdue, ${summary.alerted} alerted`);
+  return summary;
+}
+
+/**
+ * ADMIN: lead time rules and shop holidays
+ */
+
+const RULE_FIELDS = ['name', 'wallet_type', 'attribute', 'match_value', 'extra_days'];
+
+/**
+ * Validate and normalize a lead time rule (or a partial patch when `partial` is set)
+ * Returns { rule, errors }
+ */
+export function validateLeadTimeRule(input, { partial = false } = {}) {
+  const errors = [];
+  const rule = {};
+
+  for (const field of RULE_FIELDS) {
+    if (input[field] !== undefined) rule[field] = input[field];
+  }
+
+  if (!partial || rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('name is required');
+    } else {
+      rule.name = rule.name.trim();
+    }
+  }
+
+  if (!partial || rule.attribute !== undefined) {
+    if (typeof rule.attribute !== 'string' || !rule.attribute.trim()) {
+      errors.push('attribute is required (a wallet_attributes field, e.g. has_badge_cutout)');
+    } else {
+      rule.attribute = rule.attribute.trim();
+    }
+  }
+
+  if (!partial || rule.extra_days !== undefined) {
+    const days = Number(rule.extra_days);
+    if (!Number.isInteger(days) || days < 0) {
+      errors.push('extra_days must be an integer >= 0');
+    } else {
+      rule.extra_days = days;
+    }
+  }
+
+  if (rule.wallet_type !== undefined) {
+    rule.wallet_type = typeof rule.wallet_type === 'string' && rule.wallet_type.trim()
+      ? rule.wallet_type.trim()
+      : null;
+  }
+
+  return { rule, errors };
+}
+
+/**
+ * List lead time rules (active only unless includeInactive)
+ */
+export async function listLeadTimeRules(supabase, { includeInactive = false } = {}) {
+  let query = supabase
+    .from('lead_time_rules')
+    .select('*');
+
+  if (!includeInactive) {
+    query = query.eq('active', true);
+  }
+
+  const { data, error } = await query.order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing lead time rules:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a lead time rule
+ * Only affects ship-by dates computed afterwards - promised dates aren't moved.
+ */
+export async function createLeadTimeRule(supabase, rule) {
+  const { data, error } = await supabase
+    .from('lead_time_rules')
+    .insert([{ ...rule, active: true }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating lead time rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Lead time rule created: ${data.name} (+${data.extra_days} days)`);
+  return data;
+}
+
+/**
+ * Edit a lead time rule
+ */
+export async function updateLeadTimeRule(supabase, id, patch) {
+  const { data, error } = await supabase
+    .from('lead_time_rules')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error updating lead time rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Lead time rule updated: ${data.name}`);
+  return data;
+}
+
+/**
+ * Switch a lead time rule off
+ */
+export async function deactivateLeadTimeRule(supabase, id) {
+  const { data, error } = await supabase
+    .from('lead_time_rules')
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error deactivating lead time rule:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Lead time rule deactivated: ${data.name}`);
+  return data;
+}
+
+/**
+ * List shop holidays (from `from`, a YYYY-MM-DD date, when given)
+ */
+export async function listShopHolidays(supabase, { from = null } = {}) {
+  let query = supabase
+    .from('shop_holidays')
+    .select('*');
+
+  if (from) {
+    query = query.gte('holiday_date', from);
+  }
+
+  const { data, error } = await query.order('holiday_date', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing shop holidays:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add (or rename) a shop holiday
+ */
+export async function addShopHoliday(supabase, { date, name }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(date))) {
+    throw new Error('date must be YYYY-MM-DD');
+  }
+
+  const { data, error } = await supabase
+    .from('shop_holidays')
+    .upsert([{ holiday_date: date, name: name || 'Holiday' }], { onConflict: 'holiday_date' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error saving shop holiday:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Shop holiday saved: ${data.holiday_date} ${data.name}`);
+  return data;
+}
+
+/**
+ * Remove a shop holiday
+ */
+export async function removeShopHoliday(supabase, date) {
+  const { error } = await supabase
+    .from('shop_holidays')
+    .delete()
+    .eq('holiday_date', date);
+
+  if (error) {
+    console.error('❌ Error removing shop holiday:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Shop holiday removed: ${date}`);
+}
@@ -0,0 +1,275 @@
+// src/lib/walletAttributes.js
+// Declarative line item property schema: Shopify property names -> typed wallet attributes,
+// with per-wallet-type overrides (wallet_catalog.property_overrides) and value validation
+
+/**
+ * Colours the shop stocks. Per-wallet-type overrides can narrow or extend these.
+ */
+export const LEATHER_COLORS = [
+  'Black', 'Brown', 'Dark Brown', 'Chocolate', 'Tan', 'Natural', 'Saddle', 'Chestnut',
+  'Cognac', 'Whiskey', 'Mahogany', 'Oxblood', 'Burgundy', 'Navy', 'Gray', 'Olive',
+];
+
+export const THREAD_COLORS = [
+  'Black', 'Brown', 'Tan', 'Natural', 'White', 'Cream', 'Navy', 'Blue', 'Red', 'Gray', 'Green', 'Gold',
+];
+
+/**
+ * Default schema, one entry per attribute
+ *   names:    property names that map to it (compared normalized: case, spaces,
+ *             underscores, hyphens and a leading underscore don't matter)
+ *   type:     'string' | 'boolean'
+ *   flag:     boolean attribute set when the property is present. A yes/no value only
+ *             sets the flag; anything else is also stored as the attribute.
+ *   validate: { maxLength, pattern, patternMessage, allowed }
+ */
+export const PROPERTY_SCHEMA = {
+  color: {
+    names: ['leather color', 'leather colour', 'color', 'colour', 'wallet color'],
+    type: 'string',
+    validate: { allowed: LEATHER_COLORS },
+  },
+  leather_type: {
+    names: ['leather type', 'leather', 'leather style', 'hide'],
+    type: 'string',
+  },
+  thread_color: {
+    names: ['thread color', 'thread colour', 'thread', 'stitching', 'stitch color', 'stitching color'],
+    type: 'string',
+    validate: { allowed: THREAD_COLORS },
+  },
+  monogram_text: {
+    names: ['monogram', 'monogram text', 'monogram initials', 'initials'],
+    type: 'string',
+    flag: 'has_monogram',
+    validate: { maxLength: 3, pattern: '^[A-Za-z]*$', patternMessage: 'letters only' },
+  },
+  monogram_font: {
+    names: ['monogram font', 'monogram style'],
+    type: 'string',
+  },
+  special_engraving_text: {
+    names: ['special engraving', 'engraving', 'engraving text'],
+    type: 'string',
+    flag: 'has_special_engraving',
+    validate: { maxLength: 40, pattern: '^[A-Za-z0-9 .,&\'#-]*$', patternMessage: 'letters, numbers and . , & \' # - only' },
+  },
+  engraving_font: {
+    names: ['engraving font'],
+    type: 'string',
+  },
+  engraving_location: {
+    names: ['engraving location', 'engraving placement'],
+    type: 'string',
+  },
+  custom_id_text: {
+    names: ['custom id', 'add custom id', 'id text'],
+    type: 'string',
+    flag: 'has_custom_id',
+  },
+  badge_type: {
+    names: ['badge type', 'badge', 'badge shape'],
+    type: 'string',
+  },
+  badge_cutout: {
+    // The cutout value, when it isn't just "Yes", is the badge it's cut for
+    names: ['badge cutout', 'add custom badge cutout', 'custom badge cutout'],
+    type: 'string',
+    flag: 'has_badge_cutout',
+    storeAs: 'badge_type',
+  },
+  custom_logo_details: {
+    names: ['custom logo', 'logo', 'logo details'],
+    type: 'string',
+    flag: 'has_custom_logo',
+  },
+  customer_note: {
+    names: ['customer note', 'note', 'gift note', 'special instructions'],
+    type: 'string',
+  },
+};
+
+const YES = ['yes', 'y', 'true', '1', 'on'];
+const NO = ['no', 'n', 'false', '0', 'off', ''];
+
+/**
+ * "_Thread-Colour " -> "thread colour"
+ */
+function normalizePropertyName(name) {
+  return String(name)
+    .trim()
+    .replace(/^_+/, '')
+    .replace(/[\s_-]+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Default schema with a wallet type's overrides applied
+ * Overrides (wallet_catalog.property_overrides) are keyed by attribute; each replaces
+ * the fields it sets, with `validate` merged field by field. New attributes can be added,
+ * and an attribute set to null is dropped for that wallet type.
+ */
+export function resolvePropertySchema(catalog, walletType) {
+  const overrides = (catalog || []).find(entry => entry.wallet_type === walletType)?.property_overrides;
+  if (!overrides) return PROPERTY_SCHEMA;
+
+  const schema = { ...PROPERTY_SCHEMA };
+  for (const [attribute, override] of Object.entries(overrides)) {
+    if (override === null) {
+      delete schema[attribute];
+      continue;
+    }
+    const base = schema[attribute] || { names: [], type: 'string' };
+    schema[attribute] = {
+      ...base,
+      ...override,
+      validate: { ...base.validate, ...override.validate },
+    };
+  }
+  return schema;
+}
+
+/**
+ * Attribute lookup by normalized property name
+ */
+function buildNameIndex(schema) {
+  const index = new Map();
+  for (const [attribute, definition] of Object.entries(schema)) {
+    for (const name of definition.names || []) {
+      index.set(normalizePropertyName(name), attribute);
+    }
+  }
+  return index;
+}
+
+/**
+ * Extract wallet attributes from line item properties
+ * Returns structured data for wallet customization. Properties the schema doesn't know
+ * land in other_customizations (shown to the sewer), or hidden_properties when their
+ * name starts with an underscore (app bookkeeping).
+ */
+export function extractWalletAttributes(lineItem, schema = PROPERTY_SCHEMA) {
+  const attributes = {
+    color: null,
+    leather_type: null,
+    thread_color: null,
+    has_monogram: false,
+    monogram_text: null,
+    monogram_font: null,
+    has_special_engraving: false,
+    special_engraving_text: null,
+    engraving_font: null,
+    engraving_location: null,
+    has_custom_id: false,
+    custom_id_text: null,
+    has_custom_logo: false,
+    custom_logo_details: null,
+    has_badge_cutout: false,
+    badge_type: null,
+    customer_note: null,
+    other_customizations: [],
+    hidden_properties: {}
+  };
+
+  // Attributes added by overrides start out empty too
+  for (const [attribute, definition] of Object.entries(schema)) {
+    if (definition.flag && attributes[definition.flag] === undefined) attributes[definition.flag] = false;
+    const target = definition.storeAs || attribute;
+    if (attributes[target] === undefined) attributes[target] = null;
+  }
+
+  if (!lineItem?.properties || !Array.isArray(lineItem.properties)) {
+    return attributes;
+  }
+
+  const nameIndex = buildNameIndex(schema);
+
+  lineItem.properties.forEach(prop => {
+    const attribute = nameIndex.get(normalizePropertyName(prop.name));
+
+    if (!attribute) {
+      if (String(prop.name).startsWith('_')) {
+        attributes.hidden_properties[prop.name] = prop.value;
+      } else {
+        attributes.other_customizations.push({ name: prop.name, value: prop.value });
+      }
+      return;
+    }
+
+    const definition = schema[attribute];
+    const target = definition.storeAs || attribute;
+    const text = prop.value === null || prop.value === undefined ? '' : String(prop.value).trim();
+
+    if (definition.type === 'boolean') {
+      attributes[target] = YES.includes(text.toLowerCase());
+      return;
+    }
+
+    if (definition.flag) {
+      if (NO.includes(text.toLowerCase())) return;
+      attributes[definition.flag] = true;
+      if (YES.includes(text.toLowerCase())) return;
+    }
+
+    attributes[target] = text;
+  });
+
+  return attributes;
+}
+
+/**
+ * Check attribute values against the schema
+ * Returns [{ attribute, value, message }] (empty when everything is valid).
+ * Allowed-value lists are case-insensitive.
+ */
+export function validateWalletAttributes(attributes, schema = PROPERTY_SCHEMA) {
+  const errors = [];
+  if (!attributes) return errors;
+
+  for (const [attribute, definition] of Object.entries(schema)) {
+    const rules = definition.validate;
+    const target = definition.storeAs || attribute;
+    const value = attributes[target];
+    if (!rules || value === null || value === undefined || value === '' || typeof value !== 'string') continue;
+
+    if (rules.maxLength && value.length > rules.maxLength) {
+      errors.push({ attribute: target, value, message: `${target} is longer than ${rules.maxLength} characters` });
+    }
+
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+      errors.push({ attribute: target, value, message: `${target} has characters that can't be made (${rules.patternMessage || rules.pattern})` });
+    }
+
+    if (rules.allowed && !rules.allowed.some(option => option.toLowerCase() === value.toLowerCase())) {
+      errors.push({ attribute: target, value, message: `${target} "${value}" is not an available option` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Review reason for invalid personalizations (used to clear the flag once fixed)
+ */
+export const INVALID_PERSONALIZATION_REASON = 'invalid personalization';
+
+/**
+ * needs_review / review_reason / validation_errors for a wallet row
+ * `currentReason` is the row's existing review_reason: a personalization flag is cleared
+ * once the values are fixed, but other review reasons are left alone.
+ */
+export function getValidationReviewFields(validationErrors, currentReason = null) {
+  if (validationErrors.length > 0) {
+    return {
+      validation_errors: validationErrors,
+      needs_review: true,
+      review_reason: `${INVALID_PERSONALIZATION_REASON}: ${validationErrors.map(error => error.message).join('; ')}`,
+    };
+  }
+
+  if (currentReason?.startsWith(INVALID_PERSONALIZATION_REASON)) {
+    return { validation_errors: [], needs_review: false, review_reason: null };
+  }
+
+  return { validation_errors: [] };
+}
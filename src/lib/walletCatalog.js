@@ -0,0 +1,415 @@
+// src/lib/walletCatalog.js
+// Database-backed wallet catalog (wallet_catalog table) with an in-process cache
+
+/**
+ * How long a loaded catalog is trusted before it is re-read.
+ * Admin edits made through another instance show up within this window.
+ */
+const CACHE_TTL_MS = parseInt(process.env.WALLET_CATALOG_CACHE_TTL_MS || '', 10) || 5 * 60 * 1000;
+
+const caches = new Map();
+
+/**
+ * Load a table through the cache, sharing one in-flight load between concurrent callers
+ */
+async function cachedLoad(key, force, loader) {
+  const cache = caches.get(key) || { rows: null, loadedAt: 0, loading: null };
+  caches.set(key, cache);
+
+  const isFresh = cache.rows && Date.now() - cache.loadedAt < CACHE_TTL_MS;
+  if (isFresh && !force) return cache.rows;
+
+  if (!cache.loading) {
+    cache.loading = loader()
+      .then(rows => {
+        cache.rows = rows;
+        cache.loadedAt = Date.now();
+        return rows;
+      })
+      .finally(() => {
+        cache.loading = null;
+      });
+  }
+
+  return cache.loading;
+}
+
+/**
+ * Get the active catalog entries, from cache when fresh
+ */
+export async function getWalletCatalog(supabase, { force = false } = {}) {
+  return cachedLoad('wallet_catalog', force, async () => {
+    const { data, error } = await supabase
+      .from('wallet_catalog')
+      .select('*')
+      .eq('active', true);
+
+    if (error) {
+      console.error('❌ Error loading wallet catalog:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Get product identifiers a supervisor has confirmed are accessories, from cache when fresh
+ */
+export async function getKnownAccessories(supabase, { force = false } = {}) {
+  return cachedLoad('known_accessories', force, async () => {
+    const { data, error } = await supabase
+      .from('known_accessories')
+      .select('*');
+
+    if (error) {
+      console.error('❌ Error loading known accessories:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Get the active customization points rules (see pointsRules.js), from cache when fresh
+ */
+export async function getPointsRules(supabase, { force = false } = {}) {
+  return cachedLoad('points_rules', force, async () => {
+    const { data, error } = await supabase
+      .from('points_rules')
+      .select('*')
+      .eq('active', true);
+
+    if (error) {
+      console.error('❌ Error loading points rules:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Get the active customization lead time rules (see sla.js), from cache when fresh
+ */
+export async function getLeadTimeRules(supabase, { force = false } = {}) {
+  return cachedLoad('lead_time_rules', force, async () => {
+    const { data, error } = await supabase
+      .from('lead_time_rules')
+      .select('*')
+      .eq('active', true);
+
+    if (error) {
+      console.error('❌ Error loading lead time rules:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Get shop holidays as YYYY-MM-DD strings, from cache when fresh
+ */
+export async function getShopHolidays(supabase, { force = false } = {}) {
+  return cachedLoad('shop_holidays', force, async () => {
+    const { data, error } = await supabase
+      .from('shop_holidays')
+      .select('*');
+
+    if (error) {
+      console.error('❌ Error loading shop holidays:', error);
+      throw error;
+    }
+
+    return data.map(holiday => holiday.holiday_date);
+  });
+}
+
+/**
+ * Get the active QC defect codes (see qualityControl.js), from cache when fresh
+ */
+export async function getDefectCodes(supabase, { force = false } = {}) {
+  return cachedLoad('qc_defect_codes', force, async () => {
+    const { data, error } = await supabase
+      .from('qc_defect_codes')
+      .select('*')
+      .eq('active', true)
+      .order('code', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error loading QC defect codes:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Get the active bill of materials lines (see materials.js), from cache when fresh
+ */
+export async function getBillOfMaterials(supabase, { force = false } = {}) {
+  return cachedLoad('bill_of_materials', force, async () => {
+    const { data, error } = await supabase
+      .from('bill_of_materials')
+      .select('*')
+      .eq('active', true);
+
+    if (error) {
+      console.error('❌ Error loading bill of materials:', error);
+      throw error;
+    }
+
+    return data;
+  });
+}
+
+/**
+ * Drop the cached catalog so the next read goes to the database
+ */
+export function invalidateWalletCatalog() {
+  caches.clear();
+}
+
+/**
+ * Get points for a wallet type from the catalog
+ */
+export function getCatalogPoints(catalog, walletType) {
+  return Number(catalog.find(entry => entry.wallet_type === walletType)?.points) || 0;
+}
+
+/**
+ * Remember a product's identifiers against a catalog entry (e.g. after a supervisor maps it)
+ */
+export async function addIdentifiersToCatalogEntry(supabase, walletType, { productId, variantId, sku }) {
+  const { data: entry, error: fetchError } = await supabase
+    .from('wallet_catalog')
+    .select('*')
+    .eq('wallet_type', walletType)
+    .eq('active', true)
+    .single();
+
+  if (fetchError) {
+    console.error('❌ Error fetching catalog entry:', fetchError);
+    throw fetchError;
+  }
+
+  const merge = (values, value) => value && !(values || []).includes(String(value))
+    ? [...(values || []), String(value)]
+    : values || [];
+
+  const updated = await updateCatalogEntry(supabase, entry.id, {
+    shopify_product_ids: merge(entry.shopify_product_ids, productId),
+    shopify_variant_ids: merge(entry.shopify_variant_ids, variantId),
+    skus: merge(entry.skus, sku),
+  });
+
+  return updated;
+}
+
+/**
+ * Remember a product as an accessory
+ */
+export async function addKnownAccessory(supabase, { productId, variantId, sku, title }) {
+  const { error } = await supabase
+    .from('known_accessories')
+    .insert([{
+      product_id: productId ? String(productId) : null,
+      variant_id: variantId ? String(variantId) : null,
+      sku: sku || null,
+      title: title || null,
+    }]);
+
+  if (error) {
+    console.error('❌ Error saving known accessory:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+}
+
+/**
+ * ADMIN: catalog maintenance
+ */
+
+const EDITABLE_FIELDS = ['wallet_type', 'keywords', 'points', 'lead_time_days', 'standard_minutes', 'shopify_product_ids', 'shopify_variant_ids', 'skus', 'property_overrides'];
+const ARRAY_FIELDS = ['keywords', 'shopify_product_ids', 'shopify_variant_ids', 'skus'];
+
+/**
+ * Validate and normalize an entry (or a partial patch when `partial` is set)
+ * Returns { entry, errors }
+ */
+export function validateCatalogEntry(input, { partial = false } = {}) {
+  const errors = [];
+  const entry = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) entry[field] = input[field];
+  }
+
+  if (!partial || entry.wallet_type !== undefined) {
+    if (typeof entry.wallet_type !== 'string' || !entry.wallet_type.trim()) {
+      errors.push('wallet_type is required');
+    } else {
+      entry.wallet_type = entry.wallet_type.trim();
+    }
+  }
+
+  if (!partial || entry.points !== undefined) {
+    const points = Number(entry.points);
+    if (entry.points === null || entry.points === '' || Number.isNaN(points) || points < 0) {
+      errors.push('points must be a number >= 0');
+    } else {
+      entry.points = points;
+    }
+  }
+
+  // Business days; null falls back to SLA_DEFAULT_LEAD_TIME_DAYS
+  if (entry.lead_time_days !== undefined && entry.lead_time_days !== null) {
+    const days = Number(entry.lead_time_days);
+    if (!Number.isInteger(days) || days < 0) {
+      errors.push('lead_time_days must be an integer >= 0');
+    } else {
+      entry.lead_time_days = days;
+    }
+  }
+
+  // Expected hands-on labour per wallet (see workSessions.js); null = not set
+  if (entry.standard_minutes !== undefined && entry.standard_minutes !== null) {
+    const minutes = Number(entry.standard_minutes);
+    if (Number.isNaN(minutes) || minutes <= 0) {
+      errors.push('standard_minutes must be a number > 0');
+    } else {
+      entry.standard_minutes = minutes;
+    }
+  }
+
+  for (const field of ARRAY_FIELDS) {
+    if (entry[field] === undefined) continue;
+
+    if (!Array.isArray(entry[field])) {
+      errors.push(`${field} must be an array`);
+      continue;
+    }
+
+    // Keywords match lower-cased titles; ids and SKUs are compared as strings
+    entry[field] = [...new Set(entry[field]
+      .map(value => String(value).trim())
+      .map(value => field === 'keywords' ? value.toLowerCase() : value)
+      .filter(Boolean))];
+  }
+
+  // Per-wallet-type property schema overrides, keyed by attribute (see walletAttributes.js)
+  if (entry.property_overrides !== undefined && entry.property_overrides !== null) {
+    const overrides = entry.property_overrides;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push('property_overrides must be an object keyed by attribute');
+    } else {
+      for (const [attribute, override] of Object.entries(overrides)) {
+        if (override === null) continue;
+        if (typeof override !== 'object' || Array.isArray(override)) {
+          errors.push(`property_overrides.${attribute} must be an object or null`);
+        } else if (override.names !== undefined && !Array.isArray(override.names)) {
+          errors.push(`property_overrides.${attribute}.names must be an array`);
+        } else if (override.validate?.allowed !== undefined && !Array.isArray(override.validate.allowed)) {
+          errors.push(`property_overrides.${attribute}.validate.allowed must be an array`);
+        }
+      }
+    }
+  }
+
+  if (!partial && !entry.keywords?.length && !entry.shopify_product_ids?.length &&
+      !entry.shopify_variant_ids?.length && !entry.skus?.length) {
+    errors.push('at least one keyword, product id, variant id or SKU is required');
+  }
+
+  return { entry, errors };
+}
+
+/**
+ * List catalog entries (active only unless includeRetired)
+ */
+export async function listCatalogEntries(supabase, { includeRetired = false } = {}) {
+  let query = supabase
+    .from('wallet_catalog')
+    .select('*');
+
+  if (!includeRetired) {
+    query = query.eq('active', true);
+  }
+
+  const { data, error } = await query.order('points', { ascending: true }).order('wallet_type', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error listing wallet catalog:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a catalog entry
+ */
+export async function createCatalogEntry(supabase, entry) {
+  const { data, error } = await supabase
+    .from('wallet_catalog')
+    .insert([{ ...entry, active: true }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error creating catalog entry:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Catalog entry created: ${data.wallet_type} (${data.points} pts)`);
+  return data;
+}
+
+/**
+ * Edit a catalog entry
+ */
+export async function updateCatalogEntry(supabase, id, patch) {
+  const { data, error } = await supabase
+    .from('wallet_catalog')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error updating catalog entry:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Catalog entry updated: ${data.wallet_type}`);
+  return data;
+}
+
+/**
+ * Retire a catalog entry - kept for history, no longer matched
+ */
+export async function retireCatalogEntry(supabase, id) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('wallet_catalog')
+    .update({ active: false, retired_at: now, updated_at: now })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error retiring catalog entry:', error);
+    throw error;
+  }
+
+  invalidateWalletCatalog();
+  console.log(`✅ Catalog entry retired: ${data.wallet_type}`);
+  return data;
+}
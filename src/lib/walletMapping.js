@@ -1,182 +1,30 @@
 // src/lib/walletMapping.js
 // UPDATED VERSION - Expanded wallet types with better matching and accessory handling
 
+import { getWalletCatalog, getKnownAccessories, getCatalogPoints } from './walletCatalog.js';
+import { matchKeywords, classifyLineItem, toClassificationRecord } from './classification.js';
+import { getPointsRules, calculatePoints, roundPoints } from './pointsRules.js';
+
 /**
- * EXPANDED WALLET TYPE MAPPINGS
- * Now using product name as wallet_type for maximum flexibility
+ * Wallet types, keywords and points live in the wallet_catalog table
+ * (see walletCatalog.js) so they can be changed without a deploy
  */
-
-export const WALLET_MAPPINGS = {
-  // 2 POINTS
-  'Peyton': {
-    keywords: ['peyton'],
-    points: 2
-  },
-  'The Richmond': {
-    keywords: ['richmond'],
-    points: 2
-  },
-  'Keller Money Clip': {
-    keywords: ['keller money clip', 'keller'],
-    points: 2
-  },
-  'The Georgetown': {
-    keywords: ['georgetown'],
-    points: 2
-  },
-  'Pflugerville': {
-    keywords: ['pflugerville'],
-    points: 2
-  },
-  'Minimalist Badge Wallet': {
-    keywords: ['minimalist badge wallet', 'minimalist badge'],
-    points: 2
-  },
-  'Knife Sheath': {
-    keywords: ['knife sheath'],
-    points: 2
-  },
-  'Keychain': {
-    keywords: ['keychain'],
-    points: 2
-  },
-
-  // 3 POINTS
-  'Passport Holder': {
-    keywords: ['passport holder', 'passport'],
-    points: 3
-  },
-  'Victory': {
-    keywords: ['victory'],
-    points: 3
-  },
-  'Western Vertical Wallet': {
-    keywords: ['western vertical wallet', 'western vertical'],
-    points: 3
-  },
-  'Valet Tray': {
-    keywords: ['valet tray'],
-    points: 3
-  },
-  'Tyler Vertical Wallet': {
-    keywords: ['tyler vertical wallet', 'tyler vertical'],
-    points: 3
-  },
-  'Mansfield': {
-    keywords: ['mansfield'],
-    points: 3
-  },
-  'Leather Field Notes Cover': {
-    keywords: ['leather field notes cover', 'field notes cover', 'field notes'],
-    points: 3
-  },
-  'Badge Vertical Wallet': {
-    keywords: ['badge vertical wallet', 'badge vertical'],
-    points: 3
-  },
-  'Apple Watch Leather Band': {
-    keywords: ['apple watch leather band', 'apple watch band', 'watch band'],
-    points: 3
-  },
-
-  // 4 POINTS
-  'Glory Snap': {
-    keywords: ['glory snap'],
-    points: 4
-  },
-  'Federal Badge Wallet Small': {
-    keywords: ['federal badge wallet small', 'federal badge small'],
-    points: 4
-  },
-  'Western Long Wallet': {
-    keywords: ['western long wallet', 'western long'],
-    points: 4
-  },
-  'The Houstonian Long Wallet': {
-    keywords: ['houstonian long wallet', 'houstonian long', 'houstonian'],
-    points: 4
-  },
-  'Badge Long Wallet': {
-    keywords: ['badge long wallet', 'badge long'],
-    points: 4
-  },
-
-  // 5 POINTS
-  'Sugar Land Clutch': {
-    keywords: ['sugar land clutch', 'sugar land'],
-    points: 5
-  },
-  'Western Bifold Wallet': {
-    keywords: ['western bifold wallet', 'western bifold'],
-    points: 5
-  },
-  'Trinity Trifold Wallet': {
-    keywords: ['trinity trifold wallet', 'trinity trifold', 'trinity'],
-    points: 5
-  },
-  'Rio Grande': {
-    keywords: ['rio grande'],
-    points: 5
-  },
-  'Badge Bifold Wallet': {
-    keywords: ['badge bifold wallet', 'badge bifold'],
-    points: 5
-  },
-
-  // 6 POINTS
-  'Badge Clutch Wallet': {
-    keywords: ['badge clutch wallet', 'badge clutch'],
-    points: 6
-  },
-  'Western Trifold Wallet': {
-    keywords: ['western trifold wallet', 'western trifold'],
-    points: 6
-  },
-  'Big Bend': {
-    keywords: ['big bend'],
-    points: 6
-  },
-  'Badge Trifold Wallet': {
-    keywords: ['badge trifold wallet', 'badge trifold'],
-    points: 6
-  },
-};
+export { getWalletCatalog, invalidateWalletCatalog } from './walletCatalog.js';
 
 /**
- * Determine wallet type from product name
- * Returns the wallet type name (e.g., "Badge Trifold Wallet") or null if no match
+ * Determine wallet type from product name (keywords only, whole words)
+ * Returns the wallet type name (e.g., "Badge Trifold Wallet") or null if no match.
+ * Prefer classifyLineItem, which checks Shopify ids first and reports confidence.
  */
-export function getWalletType(productName) {
-  if (!productName) return null;
-  
-  const name = productName.toLowerCase();
-  
-  // Sort by keyword length (longest first) to prioritize more specific matches
-  const sortedMappings = Object.entries(WALLET_MAPPINGS).sort((a, b) => {
-    const maxLengthA = Math.max(...a[1].keywords.map(k => k.length));
-    const maxLengthB = Math.max(...b[1].keywords.map(k => k.length));
-    return maxLengthB - maxLengthA;
-  });
-  
-  // Check each wallet type's keywords
-  for (const [walletType, config] of sortedMappings) {
-    const hasMatch = config.keywords.some(keyword => 
-      name.includes(keyword.toLowerCase())
-    );
-    
-    if (hasMatch) {
-      return walletType; // Return the full name like "Badge Trifold Wallet"
-    }
-  }
-  
-  return null;
+export function getWalletType(catalog, productName) {
+  return matchKeywords(catalog, productName)?.walletType || null;
 }
 
 /**
  * Get points for a wallet type
  */
-export function getPointsForWalletType(walletType) {
-  return WALLET_MAPPINGS[walletType]?.points || 0;
+export function getPointsForWalletType(catalog, walletType) {
+  return getCatalogPoints(catalog, walletType);
 }
 
 /**
@@ -209,28 +57,37 @@ export function isAccessory(productName) {
  * Now handles accessories separately
  */
 export async function processLineItem(supabase, lineItem) {
-  // Skip if it's an accessory
-  if (lineItem.item_type === 'accessory') {
-    console.log(`⚙️ Skipping accessory: ${lineItem.product_name}`);
+  // Skip accessories, and items held for classification review
+  if (lineItem.item_type !== 'wallet') {
+    console.log(`⚙️ Skipping ${lineItem.item_type}: ${lineItem.product_name}`);
     return lineItem;
   }
 
-  // Determine wallet type from product name
-  const walletType = getWalletType(lineItem.product_name);
+  // Determine wallet type - Shopify ids first, then product name
+  const catalog = await getWalletCatalog(supabase);
+  const knownAccessories = await getKnownAccessories(supabase);
+  const result = classifyLineItem(catalog, knownAccessories, lineItem);
   
-  if (!walletType) {
-    console.warn('⚠️ Could not determine wallet type for:', lineItem.product_name);
+  if (result.itemType !== 'wallet' || result.needsReview) {
+    console.warn(`⚠️ Could not confidently determine wallet type for: ${lineItem.product_name} (${result.rule})`);
     return null;
   }
   
-  const points = getPointsForWalletType(walletType);
+  const walletType = result.walletType;
+  
+  // Catalog points adjusted by customization rules
+  const pointsRules = await getPointsRules(supabase);
+  const pointsBreakdown = calculatePoints(result.points, walletType, lineItem.wallet_attributes, pointsRules);
+  const points = pointsBreakdown.total;
   
   // Update the line item
   const { data, error } = await supabase
     .from('order_line_items')
     .update({
       wallet_type: walletType,
-      points: points
+      points: points,
+      points_breakdown: pointsBreakdown,
+      classification: toClassificationRecord(result)
     })
     .eq('id', lineItem.id)
     .select()
@@ -245,6 +102,24 @@ export async function processLineItem(supabase, lineItem) {
   return data;
 }
 
+/**
+ * Number of wallet units in a set of line items
+ * Each unit is its own row (quantity 1); rows from before unit expansion carry their quantity.
+ */
+export function countWalletUnits(lineItems) {
+  return lineItems
+    .filter(item => item.item_type === 'wallet')
+    .reduce((sum, item) => sum + (item.quantity || 1), 0);
+}
+
+/**
+ * Display label for a wallet unit, e.g. "2 of 3" (null for single units)
+ */
+export function getUnitLabel(lineItem) {
+  if (!lineItem?.unit_index || !lineItem.unit_count || lineItem.unit_count < 2) return null;
+  return `${lineItem.unit_index} of ${lineItem.unit_count}`;
+}
+
 /**
  * Process all line items for an order
  * Separates wallets from accessories and updates order totals
@@ -261,9 +136,10 @@ export async function processOrderLineItems(supabase, orderId) {
     return;
   }
   
-  // Separate wallets from accessories
-  const walletItems = lineItems.filter(item => item.item_type === 'wallet');
-  const accessoryItems = lineItems.filter(item => item.item_type === 'accessory');
+  // Separate wallets from accessories (withdrawn items no longer count)
+  const activeItems = lineItems.filter(item => item.status !== 'cancelled');
+  const walletItems = activeItems.filter(item => item.item_type === 'wallet');
+  const accessoryItems = activeItems.filter(item => item.item_type === 'accessory');
   
   console.log(`Processing ${walletItems.length} wallets and ${accessoryItems.length} accessories`);
   
@@ -273,15 +149,15 @@ export async function processOrderLineItems(supabase, orderId) {
   );
   
   // Calculate total points for the order (wallets only)
-  const totalPoints = results
+  const totalPoints = roundPoints(results
     .filter(Boolean)
-    .reduce((sum, item) => sum + item.points, 0);
+    .reduce((sum, item) => sum + Number(item.points), 0));
   
   // Collate all wallet types
-  const walletTypes = results
+  const walletTypes = [...new Set(results
     .filter(Boolean)
     .map(item => item.wallet_type)
-    .filter(Boolean)
+    .filter(Boolean))]
     .join(', ');
   
   // Update parent order with totals
@@ -290,17 +166,59 @@ export async function processOrderLineItems(supabase, orderId) {
     .update({ 
       points: totalPoints,
       wallet_type: walletTypes,
-      total_wallets: walletItems.length,
+      total_wallets: countWalletUnits(walletItems),
       total_accessories: accessoryItems.length
     })
     .eq('id', orderId);
   
-  console.log(`✅ Processed order: ${walletItems.length} wallets (${totalPoints} pts), ${accessoryItems.length} accessories`);
+  console.log(`✅ Processed order: ${countWalletUnits(walletItems)} wallet units (${totalPoints} pts), ${accessoryItems.length} accessories`);
   console.log(`   Wallet types: ${walletTypes}`);
   
   return results;
 }
 
+/**
+ * Recompute order totals from its stored line items
+ * Same totals as processOrderLineItems, without re-mapping wallet types.
+ * Used after refunds/edits withdraw or add line items.
+ */
+export async function recalculateOrderTotals(supabase, orderId) {
+  const { data: lineItems, error: fetchError } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('order_id', orderId)
+    .neq('status', 'cancelled');
+  
+  if (fetchError) {
+    console.error('❌ Error fetching line items:', fetchError);
+    throw fetchError;
+  }
+  
+  const walletItems = lineItems.filter(item => item.item_type === 'wallet');
+  const accessoryItems = lineItems.filter(item => item.item_type === 'accessory');
+  
+  const totals = {
+    points: roundPoints(walletItems.reduce((sum, item) => sum + (Number(item.points) || 0), 0)),
+    wallet_type: [...new Set(walletItems.map(item => item.wallet_type).filter(Boolean))]
+      .join(', ') || null,
+    total_wallets: countWalletUnits(walletItems),
+    total_accessories: accessoryItems.length
+  };
+  
+  const { error: updateError } = await supabase
+    .from('orders')
+    .update(totals)
+    .eq('id', orderId);
+  
+  if (updateError) {
+    console.error('❌ Error updating order totals:', updateError);
+    throw updateError;
+  }
+  
+  console.log(`📊 Order totals: ${totals.total_wallets} wallet units (${totals.points} pts), ${totals.total_accessories} accessories`);
+  return totals;
+}
+
 /**
  * Get wallet customization summary
  * Useful for displaying wallet details in UI
@@ -314,6 +232,10 @@ export function getWalletCustomizationSummary(walletAttributes) {
     customizations.push(`Color: ${walletAttributes.color}`);
   }
   
+  if (walletAttributes.leather_type) {
+    customizations.push(`Leather: ${walletAttributes.leather_type}`);
+  }
+  
   if (walletAttributes.has_monogram) {
     const text = walletAttributes.monogram_text ? ` (${walletAttributes.monogram_text})` : '';
     const font = walletAttributes.monogram_font ? ` - ${walletAttributes.monogram_font}` : '';
@@ -395,9 +317,11 @@ export async function processAllUnmappedLineItems(supabase) {
 }
 
 /**
- * HELPER: Test your mappings
+ * HELPER: Test your mappings against the live catalog
  */
-export function testMappings() {
+export async function testMappings(supabase) {
+  const catalog = await getWalletCatalog(supabase, { force: true });
+
   const testProducts = [
     "Peyton",
     "The Richmond",
@@ -439,9 +363,9 @@ export function testMappings() {
   console.log('Testing wallet mappings...\n');
   
   testProducts.forEach(product => {
-    const type = getWalletType(product);
+    const type = getWalletType(catalog, product);
     const isAcc = isAccessory(product);
-    const points = type ? getPointsForWalletType(type) : 0;
+    const points = type ? getPointsForWalletType(catalog, type) : 0;
     
     if (isAcc) {
       console.log(`⚙️ "${product}" → ACCESSORY (no points)`);
@@ -454,4 +378,4 @@ export function testMappings() {
 }
 
 // Uncomment to test:
-// testMappings();
\ No newline at end of file
+// testMappings(supabase);
\ No newline at end of file
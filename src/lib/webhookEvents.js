@@ -0,0 +1,123 @@
+// src/lib/webhookEvents.js
+// Webhook event ledger - makes Shopify deliveries idempotent
+
+/**
+ * A delivery still marked 'processing' after this long is assumed to have
+ * died mid-flight (function timeout, crash) and may be taken over by a retry
+ */
+const STALE_PROCESSING_MS = 60 * 1000;
+
+/**
+ * Pull the Shopify order id out of a webhook payload for the given topic
+ */
+export function getShopifyOrderIdForTopic(topic, payload) {
+  if (!payload) return null;
+
+  if (topic?.startsWith('orders/')) {
+    return payload.id?.toString() || null;
+  }
+
+  return payload.order_id?.toString() || null;
+}
+
+/**
+ * Claim a delivery for processing
+ * Returns { proceed: true } when this request should run the handler,
+ * or { proceed: false, reason } when it must be acknowledged without touching data
+ */
+export async function beginWebhookEvent(supabase, { webhookId, topic, shopDomain, shopifyOrderId, triggeredAt }) {
+  if (!webhookId) {
+    // Only happens for hand-crafted requests in local dev mode
+    console.warn('⚠️ Webhook has no X-Shopify-Webhook-Id - idempotency check skipped');
+    return { proceed: true };
+  }
+
+  const { error: insertError } = await supabase
+    .from('webhook_events')
+    .insert([{
+      webhook_id: webhookId,
+      topic,
+      shop_domain: shopDomain,
+      shopify_order_id: shopifyOrderId,
+      triggered_at: triggeredAt || null,
+      status: 'processing',
+      attempts: 1,
+    }]);
+
+  if (!insertError) {
+    return { proceed: true };
+  }
+
+  // 23505 = unique_violation: we've seen this webhook id before
+  if (insertError.code !== '23505') {
+    console.error('❌ Webhook ledger insert error:', insertError);
+    throw insertError;
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('webhook_id', webhookId)
+    .single();
+
+  if (fetchError) {
+    console.error('❌ Webhook ledger fetch error:', fetchError);
+    throw fetchError;
+  }
+
+  if (existing.status === 'processed' || existing.status === 'ignored') {
+    return { proceed: false, reason: 'duplicate' };
+  }
+
+  const lastTouched = new Date(existing.updated_at || existing.received_at).getTime();
+  if (existing.status === 'processing' && Date.now() - lastTouched < STALE_PROCESSING_MS) {
+    return { proceed: false, reason: 'in_flight' };
+  }
+
+  // Previous attempt failed (or died) - take it over, guarding against a concurrent takeover
+  const { data: retaken, error: updateError } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: (existing.attempts || 0) + 1,
+      error: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('webhook_id', webhookId)
+    .eq('status', existing.status)
+    .eq('attempts', existing.attempts)
+    .select();
+
+  if (updateError) {
+    console.error('❌ Webhook ledger update error:', updateError);
+    throw updateError;
+  }
+
+  if (!retaken || retaken.length === 0) {
+    return { proceed: false, reason: 'in_flight' };
+  }
+
+  return { proceed: true };
+}
+
+/**
+ * Mark a delivery as finished
+ * status is 'processed', 'ignored' (e.g. stale orders/updated) or 'failed'
+ */
+export async function finishWebhookEvent(supabase, webhookId, status, error = null) {
+  if (!webhookId) return;
+
+  const { error: updateError } = await supabase
+    .from('webhook_events')
+    .update({
+      status,
+      error: error ? (error.message || String(error)) : null,
+      processed_at: status === 'failed' ? null : new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('webhook_id', webhookId);
+
+  if (updateError) {
+    console.error('❌ Webhook ledger finish error:', updateError);
+  }
+}
@@ -0,0 +1,51 @@
+// src/lib/webhookVerification.js
+// Shopify webhook signature checks
+
+import crypto from 'crypto';
+
+/**
+ * Active webhook secrets
+ * SHOPIFY_WEBHOOK_SECRETS is a comma-separated list so the app secret can be
+ * rotated without downtime: add the new secret, deploy, rotate in Shopify,
+ * then drop the old one. SHOPIFY_WEBHOOK_SECRET is still honoured.
+ */
+export function getWebhookSecrets() {
+  const secrets = (process.env.SHOPIFY_WEBHOOK_SECRETS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  if (process.env.SHOPIFY_WEBHOOK_SECRET) {
+    secrets.push(process.env.SHOPIFY_WEBHOOK_SECRET.trim());
+  }
+
+  return [...new Set(secrets)];
+}
+
+/**
+ * Local development escape hatch. Only honoured outside production.
+ */
+export function isVerificationDisabled() {
+  const requested = process.env.SHOPIFY_WEBHOOK_DEV_MODE === 'true';
+  const isProduction = process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+  return requested && !isProduction;
+}
+
+/**
+ * Verify webhook is from Shopify
+ * Compares the HMAC of the raw body against every active secret in constant time
+ */
+export function verifyShopifyWebhook(rawBody, hmacHeader, secrets) {
+  if (!hmacHeader || typeof hmacHeader !== 'string') return false;
+
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return secrets.some(secret => {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest();
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
@@ -0,0 +1,287 @@
+// src/lib/withdrawals.js
+// Withdrawing line items from production (cancellations, refunds, order edits)
+
+import { recordPoints, findLatestAward } from './dailyPoints.js';
+import { notifySewer } from './notifications.js';
+import { transitionLineItem, StaleStatusError, HELD_STATUSES } from './lineItemStatus.js';
+
+/**
+ * What to do with points already awarded for a wallet that is later withdrawn
+ *   'clawback' - reverse them from the sewer's points straight away
+ *   'review'   - record a pending reversal for a supervisor to decide on
+ */
+export function getWithdrawnPointsPolicy() {
+  return process.env.WITHDRAWN_POINTS_POLICY === 'clawback' ? 'clawback' : 'review';
+}
+
+/**
+ * Something wrong with a points adjustment decision
+ * `code` is one of: invalid_input, not_found
+ */
+export class PointsAdjustmentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PointsAdjustmentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Tries at withdrawing a row that keeps changing under us before the webhook fails (and is retried)
+ */
+const MAX_WITHDRAW_ATTEMPTS = 3;
+
+async function fetchLineItem(supabase, lineItemId) {
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('*')
+    .eq('id', lineItemId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error fetching line item:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * The live (applied or pending) adjustment already recorded for a wallet's current completion,
+ * left by an attempt whose cancel never went through
+ */
+async function findCompletionAdjustment(supabase, lineItem) {
+  let query = supabase
+    .from('points_adjustments')
+    .select('*')
+    .eq('line_item_id', lineItem.id)
+    .in('status', ['applied', 'pending_review']);
+
+  if (lineItem.completed_at) {
+    query = query.gte('created_at', lineItem.completed_at);
+  }
+
+  const { data, error } = await query
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error reading points adjustments:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Reverse (or queue for review) the points a sewer earned for a withdrawn wallet
+ * Keyed to the wallet's completion, so a retry doesn't reverse twice.
+ * Returns { adjustment, workDate, created }.
+ */
+async function reverseCompletedPoints(supabase, lineItem, reason, policy) {
+  const existing = await findCompletionAdjustment(supabase, lineItem);
+  if (existing) return { adjustment: existing, workDate: null, created: false };
+
+  const adjustment = {
+    sewer_id: lineItem.claimed_by,
+    sewer_name: lineItem.claimed_by_name,
+    line_item_id: lineItem.id,
+    order_id: lineItem.order_id,
+    points: -lineItem.points,
+    reason,
+    status: policy === 'clawback' ? 'applied' : 'pending_review',
+    decided_at: policy === 'clawback' ? new Date().toISOString() : null,
+  };
+
+  const { data: recorded, error } = await supabase
+    .from('points_adjustments')
+    .insert([adjustment])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error recording points adjustment:', error);
+    throw error;
+  }
+
+  let workDate = null;
+  if (policy === 'clawback') {
+    workDate = await recordAdjustmentReversal(supabase, recorded);
+    console.log(`↩️ Clawed back ${lineItem.points} pts from ${lineItem.claimed_by_name}`);
+  } else {
+    console.log(`🚩 Flagged ${lineItem.points} pts earned by ${lineItem.claimed_by_name} for supervisor review`);
+  }
+
+  return { adjustment: recorded, workDate, created: true };
+}
+
+/**
+ * Take back a reversal recorded for a cancel that then failed (points re-awarded on the same day)
+ */
+async function undoCompletedPointsReversal(supabase, lineItem, { adjustment, workDate }, reason) {
+  if (adjustment.status === 'applied') {
+    await recordPoints(supabase, {
+      sewerId: adjustment.sewer_id,
+      sewerName: adjustment.sewer_name,
+      points: -Number(adjustment.points),
+      type: 'award',
+      ordersCompleted: 1,
+      workDate,
+      occurredAt: lineItem.completed_at,
+      lineItem,
+      reason,
+    });
+  }
+
+  const { error } = await supabase
+    .from('points_adjustments')
+    .update({ status: 'waived', decided_at: new Date().toISOString() })
+    .eq('id', adjustment.id);
+
+  if (error) {
+    console.error('❌ Error waiving points adjustment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Book an applied points adjustment in the ledger, on the day the points were awarded
+ * Returns that day.
+ */
+async function recordAdjustmentReversal(supabase, adjustment) {
+  const award = adjustment.line_item_id ? await findLatestAward(supabase, adjustment.line_item_id) : null;
+  const workDate = award?.work_date ?? null;
+
+  await recordPoints(supabase, {
+    sewerId: adjustment.sewer_id,
+    sewerName: adjustment.sewer_name,
+    points: adjustment.points,
+    type: 'reversal',
+    ordersCompleted: -1,
+    workDate,
+    lineItem: { id: adjustment.line_item_id, order_id: adjustment.order_id },
+    adjustmentId: adjustment.id,
+    reason: adjustment.reason,
+  });
+
+  return workDate;
+}
+
+/**
+ * Cancel one line item, re-reading it when it changed since it was read
+ * A completed wallet's points are reversed (per policy) before the cancel, and the
+ * reversal is taken back if the cancel fails. Returns the cancelled row, or null when
+ * it was cancelled already.
+ */
+async function withdrawLineItem(supabase, lineItem, reason, policy) {
+  let current = lineItem;
+
+  for (let attempt = 1; ; attempt++) {
+    if (!current || current.status === 'cancelled') return null;
+
+    const reversal = current.status === 'completed' && current.claimed_by && current.points > 0
+      ? await reverseCompletedPoints(supabase, current, reason, policy)
+      : null;
+
+    try {
+      const data = await transitionLineItem(supabase, current, 'cancelled', {
+        patch: { cancel_reason: reason },
+        actor: { role: 'system' },
+        reason,
+      });
+
+      // Never throws, so a cancel is never left half done by it
+      if ([...HELD_STATUSES, 'qc', 'completed'].includes(current.status)) {
+        await notifySewer(supabase, current, {
+          type: 'withdrawn',
+          message: `${current.product_name} was withdrawn (${reason}). Please stop work on it.`
+        });
+      }
+
+      return data;
+    } catch (error) {
+      if (reversal?.created) {
+        await undoCompletedPointsReversal(supabase, current, reversal, `Withdrawal failed: ${error.message}`);
+      }
+
+      // Someone else moved it (e.g. claimed it) at the same moment - cancel it from where it is now
+      if (!(error instanceof StaleStatusError) || attempt === MAX_WITHDRAW_ATTEMPTS) throw error;
+      console.warn(`⚠️ Line item ${current.id} changed while withdrawing, retrying`);
+      current = await fetchLineItem(supabase, current.id);
+    }
+  }
+}
+
+/**
+ * Withdraw line items from production
+ * Claimers are notified, completed wallets get their points reversed per policy,
+ * and every row is marked cancelled. Rows already cancelled are left alone.
+ */
+export async function withdrawLineItems(supabase, lineItems, reason) {
+  const policy = getWithdrawnPointsPolicy();
+  const withdrawn = [];
+
+  for (const lineItem of lineItems) {
+    const data = await withdrawLineItem(supabase, lineItem, reason, policy);
+    if (data) withdrawn.push(data);
+  }
+
+  return withdrawn;
+}
+
+/**
+ * Points reversals waiting for a supervisor, oldest first
+ */
+export async function listPendingPointsAdjustments(supabase) {
+  const { data, error } = await supabase
+    .from('points_adjustments')
+    .select('*')
+    .eq('status', 'pending_review')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching points adjustments:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Supervisor decision on a pending points reversal
+ * decision is 'clawback' (apply it) or 'waive' (sewer keeps the points)
+ */
+export async function resolvePointsAdjustment(supabase, adjustmentId, { decision, decidedBy }) {
+  if (!['clawback', 'waive'].includes(decision)) {
+    throw new PointsAdjustmentError('invalid_input', "decision must be 'clawback' or 'waive'");
+  }
+
+  const { data: adjustment, error } = await supabase
+    .from('points_adjustments')
+    .update({
+      status: decision === 'clawback' ? 'applied' : 'waived',
+      decided_by: decidedBy,
+      decided_at: new Date().toISOString(),
+    })
+    .eq('id', adjustmentId)
+    .eq('status', 'pending_review')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error resolving points adjustment:', error);
+    throw error;
+  }
+
+  if (!adjustment) {
+    throw new PointsAdjustmentError('not_found', `No points adjustment ${adjustmentId} is waiting for review`);
+  }
+
+  if (decision === 'clawback') {
+    await recordAdjustmentReversal(supabase, adjustment);
+  }
+
+  return adjustment;
+}
@@ -0,0 +1,145 @@
+// src/lib/workSessions.js
+// Work sessions: a session runs while a wallet is in_progress. A trigger on status
+// changes (sync_work_session, work_sessions migration) opens one on every start or resume
+// and closes it on every way out of in_progress (pause, QC, release, cancel...), in the
+// same write, so labour time is the sum of sessions.
+//
+// Actual labour per wallet type is compared against the catalog's standard_minutes to
+// suggest points calibrations.
+
+import { getShopDate, addDays } from './shopTime.js';
+import { getWalletCatalog } from './walletCatalog.js';
+import { fetchAllRows } from './pagination.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Wallets needed before a wallet type gets a suggestion
+ */
+const DEFAULT_MIN_SAMPLES = 5;
+
+/**
+ * Labour within this share of the standard time is on target (no suggestion)
+ */
+const CALIBRATION_TOLERANCE = parseFloat(process.env.CALIBRATION_TOLERANCE || '') || 0.1;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * A wallet's sessions, oldest first, with its labour so far (a running session counts up to now)
+ */
+export async function getWorkSessions(supabase, lineItemId) {
+  const { data: sessions, error } = await supabase
+    .from('work_sessions')
+    .select('*')
+    .eq('line_item_id', lineItemId)
+    .order('started_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Error fetching work sessions:', error);
+    throw error;
+  }
+
+  const now = Date.now();
+  const labourMinutes = sessions.reduce((sum, session) => sum + (session.ended_at
+    ? Number(session.minutes || 0)
+    : Math.max(0, now - new Date(session.started_at)) / MINUTE_MS), 0);
+
+  return {
+    sessions,
+    labour_minutes: round(labourMinutes, 2),
+    running: sessions.some(session => !session.ended_at),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Labour vs standard time per wallet type for wallets completed on shop days [from, to]
+ * (default the last 60 days), with suggested points where labour is off the standard.
+ *
+ * suggested_points keeps each wallet type's points per standard minute:
+ *   catalog points × median labour / standard_minutes
+ * Types without standard_minutes get a suggested_standard_minutes (the median) instead.
+ */
+export async function getCalibrationSuggestions(supabase, { from = null, to = null, minSamples = DEFAULT_MIN_SAMPLES } = {}) {
+  const end = to || getShopDate();
+  const start = from || addDays(end, -59);
+
+  const { data: wallets, error } = await fetchAllRows(() => supabase
+    .from('order_line_items')
+    .select('id, wallet_type, labour_minutes, completed_at')
+    .eq('status', 'completed')
+    .eq('item_type', 'wallet')
+    .gt('labour_minutes', 0)
+    .gte('completed_at', `${addDays(start, -1)}T00:00:00Z`)
+    .lt('completed_at', `${addDays(end, 2)}T00:00:00Z`)
+    .order('id', { ascending: true }));
+
+  if (error) {
+    console.error('❌ Error fetching completed wallets:', error);
+    throw error;
+  }
+
+  const catalog = await getWalletCatalog(supabase);
+  const byType = new Map();
+
+  wallets
+    .filter(wallet => {
+      const date = getShopDate(wallet.completed_at);
+      return date >= start && date <= end;
+    })
+    .forEach(wallet => {
+      if (!byType.has(wallet.wallet_type)) byType.set(wallet.wallet_type, []);
+      byType.get(wallet.wallet_type).push(Number(wallet.labour_minutes));
+    });
+
+  const walletTypes = [...byType.entries()].map(([walletType, minutes]) => {
+    const entry = catalog.find(catalogEntry => catalogEntry.wallet_type === walletType);
+    const points = Number(entry?.points) || 0;
+    const standard = entry?.standard_minutes ? Number(entry.standard_minutes) : null;
+    const medianMinutes = round(median(minutes));
+
+    const result = {
+      wallet_type: walletType,
+      samples: minutes.length,
+      median_minutes: medianMinutes,
+      average_minutes: round(minutes.reduce((a, b) => a + b, 0) / minutes.length),
+      standard_minutes: standard,
+      catalog_points: points,
+      points_per_labour_hour: medianMinutes > 0 ? round(points / (medianMinutes / 60), 2) : null,
+      efficiency: standard && medianMinutes > 0 ? round(standard / medianMinutes, 2) : null,
+      suggestion: null,
+    };
+
+    if (minutes.length < minSamples) return result;
+
+    if (!standard) {
+      result.suggestion = {
+        suggested_standard_minutes: medianMinutes,
+        reason: `No standard time yet - ${minutes.length} wallets took a median of ${medianMinutes} min`,
+      };
+    } else if (Math.abs(medianMinutes - standard) / standard > CALIBRATION_TOLERANCE) {
+      // Rounded to half points
+      const suggestedPoints = Math.max(0.5, Math.round((points * medianMinutes / standard) * 2) / 2);
+      result.suggestion = {
+        suggested_points: suggestedPoints,
+        suggested_standard_minutes: medianMinutes,
+        reason: `Median labour ${medianMinutes} min is ${Math.round(Math.abs(medianMinutes / standard - 1) * 100)}% ${medianMinutes > standard ? 'over' : 'under'} the ${standard} min standard`,
+      };
+    }
+
+    return result;
+  });
+
+  return {
+    from: start,
+    to: end,
+    tolerance: CALIBRATION_TOLERANCE,
+    wallet_types: walletTypes.sort((a, b) => b.samples - a.samples),
+  };
+}
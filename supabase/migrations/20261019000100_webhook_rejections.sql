@@ -0,0 +1,17 @@
+-- Rejected Shopify webhook deliveries (bad/missing HMAC, missing secret)
+create table if not exists webhook_rejections (
+  id bigint generated always as identity primary key,
+  topic text,
+  shop_domain text,
+  webhook_id text,
+  reason text not null,
+  source_ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_rejections_created_at_idx on webhook_rejections (created_at desc);
+create index if not exists webhook_rejections_shop_domain_idx on webhook_rejections (shop_domain);
+
+-- Only the service role (webhook) writes here
+alter table webhook_rejections enable row level security;
@@ -0,0 +1,25 @@
+-- Ledger of Shopify webhook deliveries keyed on X-Shopify-Webhook-Id
+create table if not exists webhook_events (
+  webhook_id text primary key,
+  topic text not null,
+  shop_domain text,
+  shopify_order_id text,
+  triggered_at timestamptz,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'ignored', 'failed')),
+  attempts integer not null default 1,
+  error text,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists webhook_events_shopify_order_id_idx on webhook_events (shopify_order_id);
+
+alter table webhook_events enable row level security;
+
+-- Natural key: one row per Shopify order
+create unique index if not exists orders_shopify_order_id_key on orders (shopify_order_id);
+
+-- Shopify's updated_at of the last orders/* payload we applied
+alter table orders add column if not exists shopify_updated_at timestamptz;
@@ -0,0 +1,22 @@
+-- Failed Shopify deliveries, kept for replay
+create table if not exists webhook_dead_letters (
+  id bigint generated always as identity primary key,
+  webhook_id text unique,
+  topic text,
+  shop_domain text,
+  order_number text,
+  headers jsonb not null default '{}'::jsonb,
+  raw_body text not null,
+  last_error text,
+  attempts integer not null default 1,
+  first_failed_at timestamptz not null default now(),
+  last_failed_at timestamptz not null default now(),
+  replayed_at timestamptz,
+  resolved_at timestamptz
+);
+
+create index if not exists webhook_dead_letters_unresolved_idx
+  on webhook_dead_letters (first_failed_at) where resolved_at is null;
+create index if not exists webhook_dead_letters_order_number_idx on webhook_dead_letters (order_number);
+
+alter table webhook_dead_letters enable row level security;
@@ -0,0 +1,48 @@
+-- Cancelled orders / withdrawn line items
+alter table order_line_items add column if not exists cancelled_at timestamptz;
+alter table order_line_items add column if not exists cancel_reason text;
+
+-- In-app messages for sewers (e.g. "stop work, this order was cancelled")
+create table if not exists sewer_notifications (
+  id bigint generated always as identity primary key,
+  sewer_id text not null,
+  line_item_id bigint references order_line_items (id) on delete cascade,
+  order_id bigint references orders (id) on delete cascade,
+  type text not null,
+  message text not null,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sewer_notifications_sewer_unread_idx
+  on sewer_notifications (sewer_id, created_at desc) where read_at is null;
+
+alter table sewer_notifications enable row level security;
+
+-- Readable by the dashboard (anon key); notifications are written server-side (notifications.js)
+create policy "sewer_notifications readable" on sewer_notifications
+  for select using (true);
+
+-- Reversals of points already awarded for withdrawn wallets
+create table if not exists points_adjustments (
+  id bigint generated always as identity primary key,
+  sewer_id text not null,
+  sewer_name text,
+  line_item_id bigint references order_line_items (id) on delete set null,
+  order_id bigint references orders (id) on delete set null,
+  points numeric not null,
+  reason text not null,
+  status text not null check (status in ('applied', 'pending_review', 'waived')),
+  decided_by text,
+  decided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists points_adjustments_pending_idx
+  on points_adjustments (created_at) where status = 'pending_review';
+
+alter table points_adjustments enable row level security;
+
+-- Readable by the dashboard (anon key); adjustments are recorded and decided server-side
+create policy "points_adjustments readable" on points_adjustments
+  for select using (true);
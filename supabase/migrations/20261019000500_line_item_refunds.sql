@@ -0,0 +1,16 @@
+-- Shopify line item id on each production row, so refunds and edits can find it
+alter table order_line_items add column if not exists shopify_line_item_id text;
+alter table order_line_items add column if not exists refunded_quantity integer not null default 0;
+-- Refunds already counted in refunded_quantity, so a retried refund isn't counted twice
+alter table order_line_items add column if not exists refund_ids text[] not null default '{}';
+
+-- Refunds applied to the order (handleRefundCreate)
+alter table orders add column if not exists refund_ids text[] not null default '{}';
+
+-- Backfill from the stored payload where it was captured
+update order_line_items
+  set shopify_line_item_id = shopify_line_item ->> 'id'
+  where shopify_line_item_id is null and shopify_line_item ? 'id';
+
+create index if not exists order_line_items_shopify_line_item_id_idx
+  on order_line_items (shopify_line_item_id);
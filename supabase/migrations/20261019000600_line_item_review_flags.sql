@@ -0,0 +1,7 @@
+-- Rows that need a supervisor's attention (e.g. edited after being claimed)
+alter table order_line_items add column if not exists needs_review boolean not null default false;
+alter table order_line_items add column if not exists review_reason text;
+alter table order_line_items add column if not exists pending_changes jsonb;
+
+create index if not exists order_line_items_needs_review_idx
+  on order_line_items (order_id) where needs_review;
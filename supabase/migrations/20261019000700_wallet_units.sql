@@ -0,0 +1,44 @@
+-- One order_line_items row per wallet unit ("2 of 3"), linked by shopify_line_item_id
+alter table order_line_items add column if not exists unit_index integer;
+alter table order_line_items add column if not exists unit_count integer;
+
+comment on column order_line_items.refunded_quantity is
+  'Units of the Shopify line item refunded so far (same value on each of its rows)';
+
+-- Expand existing multi-quantity wallet rows that haven't been completed yet.
+-- The original row becomes unit 1; copies keep its status and claim.
+insert into order_line_items (
+  order_id, order_number, item_type, shopify_line_item_id, product_id, variant_id, sku,
+  product_name, variant_name, quantity, price, wallet_type, points, wallet_attributes,
+  status, claimed_by, claimed_by_name, claimed_at, shopify_line_item, unit_index, unit_count
+)
+select
+  li.order_id, li.order_number, li.item_type, li.shopify_line_item_id, li.product_id, li.variant_id, li.sku,
+  li.product_name, li.variant_name, 1, li.price, li.wallet_type, li.points, li.wallet_attributes,
+  li.status, li.claimed_by, li.claimed_by_name, li.claimed_at, li.shopify_line_item, n, li.quantity
+from order_line_items li
+cross join lateral generate_series(2, li.quantity) as n
+where li.item_type = 'wallet'
+  and li.quantity > 1
+  and li.status not in ('completed', 'cancelled');
+
+update order_line_items
+  set unit_count = quantity, unit_index = 1, quantity = 1
+  where item_type = 'wallet'
+    and quantity > 1
+    and status not in ('completed', 'cancelled');
+
+update order_line_items
+  set unit_index = 1, unit_count = 1
+  where item_type = 'wallet' and unit_index is null and quantity = 1;
+
+-- Bring order totals in line with the expanded units
+update orders o
+  set points = t.points, total_wallets = t.units
+  from (
+    select order_id, sum(points) as points, sum(quantity) as units
+    from order_line_items
+    where item_type = 'wallet' and status <> 'cancelled'
+    group by order_id
+  ) t
+  where t.order_id = o.id;
@@ -0,0 +1,55 @@
+-- Wallet product catalog: single source of truth for wallet types, keywords and points
+-- (replaces the WALLET_MAPPINGS constants that lived in the webhook and walletMapping.js)
+create table if not exists wallet_catalog (
+  id bigint generated always as identity primary key,
+  wallet_type text not null unique,
+  keywords text[] not null default '{}',
+  points numeric not null check (points >= 0),
+  shopify_product_ids text[] not null default '{}',
+  shopify_variant_ids text[] not null default '{}',
+  skus text[] not null default '{}',
+  active boolean not null default true,
+  retired_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table wallet_catalog enable row level security;
+
+-- The dashboard (anon key) reads the catalog to map wallets; only the service role writes
+create policy "wallet_catalog readable" on wallet_catalog
+  for select using (true);
+
+insert into wallet_catalog (wallet_type, keywords, points) values
+  ('Peyton', array['peyton'], 2),
+  ('The Richmond', array['richmond'], 2),
+  ('Keller Money Clip', array['keller money clip', 'keller'], 2),
+  ('The Georgetown', array['georgetown'], 2),
+  ('Pflugerville', array['pflugerville'], 2),
+  ('Minimalist Badge Wallet', array['minimalist badge wallet', 'minimalist badge'], 2),
+  ('Knife Sheath', array['knife sheath'], 2),
+  ('Keychain', array['keychain'], 2),
+  ('Passport Holder', array['passport holder', 'passport'], 3),
+  ('Victory', array['victory'], 3),
+  ('Western Vertical Wallet', array['western vertical wallet', 'western vertical'], 3),
+  ('Valet Tray', array['valet tray'], 3),
+  ('Tyler Vertical Wallet', array['tyler vertical wallet', 'tyler vertical'], 3),
+  ('Mansfield', array['mansfield'], 3),
+  ('Leather Field Notes Cover', array['leather field notes cover', 'field notes cover', 'field notes'], 3),
+  ('Badge Vertical Wallet', array['badge vertical wallet', 'badge vertical'], 3),
+  ('Apple Watch Leather Band', array['apple watch leather band', 'apple watch band', 'watch band'], 3),
+  ('Glory Snap', array['glory snap'], 4),
+  ('Federal Badge Wallet Small', array['federal badge wallet small', 'federal badge small'], 4),
+  ('Western Long Wallet', array['western long wallet', 'western long'], 4),
+  ('The Houstonian Long Wallet', array['houstonian long wallet', 'houstonian long', 'houstonian'], 4),
+  ('Badge Long Wallet', array['badge long wallet', 'badge long'], 4),
+  ('Sugar Land Clutch', array['sugar land clutch', 'sugar land'], 5),
+  ('Western Bifold Wallet', array['western bifold wallet', 'western bifold'], 5),
+  ('Trinity Trifold Wallet', array['trinity trifold wallet', 'trinity trifold', 'trinity'], 5),
+  ('Rio Grande', array['rio grande'], 5),
+  ('Badge Bifold Wallet', array['badge bifold wallet', 'badge bifold'], 5),
+  ('Badge Clutch Wallet', array['badge clutch wallet', 'badge clutch'], 6),
+  ('Western Trifold Wallet', array['western trifold wallet', 'western trifold'], 6),
+  ('Big Bend', array['big bend'], 6),
+  ('Badge Trifold Wallet', array['badge trifold wallet', 'badge trifold'], 6)
+on conflict (wallet_type) do nothing;
@@ -0,0 +1,48 @@
+-- Identifier-first classification with a supervisor review queue
+-- order_line_items.item_type may now be 'unclassified' (held with status 'on_hold'
+-- until a supervisor maps it); every row records how it was classified
+alter table order_line_items
+  add column if not exists classification jsonb;
+
+-- Line items that matched nothing, or matched only with low confidence
+create table if not exists classification_reviews (
+  id bigint generated always as identity primary key,
+  order_id bigint references orders (id) on delete cascade,
+  order_number text,
+  shopify_line_item_id text,
+  product_id text,
+  variant_id text,
+  sku text,
+  title text,
+  variant_title text,
+  suggested_wallet_type text,
+  confidence numeric,
+  rule text,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text,
+  resolved_by text,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists classification_reviews_open_idx
+  on classification_reviews (created_at)
+  where status = 'open';
+
+create index if not exists classification_reviews_product_idx
+  on classification_reviews (product_id);
+
+-- Products a supervisor has confirmed are accessories, matched by Shopify id or SKU
+create table if not exists known_accessories (
+  id bigint generated always as identity primary key,
+  product_id text,
+  variant_id text,
+  sku text,
+  title text,
+  created_at timestamptz not null default now()
+);
+
+alter table known_accessories enable row level security;
+
+create policy "known_accessories readable" on known_accessories
+  for select using (true);
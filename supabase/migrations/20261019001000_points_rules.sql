@@ -0,0 +1,38 @@
+-- Customization-aware points: rules applied on top of a wallet type's catalog points
+-- Each rule tests one wallet_attributes field (see extractWalletAttributes):
+--   match_value null  -> the attribute is set (true / non-empty)
+--   match_value given -> the attribute equals it, or one of a JSON array of values
+-- Additive rules are summed first, then multiplicative rules scale the result.
+create table if not exists points_rules (
+  id bigint generated always as identity primary key,
+  name text not null,
+  wallet_type text, -- null = every wallet type
+  attribute text not null,
+  match_value jsonb,
+  modifier text not null check (modifier in ('add', 'multiply')),
+  amount numeric not null,
+  priority integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table points_rules enable row level security;
+
+create policy "points_rules readable" on points_rules
+  for select using (true);
+
+-- Multipliers produce fractional points
+alter table order_line_items alter column points type numeric;
+alter table orders alter column points type numeric;
+alter table daily_points alter column points type numeric;
+
+-- Which rules contributed to a wallet's points: { base, rules: [...], total }
+alter table order_line_items add column if not exists points_breakdown jsonb;
+
+insert into points_rules (name, wallet_type, attribute, match_value, modifier, amount) values
+  ('Monogram', null, 'has_monogram', null, 'add', 1),
+  ('Special engraving', null, 'has_special_engraving', null, 'add', 1),
+  ('Custom ID window', null, 'has_custom_id', null, 'add', 1),
+  ('Badge cutout', null, 'has_badge_cutout', null, 'add', 1),
+  ('Custom logo', null, 'has_custom_logo', null, 'multiply', 1.25);
@@ -0,0 +1,12 @@
+-- Personalization add-on line items ("Monogram", "Add Custom ID", "Add Custom Badge Cutout")
+-- linked to the wallet unit they customize; their details are merged into that
+-- wallet's wallet_attributes (wallet_attributes.add_ons lists them)
+alter table order_line_items add column if not exists add_on_kind text;
+alter table order_line_items add column if not exists parent_line_item_id bigint
+  references order_line_items (id) on delete set null;
+alter table order_line_items add column if not exists parent_shopify_line_item_id text;
+-- { method: group_property | single_wallet | position, unit_indexes, ambiguous, reason }
+alter table order_line_items add column if not exists add_on_link jsonb;
+
+create index if not exists order_line_items_parent_idx
+  on order_line_items (parent_line_item_id) where parent_line_item_id is not null;
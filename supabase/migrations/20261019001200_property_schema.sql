@@ -0,0 +1,8 @@
+-- Line item property schema (src/lib/walletAttributes.js)
+-- Per-wallet-type overrides keyed by attribute, e.g.
+--   {"monogram_text": {"validate": {"maxLength": 2}}, "color": {"validate": {"allowed": ["Black", "Tan"]}}}
+alter table wallet_catalog add column if not exists property_overrides jsonb;
+
+-- Personalization values that failed validation: [{ attribute, value, message }]
+-- (rows with errors are also flagged needs_review)
+alter table order_line_items add column if not exists validation_errors jsonb not null default '[]';
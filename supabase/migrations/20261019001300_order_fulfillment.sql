@@ -0,0 +1,11 @@
+-- Shopify fulfillment pushed when an order's last wallet is completed (src/lib/fulfillment.js)
+alter table orders add column if not exists shopify_fulfillment_id text;
+alter table orders add column if not exists fulfilled_at timestamptz;
+-- null until the order completes; in_progress while talking to Shopify; fulfilled | failed
+alter table orders add column if not exists fulfillment_sync_status text
+  check (fulfillment_sync_status in ('in_progress', 'fulfilled', 'failed'));
+alter table orders add column if not exists fulfillment_sync_started_at timestamptz;
+alter table orders add column if not exists fulfillment_error text;
+
+create index if not exists orders_fulfillment_failed_idx
+  on orders (id) where fulfillment_sync_status = 'failed';
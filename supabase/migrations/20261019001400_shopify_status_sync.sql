@@ -0,0 +1,17 @@
+-- Production status written back to Shopify order tags + metafield (src/lib/shopifyStatusSync.js)
+-- One entry per order; claim/start/complete push due_at back so bursts become one write
+create table if not exists shopify_sync_queue (
+  id bigint generated always as identity primary key,
+  order_id bigint not null unique references orders (id) on delete cascade,
+  due_at timestamptz not null,
+  requested_at timestamptz not null,
+  first_requested_at timestamptz not null,
+  attempts integer not null default 0,
+  last_error text
+);
+
+create index if not exists shopify_sync_queue_due_idx on shopify_sync_queue (due_at);
+
+-- What was last written, so tags are only rewritten when the state changes
+alter table orders add column if not exists shopify_production_tag text;
+alter table orders add column if not exists shopify_status_synced_at timestamptz;
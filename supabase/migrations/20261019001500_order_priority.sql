@@ -0,0 +1,12 @@
+-- Work queue priority (src/lib/priority.js)
+-- Computed at ingest from tags, shipping lines and note attributes; order age is added at read time
+alter table orders add column if not exists priority_score integer not null default 0;
+alter table orders add column if not exists priority_reasons jsonb not null default '[]'::jsonb;
+
+-- Supervisor override: replaces the computed score while set
+alter table orders add column if not exists priority_override integer;
+alter table orders add column if not exists priority_override_reason text;
+alter table orders add column if not exists priority_override_by text;
+alter table orders add column if not exists priority_override_at timestamptz;
+
+create index if not exists orders_priority_idx on orders (coalesce(priority_override, priority_score) desc);
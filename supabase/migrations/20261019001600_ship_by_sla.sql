@@ -0,0 +1,53 @@
+-- Promised ship-by dates and SLA tracking (src/lib/sla.js)
+
+-- Production window per wallet type, in business days (null = SLA_DEFAULT_LEAD_TIME_DAYS)
+alter table wallet_catalog add column if not exists lead_time_days integer check (lead_time_days >= 0);
+
+update wallet_catalog set lead_time_days = 3 where wallet_type in ('Keychain', 'Knife Sheath', 'Valet Tray', 'Apple Watch Leather Band') and lead_time_days is null;
+update wallet_catalog set lead_time_days = 7 where wallet_type like 'Badge %' or wallet_type like 'Federal Badge%' or wallet_type = 'Minimalist Badge Wallet';
+update wallet_catalog set lead_time_days = 5 where lead_time_days is null;
+
+-- Extra business days for customizations, matched like points_rules against wallet_attributes
+create table if not exists lead_time_rules (
+  id bigint generated always as identity primary key,
+  name text not null,
+  wallet_type text, -- null = every wallet type
+  attribute text not null,
+  match_value jsonb,
+  extra_days integer not null check (extra_days >= 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table lead_time_rules enable row level security;
+
+create policy "lead_time_rules readable" on lead_time_rules
+  for select using (true);
+
+insert into lead_time_rules (name, wallet_type, attribute, match_value, extra_days) values
+  ('Badge cutout', null, 'has_badge_cutout', null, 3),
+  ('Custom logo', null, 'has_custom_logo', null, 3),
+  ('Special engraving', null, 'has_special_engraving', null, 1);
+
+-- Days the shop doesn't work (weekends are always skipped)
+create table if not exists shop_holidays (
+  holiday_date date primary key,
+  name text not null
+);
+
+alter table shop_holidays enable row level security;
+
+create policy "shop_holidays readable" on shop_holidays
+  for select using (true);
+
+alter table orders add column if not exists lead_time_days integer;
+alter table orders add column if not exists ship_by_date date;
+alter table orders add column if not exists sla_state text not null default 'on_track'
+  check (sla_state in ('on_track', 'at_risk', 'overdue'));
+alter table orders add column if not exists sla_state_changed_at timestamptz;
+-- Last state an alert went out for, so each transition alerts once
+alter table orders add column if not exists sla_alerted_state text;
+
+create index if not exists orders_ship_by_idx on orders (ship_by_date)
+  where status not in ('completed', 'cancelled');
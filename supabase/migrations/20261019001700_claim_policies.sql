@@ -0,0 +1,99 @@
+-- Claim policies (src/lib/claimPolicy.js)
+-- The row with sewer_id null is the shop default; a row for a sewer overrides the
+-- fields it sets (null = use the default). Null limits mean "no limit".
+create table if not exists claim_policies (
+  id bigint generated always as identity primary key,
+  sewer_id text unique,
+  max_claimed_wallets integer check (max_claimed_wallets > 0),
+  max_claimed_points numeric check (max_claimed_points > 0),
+  -- Claimed but never started for this long -> back to pending
+  claim_ttl_minutes integer check (claim_ttl_minutes > 0),
+  -- Big orders are shared: one sewer holds at most fair_share_max_percent of their wallets
+  fair_share_enabled boolean,
+  fair_share_min_units integer check (fair_share_min_units > 1),
+  fair_share_max_percent integer check (fair_share_max_percent between 1 and 100),
+  updated_at timestamptz not null default now()
+);
+
+-- Only one shop default
+create unique index if not exists claim_policies_default_idx on claim_policies ((sewer_id is null)) where sewer_id is null;
+
+alter table claim_policies enable row level security;
+
+-- Readable by the dashboard (anon key) to show a sewer their limits; only the service role writes
+create policy "claim_policies readable" on claim_policies
+  for select using (true);
+
+-- Shop default starts with no limits (the previous behaviour); set them via /api/admin/claim-policies
+insert into claim_policies (sewer_id, fair_share_enabled, fair_share_min_units, fair_share_max_percent)
+values (null, false, 10, 50);
+
+-- Expiry scan: unstarted claims by age
+create index if not exists order_line_items_claimed_at_idx on order_line_items (claimed_at) where status = 'claimed';
+
+-- Write a claim checked against the sewer's policy (claimPolicy.js, api/line-items/claim.js).
+-- Claims by one sewer run one at a time, and the claim is only written if the sewer holds
+-- nothing beyond p_held_ids - the wallets the policy was checked against - so two claims at
+-- once can't both pass the limits. Rows someone else claimed meanwhile are skipped.
+-- Returns the claimed rows, or null when the sewer's holdings changed (check again).
+create or replace function claim_line_items(
+  p_sewer_id text,
+  p_sewer_name text,
+  p_line_item_ids bigint[],
+  p_held_ids bigint[]
+) returns jsonb
+language plpgsql as $$
+declare
+  claimed jsonb;
+begin
+  perform pg_advisory_xact_lock(hashtext('claim_line_items'), hashtext(p_sewer_id));
+
+  if exists (
+    select 1 from order_line_items
+    where claimed_by = p_sewer_id
+      and status in ('claimed', 'in_progress', 'paused', 'rework')
+      and not (id = any(coalesce(p_held_ids, '{}')))
+  ) then
+    return null;
+  end if;
+
+  with updated as (
+    update order_line_items
+    set status = 'claimed',
+        claimed_by = p_sewer_id,
+        claimed_by_name = p_sewer_name,
+        claimed_at = now(),
+        status_changed_at = now(),
+        status_actor_id = p_sewer_id,
+        status_actor_name = p_sewer_name,
+        status_actor_role = 'sewer'
+    where id = any(p_line_item_ids) and status = 'pending'
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(updated) order by updated.id), '[]'::jsonb) into claimed from updated;
+
+  return claimed;
+end;
+$$;
+
+revoke execute on function claim_line_items(text, text, bigint[], bigint[]) from public, anon, authenticated;
+
+-- Claims only go through claim_line_items: the dashboard (anon key) can't take a wallet
+-- or change who holds one by writing the row itself
+create or replace function guard_line_item_claims() returns trigger
+language plpgsql as $$
+begin
+  if auth.role() in ('anon', 'authenticated') and (
+    new.claimed_by is distinct from old.claimed_by or
+    (new.status = 'claimed' and old.status is distinct from 'claimed')
+  ) then
+    raise exception 'Wallets are claimed through /api/line-items/claim' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists order_line_items_claims_guard on order_line_items;
+create trigger order_line_items_claims_guard
+  before update on order_line_items
+  for each row execute function guard_line_item_claims();
@@ -0,0 +1,41 @@
+-- Append-only audit trail for manual line item operations (src/lib/auditLog.js):
+-- release, reassign, revert completion, supervisor force-status, expired claims
+create table if not exists line_item_audit_log (
+  id bigint generated always as identity primary key,
+  line_item_id bigint not null references order_line_items (id) on delete cascade,
+  order_id bigint references orders (id) on delete cascade,
+  action text not null,
+  actor_id text,
+  actor_name text,
+  actor_role text not null check (actor_role in ('sewer', 'supervisor', 'system')),
+  reason text,
+  before jsonb not null,
+  after jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists line_item_audit_log_line_item_idx on line_item_audit_log (line_item_id, created_at);
+create index if not exists line_item_audit_log_order_idx on line_item_audit_log (order_id, created_at);
+
+-- Entries are never changed or removed (deleting the line item itself still cascades)
+create or replace function line_item_audit_log_append_only() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'DELETE' and pg_trigger_depth() > 1 then
+    return old;
+  end if;
+  raise exception 'line_item_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists line_item_audit_log_no_update on line_item_audit_log;
+create trigger line_item_audit_log_no_update
+  before update or delete on line_item_audit_log
+  for each row execute function line_item_audit_log_append_only();
+
+alter table line_item_audit_log enable row level security;
+
+-- The dashboard (anon key) can read the trail; entries are only written server-side
+-- (service key), including sewers' own releases (api/line-items/release.js)
+create policy "line_item_audit_log readable" on line_item_audit_log
+  for select using (true);
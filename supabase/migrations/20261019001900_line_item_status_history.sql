@@ -0,0 +1,84 @@
+-- Line item status state machine (src/lib/lineItemStatus.js)
+alter table order_line_items drop constraint if exists order_line_items_status_check;
+alter table order_line_items add constraint order_line_items_status_check
+  check (status in ('pending', 'on_hold', 'claimed', 'in_progress', 'paused', 'qc', 'rework', 'completed', 'cancelled'));
+
+alter table order_line_items add column if not exists status_changed_at timestamptz not null default now();
+
+-- One row per transition
+create table if not exists line_item_status_history (
+  id bigint generated always as identity primary key,
+  line_item_id bigint not null references order_line_items (id) on delete cascade,
+  order_id bigint references orders (id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  actor_id text,
+  actor_name text,
+  actor_role text not null check (actor_role in ('sewer', 'supervisor', 'system')),
+  reason text,
+  forced boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists line_item_status_history_line_item_idx on line_item_status_history (line_item_id, created_at);
+create index if not exists line_item_status_history_order_idx on line_item_status_history (order_id, created_at);
+create index if not exists line_item_status_history_to_status_idx on line_item_status_history (to_status, created_at);
+
+alter table line_item_status_history enable row level security;
+
+-- Readable by the dashboard (anon key); rows are only written by the trigger below
+create policy "line_item_status_history readable" on line_item_status_history
+  for select using (true);
+
+-- Who made a status change and why, written with the status by transitionLineItem(s).
+-- The trigger moves them into the history and clears them, so they only ever describe
+-- the update they came with.
+alter table order_line_items add column if not exists status_actor_id text;
+alter table order_line_items add column if not exists status_actor_name text;
+alter table order_line_items add column if not exists status_actor_role text;
+alter table order_line_items add column if not exists status_change_reason text;
+alter table order_line_items add column if not exists status_change_forced boolean not null default false;
+
+-- History is written in the same statement as the status change, so a change can't be
+-- committed without its history row (or the other way round). Any update that changes
+-- the status is recorded - one without an actor as 'system'.
+-- Security definer: the dashboard (anon key) changes statuses but can't insert history.
+create or replace function record_line_item_status_change() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.status is distinct from old.status then
+    if new.status_changed_at is not distinct from old.status_changed_at then
+      new.status_changed_at := now();
+    end if;
+
+    insert into line_item_status_history (line_item_id, order_id, from_status, to_status,
+                                          actor_id, actor_name, actor_role, reason, forced, created_at)
+    values (new.id, new.order_id, old.status, new.status,
+            new.status_actor_id, new.status_actor_name, coalesce(new.status_actor_role, 'system'),
+            new.status_change_reason, new.status_change_forced, new.status_changed_at);
+  end if;
+
+  new.status_actor_id := null;
+  new.status_actor_name := null;
+  new.status_actor_role := null;
+  new.status_change_reason := null;
+  new.status_change_forced := false;
+  return new;
+end;
+$$;
+
+drop trigger if exists order_line_items_status_history on order_line_items;
+create trigger order_line_items_status_history
+  before update on order_line_items
+  for each row execute function record_line_item_status_change();
+
+-- Backfill what the old timestamp columns tell us
+insert into line_item_status_history (line_item_id, order_id, from_status, to_status, actor_id, actor_name, actor_role, reason, created_at)
+select id, order_id, 'pending', 'claimed', claimed_by, claimed_by_name, 'sewer', 'backfilled from claimed_at', claimed_at
+from order_line_items
+where claimed_at is not null;
+
+insert into line_item_status_history (line_item_id, order_id, from_status, to_status, actor_id, actor_name, actor_role, reason, created_at)
+select id, order_id, 'in_progress', 'completed', claimed_by, claimed_by_name, 'sewer', 'backfilled from completed_at', completed_at
+from order_line_items
+where completed_at is not null;
@@ -0,0 +1,176 @@
+-- Quality control before points are awarded (src/lib/qualityControl.js)
+-- Finished wallets go to 'qc'; an inspector passes them (completed, points credited)
+-- or rejects them with defect codes (rework, back to the same sewer).
+
+-- Defect codes inspectors pick from
+create table if not exists qc_defect_codes (
+  code text primary key,
+  label text not null,
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table qc_defect_codes enable row level security;
+
+create policy "qc_defect_codes readable" on qc_defect_codes
+  for select using (true);
+
+insert into qc_defect_codes (code, label, description) values
+  ('stitching_loose', 'Loose stitching', 'Stitches pull, skip or come undone'),
+  ('stitching_uneven', 'Uneven stitching', 'Stitch spacing or line wanders'),
+  ('edge_finish', 'Edge finish', 'Edges rough, unburnished or unevenly painted'),
+  ('glue_residue', 'Glue residue', 'Visible glue on the leather'),
+  ('scratch_scuff', 'Scratch or scuff', 'Marks on the grain side'),
+  ('misaligned', 'Misaligned parts', 'Pockets, panels or cutouts out of line'),
+  ('wrong_material', 'Wrong leather or color', 'Doesn''t match the order'),
+  ('personalization_error', 'Personalization error', 'Engraving, monogram or logo wrong or off-center'),
+  ('hardware', 'Hardware', 'Snaps, rivets or clips loose, missing or damaged'),
+  ('other', 'Other', 'Described in the notes')
+on conflict (code) do nothing;
+
+-- One row per inspection (a wallet that failed has several)
+create table if not exists qc_inspections (
+  id bigint generated always as identity primary key,
+  line_item_id bigint not null references order_line_items (id) on delete cascade,
+  order_id bigint references orders (id) on delete cascade,
+  sewer_id text,
+  sewer_name text,
+  inspector_id text,
+  inspector_name text,
+  result text not null check (result in ('pass', 'reject')),
+  attempt integer not null default 1,
+  defect_codes text[] not null default '{}',
+  notes text,
+  photo_urls text[] not null default '{}',
+  points_awarded numeric not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists qc_inspections_line_item_idx on qc_inspections (line_item_id, created_at);
+create index if not exists qc_inspections_sewer_idx on qc_inspections (sewer_id, created_at);
+
+alter table qc_inspections enable row level security;
+
+-- Readable by the dashboard (anon key); inspections are recorded server-side (api/admin/qc.js)
+create policy "qc_inspections readable" on qc_inspections
+  for select using (true);
+
+-- How many times a wallet has been sent back
+alter table order_line_items add column if not exists rework_count integer not null default 0;
+
+create index if not exists order_line_items_qc_idx on order_line_items (status_changed_at)
+  where status = 'qc';
+
+-- Inspectors act on the state machine too
+alter table line_item_status_history drop constraint if exists line_item_status_history_actor_role_check;
+alter table line_item_status_history add constraint line_item_status_history_actor_role_check
+  check (actor_role in ('sewer', 'inspector', 'supervisor', 'system'));
+
+-- Pass a wallet waiting for QC in one transaction: complete it, record the inspection and
+-- award its points (record_points, points_ledger migration) on the shop day (p_timezone)
+-- it was sent to QC. Returns { line_item, inspection }, or null if it isn't in qc any more.
+create or replace function pass_qc_inspection(
+  p_line_item_id bigint,
+  p_inspector_id text,
+  p_inspector_name text,
+  p_notes text,
+  p_photo_urls text[],
+  p_timezone text
+) returns jsonb
+language plpgsql as $$
+declare
+  sent_to_qc_at timestamptz;
+  item order_line_items;
+  inspection qc_inspections;
+  awarded numeric := 0;
+begin
+  select status_changed_at into sent_to_qc_at
+  from order_line_items
+  where id = p_line_item_id and status = 'qc'
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update order_line_items
+  set status = 'completed',
+      status_changed_at = now(),
+      completed_at = now(),
+      status_actor_id = p_inspector_id,
+      status_actor_name = p_inspector_name,
+      status_actor_role = 'inspector',
+      status_change_reason = 'passed QC'
+  where id = p_line_item_id
+  returning * into item;
+
+  if item.claimed_by is not null and item.points > 0 then
+    awarded := item.points;
+  end if;
+
+  insert into qc_inspections (line_item_id, order_id, sewer_id, sewer_name, inspector_id, inspector_name,
+                              result, attempt, notes, photo_urls, points_awarded)
+  values (item.id, item.order_id, item.claimed_by, item.claimed_by_name, p_inspector_id, p_inspector_name,
+          'pass', coalesce(item.rework_count, 0) + 1, p_notes, coalesce(p_photo_urls, '{}'), awarded)
+  returning * into inspection;
+
+  if awarded > 0 then
+    perform record_points(item.claimed_by, item.claimed_by_name, 'award', awarded, 1, sent_to_qc_at,
+                          p_timezone, item.id, item.order_id, null, 'passed QC');
+  end if;
+
+  return jsonb_build_object('line_item', to_jsonb(item), 'inspection', to_jsonb(inspection));
+end;
+$$;
+
+revoke execute on function pass_qc_inspection(bigint, text, text, text, text[], text) from public, anon, authenticated;
+
+-- Reject a wallet waiting for QC in one transaction: send it back to its sewer as rework
+-- and record the inspection (attempt = inspections so far, counted before the rework).
+-- Returns { line_item, inspection }, or null if it isn't in qc any more.
+create or replace function reject_qc_inspection(
+  p_line_item_id bigint,
+  p_inspector_id text,
+  p_inspector_name text,
+  p_defect_codes text[],
+  p_notes text,
+  p_photo_urls text[]
+) returns jsonb
+language plpgsql as $$
+declare
+  previous_rework_count integer;
+  item order_line_items;
+  inspection qc_inspections;
+begin
+  select rework_count into previous_rework_count
+  from order_line_items
+  where id = p_line_item_id and status = 'qc'
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update order_line_items
+  set status = 'rework',
+      status_changed_at = now(),
+      rework_count = coalesce(previous_rework_count, 0) + 1,
+      status_actor_id = p_inspector_id,
+      status_actor_name = p_inspector_name,
+      status_actor_role = 'inspector',
+      status_change_reason = 'failed QC: ' || array_to_string(p_defect_codes, ', ')
+  where id = p_line_item_id
+  returning * into item;
+
+  insert into qc_inspections (line_item_id, order_id, sewer_id, sewer_name, inspector_id, inspector_name,
+                              result, attempt, defect_codes, notes, photo_urls, points_awarded)
+  values (item.id, item.order_id, item.claimed_by, item.claimed_by_name, p_inspector_id, p_inspector_name,
+          'reject', coalesce(previous_rework_count, 0) + 1, p_defect_codes, p_notes, coalesce(p_photo_urls, '{}'), 0)
+  returning * into inspection;
+
+  return jsonb_build_object('line_item', to_jsonb(item), 'inspection', to_jsonb(inspection));
+end;
+$$;
+
+revoke execute on function reject_qc_inspection(bigint, text, text, text[], text, text[]) from public, anon, authenticated;
@@ -0,0 +1,144 @@
+-- Append-only points ledger (src/lib/dailyPoints.js)
+-- Every award, reversal and adjustment is one row; daily_points is a running total of
+-- the ledger per sewer and shop-local work day, kept in step atomically by record_points()
+-- and rebuildable from scratch with rebuild_daily_points().
+create table if not exists points_ledger (
+  id bigint generated always as identity primary key,
+  sewer_id text not null,
+  sewer_name text,
+  entry_type text not null check (entry_type in ('award', 'reversal', 'adjustment')),
+  points numeric not null,
+  orders_completed integer not null default 0,
+  -- The shop's calendar day the work counts for (SHOP_TIMEZONE, not UTC)
+  work_date date not null,
+  line_item_id bigint references order_line_items (id) on delete set null,
+  order_id bigint references orders (id) on delete set null,
+  points_adjustment_id bigint references points_adjustments (id) on delete set null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists points_ledger_sewer_day_idx on points_ledger (sewer_id, work_date);
+create index if not exists points_ledger_day_idx on points_ledger (work_date);
+create index if not exists points_ledger_line_item_idx on points_ledger (line_item_id);
+
+-- Entries are never changed or removed; corrections are new entries
+create or replace function points_ledger_append_only() returns trigger
+language plpgsql as $$
+begin
+  -- on delete set null from a removed line item / order / adjustment
+  if tg_op = 'UPDATE' and pg_trigger_depth() > 1 then
+    return new;
+  end if;
+  raise exception 'points_ledger is append-only';
+end;
+$$;
+
+drop trigger if exists points_ledger_no_update on points_ledger;
+create trigger points_ledger_no_update
+  before update or delete on points_ledger
+  for each row execute function points_ledger_append_only();
+
+alter table points_ledger enable row level security;
+
+create policy "points_ledger readable" on points_ledger
+  for select using (true);
+
+-- Open the ledger with what daily_points already holds, one entry per sewer and day
+insert into points_ledger (sewer_id, sewer_name, entry_type, points, orders_completed, work_date, reason)
+select sewer_id, max(sewer_name), 'adjustment', sum(points), sum(orders_completed), date, 'opening balance from daily_points'
+from daily_points
+group by sewer_id, date
+having sum(points) <> 0 or sum(orders_completed) <> 0;
+
+-- One row per sewer and day, so totals can be upserted atomically
+delete from daily_points;
+create unique index if not exists daily_points_sewer_date_key on daily_points (sewer_id, date);
+
+-- Record one ledger entry and add it to daily_points in the same transaction
+-- p_occurred_at is when the work happened; its day is taken in p_timezone
+-- (p_work_date instead books it on a given day, e.g. a reversal on the award's day).
+-- Server-side only (service key): points are awarded by QC passes and supervisor corrections.
+create or replace function record_points(
+  p_sewer_id text,
+  p_sewer_name text,
+  p_entry_type text,
+  p_points numeric,
+  p_orders_completed integer,
+  p_occurred_at timestamptz,
+  p_timezone text,
+  p_line_item_id bigint default null,
+  p_order_id bigint default null,
+  p_points_adjustment_id bigint default null,
+  p_reason text default null,
+  p_work_date date default null
+) returns points_ledger
+language plpgsql as $$
+declare
+  entry points_ledger;
+begin
+  insert into points_ledger (sewer_id, sewer_name, entry_type, points, orders_completed, work_date,
+                             line_item_id, order_id, points_adjustment_id, reason)
+  values (p_sewer_id, p_sewer_name, p_entry_type, p_points, coalesce(p_orders_completed, 0),
+          coalesce(p_work_date, (coalesce(p_occurred_at, now()) at time zone p_timezone)::date),
+          p_line_item_id, p_order_id, p_points_adjustment_id, p_reason)
+  returning * into entry;
+
+  insert into daily_points (sewer_id, sewer_name, date, points, orders_completed)
+  values (entry.sewer_id, entry.sewer_name, entry.work_date, entry.points, entry.orders_completed)
+  on conflict (sewer_id, date) do update
+    set points = daily_points.points + excluded.points,
+        orders_completed = daily_points.orders_completed + excluded.orders_completed,
+        sewer_name = coalesce(excluded.sewer_name, daily_points.sewer_name);
+
+  return entry;
+end;
+$$;
+
+-- Recompute daily_points from the ledger for [p_from, p_to] (both optional, inclusive)
+-- Returns the number of daily rows written.
+create or replace function rebuild_daily_points(p_from date default null, p_to date default null)
+returns integer
+language plpgsql as $$
+declare
+  written integer;
+begin
+  delete from daily_points
+  where (p_from is null or date >= p_from)
+    and (p_to is null or date <= p_to);
+
+  insert into daily_points (sewer_id, sewer_name, date, points, orders_completed)
+  select sewer_id,
+         (array_agg(sewer_name order by id desc) filter (where sewer_name is not null))[1],
+         work_date,
+         sum(points),
+         sum(orders_completed)
+  from points_ledger
+  where (p_from is null or work_date >= p_from)
+    and (p_to is null or work_date <= p_to)
+  group by sewer_id, work_date;
+
+  get diagnostics written = row_count;
+  return written;
+end;
+$$;
+
+-- Per-sewer totals from the ledger for shop-local days [p_from, p_to] (inclusive)
+create or replace function points_totals(p_from date, p_to date)
+returns table (sewer_id text, sewer_name text, points numeric, orders_completed bigint, entries bigint)
+language sql stable as $$
+  select l.sewer_id,
+         (array_agg(l.sewer_name order by l.id desc) filter (where l.sewer_name is not null))[1],
+         sum(l.points),
+         sum(l.orders_completed),
+         count(*)
+  from points_ledger l
+  where l.work_date between p_from and p_to
+  group by l.sewer_id
+  order by sum(l.points) desc;
+$$;
+
+revoke execute on function record_points(text, text, text, numeric, integer, timestamptz, text, bigint, bigint, bigint, text, date) from public, anon, authenticated;
+revoke execute on function rebuild_daily_points(date, date) from public, anon, authenticated;
+
+select rebuild_daily_points();
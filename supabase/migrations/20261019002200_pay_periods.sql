@@ -0,0 +1,34 @@
+-- Pay periods for sewer incentive reports (src/lib/payPeriods.js)
+-- Only closed periods are stored: closing locks the report (kept in `report`), and ledger
+-- entries recorded afterwards for days in the period count towards the next open one.
+create table if not exists pay_periods (
+  id bigint generated always as identity primary key,
+  period_type text not null check (period_type in ('weekly', 'biweekly', 'semi_monthly')),
+  start_date date not null unique,
+  end_date date not null check (end_date >= start_date),
+  -- Ledger entries created up to this instant are in the report
+  closed_at timestamptz not null,
+  closed_by text,
+  report jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+alter table pay_periods enable row level security;
+
+create policy "pay_periods readable" on pay_periods
+  for select using (true);
+
+-- Closed periods can't be edited or reopened
+create or replace function pay_periods_locked() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'pay period % is closed', old.start_date;
+end;
+$$;
+
+drop trigger if exists pay_periods_no_update on pay_periods;
+create trigger pay_periods_no_update
+  before update or delete on pay_periods
+  for each row execute function pay_periods_locked();
+
+create index if not exists points_ledger_created_idx on points_ledger (created_at);
@@ -0,0 +1,75 @@
+-- Work sessions and labour time (src/lib/workSessions.js)
+-- A session runs while a wallet is in_progress; pausing, sending to QC, releasing etc.
+-- close it, resuming opens a new one (sync_work_session trigger).
+
+-- Expected hands-on minutes per wallet, compared against actual labour for points calibration
+alter table wallet_catalog add column if not exists standard_minutes numeric check (standard_minutes > 0);
+
+create table if not exists work_sessions (
+  id bigint generated always as identity primary key,
+  line_item_id bigint not null references order_line_items (id) on delete cascade,
+  order_id bigint references orders (id) on delete cascade,
+  sewer_id text,
+  sewer_name text,
+  started_at timestamptz not null,
+  ended_at timestamptz,
+  -- Status the wallet moved to when the session ended (paused, qc, pending, ...)
+  ended_by text,
+  minutes numeric,
+  created_at timestamptz not null default now(),
+  check (ended_at is null or ended_at >= started_at)
+);
+
+-- At most one running session per wallet
+create unique index if not exists work_sessions_open_idx on work_sessions (line_item_id) where ended_at is null;
+create index if not exists work_sessions_sewer_idx on work_sessions (sewer_id, started_at);
+
+alter table work_sessions enable row level security;
+
+-- Readable by the dashboard (anon key); sessions are only written by the trigger below
+create policy "work_sessions readable" on work_sessions
+  for select using (true);
+
+-- Total of the wallet's closed sessions
+alter table order_line_items add column if not exists labour_minutes numeric not null default 0;
+
+-- Open and close sessions in the same statement as the status change, so a committed
+-- transition always has its session (and labour_minutes) in step.
+-- Runs after order_line_items_status_history (triggers fire in name order), which has
+-- set status_changed_at for this change.
+-- Security definer: the dashboard (anon key) starts, pauses and resumes work but can't
+-- write work_sessions.
+create or replace function sync_work_session() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if old.status = 'in_progress' then
+    update work_sessions
+    set ended_at = greatest(new.status_changed_at, started_at),
+        ended_by = new.status,
+        minutes = round((extract(epoch from greatest(new.status_changed_at, started_at) - started_at) / 60)::numeric, 2)
+    where line_item_id = new.id and ended_at is null;
+
+    new.labour_minutes := coalesce((
+      select round(sum(minutes), 2) from work_sessions
+      where line_item_id = new.id and ended_at is not null
+    ), 0);
+  end if;
+
+  if new.status = 'in_progress' then
+    insert into work_sessions (line_item_id, order_id, sewer_id, sewer_name, started_at)
+    values (new.id, new.order_id, new.claimed_by, new.claimed_by_name, new.status_changed_at)
+    on conflict (line_item_id) where ended_at is null do nothing;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists order_line_items_work_sessions on order_line_items;
+create trigger order_line_items_work_sessions
+  before update on order_line_items
+  for each row execute function sync_work_session();
@@ -0,0 +1,280 @@
+-- Materials: stock per leather / thread colour / hardware item, a bill of materials per
+-- wallet type, and reservations for claimed wallets (src/lib/materials.js)
+
+create table if not exists materials (
+  id bigint generated always as identity primary key,
+  kind text not null check (kind in ('leather', 'thread', 'hardware')),
+  -- Leather type (wallet_attributes.leather_type) or hardware item; null = the house leather / thread
+  name text,
+  -- Leather colour (wallet_attributes.color) or thread colour (wallet_attributes.thread_color)
+  color text,
+  -- Square feet of leather, metres of thread, hardware pieces (see MATERIAL_UNITS)
+  on_hand numeric not null default 0,
+  -- Held for claimed wallets; taken out of on_hand when they complete
+  reserved numeric not null default 0 check (reserved >= 0),
+  -- Low stock once on_hand - reserved is at or below this
+  reorder_point numeric not null default 0 check (reorder_point >= 0),
+  -- Set when a low-stock alert goes out, cleared when stock recovers (one alert per dip)
+  low_stock_alerted_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (kind <> 'hardware' or name is not null)
+);
+
+create unique index if not exists materials_key_idx
+  on materials (kind, lower(coalesce(name, '')), lower(coalesce(color, '')))
+  where active;
+
+alter table materials enable row level security;
+
+create policy "materials readable" on materials
+  for select using (true);
+
+-- What one wallet of a type uses
+create table if not exists bill_of_materials (
+  id bigint generated always as identity primary key,
+  wallet_type text not null,
+  kind text not null check (kind in ('leather', 'thread', 'hardware')),
+  -- Hardware item (materials.name). Leather and thread follow the wallet's attributes
+  -- unless set (e.g. a wallet type always made in one leather).
+  material_name text,
+  quantity numeric not null check (quantity > 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (kind <> 'hardware' or material_name is not null)
+);
+
+create index if not exists bill_of_materials_wallet_type_idx on bill_of_materials (wallet_type) where active;
+
+alter table bill_of_materials enable row level security;
+
+create policy "bill_of_materials readable" on bill_of_materials
+  for select using (true);
+
+create table if not exists material_reservations (
+  id bigint generated always as identity primary key,
+  line_item_id bigint not null references order_line_items (id) on delete cascade,
+  material_id bigint not null references materials (id),
+  quantity numeric not null check (quantity > 0),
+  status text not null default 'reserved' check (status in ('reserved', 'consumed', 'released')),
+  created_at timestamptz not null default now(),
+  settled_at timestamptz
+);
+
+-- One open reservation per wallet and material
+create unique index if not exists material_reservations_open_idx
+  on material_reservations (line_item_id, material_id)
+  where status = 'reserved';
+
+alter table material_reservations enable row level security;
+
+create policy "material_reservations readable" on material_reservations
+  for select using (true);
+
+-- Every change to on_hand: deliveries, stocktake corrections and wallets completed
+create table if not exists material_movements (
+  id bigint generated always as identity primary key,
+  material_id bigint not null references materials (id),
+  movement_type text not null check (movement_type in ('receive', 'adjust', 'consume')),
+  -- Change to on_hand (negative for consumption)
+  quantity numeric not null,
+  line_item_id bigint references order_line_items (id) on delete set null,
+  reason text,
+  actor text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists material_movements_material_idx on material_movements (material_id, created_at);
+
+alter table material_movements enable row level security;
+
+create policy "material_movements readable" on material_movements
+  for select using (true);
+
+-- Reserve p_lines ([{ material_id, quantity }]) for a wallet; lines it already holds are skipped
+create or replace function reserve_materials(p_line_item_id bigint, p_lines jsonb)
+returns setof material_reservations
+language plpgsql as $$
+declare
+  line jsonb;
+  reservation material_reservations;
+begin
+  for line in select * from jsonb_array_elements(p_lines) loop
+    insert into material_reservations (line_item_id, material_id, quantity)
+    values (p_line_item_id, (line->>'material_id')::bigint, (line->>'quantity')::numeric)
+    on conflict (line_item_id, material_id) where status = 'reserved' do nothing
+    returning * into reservation;
+
+    if reservation.id is not null then
+      update materials
+        set reserved = reserved + reservation.quantity, updated_at = now()
+        where id = reservation.material_id;
+      return next reservation;
+    end if;
+    reservation := null;
+  end loop;
+end;
+$$;
+
+-- Settle a wallet's open reservations: 'consumed' takes them out of on_hand (completed),
+-- 'released' hands them back (unclaimed or cancelled). Returns the number settled.
+create or replace function settle_materials(p_line_item_id bigint, p_status text)
+returns integer
+language plpgsql as $$
+declare
+  reservation material_reservations;
+  settled integer := 0;
+begin
+  if p_status not in ('consumed', 'released') then
+    raise exception 'Unknown reservation status: %', p_status;
+  end if;
+
+  for reservation in
+    update material_reservations
+      set status = p_status, settled_at = now()
+      where line_item_id = p_line_item_id and status = 'reserved'
+      returning *
+  loop
+    update materials
+      set reserved = greatest(reserved - reservation.quantity, 0),
+          on_hand = on_hand - case when p_status = 'consumed' then reservation.quantity else 0 end,
+          updated_at = now()
+      where id = reservation.material_id;
+
+    if p_status = 'consumed' then
+      insert into material_movements (material_id, movement_type, quantity, line_item_id, reason)
+      values (reservation.material_id, 'consume', -reservation.quantity, p_line_item_id, 'wallet completed');
+    end if;
+
+    settled := settled + 1;
+  end loop;
+
+  return settled;
+end;
+$$;
+
+-- Add p_quantity to a material's on_hand and record the movement
+-- A delivery or correction that brings stock back above the reorder point re-arms its alert.
+create or replace function adjust_material_stock(
+  p_material_id bigint,
+  p_movement_type text,
+  p_quantity numeric,
+  p_reason text default null,
+  p_actor text default null
+) returns materials
+language plpgsql as $$
+declare
+  material materials;
+begin
+  update materials
+    set on_hand = on_hand + p_quantity, updated_at = now()
+    where id = p_material_id
+    returning * into material;
+
+  if material.id is null then
+    raise exception 'Material % not found', p_material_id using errcode = 'P0002';
+  end if;
+
+  insert into material_movements (material_id, movement_type, quantity, reason, actor)
+  values (p_material_id, p_movement_type, p_quantity, p_reason, p_actor);
+
+  if material.on_hand - material.reserved > material.reorder_point then
+    update materials set low_stock_alerted_at = null where id = p_material_id
+      returning * into material;
+  end if;
+
+  return material;
+end;
+$$;
+
+-- Claims reserve their wallets' materials in the same transaction (replaces the
+-- claim_line_items of the claim_policies migration). p_materials is what each wallet
+-- reserves: { "<line item id>": [{ material_id, quantity }] }. The stock is locked while
+-- it's checked, so two sewers can't both take the last of a material - a wallet whose
+-- materials aren't free (on_hand - reserved) stays in the queue.
+-- Returns { line_items, out_of_stock } (ids left for lack of stock), or null when the
+-- sewer's holdings changed since their claim policy was checked.
+drop function if exists claim_line_items(text, text, bigint[], bigint[]);
+
+create or replace function claim_line_items(
+  p_sewer_id text,
+  p_sewer_name text,
+  p_line_item_ids bigint[],
+  p_held_ids bigint[],
+  p_materials jsonb default '{}'
+) returns jsonb
+language plpgsql as $$
+declare
+  item_id bigint;
+  item order_line_items;
+  lines jsonb;
+  claimed jsonb := '[]'::jsonb;
+  out_of_stock bigint[] := '{}';
+begin
+  perform pg_advisory_xact_lock(hashtext('claim_line_items'), hashtext(p_sewer_id));
+
+  if exists (
+    select 1 from order_line_items
+    where claimed_by = p_sewer_id
+      and status in ('claimed', 'in_progress', 'paused', 'rework')
+      and not (id = any(coalesce(p_held_ids, '{}')))
+  ) then
+    return null;
+  end if;
+
+  -- In id order, so claims drawing on the same stock don't deadlock
+  perform 1 from materials
+  where id in (
+    select (line->>'material_id')::bigint
+    from jsonb_each(coalesce(p_materials, '{}'::jsonb)) as wallet, jsonb_array_elements(wallet.value) as line
+  )
+  order by id
+  for update;
+
+  foreach item_id in array p_line_item_ids loop
+    lines := coalesce(p_materials -> item_id::text, '[]'::jsonb);
+
+    if exists (
+      select 1
+      from jsonb_array_elements(lines) as line
+      join materials on materials.id = (line->>'material_id')::bigint
+      where materials.on_hand - materials.reserved < (line->>'quantity')::numeric
+    ) then
+      if exists (select 1 from order_line_items where id = item_id and status = 'pending') then
+        out_of_stock := out_of_stock || item_id;
+      end if;
+      continue;
+    end if;
+
+    update order_line_items
+    set status = 'claimed',
+        claimed_by = p_sewer_id,
+        claimed_by_name = p_sewer_name,
+        claimed_at = now(),
+        status_changed_at = now(),
+        status_actor_id = p_sewer_id,
+        status_actor_name = p_sewer_name,
+        status_actor_role = 'sewer'
+    where id = item_id and status = 'pending'
+    returning * into item;
+
+    if not found then
+      continue;
+    end if;
+
+    perform reserve_materials(item_id, lines);
+    claimed := claimed || jsonb_build_array(to_jsonb(item));
+  end loop;
+
+  return jsonb_build_object('line_items', claimed, 'out_of_stock', to_jsonb(out_of_stock));
+end;
+$$;
+
+-- Server-side only (service key): claims reserve through claim_line_items, and the
+-- materials cron reconciles reservations with wallet statuses
+revoke execute on function claim_line_items(text, text, bigint[], bigint[], jsonb) from public, anon, authenticated;
+revoke execute on function reserve_materials(bigint, jsonb) from public, anon, authenticated;
+revoke execute on function settle_materials(bigint, text) from public, anon, authenticated;
+revoke execute on function adjust_material_stock(bigint, text, numeric, text, text) from public, anon, authenticated;
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAddOnKind, linkAddOns, mergeAddOnAttributes } from '../src/lib/addOns.js';
+
+const wallet = (id, units = 1) => Array.from({ length: units }, (_, index) => ({ id: `${id}-${index + 1}`, shopify_line_item_id: id, unit_index: index + 1 }));
+const addOn = (id, title, quantity = 1) => ({ shopify_line_item_id: id, product_name: title, quantity });
+const summarize = links => links.map(link => ({
+  addOn: link.addOnRow.shopify_line_item_id,
+  kind: link.kind,
+  units: link.parentRows.map(row => row.id),
+  method: link.method,
+  reason: link.reason,
+}));
+
+test('getAddOnKind reads the longest keyword first', () => {
+  assert.equal(getAddOnKind('Add Custom Badge Cutout'), 'badge_cutout');
+  assert.equal(getAddOnKind('Monogram (3 letters)'), 'monogram');
+  assert.equal(getAddOnKind('Bifold Wallet'), null);
+  assert.equal(getAddOnKind(null), null);
+});
+
+test('linkAddOns prefers a shared bundle property', () => {
+  const lineItems = [
+    { id: 1, title: 'Bifold', properties: [{ name: '_bundle_id', value: 'a' }] },
+    { id: 2, title: 'Card holder', properties: [{ name: '_bundle_id', value: 'b' }] },
+    { id: 3, title: 'Monogram', properties: [{ name: '_bundle_id', value: 'b' }] },
+  ];
+
+  const links = linkAddOns(lineItems, [...wallet('1'), ...wallet('2')], [addOn('3', 'Monogram')]);
+
+  assert.deepEqual(summarize(links), [{ addOn: '3', kind: 'monogram', units: ['2-1'], method: 'group_property', reason: null }]);
+  assert.equal(links[0].ambiguous, false);
+});
+
+test('linkAddOns falls back to the nearest wallet before the add-on', () => {
+  const lineItems = [
+    { id: 1, title: 'Bifold' },
+    { id: 2, title: 'Card holder' },
+    { id: 3, title: 'Monogram' },
+    { id: 4, title: 'Add Custom ID' },
+    { id: 5, title: 'Gift box' },
+    { id: 6, title: 'Custom Logo' },
+  ];
+
+  const links = linkAddOns(lineItems, [...wallet('1'), ...wallet('2')], [
+    addOn('3', 'Monogram'),
+    addOn('4', 'Add Custom ID'),
+    addOn('6', 'Custom Logo'),
+  ]);
+
+  assert.deepEqual(summarize(links), [
+    { addOn: '3', kind: 'monogram', units: ['2-1'], method: 'position', reason: null },
+    { addOn: '4', kind: 'custom_id', units: ['2-1'], method: 'position', reason: null },
+    { addOn: '6', kind: 'custom_logo', units: ['2-1'], method: 'position', reason: 'add-on is not next to its wallet' },
+  ]);
+});
+
+test('linkAddOns spreads add-ons over a wallet\'s units and flags a mismatch', () => {
+  const lineItems = [{ id: 1, title: 'Bifold' }, { id: 2, title: 'Monogram' }, { id: 3, title: 'Monogram' }];
+
+  const links = linkAddOns(lineItems, wallet('1', 2), [addOn('2', 'Monogram', 1), addOn('3', 'Monogram', 2)]);
+
+  assert.deepEqual(summarize(links), [
+    { addOn: '2', kind: 'monogram', units: ['1-1'], method: 'single_wallet', reason: 'monogram covers 1 of 2 wallet units' },
+    { addOn: '3', kind: 'monogram', units: ['1-2'], method: 'single_wallet', reason: '2 monogram add-ons for 1 wallet units' },
+  ]);
+});
+
+test('linkAddOns flags an add-on with no wallet', () => {
+  const links = linkAddOns([{ id: 1, title: 'Monogram' }], [], [addOn('1', 'Monogram')]);
+
+  assert.deepEqual(summarize(links), [{ addOn: '1', kind: 'monogram', units: [], method: null, reason: 'no wallet to attach to' }]);
+  assert.equal(links[0].ambiguous, true);
+});
+
+test('mergeAddOnAttributes applies an add-on once', () => {
+  const monogram = { shopify_line_item_id: '2', kind: 'monogram', properties: [], attributes: { monogram_text: 'ABC' } };
+  const once = mergeAddOnAttributes({ color: 'Black' }, monogram);
+
+  assert.equal(once.has_monogram, true);
+  assert.equal(once.monogram_text, 'ABC');
+  assert.deepEqual(mergeAddOnAttributes(once, monogram), once);
+});
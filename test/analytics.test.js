@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCycleDurations, resolveRange, AnalyticsError } from '../src/lib/analytics.js';
+
+const step = (from, to, time) => ({ from_status: from, to_status: to, created_at: `2026-10-19T${time}:00Z` });
+
+test('getCycleDurations times the last claim cycle only', () => {
+  const history = [
+    step('pending', 'claimed', '08:00'),
+    step('claimed', 'pending', '08:30'),
+    step('pending', 'claimed', '09:00'),
+    step('claimed', 'in_progress', '09:15'),
+    step('in_progress', 'qc', '11:15'),
+    step('qc', 'completed', '11:45'),
+  ];
+
+  assert.deepEqual(getCycleDurations(history), {
+    claimed: true,
+    started: true,
+    completedAt: '2026-10-19T11:45:00Z',
+    durations: { claimed: 15 * 60000, in_progress: 120 * 60000, qc: 30 * 60000 },
+  });
+});
+
+test('getCycleDurations adds up time across rework', () => {
+  const { durations } = getCycleDurations([
+    step('pending', 'claimed', '09:00'),
+    step('claimed', 'in_progress', '09:00'),
+    step('in_progress', 'qc', '10:00'),
+    step('qc', 'rework', '10:10'),
+    step('rework', 'in_progress', '10:20'),
+    step('in_progress', 'qc', '10:50'),
+    step('qc', 'completed', '11:00'),
+  ]);
+
+  assert.equal(durations.in_progress, 90 * 60000);
+  assert.equal(durations.qc, 20 * 60000);
+  assert.equal(durations.rework, 10 * 60000);
+});
+
+test('getCycleDurations needs a completion', () => {
+  assert.equal(getCycleDurations([step('pending', 'claimed', '09:00')]), null);
+  assert.equal(getCycleDurations([step('pending', 'completed', '09:00')]).claimed, false);
+});
+
+test('resolveRange checks the dates and the span', () => {
+  assert.deepEqual(resolveRange({ to: '2026-10-19' }), { from: '2026-09-20', to: '2026-10-19' });
+  assert.throws(() => resolveRange({ from: '2026-10-20', to: '2026-10-19' }), AnalyticsError);
+  assert.throws(() => resolveRange({ from: '10/19/2026' }), /YYYY-MM-DD/);
+  assert.throws(() => resolveRange({ from: '2025-01-01', to: '2026-10-19' }), /at most 366 days/);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CLAIM_POLICY,
+  resolveClaimPolicy,
+  getFairShare,
+  evaluateClaim,
+  validateClaimPolicy,
+} from '../src/lib/claimPolicy.js';
+
+const wallet = (id, orderId, points = 2) => ({ id, order_id: orderId, order_number: `#${orderId}`, item_type: 'wallet', points });
+const accessory = (id, orderId) => ({ id, order_id: orderId, item_type: 'accessory', points: 0 });
+const policy = overrides => ({ ...DEFAULT_CLAIM_POLICY, ...overrides });
+
+test('resolveClaimPolicy puts a sewer\'s row over the shop default', () => {
+  const rows = [
+    { sewer_id: null, max_claimed_wallets: 3, claim_ttl_minutes: 60 },
+    { sewer_id: 's1', max_claimed_wallets: 5, claim_ttl_minutes: null },
+  ];
+
+  assert.equal(resolveClaimPolicy(rows, 's1').max_claimed_wallets, 5);
+  assert.equal(resolveClaimPolicy(rows, 's1').claim_ttl_minutes, 60);
+  assert.equal(resolveClaimPolicy(rows, 's2').max_claimed_wallets, 3);
+  assert.deepEqual(resolveClaimPolicy([], 's1'), DEFAULT_CLAIM_POLICY);
+});
+
+test('getFairShare applies only to big enough orders', () => {
+  const shared = policy({ fair_share_enabled: true, fair_share_min_units: 10, fair_share_max_percent: 30 });
+
+  assert.equal(getFairShare(shared, 9), null);
+  assert.equal(getFairShare(shared, 12), 3);
+  assert.equal(getFairShare(policy({ fair_share_enabled: true, fair_share_min_units: 2, fair_share_max_percent: 10 }), 2), 1);
+  assert.equal(getFairShare(policy({}), 100), null);
+});
+
+test('evaluateClaim is all or nothing by default', () => {
+  const { allowed, rejection } = evaluateClaim(policy({ max_claimed_wallets: 2 }), {
+    held: [wallet(1, 10)],
+    candidates: [wallet(2, 20), wallet(3, 20), accessory(4, 20)],
+  });
+
+  assert.deepEqual(allowed, []);
+  assert.equal(rejection.code, 'max_wallets');
+  assert.deepEqual(rejection.details, { limit: 2, held: 2 });
+});
+
+test('evaluateClaim with upTo takes what fits and leaves accessories behind', () => {
+  const { allowed, rejection } = evaluateClaim(policy({ max_claimed_points: 5 }), {
+    held: [wallet(1, 10, 2)],
+    candidates: [wallet(2, 20, 2), wallet(3, 20, 2), accessory(4, 20)],
+    upTo: true,
+  });
+
+  assert.deepEqual(allowed.map(item => item.id), [2]);
+  assert.equal(rejection.code, 'max_points');
+});
+
+test('evaluateClaim lets accessories through with every wallet', () => {
+  const { allowed, rejection } = evaluateClaim(policy({}), {
+    held: [],
+    candidates: [wallet(2, 20), accessory(3, 20)],
+  });
+
+  assert.deepEqual(allowed.map(item => item.id), [2, 3]);
+  assert.equal(rejection, null);
+});
+
+test('evaluateClaim keeps a sewer to their fair share of a big order', () => {
+  const shared = policy({ fair_share_enabled: true, fair_share_min_units: 4, fair_share_max_percent: 50 });
+  const { allowed, rejection } = evaluateClaim(shared, {
+    held: [wallet(1, 20)],
+    candidates: [wallet(2, 20), wallet(3, 20)],
+    orderUnits: new Map([[20, 4]]),
+    upTo: true,
+  });
+
+  assert.deepEqual(allowed.map(item => item.id), [2]);
+  assert.equal(rejection.code, 'fair_share');
+  assert.match(rejection.message, /#20 is shared between sewers - you can hold 2 of its 4 wallets/);
+});
+
+test('validateClaimPolicy checks limits and fair share settings', () => {
+  assert.deepEqual(validateClaimPolicy({ max_claimed_wallets: '4', max_claimed_points: '12.5', claim_ttl_minutes: null }), {
+    policy: { max_claimed_wallets: 4, max_claimed_points: 12.5, claim_ttl_minutes: null },
+    errors: [],
+  });
+  assert.deepEqual(validateClaimPolicy({
+    max_claimed_wallets: 0,
+    max_claimed_points: -1,
+    fair_share_min_units: 1,
+    fair_share_max_percent: 120,
+    fair_share_enabled: 'yes',
+  }).errors, [
+    'max_claimed_wallets must be a positive integer or null',
+    'max_claimed_points must be a number > 0 or null',
+    'fair_share_max_percent must be at most 100',
+    'fair_share_min_units must be at least 2',
+    'fair_share_enabled must be true, false or null',
+  ]);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLineItem, matchKeywords, MIN_CLASSIFICATION_CONFIDENCE } from '../src/lib/classification.js';
+import { handleOrderCreate, resolveClassificationReview } from '../src/lib/shopifyOrders.js';
+import { isAccessory } from '../src/lib/walletMapping.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const catalog = [
+  {
+    wallet_type: 'Bifold',
+    points: 3,
+    keywords: ['bifold', 'classic bifold'],
+    skus: ['BF-1'],
+    shopify_product_ids: ['9'],
+    shopify_variant_ids: [],
+  },
+  {
+    wallet_type: 'Keller',
+    points: 2,
+    keywords: ['keller', 'slim'],
+    skus: [],
+    shopify_product_ids: [],
+    shopify_variant_ids: ['401'],
+  },
+];
+const knownAccessories = [{ product_id: '8', variant_id: null, sku: null }];
+
+const classify = item => classifyLineItem(catalog, knownAccessories, item, { isAccessoryTitle: isAccessory });
+
+test('classifyLineItem trusts Shopify identifiers over the title', () => {
+  assert.deepEqual(
+    [classify({ variant_id: 401, product_id: 9, title: 'Bifold' })].map(result => [result.walletType, result.rule, result.confidence]),
+    [['Keller', 'variant_id', 1]]
+  );
+  assert.equal(classify({ product_id: 9, title: 'Something new' }).rule, 'product_id');
+
+  const bySku = classify({ sku: ' bf-1 ', title: 'Keller' });
+  assert.deepEqual([bySku.walletType, bySku.rule, bySku.points, bySku.needsReview], ['Bifold', 'sku', 3, false]);
+});
+
+test('classifyLineItem knows remembered accessories before trying keywords', () => {
+  const result = classify({ product_id: 8, title: 'Bifold polish' });
+
+  assert.deepEqual([result.itemType, result.rule, result.points], ['accessory', 'known_accessory', 0]);
+});
+
+test('matchKeywords prefers the most specific whole-word keyword', () => {
+  assert.deepEqual(matchKeywords(catalog, 'The Classic Bifold Wallet'), {
+    walletType: 'Bifold',
+    rule: 'keyword_phrase',
+    confidence: 0.75,
+    matched: 'classic bifold',
+    ambiguous: false,
+  });
+  assert.equal(matchKeywords(catalog, 'Bifold').rule, 'keyword_full_name');
+  assert.equal(matchKeywords(catalog, 'Bestseller wallet'), null);
+});
+
+test('classifyLineItem holds weak keyword matches for review and marks down ambiguous ones', () => {
+  const single = classify({ title: 'Slim Wallet' });
+  assert.deepEqual([single.walletType, single.rule], ['Keller', 'keyword_single_word']);
+  assert.ok(single.confidence < MIN_CLASSIFICATION_CONFIDENCE);
+  assert.equal(single.needsReview, true);
+
+  const ambiguous = classify({ title: 'Keller Bifold' });
+  assert.match(ambiguous.rule, /_ambiguous$/);
+  assert.ok(ambiguous.confidence < classify({ title: 'Bifold' }).confidence);
+});
+
+test('classifyLineItem falls back to accessory titles, then holds what it cannot place', () => {
+  assert.deepEqual(
+    [classify({ title: 'RFID Cards' })].map(result => [result.itemType, result.rule]),
+    [['accessory', 'accessory_keyword']]
+  );
+
+  const unknown = classify({ title: 'Mystery Pouch' });
+  assert.deepEqual([unknown.itemType, unknown.rule, unknown.confidence, unknown.needsReview], ['unclassified', 'no_match', 0, true]);
+});
+
+test('a held item goes to production once a supervisor maps it, and the mapping is remembered', async () => {
+  const supabase = createFakeSupabase({
+    wallet_catalog: catalog.map((entry, i) => ({ id: i + 1, active: true, ...entry })),
+    known_accessories: [],
+  });
+  const pouch = { id: 75, product_id: 12, variant_id: 121, sku: 'MP-1', title: 'Mystery Pouch', quantity: 2, price: '40.00', properties: [] };
+
+  await handleOrderCreate(supabase, { id: 5001, order_number: 1001, line_items: [pouch] });
+
+  const [held] = supabase.tables.order_line_items;
+  assert.deepEqual([held.item_type, held.status, held.quantity], ['unclassified', 'on_hold', 2]);
+  const [review] = supabase.tables.classification_reviews;
+  assert.equal(review.status, 'open');
+
+  assert.deepEqual(
+    await resolveClassificationReview(supabase, review.id, { walletType: 'Keller', resolvedBy: 'boss' }),
+    { resolution: 'Keller', settled: 1 }
+  );
+
+  assert.deepEqual(
+    supabase.tables.order_line_items.map(row => [row.item_type, row.status, row.wallet_type, row.unit_index, row.points]),
+    [['wallet', 'pending', 'Keller', 1, 2], ['wallet', 'pending', 'Keller', 2, 2]]
+  );
+  assert.equal(supabase.tables.classification_reviews[0].status, 'resolved');
+  assert.deepEqual(supabase.tables.wallet_catalog[1].shopify_product_ids, ['12']);
+  assert.equal(supabase.tables.orders[0].total_wallets, 2);
+});
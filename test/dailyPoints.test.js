@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  recordPoints,
+  findLatestAward,
+  findLatestCompletionEntry,
+  listPointsLedger,
+  rebuildDailyPoints,
+  getPointsTotals,
+} from '../src/lib/dailyPoints.js';
+import { SHOP_TIMEZONE } from '../src/lib/shopTime.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const entry = (id, entryType, points, workDate, overrides = {}) => ({
+  id,
+  sewer_id: 's1',
+  line_item_id: 1,
+  entry_type: entryType,
+  points,
+  work_date: workDate,
+  ...overrides,
+});
+
+test('recordPoints books through record_points with the shop timezone so the RPC picks the work day', async () => {
+  const supabase = createFakeSupabase();
+  supabase.rpcs.record_points = args => ({ data: { id: 1, points: args.p_points }, error: null });
+
+  const recorded = await recordPoints(supabase, {
+    sewerId: 7,
+    sewerName: 'Ana',
+    points: 3,
+    ordersCompleted: 1,
+    occurredAt: '2026-10-19T03:30:00Z',
+    lineItem: { id: 11, order_id: 9 },
+  });
+
+  assert.deepEqual(recorded, { id: 1, points: 3 });
+  assert.deepEqual(supabase.calls[0].args, {
+    p_sewer_id: '7',
+    p_sewer_name: 'Ana',
+    p_entry_type: 'award',
+    p_points: 3,
+    p_orders_completed: 1,
+    p_occurred_at: '2026-10-19T03:30:00.000Z',
+    p_timezone: SHOP_TIMEZONE,
+    p_line_item_id: 11,
+    p_order_id: 9,
+    p_points_adjustment_id: null,
+    p_reason: null,
+    p_work_date: null,
+  });
+});
+
+test('recordPoints passes an explicit work day for reversals and defaults the time to now', async () => {
+  const supabase = createFakeSupabase();
+  supabase.rpcs.record_points = () => ({ data: {}, error: null });
+
+  const before = Date.now();
+  await recordPoints(supabase, { sewerId: 's1', points: -3, type: 'reversal', ordersCompleted: -1, workDate: '2026-10-16', adjustmentId: 4, reason: 'refund' });
+
+  const { args } = supabase.calls[0];
+  assert.deepEqual([args.p_entry_type, args.p_work_date, args.p_points_adjustment_id, args.p_reason], ['reversal', '2026-10-16', 4, 'refund']);
+  assert.ok(Date.parse(args.p_occurred_at) >= before);
+});
+
+test('recordPoints rejects unknown entry types and surfaces RPC errors', async () => {
+  const supabase = createFakeSupabase();
+
+  await assert.rejects(recordPoints(supabase, { sewerId: 's1', points: 1, type: 'bonus' }), /Unknown points entry type: bonus/);
+  assert.deepEqual(supabase.calls, []);
+
+  await assert.rejects(recordPoints(supabase, { sewerId: 's1', points: 1 }), { message: 'function record_points does not exist' });
+});
+
+test('findLatestAward skips reversals, findLatestCompletionEntry does not', async () => {
+  const supabase = createFakeSupabase({
+    points_ledger: [
+      entry(1, 'award', 3, '2026-10-15'),
+      entry(2, 'adjustment', 1, '2026-10-15'),
+      entry(3, 'reversal', -3, '2026-10-15'),
+      entry(4, 'award', 3, '2026-10-16', { line_item_id: 2 }),
+    ],
+  });
+
+  assert.equal((await findLatestAward(supabase, 1)).id, 1);
+  assert.equal((await findLatestCompletionEntry(supabase, 1)).id, 3);
+  assert.equal(await findLatestCompletionEntry(supabase, 5), null);
+});
+
+test('listPointsLedger filters by sewer, line item and work days, oldest first', async () => {
+  const supabase = createFakeSupabase({
+    points_ledger: [
+      entry(3, 'award', 3, '2026-10-17', { sewer_id: 's2', line_item_id: 2 }),
+      entry(1, 'award', 3, '2026-10-15'),
+      entry(2, 'reversal', -3, '2026-10-16'),
+    ],
+  });
+
+  const ids = async filters => (await listPointsLedger(supabase, filters)).map(row => row.id);
+
+  assert.deepEqual(await ids(), [1, 2, 3]);
+  assert.deepEqual(await ids({ sewerId: 's1' }), [1, 2]);
+  assert.deepEqual(await ids({ lineItemId: 2 }), [3]);
+  assert.deepEqual(await ids({ from: '2026-10-16', to: '2026-10-16' }), [2]);
+});
+
+test('rebuildDailyPoints and getPointsTotals pass the day range to their RPCs', async () => {
+  const supabase = createFakeSupabase();
+  supabase.rpcs.rebuild_daily_points = () => ({ data: 4, error: null });
+  supabase.rpcs.points_totals = () => ({ data: [{ sewer_id: 's1', points: 6 }], error: null });
+
+  assert.equal(await rebuildDailyPoints(supabase, { from: '2026-10-01' }), 4);
+  assert.deepEqual(await getPointsTotals(supabase, { from: '2026-10-01', to: '2026-10-15' }), [{ sewer_id: 's1', points: 6 }]);
+  assert.deepEqual(supabase.calls.map(call => [call.rpc, call.args]), [
+    ['rebuild_daily_points', { p_from: '2026-10-01', p_to: null }],
+    ['points_totals', { p_from: '2026-10-01', p_to: '2026-10-15' }],
+  ]);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordDeadLetter, listDeadLetters, replayDeadLetters } from '../src/lib/deadLetters.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const shopifyOrder = {
+  id: 5001,
+  order_number: 1001,
+  created_at: '2026-10-19T09:00:00Z',
+  line_items: [{ id: 71, sku: 'BF-1', title: 'Bifold Wallet', quantity: 1, price: '80.00', properties: [] }],
+};
+
+const delivery = (webhookId, overrides = {}) => ({
+  webhookId,
+  topic: 'orders/create',
+  shopDomain: 'wallets.myshopify.com',
+  headers: {
+    'x-shopify-topic': 'orders/create',
+    'x-shopify-hmac-sha256': 'c2lnbmF0dXJl',
+    'user-agent': 'Shopify-Captain-Hook',
+    cookie: 'session=secret',
+  },
+  rawBody: Buffer.from(JSON.stringify(shopifyOrder)),
+  error: new Error('connection reset'),
+  ...overrides,
+});
+
+const deadLetter = (id, firstFailedAt, overrides = {}) => ({
+  id,
+  webhook_id: `w${id}`,
+  topic: 'orders/create',
+  order_number: '1001',
+  raw_body: JSON.stringify(shopifyOrder),
+  attempts: 1,
+  first_failed_at: firstFailedAt,
+  resolved_at: null,
+  ...overrides,
+});
+
+test('recordDeadLetter stores the payload with only the Shopify headers', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.equal(await recordDeadLetter(supabase, delivery('w1')), true);
+
+  const [stored] = supabase.tables.webhook_dead_letters;
+  assert.equal(stored.order_number, '1001');
+  assert.equal(stored.raw_body, JSON.stringify(shopifyOrder));
+  assert.equal(stored.last_error, 'connection reset');
+  assert.equal(stored.attempts, 1);
+  assert.deepEqual(Object.keys(stored.headers), ['x-shopify-topic', 'x-shopify-hmac-sha256']);
+});
+
+test('recordDeadLetter counts repeat failures of a delivery on one row', async () => {
+  const supabase = createFakeSupabase();
+
+  await recordDeadLetter(supabase, delivery('w1'));
+  await recordDeadLetter(supabase, delivery('w1', { error: new Error('timeout') }));
+
+  assert.equal(supabase.tables.webhook_dead_letters.length, 1);
+  assert.equal(supabase.tables.webhook_dead_letters[0].attempts, 2);
+  assert.equal(supabase.tables.webhook_dead_letters[0].last_error, 'timeout');
+});
+
+test('recordDeadLetter reports when the payload could not be stored', async () => {
+  const supabase = createFakeSupabase({ webhook_dead_letters: [] });
+  supabase.failNext({ table: 'webhook_dead_letters', action: 'insert' });
+
+  assert.equal(await recordDeadLetter(supabase, delivery(undefined, { rawBody: 'not json' })), false);
+  assert.deepEqual(supabase.tables.webhook_dead_letters, []);
+});
+
+test('listDeadLetters filters on topic, order number and first failure', async () => {
+  const supabase = createFakeSupabase({
+    webhook_dead_letters: [
+      deadLetter(1, '2026-10-17T10:00:00Z'),
+      deadLetter(2, '2026-10-18T10:00:00Z', { topic: 'refunds/create', order_number: '1002' }),
+      deadLetter(3, '2026-10-19T10:00:00Z', { resolved_at: '2026-10-19T11:00:00Z' }),
+    ],
+  });
+
+  const ids = async filters => (await listDeadLetters(supabase, filters)).map(row => row.id);
+
+  assert.deepEqual(await ids({}), [1, 2]);
+  assert.deepEqual(await ids({ includeResolved: true }), [1, 2, 3]);
+  assert.deepEqual(await ids({ topic: 'refunds/create' }), [2]);
+  assert.deepEqual(await ids({ orderNumber: '#1002' }), [2]);
+  assert.deepEqual(await ids({ since: '2026-10-18', includeResolved: true }), [2, 3]);
+  assert.deepEqual(await ids({ until: '2026-10-17T23:59:59Z' }), [1]);
+});
+
+test('replayDeadLetters with dryRun only lists what it would replay', async () => {
+  const supabase = createFakeSupabase({ webhook_dead_letters: [deadLetter(1, '2026-10-17T10:00:00Z')] });
+
+  const summary = await replayDeadLetters(supabase, {}, { dryRun: true });
+
+  assert.deepEqual(summary.results.map(result => result.status), ['would_replay']);
+  assert.equal(summary.replayed, 0);
+  assert.equal(supabase.tables.orders, undefined);
+});
+
+test('replayDeadLetters runs payloads through the router and resolves them', async () => {
+  const supabase = createFakeSupabase({
+    wallet_catalog: [{ id: 1, wallet_type: 'Bifold', points: 3, keywords: ['bifold'], skus: ['BF-1'], active: true }],
+    webhook_events: [{ webhook_id: 'w1', status: 'failed', attempts: 1 }],
+    webhook_dead_letters: [
+      deadLetter(1, '2026-10-17T10:00:00Z'),
+      deadLetter(2, '2026-10-18T10:00:00Z', { raw_body: '{"id":' }),
+    ],
+  });
+
+  const summary = await replayDeadLetters(supabase);
+
+  assert.equal(summary.replayed, 1);
+  assert.equal(summary.failed, 1);
+  assert.equal(supabase.tables.orders.length, 1);
+  assert.equal(supabase.tables.webhook_events[0].status, 'processed');
+
+  const [replayed, failed] = supabase.tables.webhook_dead_letters;
+  assert.ok(replayed.resolved_at);
+  assert.equal(failed.resolved_at, null);
+  assert.equal(failed.attempts, 2);
+  assert.ok(failed.last_error);
+});
@@ -0,0 +1,247 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { fulfillOrderIfComplete, buildFulfillmentRequest, isProductionComplete } from '../src/lib/fulfillment.js';
+import { createShopifyAdminClient } from '../src/lib/shopifyAdmin.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const MOCK_SCRIPT = fileURLToPath(new URL('../scripts/mock-shopify-admin.js', import.meta.url));
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run scripts/mock-shopify-admin.js on a free port until stop() is called
+ */
+async function startMockAdmin(args = []) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [MOCK_SCRIPT, '--port', String(port), ...args], {
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  await new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Mock Admin API exited with ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Mock Shopify Admin API')) resolve();
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  return {
+    url,
+    async seedOrder(shopifyOrderId, lineItems) {
+      await fetch(`${url}/__mock/orders/${shopifyOrderId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ line_items: lineItems }),
+      });
+    },
+    async fulfillments() {
+      const { requests } = await (await fetch(`${url}/__mock/requests`)).json();
+      return requests.filter(request => request.path.endsWith('/fulfillments.json'));
+    },
+    stop() {
+      child.removeAllListeners('exit');
+      child.kill();
+    },
+  };
+}
+
+const order = (id, overrides = {}) => ({
+  id,
+  order_number: `#${id}`,
+  shopify_order_id: String(5000 + id),
+  status: 'in_progress',
+  shopify_fulfillment_id: null,
+  fulfillment_sync_status: null,
+  ...overrides,
+});
+
+const item = (id, orderId, shopifyLineItemId, status, itemType = 'wallet') => ({
+  id,
+  order_id: orderId,
+  shopify_line_item_id: shopifyLineItemId,
+  item_type: itemType,
+  status,
+  quantity: 1,
+});
+
+let mock;
+let flakyMock;
+
+before(async () => {
+  mock = await startMockAdmin();
+  flakyMock = await startMockAdmin(['--fail-first', '1']);
+});
+
+after(() => {
+  mock?.stop();
+  flakyMock?.stop();
+});
+
+test('isProductionComplete ignores accessories and cancelled items', () => {
+  assert.equal(isProductionComplete([item(1, 1, 11, 'completed'), item(2, 1, 12, 'pending', 'accessory')]), true);
+  assert.equal(isProductionComplete([item(1, 1, 11, 'completed'), item(2, 1, 11, 'cancelled')]), true);
+  assert.equal(isProductionComplete([item(1, 1, 11, 'completed'), item(2, 1, 11, 'qc')]), false);
+  assert.equal(isProductionComplete([item(1, 1, 12, 'completed', 'accessory')]), false);
+});
+
+test('buildFulfillmentRequest ships each wallet unit once and skips what is already shipped', () => {
+  const fulfillmentOrders = [
+    { id: 1, status: 'closed', line_items: [{ id: 100, line_item_id: 11, fulfillable_quantity: 1 }] },
+    {
+      id: 2,
+      status: 'open',
+      line_items: [
+        { id: 200, line_item_id: 11, fulfillable_quantity: 2 },
+        { id: 201, line_item_id: 12, fulfillable_quantity: 0 },
+      ],
+    },
+  ];
+  const lineItems = [
+    item(1, 1, 11, 'completed'),
+    item(2, 1, 11, 'completed'),
+    item(3, 1, 11, 'cancelled'),
+    item(4, 1, 12, 'completed', 'accessory'),
+  ];
+
+  assert.deepEqual(buildFulfillmentRequest(fulfillmentOrders, lineItems), [
+    { fulfillment_order_id: 2, fulfillment_order_line_items: [{ id: 200, quantity: 2 }] },
+  ]);
+});
+
+test('fulfillOrderIfComplete fulfils an order once every wallet is completed', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  await mock.seedOrder(5001, [{ id: 11, quantity: 2 }, { id: 12, quantity: 1 }]);
+  const supabase = createFakeSupabase({
+    orders: [order(1)],
+    order_line_items: [
+      item(1, 1, 11, 'completed'),
+      item(2, 1, 11, 'completed'),
+      item(3, 1, 12, 'pending', 'accessory'),
+    ],
+  });
+
+  const result = await fulfillOrderIfComplete(supabase, 1, { client });
+
+  assert.equal(result.fulfilled, true);
+  assert.ok(result.fulfillmentId);
+  assert.equal(supabase.tables.orders[0].status, 'completed');
+  assert.equal(supabase.tables.orders[0].shopify_fulfillment_id, result.fulfillmentId);
+  assert.equal(supabase.tables.orders[0].fulfillment_sync_status, 'fulfilled');
+
+  const [request] = await mock.fulfillments();
+  assert.deepEqual(
+    request.body.fulfillment.line_items_by_fulfillment_order[0].fulfillment_order_line_items.map(line => line.quantity),
+    [2, 1]
+  );
+});
+
+test('fulfillOrderIfComplete leaves an order with wallets still in production alone', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  await mock.seedOrder(5002, [{ id: 21, quantity: 2 }]);
+  const supabase = createFakeSupabase({
+    orders: [order(2)],
+    order_line_items: [item(4, 2, 21, 'completed'), item(5, 2, 21, 'in_progress')],
+  });
+  const before = (await mock.fulfillments()).length;
+
+  assert.deepEqual(await fulfillOrderIfComplete(supabase, 2, { client }), { skipped: 'not_complete' });
+  assert.equal(supabase.tables.orders[0].fulfillment_sync_status, null);
+  assert.equal((await mock.fulfillments()).length, before);
+});
+
+test('fulfillOrderIfComplete ships only the wallets left after a partial refund', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  await mock.seedOrder(5003, [{ id: 31, quantity: 3 }]);
+  const supabase = createFakeSupabase({
+    orders: [order(3)],
+    order_line_items: [item(6, 3, 31, 'completed'), item(7, 3, 31, 'completed'), item(8, 3, 31, 'cancelled')],
+  });
+
+  assert.equal((await fulfillOrderIfComplete(supabase, 3, { client })).fulfilled, true);
+
+  const request = (await mock.fulfillments()).at(-1);
+  assert.equal(request.body.fulfillment.line_items_by_fulfillment_order[0].fulfillment_order_line_items[0].quantity, 2);
+});
+
+test('fulfillOrderIfComplete skips orders that are already fulfilled', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  const supabase = createFakeSupabase({
+    orders: [order(4, { shopify_fulfillment_id: '77', fulfillment_sync_status: 'fulfilled' })],
+    order_line_items: [item(9, 4, 41, 'completed')],
+  });
+  const before = (await mock.fulfillments()).length;
+
+  assert.deepEqual(await fulfillOrderIfComplete(supabase, 4, { client }), { skipped: 'already_fulfilled' });
+  assert.equal((await mock.fulfillments()).length, before);
+});
+
+test('fulfillOrderIfComplete records an order already shipped by hand in Shopify without shipping it again', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  await mock.seedOrder(5008, [{ id: 81, quantity: 1 }]);
+  const lineItems = [item(13, 8, 81, 'completed')];
+
+  await fulfillOrderIfComplete(createFakeSupabase({ orders: [order(8)], order_line_items: lineItems }), 8, { client });
+  const before = (await mock.fulfillments()).length;
+
+  const supabase = createFakeSupabase({ orders: [order(8)], order_line_items: lineItems });
+  assert.deepEqual(await fulfillOrderIfComplete(supabase, 8, { client }), { fulfilled: true, fulfillmentId: null });
+  assert.equal(supabase.tables.orders[0].fulfillment_sync_status, 'fulfilled');
+  assert.equal((await mock.fulfillments()).length, before);
+});
+
+test('fulfillOrderIfComplete skips an order another call is fulfilling', async () => {
+  const client = createShopifyAdminClient({ baseUrl: mock.url, retryDelayMs: 1 });
+  const supabase = createFakeSupabase({
+    orders: [order(5, { fulfillment_sync_status: 'in_progress', fulfillment_sync_started_at: new Date().toISOString() })],
+    order_line_items: [item(10, 5, 51, 'completed')],
+  });
+
+  assert.deepEqual(await fulfillOrderIfComplete(supabase, 5, { client }), { skipped: 'in_progress' });
+});
+
+test('a fulfillment that failed in Shopify is marked failed and goes through on retry', async () => {
+  const client = createShopifyAdminClient({ baseUrl: flakyMock.url, maxRetries: 0, retryDelayMs: 1 });
+  await flakyMock.seedOrder(5006, [{ id: 61, quantity: 1 }]);
+  const supabase = createFakeSupabase({
+    orders: [order(6)],
+    order_line_items: [item(11, 6, 61, 'completed')],
+  });
+
+  await assert.rejects(fulfillOrderIfComplete(supabase, 6, { client }), { name: 'ShopifyAdminError' });
+  assert.equal(supabase.tables.orders[0].fulfillment_sync_status, 'failed');
+  assert.ok(supabase.tables.orders[0].fulfillment_error);
+
+  const result = await fulfillOrderIfComplete(supabase, 6, { client });
+  assert.equal(result.fulfilled, true);
+  assert.equal(supabase.tables.orders[0].fulfillment_sync_status, 'fulfilled');
+  assert.equal(supabase.tables.orders[0].fulfillment_error, null);
+});
+
+test('the Admin client retries a Shopify outage before giving up', async () => {
+  const outage = await startMockAdmin(['--fail-first', '2']);
+  try {
+    const client = createShopifyAdminClient({ baseUrl: outage.url, maxRetries: 2, retryDelayMs: 1 });
+    await outage.seedOrder(5007, [{ id: 71, quantity: 1 }]);
+    const supabase = createFakeSupabase({
+      orders: [order(7)],
+      order_line_items: [item(12, 7, 71, 'completed')],
+    });
+
+    assert.equal((await fulfillOrderIfComplete(supabase, 7, { client })).fulfilled, true);
+  } finally {
+    outage.stop();
+  }
+});
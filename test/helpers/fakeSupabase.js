@@ -0,0 +1,250 @@
+// test/helpers/fakeSupabase.js
+// In-memory stand-in for the Supabase client, enough of the query builder for src/lib
+// Rows live in fake.tables[<table>]; RPCs are plain functions set on fake.rpcs[<name>].
+// fake.failNext({ table, action, when }) makes the next matching query fail once.
+// Filters compare as strings like PostgREST does; embeds like orders(...) are resolved
+// through order_id. Errors come back as { data: null, error } like the real client.
+
+/**
+ * Unique columns per table - an insert that clashes fails with 23505
+ */
+const UNIQUE_COLUMNS = {
+  orders: ['shopify_order_id'],
+  webhook_events: ['webhook_id'],
+  webhook_dead_letters: ['webhook_id'],
+};
+
+/**
+ * Column defaults from the migrations that the code relies on (inserted rows only)
+ */
+const COLUMN_DEFAULTS = {
+  orders: { refund_ids: [] },
+  order_line_items: { refund_ids: [] },
+};
+
+/**
+ * PostgREST equality on the value's text form - arrays compare as '{a,b}'
+ */
+function matches(value, expected) {
+  if (value === null || value === undefined) return false;
+  const text = Array.isArray(value) ? `{${value.join(',')}}` : String(value);
+  return text === String(expected);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a > b ? 1 : -1;
+}
+
+/**
+ * One condition of an .or() string, e.g. 'status.eq.failed' or 'started_at.lt.2026-10-19T10:00:00Z'
+ */
+function parseCondition(condition) {
+  const [column, operator, ...rest] = condition.split('.');
+  const value = rest.join('.');
+  switch (operator) {
+    case 'is': return row => (row[column] ?? null) === (value === 'null' ? null : value);
+    case 'eq': return row => matches(row[column], value);
+    case 'neq': return row => !matches(row[column], value);
+    case 'lt': return row => row[column] != null && row[column] < value;
+    case 'gt': return row => row[column] != null && row[column] > value;
+    default: throw new Error(`fakeSupabase: unsupported .or() operator ${operator}`);
+  }
+}
+
+export function createFakeSupabase(seed = {}) {
+  const tables = structuredClone(seed);
+  const rpcs = {};
+  const calls = [];
+  const failures = [];
+  let nextId = 1000;
+
+  const rows = table => (tables[table] ||= []);
+
+  function embed(table, row, columns) {
+    if (!columns || table === 'orders' || !/\borders\s*\(/.test(columns)) return { ...row };
+    return { ...row, orders: rows('orders').find(order => matches(order.id, row.order_id)) || null };
+  }
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.action = 'select';
+      this.filters = [];
+      this.sorts = [];
+      this.returning = false;
+    }
+
+    select(columns = '*') {
+      this.columns = columns;
+      this.returning = true;
+      return this;
+    }
+
+    insert(values) {
+      this.action = 'insert';
+      this.values = Array.isArray(values) ? values : [values];
+      return this;
+    }
+
+    upsert(values, options = {}) {
+      this.action = 'upsert';
+      this.values = Array.isArray(values) ? values : [values];
+      this.options = options;
+      return this;
+    }
+
+    update(patch) {
+      this.action = 'update';
+      this.patch = patch;
+      return this;
+    }
+
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+
+    filter(predicate) {
+      this.filters.push(predicate);
+      return this;
+    }
+
+    eq(column, value) { return this.filter(row => matches(row[column], value)); }
+    neq(column, value) { return this.filter(row => !matches(row[column], value)); }
+    gt(column, value) { return this.filter(row => row[column] != null && row[column] > value); }
+    gte(column, value) { return this.filter(row => row[column] != null && row[column] >= value); }
+    lt(column, value) { return this.filter(row => row[column] != null && row[column] < value); }
+    lte(column, value) { return this.filter(row => row[column] != null && row[column] <= value); }
+    is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+    in(column, values) { return this.filter(row => values.some(value => matches(row[column], value))); }
+    contains(column, values) { return this.filter(row => values.every(value => (row[column] || []).includes(value))); }
+
+    not(column, operator, value) {
+      if (operator === 'is') return this.filter(row => (row[column] ?? null) !== value);
+      if (operator === 'in') {
+        const values = value.replace(/[()]/g, '').split(',');
+        return this.filter(row => !values.some(v => matches(row[column], v)));
+      }
+      throw new Error(`fakeSupabase: unsupported .not() operator ${operator}`);
+    }
+
+    or(expression) {
+      const conditions = expression.split(',').map(parseCondition);
+      return this.filter(row => conditions.some(condition => condition(row)));
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.sorts.push({ column, ascending });
+      return this;
+    }
+
+    limit(count) {
+      this.count = count;
+      return this;
+    }
+
+    range(from, to) {
+      this.offset = from;
+      this.count = to - from + 1;
+      return this;
+    }
+
+    single() {
+      this.mode = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.mode = 'maybeSingle';
+      return this;
+    }
+
+    write() {
+      const table = rows(this.table);
+      const conflictColumns = this.options?.onConflict
+        ? [this.options.onConflict.split(',').map(column => column.trim())]
+        : (UNIQUE_COLUMNS[this.table] || []).map(column => [column]);
+      const written = [];
+
+      for (const value of this.values) {
+        const existing = table.find(row => conflictColumns.some(columns => columns.every(column => matches(row[column], value[column]))));
+        if (existing) {
+          if (this.action === 'insert') {
+            return { error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` } };
+          }
+          if (this.options?.ignoreDuplicates) continue;
+          Object.assign(existing, value);
+          written.push(existing);
+          continue;
+        }
+
+        const row = { id: nextId++, created_at: new Date().toISOString(), ...structuredClone(COLUMN_DEFAULTS[this.table] || {}), ...value };
+        table.push(row);
+        written.push(row);
+      }
+
+      return { rows: written };
+    }
+
+    run() {
+      calls.push({ table: this.table, action: this.action, patch: this.patch, values: this.values });
+
+      const failure = failures.findIndex(({ table, action, when }) =>
+        table === this.table && action === this.action && (!when || when(this)));
+      if (failure !== -1) return { data: null, error: failures.splice(failure, 1)[0].error };
+
+      let result;
+      if (this.action === 'insert' || this.action === 'upsert') {
+        const { rows: written, error } = this.write();
+        if (error) return { data: null, error };
+        result = written;
+      } else {
+        result = rows(this.table).filter(row => this.filters.every(predicate => predicate(row)));
+        if (this.action === 'update') result.forEach(row => Object.assign(row, this.patch));
+        if (this.action === 'delete') tables[this.table] = rows(this.table).filter(row => !result.includes(row));
+
+        for (const { column, ascending } of [...this.sorts].reverse()) {
+          result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+        }
+        if (this.offset) result = result.slice(this.offset);
+        if (this.count !== undefined) result = result.slice(0, this.count);
+      }
+
+      const data = result.map(row => embed(this.table, row, this.columns));
+
+      if (this.mode === 'single') {
+        return data.length === 1
+          ? { data: data[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${data.length}` } };
+      }
+      if (this.mode === 'maybeSingle') return { data: data[0] ?? null, error: null };
+      return { data: this.action === 'select' || this.returning ? data : null, error: null };
+    }
+
+    then(resolve, reject) {
+      try {
+        resolve(this.run());
+      } catch (error) {
+        reject(error);
+      }
+    }
+  }
+
+  return {
+    tables,
+    rpcs,
+    calls,
+    from: table => new Query(table),
+    failNext({ table, action, when = null, error = { message: `${action} on ${table} failed` } }) {
+      failures.push({ table, action, when, error });
+    },
+    async rpc(name, args) {
+      calls.push({ rpc: name, args });
+      if (!rpcs[name]) return { data: null, error: { message: `function ${name} does not exist` } };
+      return rpcs[name](args, tables);
+    },
+  };
+}
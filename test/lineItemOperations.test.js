@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  releaseWallet,
+  reassignWallet,
+  revertCompletion,
+  forceLineItemStatus,
+  LineItemOperationError,
+} from '../src/lib/lineItemOperations.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const ana = { id: 's1', name: 'Ana', role: 'sewer' };
+const bo = { id: 's2', name: 'Bo', role: 'sewer' };
+const sam = { id: 'u1', name: 'Sam', role: 'supervisor' };
+
+const wallet = (id, status, overrides = {}) => ({
+  id,
+  order_id: 9,
+  order_number: '#1009',
+  product_name: 'Bifold Wallet',
+  item_type: 'wallet',
+  points: 3,
+  status,
+  claimed_by: status === 'pending' ? null : 's1',
+  claimed_by_name: status === 'pending' ? null : 'Ana',
+  ...overrides,
+});
+
+/**
+ * A shop whose record_points RPC appends to points_ledger
+ */
+function createShop(lineItems, ledger = []) {
+  const supabase = createFakeSupabase({ order_line_items: lineItems, points_ledger: ledger });
+
+  supabase.rpcs.record_points = (args, tables) => {
+    const entry = {
+      id: tables.points_ledger.length + 1,
+      line_item_id: args.p_line_item_id,
+      sewer_id: args.p_sewer_id,
+      entry_type: args.p_entry_type,
+      points: args.p_points,
+      work_date: args.p_work_date,
+    };
+    tables.points_ledger.push(entry);
+    return { data: entry, error: null };
+  };
+
+  return supabase;
+}
+
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error instanceof LineItemOperationError && error.code === code);
+const ledgerPoints = supabase => supabase.tables.points_ledger.reduce((sum, entry) => sum + Number(entry.points), 0);
+
+test('releaseWallet puts a sewer\'s own wallet back in the queue and audits it', async () => {
+  const supabase = createShop([wallet(1, 'in_progress')]);
+
+  const released = await releaseWallet(supabase, 1, { actor: ana, reason: 'wrong leather' });
+
+  assert.deepEqual([released.status, released.claimed_by], ['pending', null]);
+  const [entry] = supabase.tables.line_item_audit_log;
+  assert.deepEqual([entry.action, entry.actor_id, entry.reason], ['release', 's1', 'wrong leather']);
+  assert.deepEqual([entry.before.status, entry.before.claimed_by, entry.after.status], ['in_progress', 's1', 'pending']);
+  assert.equal(supabase.tables.sewer_notifications, undefined);
+});
+
+test('releaseWallet stops sewers releasing other people\'s wallets but lets supervisors', async () => {
+  const supabase = createShop([wallet(1, 'claimed')]);
+
+  await rejectsWith(releaseWallet(supabase, 1, { actor: bo }), 'not_owner');
+  await releaseWallet(supabase, 1, { actor: sam, reason: 'Ana is off sick' });
+
+  assert.deepEqual(supabase.tables.sewer_notifications.map(notification => [notification.sewer_id, notification.type]), [['s1', 'released']]);
+  await rejectsWith(releaseWallet(supabase, 1, { actor: sam }), 'invalid_state');
+  await rejectsWith(releaseWallet(supabase, 2, { actor: sam }), 'not_found');
+});
+
+test('reassignWallet hands a held wallet over without changing its status', async () => {
+  const supabase = createShop([wallet(1, 'paused')]);
+
+  const reassigned = await reassignWallet(supabase, 1, { toSewerId: 's2', toSewerName: 'Bo', actor: sam, reason: ' shift change ' });
+
+  assert.deepEqual([reassigned.status, reassigned.claimed_by, reassigned.claimed_by_name], ['paused', 's2', 'Bo']);
+  assert.equal(supabase.tables.line_item_audit_log[0].reason, 'shift change');
+  assert.deepEqual(
+    supabase.tables.sewer_notifications.map(notification => [notification.sewer_id, notification.type]),
+    [['s1', 'reassigned'], ['s2', 'assigned']]
+  );
+});
+
+test('reassignWallet needs a reason, a new sewer and a wallet someone holds', async () => {
+  const supabase = createShop([wallet(1, 'claimed'), wallet(2, 'qc')]);
+
+  await rejectsWith(reassignWallet(supabase, 1, { toSewerId: 's2', actor: sam, reason: ' ' }), 'invalid_input');
+  await rejectsWith(reassignWallet(supabase, 1, { toSewerId: 's1', actor: sam, reason: 'x' }), 'invalid_input');
+  await rejectsWith(reassignWallet(supabase, 2, { toSewerId: 's2', actor: sam, reason: 'x' }), 'invalid_state');
+});
+
+test('reassignWallet reports a conflict when the wallet moved in the meantime', async () => {
+  const supabase = createShop([wallet(1, 'claimed')]);
+  // Another request got there first: the compare-and-set update matches no row
+  supabase.failNext({ table: 'order_line_items', action: 'update', error: null });
+
+  await rejectsWith(reassignWallet(supabase, 1, { toSewerId: 's2', toSewerName: 'Bo', actor: sam, reason: 'x' }), 'conflict');
+  assert.equal(supabase.tables.order_line_items[0].claimed_by, 's1');
+  assert.equal(supabase.tables.line_item_audit_log, undefined);
+});
+
+test('revertCompletion takes the points back on the day they were awarded', async () => {
+  const supabase = createShop(
+    [wallet(1, 'completed', { completed_at: '2026-10-18T15:00:00Z' })],
+    [{ id: 1, line_item_id: 1, sewer_id: 's1', entry_type: 'award', points: 3, work_date: '2026-10-18' }]
+  );
+
+  const reverted = await revertCompletion(supabase, 1, { actor: sam, reason: 'stitching came loose' });
+
+  assert.deepEqual([reverted.status, reverted.completed_at, reverted.claimed_by], ['in_progress', null, 's1']);
+  assert.equal(ledgerPoints(supabase), 0);
+  assert.equal(supabase.tables.points_ledger.at(-1).work_date, '2026-10-18');
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => [adjustment.status, adjustment.points]), [['applied', -3]]);
+  assert.equal(supabase.tables.line_item_audit_log[0].action, 'revert_completion');
+});
+
+test('revertCompletion does not reverse points an interrupted attempt already took back', async () => {
+  const supabase = createShop(
+    [wallet(1, 'completed')],
+    [
+      { id: 1, line_item_id: 1, sewer_id: 's1', entry_type: 'award', points: 3, work_date: '2026-10-18' },
+      { id: 2, line_item_id: 1, sewer_id: 's1', entry_type: 'reversal', points: -3, work_date: '2026-10-18' },
+    ]
+  );
+
+  await revertCompletion(supabase, 1, { actor: sam, reason: 'retry' });
+
+  assert.equal(supabase.tables.order_line_items[0].status, 'in_progress');
+  assert.equal(supabase.tables.points_ledger.length, 2);
+  assert.equal(supabase.tables.points_adjustments, undefined);
+});
+
+test('revertCompletion gives the points back when the status change fails', async () => {
+  const supabase = createShop(
+    [wallet(1, 'completed')],
+    [{ id: 1, line_item_id: 1, sewer_id: 's1', entry_type: 'award', points: 3, work_date: '2026-10-18' }]
+  );
+  supabase.failNext({ table: 'order_line_items', action: 'update' });
+
+  await assert.rejects(revertCompletion(supabase, 1, { actor: sam, reason: 'x' }));
+
+  assert.equal(supabase.tables.order_line_items[0].status, 'completed');
+  assert.equal(ledgerPoints(supabase), 3);
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => adjustment.status), ['waived']);
+});
+
+test('forceLineItemStatus overrides the state machine and credits a forced completion', async () => {
+  const supabase = createShop([wallet(1, 'claimed')]);
+
+  const forced = await forceLineItemStatus(supabase, 1, 'completed', { actor: sam, reason: 'finished off the books' });
+
+  assert.equal(forced.status, 'completed');
+  assert.equal(forced.status_change_forced, true);
+  assert.equal(ledgerPoints(supabase), 3);
+  assert.equal(supabase.tables.line_item_audit_log[0].action, 'force_status');
+  await rejectsWith(forceLineItemStatus(supabase, 1, 'completed', { actor: sam, reason: 'x' }), 'invalid_state');
+  await rejectsWith(forceLineItemStatus(supabase, 1, 'done', { actor: sam, reason: 'x' }), 'invalid_input');
+});
+
+test('forceLineItemStatus out of completed reverses the points', async () => {
+  const supabase = createShop(
+    [wallet(1, 'completed')],
+    [{ id: 1, line_item_id: 1, sewer_id: 's1', entry_type: 'award', points: 3, work_date: '2026-10-18' }]
+  );
+
+  const forced = await forceLineItemStatus(supabase, 1, 'cancelled', { actor: sam, reason: 'customer changed their mind' });
+
+  assert.deepEqual([forced.status, forced.cancel_reason], ['cancelled', 'customer changed their mind']);
+  assert.equal(ledgerPoints(supabase), 0);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertTransition,
+  canTransition,
+  transitionLineItem,
+  transitionLineItems,
+  UnknownStatusError,
+  IllegalTransitionError,
+  StaleStatusError,
+} from '../src/lib/lineItemStatus.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const lineItem = (id, status, overrides = {}) => ({ id, order_id: 1, status, ...overrides });
+
+test('assertTransition allows only the moves in TRANSITIONS', () => {
+  assert.doesNotThrow(() => assertTransition('pending', 'claimed'));
+  assert.doesNotThrow(() => assertTransition('qc', 'rework'));
+  assert.doesNotThrow(() => assertTransition('rework', 'in_progress'));
+  assert.equal(canTransition('cancelled', 'pending'), false);
+
+  assert.throws(() => assertTransition('pending', 'completed', { lineItemId: 7 }), error =>
+    error instanceof IllegalTransitionError &&
+    error.code === 'illegal_transition' &&
+    error.lineItemId === 7 &&
+    error.from === 'pending' &&
+    error.to === 'completed'
+  );
+  assert.throws(() => assertTransition('cancelled', 'pending'), IllegalTransitionError);
+});
+
+test('assertTransition rejects unknown statuses and no-op moves, even when forced', () => {
+  assert.throws(() => assertTransition('pending', 'done', { force: true }), UnknownStatusError);
+  assert.throws(() => assertTransition('lost', 'pending', { force: true }), UnknownStatusError);
+  assert.throws(() => assertTransition('claimed', 'claimed', { force: true }), IllegalTransitionError);
+
+  assert.doesNotThrow(() => assertTransition('pending', 'completed', { force: true }));
+});
+
+test('transitionLineItem moves the row and records who moved it and why', async () => {
+  const supabase = createFakeSupabase({ order_line_items: [lineItem(1, 'pending')] });
+
+  const moved = await transitionLineItem(supabase, lineItem(1, 'pending'), 'claimed', {
+    patch: { claimed_by: 's1' },
+    actor: { id: 42, name: 'Ana', role: 'sewer' },
+    reason: 'picked from queue',
+  });
+
+  assert.equal(moved.status, 'claimed');
+  assert.equal(moved.claimed_by, 's1');
+  assert.ok(moved.claimed_at);
+  assert.equal(moved.status_changed_at, moved.claimed_at);
+  assert.deepEqual(
+    [moved.status_actor_id, moved.status_actor_name, moved.status_actor_role, moved.status_change_reason, moved.status_change_forced],
+    ['42', 'Ana', 'sewer', 'picked from queue', false]
+  );
+});
+
+test('transitionLineItem clears the claim on release and the completion on reopen', async () => {
+  const supabase = createFakeSupabase({
+    order_line_items: [
+      lineItem(1, 'claimed', { claimed_by: 's1', claimed_by_name: 'Ana', claimed_at: '2026-10-19T08:00:00Z' }),
+      lineItem(2, 'completed', { completed_at: '2026-10-19T09:00:00Z' }),
+    ],
+  });
+
+  const released = await transitionLineItem(supabase, supabase.tables.order_line_items[0], 'pending');
+  const reopened = await transitionLineItem(supabase, supabase.tables.order_line_items[1], 'rework');
+
+  assert.deepEqual([released.claimed_by, released.claimed_by_name, released.claimed_at], [null, null, null]);
+  assert.equal(released.status_actor_role, 'system');
+  assert.equal(reopened.completed_at, null);
+});
+
+test('transitionLineItem throws StaleStatusError when the row moved since it was read', async () => {
+  const supabase = createFakeSupabase({ order_line_items: [lineItem(1, 'claimed', { claimed_by: 's2' })] });
+
+  await assert.rejects(transitionLineItem(supabase, lineItem(1, 'pending'), 'claimed'), error =>
+    error instanceof StaleStatusError &&
+    error.code === 'stale_status' &&
+    error.lineItemId === 1 &&
+    error.from === 'pending'
+  );
+  assert.equal(supabase.tables.order_line_items[0].claimed_by, 's2');
+});
+
+test('transitionLineItem checks the expected columns too', async () => {
+  const supabase = createFakeSupabase({ order_line_items: [lineItem(1, 'claimed', { claimed_by: 's2' })] });
+  const read = lineItem(1, 'claimed', { claimed_by: 's1' });
+
+  await assert.rejects(
+    transitionLineItem(supabase, read, 'pending', { expect: { claimed_by: 's1' } }),
+    StaleStatusError
+  );
+  await assert.rejects(
+    transitionLineItem(supabase, read, 'pending', { expect: { claimed_by: null } }),
+    StaleStatusError
+  );
+  assert.equal(supabase.tables.order_line_items[0].status, 'claimed');
+
+  const released = await transitionLineItem(supabase, read, 'pending', { expect: { claimed_by: 's2' } });
+  assert.equal(released.status, 'pending');
+});
+
+test('transitionLineItem checks the move before touching the database', async () => {
+  const supabase = createFakeSupabase({ order_line_items: [lineItem(1, 'pending')] });
+
+  await assert.rejects(transitionLineItem(supabase, lineItem(1, 'pending'), 'completed'), IllegalTransitionError);
+  assert.deepEqual(supabase.calls, []);
+});
+
+test('transitionLineItems moves the rows still where they were read and skips the rest', async () => {
+  const supabase = createFakeSupabase({
+    order_line_items: [lineItem(1, 'pending'), lineItem(2, 'claimed'), lineItem(3, 'paused')],
+  });
+
+  const moved = await transitionLineItems(
+    supabase,
+    [lineItem(1, 'pending'), lineItem(2, 'pending'), lineItem(3, 'paused')],
+    'cancelled',
+    { reason: 'order cancelled' }
+  );
+
+  assert.deepEqual(moved.map(item => item.id).sort(), [1, 3]);
+  assert.deepEqual(supabase.tables.order_line_items.map(item => item.status), ['cancelled', 'claimed', 'cancelled']);
+});
+
+test('transitionLineItems refuses the whole batch if one move is illegal', async () => {
+  const supabase = createFakeSupabase({ order_line_items: [lineItem(1, 'pending'), lineItem(2, 'cancelled')] });
+
+  await assert.rejects(
+    transitionLineItems(supabase, [lineItem(1, 'pending'), lineItem(2, 'cancelled')], 'pending'),
+    IllegalTransitionError
+  );
+  assert.deepEqual(supabase.calls, []);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMaterial, getMaterialNeeds, validateMaterial, validateBillOfMaterials } from '../src/lib/materials.js';
+
+const materials = [
+  { id: 1, kind: 'leather', name: null, color: 'Black' },
+  { id: 2, kind: 'leather', name: 'Chromexcel', color: 'Tan' },
+  { id: 3, kind: 'leather', name: null, color: 'Tan' },
+  { id: 4, kind: 'thread', name: null, color: 'Natural' },
+  { id: 5, kind: 'hardware', name: 'Snap', color: null },
+  { id: 6, kind: 'leather', name: 'Shell Cordovan', color: 'Tan', active: false },
+];
+
+test('findMaterial matches kind, name and colour, falling back to house stock', () => {
+  assert.equal(findMaterial(materials, { kind: 'leather', name: 'chromexcel', color: 'tan' }).id, 2);
+  assert.equal(findMaterial(materials, { kind: 'leather', name: 'Horween Dublin', color: 'Black' }).id, 1);
+  assert.equal(findMaterial(materials, { kind: 'leather', name: 'Shell Cordovan', color: 'Tan' }).id, 3);
+  assert.equal(findMaterial(materials, { kind: 'hardware', name: 'Rivet' }), null);
+  assert.equal(findMaterial(materials, { kind: 'thread', color: 'Red' }), null);
+});
+
+test('getMaterialNeeds fills a wallet type\'s bill of materials from its attributes', () => {
+  const bom = [
+    { wallet_type: 'Bifold', kind: 'leather', material_name: null, quantity: '0.75' },
+    { wallet_type: 'Bifold', kind: 'thread', material_name: null, quantity: 3 },
+    { wallet_type: 'Bifold', kind: 'hardware', material_name: 'Snap', quantity: 1 },
+    { wallet_type: 'Card Holder', kind: 'leather', material_name: null, quantity: 0.3 },
+  ];
+  const lineItem = {
+    wallet_type: 'Bifold',
+    wallet_attributes: { leather_type: 'Chromexcel', color: 'Tan', thread_color: 'Red' },
+  };
+
+  assert.deepEqual(getMaterialNeeds(lineItem, bom, materials), [
+    { kind: 'leather', name: 'Chromexcel', color: 'Tan', quantity: 0.75, material: materials[1] },
+    { kind: 'thread', name: null, color: 'Red', quantity: 3, material: null },
+    { kind: 'hardware', name: 'Snap', color: null, quantity: 1, material: materials[4] },
+  ]);
+});
+
+test('validateMaterial normalizes a new material', () => {
+  assert.deepEqual(validateMaterial({ kind: 'leather', name: '  ', color: ' Tan ', reorder_point: '5', stock: 100 }), {
+    material: { kind: 'leather', name: null, color: 'Tan', reorder_point: 5 },
+    errors: [],
+  });
+  assert.deepEqual(validateMaterial({ kind: 'hardware', reorder_point: -1 }).errors, [
+    'name is required for hardware',
+    'reorder_point must be a number >= 0',
+  ]);
+  assert.deepEqual(validateMaterial({ kind: 'vinyl' }).errors, ['kind must be one of: leather, thread, hardware']);
+});
+
+test('validateMaterial keeps the kind out of patches', () => {
+  assert.deepEqual(validateMaterial({ kind: 'thread', active: 'no' }, { partial: true }).errors, [
+    'kind cannot be changed - add a new material instead',
+    'active must be true or false',
+  ]);
+  assert.deepEqual(validateMaterial({ active: false }, { partial: true }), { material: { active: false }, errors: [] });
+});
+
+test('validateBillOfMaterials checks each line', () => {
+  assert.deepEqual(validateBillOfMaterials([{ kind: 'leather', quantity: '0.5' }]), {
+    lines: [{ kind: 'leather', material_name: null, quantity: 0.5 }],
+    errors: [],
+  });
+  assert.deepEqual(validateBillOfMaterials([{ kind: 'hardware', quantity: 0 }, { kind: 'glue', quantity: 1 }]).errors, [
+    'lines[0].material_name is required for hardware',
+    'lines[0].quantity must be a number > 0',
+    'lines[1].kind must be one of: leather, thread, hardware',
+  ]);
+  assert.deepEqual(validateBillOfMaterials('nope').errors, ['lines must be an array']);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPayPeriod } from '../src/lib/payPeriods.js';
+
+const biweekly = { type: 'biweekly', anchor: '2026-01-05' };
+
+test('getPayPeriod counts biweekly periods from the anchor', () => {
+  assert.deepEqual(getPayPeriod('2026-01-05', biweekly), { type: 'biweekly', start: '2026-01-05', end: '2026-01-18' });
+  assert.deepEqual(getPayPeriod('2026-01-18', biweekly), { type: 'biweekly', start: '2026-01-05', end: '2026-01-18' });
+  assert.deepEqual(getPayPeriod('2026-01-19', biweekly), { type: 'biweekly', start: '2026-01-19', end: '2026-02-01' });
+});
+
+test('getPayPeriod handles days before the anchor', () => {
+  assert.deepEqual(getPayPeriod('2026-01-04', biweekly), { type: 'biweekly', start: '2025-12-22', end: '2026-01-04' });
+  assert.deepEqual(getPayPeriod('2026-01-04', { type: 'weekly', anchor: '2026-01-05' }), {
+    type: 'weekly',
+    start: '2025-12-29',
+    end: '2026-01-04',
+  });
+});
+
+test('getPayPeriod splits semi-monthly periods on the 15th', () => {
+  const semiMonthly = { type: 'semi_monthly', anchor: '2026-01-05' };
+
+  assert.deepEqual(getPayPeriod('2026-02-15', semiMonthly), { type: 'semi_monthly', start: '2026-02-01', end: '2026-02-15' });
+  assert.deepEqual(getPayPeriod('2026-02-16', semiMonthly), { type: 'semi_monthly', start: '2026-02-16', end: '2026-02-28' });
+  assert.deepEqual(getPayPeriod('2028-02-20', semiMonthly), { type: 'semi_monthly', start: '2028-02-16', end: '2028-02-29' });
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attributeMatches, calculatePoints, describePointsBreakdown, validatePointsRule } from '../src/lib/pointsRules.js';
+
+const rules = [
+  { id: 1, name: 'Monogram', attribute: 'has_monogram', modifier: 'add', amount: '1' },
+  { id: 2, name: 'Custom logo', attribute: 'has_custom_logo', modifier: 'multiply', amount: '1.25' },
+  { id: 3, name: 'Exotic leather', attribute: 'leather_type', match_value: ['Ostrich', 'python'], modifier: 'add', amount: 2, wallet_type: 'Bifold' },
+  { id: 4, name: 'Retired', attribute: 'has_monogram', modifier: 'add', amount: 10, active: false },
+];
+
+test('attributeMatches treats a missing match_value as "set"', () => {
+  assert.equal(attributeMatches(true, null), true);
+  assert.equal(attributeMatches('  ', undefined), false);
+  assert.equal(attributeMatches([], null), false);
+  assert.equal(attributeMatches(' OSTRICH ', ['ostrich']), true);
+  assert.equal(attributeMatches(null, 'ostrich'), false);
+});
+
+test('calculatePoints adds, then multiplies', () => {
+  const breakdown = calculatePoints(4, 'Bifold', { has_monogram: true, has_custom_logo: true, leather_type: 'Ostrich' }, rules);
+
+  assert.equal(breakdown.base, 4);
+  assert.equal(breakdown.total, 8.75);
+  assert.deepEqual(breakdown.rules.map(rule => [rule.id, rule.points]), [[1, 1], [3, 2], [2, 1.75]]);
+  assert.deepEqual(describePointsBreakdown(breakdown), ['Base 4', '+1 Monogram', '+2 Exotic leather', '×1.25 Custom logo']);
+});
+
+test('calculatePoints skips inactive rules and rules for other wallet types', () => {
+  const breakdown = calculatePoints(3, 'Card holder', { has_monogram: true, leather_type: 'Ostrich' }, rules);
+
+  assert.deepEqual(breakdown.rules.map(rule => rule.id), [1]);
+  assert.equal(breakdown.total, 4);
+});
+
+test('calculatePoints never goes below zero', () => {
+  const discount = [{ id: 5, name: 'Seconds', attribute: 'is_second', modifier: 'add', amount: -5 }];
+
+  assert.equal(calculatePoints(2, 'Bifold', { is_second: true }, discount).total, 0);
+  assert.deepEqual(calculatePoints('x', 'Bifold', null, rules), { base: 0, rules: [], total: 0 });
+});
+
+test('validatePointsRule normalizes a rule and reports every problem', () => {
+  assert.deepEqual(validatePointsRule({ name: ' Monogram ', attribute: 'has_monogram', modifier: 'add', amount: '1.5', priority: '2', wallet_type: ' ' }), {
+    rule: { name: 'Monogram', attribute: 'has_monogram', modifier: 'add', amount: 1.5, priority: 2, wallet_type: null },
+    errors: [],
+  });
+
+  assert.deepEqual(validatePointsRule({ modifier: 'multiply', amount: -1 }).errors, [
+    'name is required',
+    'attribute is required (a wallet_attributes field, e.g. has_monogram)',
+    'multiply amount must be >= 0',
+  ]);
+  assert.deepEqual(validatePointsRule({ priority: 'high' }, { partial: true }).errors, ['priority must be an integer']);
+});
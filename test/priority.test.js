@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePriority, getOrderPriority, sortByPriority, setPriorityOverride } from '../src/lib/priority.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+test('computePriority adds up tags, the strongest shipping upgrade and notes', () => {
+  assert.deepEqual(computePriority({
+    tags: 'VIP, Rush Order',
+    shipping_lines: [{ title: 'Priority Overnight', code: 'PO' }],
+    note_attributes: [{ name: 'Event date', value: 'Oct 24' }],
+    note: 'ASAP please',
+  }), {
+    score: 50 + 10 + 50 + 30 + 20,
+    reasons: ['rush tag', 'VIP customer', 'overnight shipping', 'rush requested in order notes', 'needed-by date in order notes'],
+  });
+});
+
+test('computePriority only matches whole tags and gives a plain order no priority', () => {
+  assert.deepEqual(computePriority({ tags: 'not-a-rush, prioritymail' }), { score: 0, reasons: [] });
+  assert.deepEqual(computePriority({}), { score: 0, reasons: [] });
+  assert.deepEqual(computePriority({ shipping_lines: [{ title: 'Express 2-Day' }] }), { score: 30, reasons: ['expedited shipping'] });
+});
+
+test('getOrderPriority adds a capped bonus for waiting orders', () => {
+  assert.deepEqual(getOrderPriority({ priority_score: 40, priority_reasons: ['priority tag'], created_at: daysAgo(3) }, NOW), {
+    score: 46,
+    reason: 'priority tag, waiting 3 days',
+    overridden: false,
+  });
+  assert.deepEqual(getOrderPriority({ shopify_metadata: { created_at: daysAgo(40) } }, NOW), {
+    score: 30,
+    reason: 'waiting 15 days+',
+    overridden: false,
+  });
+  assert.equal(getOrderPriority({ created_at: daysAgo(0.5) }, NOW).reason, 'standard');
+});
+
+test('getOrderPriority lets a supervisor override replace everything, including zero', () => {
+  assert.deepEqual(
+    getOrderPriority({ priority_score: 90, created_at: daysAgo(10), priority_override: 0, priority_override_by: 'Sam', priority_override_reason: 'customer can wait' }, NOW),
+    { score: 0, reason: 'set by Sam: customer can wait', overridden: true }
+  );
+});
+
+test('sortByPriority puts higher priority first, then older orders, then unit order', () => {
+  const row = (id, order, unitIndex = 1) => ({ id, created_at: order.created_at, unit_index: unitIndex, orders: order });
+  const rush = { priority_score: 50, created_at: daysAgo(1) };
+  const old = { priority_score: 0, created_at: daysAgo(5) };
+  const fresh = { priority_score: 0, created_at: daysAgo(4) };
+
+  const sorted = sortByPriority([row(1, fresh), row(2, old, 2), row(3, rush), row(4, old, 1)], NOW);
+
+  assert.deepEqual(sorted.map(item => item.id), [3, 4, 2, 1]);
+  assert.equal(sorted[0].priority.score, 52);
+});
+
+test('setPriorityOverride sets and clears the override', async () => {
+  const supabase = createFakeSupabase({ orders: [{ id: 1, order_number: '1001', priority_score: 10 }] });
+
+  const set = await setPriorityOverride(supabase, 1, { score: '80', reason: 'wedding', setBy: 'Sam' });
+  assert.deepEqual([set.priority_override, set.priority_override_reason, set.priority_override_by], [80, 'wedding', 'Sam']);
+
+  const cleared = await setPriorityOverride(supabase, 1, { score: null, reason: 'ignored' });
+  assert.deepEqual([cleared.priority_override, cleared.priority_override_reason, cleared.priority_override_at], [null, null, null]);
+
+  await assert.rejects(setPriorityOverride(supabase, 1, { score: 'high' }), /score must be an integer or null/);
+});
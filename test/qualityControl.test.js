@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { passInspection, rejectInspection, getDefectRates } from '../src/lib/qualityControl.js';
+import { LineItemOperationError } from '../src/lib/lineItemOperations.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const inspector = { id: 'q1', name: 'Quinn' };
+
+const finished = (overrides = {}) => ({
+  id: 1,
+  order_id: 9,
+  order_number: '#1009',
+  product_name: 'Bifold Wallet',
+  item_type: 'wallet',
+  points: 3,
+  status: 'qc',
+  claimed_by: 's1',
+  claimed_by_name: 'Ana',
+  rework_count: 0,
+  ...overrides,
+});
+
+/**
+ * A shop whose QC RPCs behave like pass_qc_inspection / reject_qc_inspection: they only
+ * act on a wallet still in 'qc' and return null otherwise
+ */
+function createShop(lineItems = [finished()]) {
+  const supabase = createFakeSupabase({
+    order_line_items: lineItems,
+    qc_defect_codes: [
+      { code: 'loose_stitching', active: true },
+      { code: 'other', active: true },
+    ],
+    qc_inspections: [],
+  });
+
+  const inspect = (tables, args, patch, inspection) => {
+    const lineItem = tables.order_line_items.find(row => row.id === args.p_line_item_id && row.status === 'qc');
+    if (!lineItem) return { data: null, error: null };
+
+    const attempt = (lineItem.rework_count || 0) + 1;
+    Object.assign(lineItem, patch(lineItem));
+    const row = {
+      id: tables.qc_inspections.length + 1,
+      line_item_id: lineItem.id,
+      sewer_id: lineItem.claimed_by,
+      inspector_id: args.p_inspector_id,
+      attempt,
+      notes: args.p_notes,
+      photo_urls: args.p_photo_urls,
+      ...inspection,
+    };
+    tables.qc_inspections.push(row);
+    return { data: { line_item: { ...lineItem }, inspection: row }, error: null };
+  };
+
+  supabase.rpcs.pass_qc_inspection = (args, tables) => inspect(tables, args,
+    () => ({ status: 'completed' }),
+    { result: 'pass', defect_codes: [], points_awarded: 3 });
+
+  supabase.rpcs.reject_qc_inspection = (args, tables) => inspect(tables, args,
+    lineItem => ({ status: 'rework', rework_count: (lineItem.rework_count || 0) + 1 }),
+    { result: 'reject', defect_codes: args.p_defect_codes, points_awarded: 0 });
+
+  return supabase;
+}
+
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error instanceof LineItemOperationError && error.code === code);
+
+test('passInspection completes the wallet in one RPC and tells the sewer', async () => {
+  const supabase = createShop();
+
+  const { lineItem, inspection } = await passInspection(supabase, 1, { inspector, notes: ' neat ', photoUrls: ['https://cdn.test/1.jpg'] });
+
+  assert.equal(lineItem.status, 'completed');
+  assert.deepEqual([inspection.result, inspection.attempt, inspection.notes], ['pass', 1, 'neat']);
+  const [call] = supabase.calls.filter(entry => entry.rpc === 'pass_qc_inspection');
+  assert.equal(call.args.p_inspector_id, 'q1');
+  assert.ok(call.args.p_timezone);
+  assert.deepEqual(supabase.tables.sewer_notifications.map(notification => [notification.sewer_id, notification.type]), [['s1', 'qc_passed']]);
+});
+
+test('rejectInspection sends the wallet back for rework with its defect codes', async () => {
+  const supabase = createShop();
+
+  const { lineItem, inspection } = await rejectInspection(supabase, 1, {
+    inspector,
+    defectCodes: ['loose_stitching', 'loose_stitching'],
+  });
+
+  assert.deepEqual([lineItem.status, lineItem.rework_count], ['rework', 1]);
+  assert.deepEqual([inspection.result, inspection.defect_codes, inspection.points_awarded], ['reject', ['loose_stitching'], 0]);
+  assert.equal(supabase.tables.sewer_notifications[0].type, 'qc_rejected');
+});
+
+test('rejectInspection reports a conflict when the RPC finds the wallet already out of QC', async () => {
+  const supabase = createShop();
+  supabase.rpcs.reject_qc_inspection = () => ({ data: null, error: null });
+
+  await rejectsWith(rejectInspection(supabase, 1, { inspector, defectCodes: ['loose_stitching'] }), 'conflict');
+  assert.deepEqual(supabase.tables.qc_inspections, []);
+  assert.equal(supabase.tables.sewer_notifications, undefined);
+});
+
+test('rejectInspection needs known defect codes, and notes for other', async () => {
+  const supabase = createShop();
+
+  await rejectsWith(rejectInspection(supabase, 1, { inspector, defectCodes: [] }), 'invalid_input');
+  await rejectsWith(rejectInspection(supabase, 1, { inspector, defectCodes: ['scuffed'] }), 'invalid_input');
+  await rejectsWith(rejectInspection(supabase, 1, { inspector, defectCodes: ['other'] }), 'invalid_input');
+  await rejectsWith(rejectInspection(supabase, 1, { inspector, defectCodes: ['loose_stitching'], photoUrls: ['file:///x.jpg'] }), 'invalid_input');
+  assert.equal(supabase.calls.some(entry => entry.rpc), false);
+});
+
+test('inspections need a wallet in QC and someone other than its sewer', async () => {
+  const supabase = createShop([finished(), finished({ id: 2, status: 'in_progress' })]);
+
+  await rejectsWith(passInspection(supabase, 1, { inspector: { id: 's1', name: 'Ana' } }), 'not_owner');
+  await rejectsWith(passInspection(supabase, 2, { inspector }), 'invalid_state');
+  await rejectsWith(passInspection(supabase, 3, { inspector }), 'not_found');
+});
+
+test('a reworked wallet is inspected again as a second attempt', async () => {
+  const supabase = createShop();
+
+  await rejectInspection(supabase, 1, { inspector, defectCodes: ['other'], notes: 'edge paint cracked' });
+  supabase.tables.order_line_items[0].status = 'qc';
+  const { inspection } = await passInspection(supabase, 1, { inspector });
+
+  assert.equal(inspection.attempt, 2);
+  assert.deepEqual(supabase.tables.qc_inspections.map(row => row.result), ['reject', 'pass']);
+});
+
+test('getDefectRates reports defect rate and first-pass yield per sewer, worst first', async () => {
+  const supabase = createFakeSupabase({
+    qc_inspections: [
+      { sewer_id: 's1', sewer_name: 'Ana', result: 'pass', attempt: 1, defect_codes: [] },
+      { sewer_id: 's1', sewer_name: 'Ana', result: 'pass', attempt: 1, defect_codes: [] },
+      { sewer_id: 's2', sewer_name: 'Bo', result: 'reject', attempt: 1, defect_codes: ['loose_stitching', 'other'] },
+      { sewer_id: 's2', sewer_name: 'Bo', result: 'pass', attempt: 2, defect_codes: [] },
+      { sewer_id: 's2', sewer_name: 'Bo', result: 'reject', attempt: 1, defect_codes: ['loose_stitching'] },
+    ],
+  });
+
+  const rates = await getDefectRates(supabase);
+
+  assert.deepEqual(
+    rates.map(stats => [stats.sewer_id, stats.defect_rate, stats.first_pass_yield]),
+    [['s2', 0.667, 0], ['s1', 0, 1]]
+  );
+  assert.deepEqual(rates[0].defects, { loose_stitching: 2, other: 1 });
+  assert.deepEqual((await getDefectRates(supabase, { sewerId: 's1' })).map(stats => stats.inspections), [2]);
+});
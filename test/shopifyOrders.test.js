@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleOrderCreate, handleOrderUpdate, handleRefundCreate } from '../src/lib/shopifyOrders.js';
+import { countWalletUnits, getUnitLabel } from '../src/lib/walletMapping.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const bifold = { id: 71, product_id: 9, variant_id: 91, sku: 'BF-1', title: 'Bifold Wallet', quantity: 3, price: '80.00', properties: [] };
+const cards = { id: 72, product_id: 8, variant_id: 81, sku: 'RF-2', title: 'RFID Cards', quantity: 2, price: '5.00', properties: [] };
+
+const shopifyOrder = (lineItems, overrides = {}) => ({
+  id: 5001,
+  order_number: 1001,
+  created_at: '2026-10-19T09:00:00Z',
+  updated_at: '2026-10-19T09:00:00Z',
+  line_items: lineItems,
+  ...overrides,
+});
+
+const refund = (id, refundLineItems) => ({
+  id,
+  order_id: 5001,
+  refund_line_items: refundLineItems.map(([lineItemId, quantity]) => ({ line_item_id: lineItemId, quantity })),
+});
+
+/**
+ * A shop with the order already in production
+ */
+async function createShop(lineItems = [bifold, cards]) {
+  const supabase = createFakeSupabase({
+    wallet_catalog: [{ id: 1, wallet_type: 'Bifold', points: 3, keywords: ['bifold'], skus: ['BF-1'], active: true }],
+  });
+  await handleOrderCreate(supabase, shopifyOrder(lineItems));
+  return supabase;
+}
+
+const rowsFor = (supabase, shopifyLineItemId) => supabase.tables.order_line_items
+  .filter(row => row.shopify_line_item_id === String(shopifyLineItemId));
+
+const statuses = rows => rows.map(row => `${row.unit_index ?? '-'}:${row.status}`);
+
+test('handleOrderCreate gives each wallet unit its own row and keeps accessories as one', async () => {
+  const supabase = await createShop();
+
+  const wallets = rowsFor(supabase, 71);
+  assert.deepEqual(wallets.map(row => [row.unit_index, row.unit_count, row.quantity, row.points]), [
+    [1, 3, 1, 3],
+    [2, 3, 1, 3],
+    [3, 3, 1, 3],
+  ]);
+  assert.deepEqual(rowsFor(supabase, 72).map(row => [row.item_type, row.quantity, row.unit_index]), [['accessory', 2, undefined]]);
+
+  const [order] = supabase.tables.orders;
+  assert.equal(order.total_wallets, 3);
+  assert.equal(order.total_accessories, 1);
+  assert.equal(order.points, 9);
+});
+
+test('countWalletUnits and getUnitLabel handle unit rows and rows from before expansion', () => {
+  const units = [
+    { item_type: 'wallet', quantity: 1, unit_index: 1, unit_count: 2 },
+    { item_type: 'wallet', quantity: 1, unit_index: 2, unit_count: 2 },
+    { item_type: 'wallet', quantity: 3 },
+    { item_type: 'accessory', quantity: 4 },
+  ];
+
+  assert.equal(countWalletUnits(units), 5);
+  assert.equal(getUnitLabel(units[1]), '2 of 2');
+  assert.equal(getUnitLabel(units[2]), null);
+  assert.equal(getUnitLabel({ unit_index: 1, unit_count: 1 }), null);
+});
+
+test('handleRefundCreate withdraws only the refunded wallet units, untouched ones first', async () => {
+  const supabase = await createShop();
+  const [unit1, unit2] = rowsFor(supabase, 71);
+  Object.assign(unit1, { status: 'claimed', claimed_by: 's1' });
+  Object.assign(unit2, { status: 'in_progress', claimed_by: 's2' });
+
+  const result = await handleRefundCreate(supabase, refund(801, [[71, 2]]));
+
+  assert.equal(result.withdrawn.length, 2);
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:cancelled', '2:in_progress', '3:cancelled']);
+  assert.deepEqual(rowsFor(supabase, 71).map(row => row.refunded_quantity), [2, 2, 2]);
+  assert.deepEqual(supabase.tables.orders[0].refund_ids, ['801']);
+  assert.equal(supabase.tables.orders[0].total_wallets, 1);
+  assert.equal(supabase.tables.orders[0].points, 3);
+});
+
+test('handleRefundCreate reduces an accessory row rather than cancelling it', async () => {
+  const supabase = await createShop();
+
+  await handleRefundCreate(supabase, refund(801, [[72, 1]]));
+
+  const [accessory] = rowsFor(supabase, 72);
+  assert.equal(accessory.status, 'pending');
+  assert.equal(accessory.quantity, 1);
+});
+
+test('handleRefundCreate applies a refund once', async () => {
+  const supabase = await createShop();
+
+  await handleRefundCreate(supabase, refund(801, [[71, 1]]));
+  const again = await handleRefundCreate(supabase, refund(801, [[71, 1]]));
+
+  assert.equal(again.skipped, 'duplicate');
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:pending', '2:pending', '3:cancelled']);
+});
+
+test('handleRefundCreate finishes a refund whose withdrawal failed part way', async () => {
+  const supabase = await createShop();
+  supabase.failNext({
+    table: 'order_line_items',
+    action: 'update',
+    when: query => query.patch.status === 'cancelled',
+  });
+
+  await assert.rejects(handleRefundCreate(supabase, refund(801, [[71, 2]])));
+  assert.deepEqual(supabase.tables.orders[0].refund_ids ?? [], []);
+
+  await handleRefundCreate(supabase, refund(801, [[71, 2]]));
+
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:pending', '2:cancelled', '3:cancelled']);
+  assert.deepEqual(rowsFor(supabase, 71).map(row => row.refunded_quantity), [2, 2, 2]);
+});
+
+test('handleRefundCreate does not withdraw units an order edit already removed', async () => {
+  const supabase = await createShop();
+  const [, , unit3] = rowsFor(supabase, 71);
+  Object.assign(unit3, { status: 'cancelled' });
+
+  const result = await handleRefundCreate(supabase, refund(801, [[71, 1]]));
+
+  assert.deepEqual(result.withdrawn, []);
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:pending', '2:pending', '3:cancelled']);
+});
+
+test('handleRefundCreate skips refunds for orders it never saw', async () => {
+  const supabase = await createShop();
+
+  assert.equal((await handleRefundCreate(supabase, { ...refund(801, [[71, 1]]), order_id: 9999 })).skipped, 'unknown_order');
+});
+
+const edited = (lineItems, updatedAt = '2026-10-19T10:00:00Z') => shopifyOrder(lineItems, { updated_at: updatedAt });
+
+test('handleOrderUpdate adds new line items and withdraws removed ones', async () => {
+  const supabase = await createShop();
+  const trifold = { id: 73, product_id: 10, variant_id: 101, sku: 'BF-1', title: 'Bifold Wallet XL', quantity: 1, price: '90.00', properties: [] };
+
+  const { lineItemChanges } = await handleOrderUpdate(supabase, edited([bifold, { ...cards, current_quantity: 0 }, trifold]));
+
+  assert.deepEqual(lineItemChanges, { added: 1, removed: 1, updated: 0, flagged: 0 });
+  assert.deepEqual(statuses(rowsFor(supabase, 72)), ['-:cancelled']);
+  assert.deepEqual(statuses(rowsFor(supabase, 73)), ['1:pending']);
+  assert.equal(supabase.tables.orders[0].total_wallets, 4);
+  assert.equal(supabase.tables.orders[0].shopify_updated_at, '2026-10-19T10:00:00Z');
+});
+
+test('handleOrderUpdate adds and withdraws wallet units when the quantity changes', async () => {
+  const supabase = await createShop();
+  Object.assign(rowsFor(supabase, 71)[2], { status: 'claimed', claimed_by: 's1' });
+
+  await handleOrderUpdate(supabase, edited([{ ...bifold, quantity: 5 }, cards]));
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:pending', '2:pending', '3:claimed', '4:pending', '5:pending']);
+  assert.deepEqual(rowsFor(supabase, 71).map(row => row.unit_count), [5, 5, 5, 5, 5]);
+
+  await handleOrderUpdate(supabase, edited([{ ...bifold, quantity: 5, current_quantity: 2 }, cards], '2026-10-19T11:00:00Z'));
+  assert.deepEqual(statuses(rowsFor(supabase, 71)), ['1:pending', '2:cancelled', '3:claimed', '4:cancelled', '5:cancelled']);
+});
+
+test('handleOrderUpdate re-reads changed personalization, but only on wallets nobody has started', async () => {
+  const supabase = await createShop();
+  const [unit1] = rowsFor(supabase, 71);
+  Object.assign(unit1, { status: 'in_progress', claimed_by: 's1', order_number: '1001' });
+  const monogrammed = { ...bifold, properties: [{ name: 'Monogram', value: 'ABC' }] };
+
+  const { lineItemChanges } = await handleOrderUpdate(supabase, edited([monogrammed, cards]));
+
+  assert.deepEqual(lineItemChanges, { added: 0, removed: 0, updated: 2, flagged: 1 });
+
+  const [started, untouched] = rowsFor(supabase, 71);
+  assert.equal(untouched.wallet_attributes.monogram_text, 'ABC');
+  assert.equal(started.wallet_attributes.monogram_text, null);
+  assert.equal(started.needs_review, true);
+  assert.equal(started.pending_changes.wallet_attributes.monogram_text, 'ABC');
+  assert.deepEqual(supabase.tables.sewer_notifications.map(notification => [notification.sewer_id, notification.type]), [['s1', 'order_edited']]);
+});
+
+test('handleOrderUpdate ignores deliveries older than the stored order and cancelled orders', async () => {
+  const supabase = await createShop();
+
+  assert.equal((await handleOrderUpdate(supabase, edited([bifold], '2026-10-19T08:00:00Z'))).skipped, 'stale');
+  assert.equal((await handleOrderUpdate(supabase, { ...edited([bifold]), cancelled_at: '2026-10-19T10:00:00Z' })).skipped, 'cancelled');
+  assert.deepEqual(statuses(rowsFor(supabase, 72)), ['-:pending']);
+});
+
+test('handleOrderUpdate runs a retried delivery again without duplicating rows', async () => {
+  const supabase = await createShop();
+  const update = edited([{ ...bifold, quantity: 4 }, cards]);
+
+  await handleOrderUpdate(supabase, update);
+  const { lineItemChanges } = await handleOrderUpdate(supabase, update);
+
+  assert.deepEqual(lineItemChanges, { added: 0, removed: 0, updated: 0, flagged: 0 });
+  assert.equal(rowsFor(supabase, 71).length, 4);
+});
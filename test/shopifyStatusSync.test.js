@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getProductionState,
+  syncOrderStatus,
+  processStatusSyncQueue,
+  enqueueStatusSync,
+  STATUS_METAFIELD,
+} from '../src/lib/shopifyStatusSync.js';
+import { ShopifyAdminError } from '../src/lib/shopifyAdmin.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+/**
+ * Stand-in for the Admin API client that keeps order tags in memory and records its calls
+ * failOrders: Shopify order ids whose calls fail
+ */
+function createFakeAdminClient({ tags = {}, failOrders = [] } = {}) {
+  const calls = [];
+
+  function call(method, shopifyOrderId, args) {
+    calls.push({ method, shopifyOrderId, ...args });
+    if (failOrders.includes(shopifyOrderId)) {
+      throw new ShopifyAdminError('Shopify Admin API 503', { status: 503 });
+    }
+  }
+
+  return {
+    calls,
+    tags,
+    async getOrder(shopifyOrderId) {
+      call('getOrder', shopifyOrderId);
+      return { id: Number(shopifyOrderId), tags: tags[shopifyOrderId] || '' };
+    },
+    async updateOrderTags(shopifyOrderId, orderTags) {
+      call('updateOrderTags', shopifyOrderId, { tags: orderTags });
+      tags[shopifyOrderId] = orderTags.join(', ');
+    },
+    async setOrderMetafield(shopifyOrderId, metafield) {
+      call('setOrderMetafield', shopifyOrderId, { metafield });
+      return { id: 1, ...metafield };
+    },
+  };
+}
+
+const order = (id, overrides = {}) => ({
+  id,
+  order_number: `#${id}`,
+  shopify_order_id: String(5000 + id),
+  status: 'in_progress',
+  shopify_production_tag: null,
+  ...overrides,
+});
+
+const wallet = (id, orderId, status, overrides = {}) => ({
+  id,
+  order_id: orderId,
+  item_type: 'wallet',
+  product_name: 'Bifold Wallet',
+  wallet_type: 'Bifold',
+  shopify_line_item_id: 11,
+  unit_index: id,
+  status,
+  ...overrides,
+});
+
+const queueEntry = (id, orderId, attempts = 0) => ({
+  id,
+  order_id: orderId,
+  due_at: '2026-10-19T08:00:00Z',
+  requested_at: '2026-10-19T07:59:00Z',
+  first_requested_at: '2026-10-19T07:59:00Z',
+  attempts,
+});
+
+test('getProductionState rolls the wallet units up to one order state', () => {
+  const state = (...statuses) => getProductionState(order(1), statuses.map((status, i) => wallet(i, 1, status)));
+
+  assert.equal(state(), 'waiting');
+  assert.equal(state('pending', 'pending'), 'waiting');
+  assert.equal(state('claimed', 'pending'), 'claimed');
+  assert.equal(state('completed', 'pending'), 'claimed');
+  assert.equal(state('paused', 'qc'), 'in_progress');
+  assert.equal(state('qc', 'completed', 'cancelled'), 'qc');
+  assert.equal(state('completed', 'cancelled'), 'completed');
+  assert.equal(getProductionState(order(1, { status: 'cancelled' }), [wallet(1, 1, 'completed')]), 'cancelled');
+});
+
+test('syncOrderStatus swaps the production tag and keeps the shop\'s own tags', async () => {
+  const client = createFakeAdminClient({ tags: { 5001: 'vip, prod:waiting, gift' } });
+  const supabase = createFakeSupabase({
+    orders: [order(1, { shopify_production_tag: 'prod:waiting' })],
+    order_line_items: [wallet(1, 1, 'in_progress', { claimed_by_name: 'Ana' }), wallet(2, 1, 'pending')],
+  });
+
+  assert.deepEqual(await syncOrderStatus(supabase, 1, { client }), { synced: true, tag: 'prod:in-progress' });
+
+  assert.equal(client.tags['5001'], 'vip, gift, prod:in-progress');
+  assert.equal(supabase.tables.orders[0].shopify_production_tag, 'prod:in-progress');
+  assert.ok(supabase.tables.orders[0].shopify_status_synced_at);
+
+  const { metafield } = client.calls.find(call => call.method === 'setOrderMetafield');
+  const value = JSON.parse(metafield.value);
+  assert.equal(metafield.namespace, STATUS_METAFIELD.namespace);
+  assert.equal(metafield.key, STATUS_METAFIELD.key);
+  assert.equal(metafield.type, 'json');
+  assert.equal(value.state, 'in_progress');
+  assert.deepEqual(value.wallets.map(unit => [unit.status, unit.sewer]), [['in_progress', 'Ana'], ['pending', null]]);
+});
+
+test('syncOrderStatus only writes the metafield when the order state is unchanged', async () => {
+  const client = createFakeAdminClient();
+  const supabase = createFakeSupabase({
+    orders: [order(1, { shopify_production_tag: 'prod:in-progress' })],
+    order_line_items: [wallet(1, 1, 'in_progress'), wallet(2, 1, 'claimed')],
+  });
+
+  await syncOrderStatus(supabase, 1, { client });
+
+  assert.deepEqual(client.calls.map(call => call.method), ['setOrderMetafield']);
+});
+
+test('syncOrderStatus skips orders that are not from Shopify', async () => {
+  const client = createFakeAdminClient();
+  const supabase = createFakeSupabase({ orders: [order(1, { shopify_order_id: null })] });
+
+  assert.deepEqual(await syncOrderStatus(supabase, 1, { client }), { skipped: 'not_found' });
+  assert.deepEqual(await syncOrderStatus(supabase, 2, { client }), { skipped: 'not_found' });
+  assert.deepEqual(client.calls, []);
+});
+
+test('processStatusSyncQueue writes due orders and backs off the ones Shopify rejects', async () => {
+  const client = createFakeAdminClient({ failOrders: ['5002'] });
+  const supabase = createFakeSupabase({
+    orders: [order(1), order(2), order(3, { shopify_order_id: null })],
+    order_line_items: [wallet(1, 1, 'completed'), wallet(2, 2, 'claimed')],
+    shopify_sync_queue: [queueEntry(1, 1), queueEntry(2, 2, 2), queueEntry(3, 3)],
+  });
+
+  const summary = await processStatusSyncQueue(supabase, { client });
+
+  assert.deepEqual(summary, { synced: 1, failed: 1, skipped: 1, deferred: 0 });
+  assert.equal(supabase.tables.orders[0].shopify_production_tag, 'prod:completed');
+  assert.equal(supabase.tables.orders[1].shopify_production_tag, null);
+
+  const [failed] = supabase.tables.shopify_sync_queue;
+  assert.equal(supabase.tables.shopify_sync_queue.length, 1);
+  assert.equal(failed.order_id, 2);
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.last_error, 'Shopify Admin API 503');
+  assert.ok(new Date(failed.due_at).getTime() > Date.now() + 2 * 60 * 1000);
+});
+
+test('processStatusSyncQueue keeps an entry that was re-queued while it was being written', async () => {
+  const client = createFakeAdminClient();
+  const supabase = createFakeSupabase({
+    orders: [order(1)],
+    order_line_items: [wallet(1, 1, 'claimed')],
+    shopify_sync_queue: [queueEntry(1, 1)],
+  });
+  const { setOrderMetafield } = client;
+  client.setOrderMetafield = async (...args) => {
+    await enqueueStatusSync(supabase, 1);
+    return setOrderMetafield(...args);
+  };
+
+  assert.equal((await processStatusSyncQueue(supabase, { client })).synced, 1);
+  assert.equal(supabase.tables.shopify_sync_queue.length, 1);
+  assert.notEqual(supabase.tables.shopify_sync_queue[0].requested_at, '2026-10-19T07:59:00Z');
+});
+
+test('processStatusSyncQueue leaves entries past its time budget for the next run', async () => {
+  const client = createFakeAdminClient();
+  const supabase = createFakeSupabase({
+    orders: [order(1), order(2)],
+    order_line_items: [wallet(1, 1, 'claimed'), wallet(2, 2, 'claimed')],
+    shopify_sync_queue: [queueEntry(1, 1), queueEntry(2, 2)],
+  });
+
+  const summary = await processStatusSyncQueue(supabase, { client, timeBudgetMs: -1 });
+
+  assert.deepEqual(summary, { synced: 0, failed: 0, skipped: 0, deferred: 2 });
+  assert.equal(supabase.tables.shopify_sync_queue.length, 2);
+  assert.deepEqual(client.calls, []);
+});
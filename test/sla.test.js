@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getShopDate, addBusinessDays, businessDaysBetween, isBusinessDay } from '../src/lib/shopTime.js';
+import { getWalletLeadTime, getOrderLeadTime, computeShipByDate, getSlaState, validateLeadTimeRule } from '../src/lib/sla.js';
+
+// 2026-10-16 is a Friday; 2026-11-26 (Thanksgiving) a Thursday
+const holidays = ['2026-11-26'];
+
+test('getShopDate takes the day in the shop timezone', () => {
+  assert.equal(getShopDate('2026-10-19T03:00:00Z', 'America/Chicago'), '2026-10-18');
+  assert.equal(getShopDate('2026-10-19T05:00:00Z', 'America/Chicago'), '2026-10-19');
+});
+
+test('addBusinessDays skips weekends and holidays', () => {
+  assert.equal(addBusinessDays('2026-10-16', 1), '2026-10-19');
+  assert.equal(addBusinessDays('2026-10-17', 1), '2026-10-19');
+  assert.equal(addBusinessDays('2026-11-25', 1, holidays), '2026-11-27');
+  assert.equal(addBusinessDays('2026-10-19', 0), '2026-10-19');
+  assert.equal(isBusinessDay('2026-11-26', holidays), false);
+});
+
+test('businessDaysBetween counts forward and back', () => {
+  assert.equal(businessDaysBetween('2026-10-19', '2026-10-19'), 0);
+  assert.equal(businessDaysBetween('2026-10-16', '2026-10-19'), 1);
+  assert.equal(businessDaysBetween('2026-10-19', '2026-10-16'), -1);
+  assert.equal(businessDaysBetween('2026-11-23', '2026-11-30', holidays), 4);
+});
+
+test('computeShipByDate counts from the shop-local day the order was placed', () => {
+  // Thursday evening in Chicago, already Friday in UTC
+  assert.equal(computeShipByDate('2026-10-16T02:00:00Z', 1), '2026-10-16');
+  assert.equal(computeShipByDate('2026-10-16T15:00:00Z', 1), '2026-10-19');
+});
+
+test('order lead time is the slowest wallet, with customization rules', () => {
+  const catalog = [{ wallet_type: 'Bifold', lead_time_days: 3 }, { wallet_type: 'Card holder', lead_time_days: 2 }];
+  const rules = [
+    { attribute: 'has_badge_cutout', extra_days: 2 },
+    { attribute: 'has_monogram', extra_days: 1, wallet_type: 'Bifold' },
+    { attribute: 'has_monogram', extra_days: 9, active: false },
+  ];
+
+  assert.equal(getWalletLeadTime('Card holder', { has_monogram: true }, catalog, rules), 2);
+  assert.equal(getWalletLeadTime('Bifold', { has_monogram: true, has_badge_cutout: true }, catalog, rules), 6);
+  assert.equal(getOrderLeadTime([
+    { item_type: 'wallet', wallet_type: 'Card holder', wallet_attributes: { has_badge_cutout: true }, status: 'pending' },
+    { item_type: 'wallet', wallet_type: 'Bifold', wallet_attributes: { has_monogram: true }, status: 'pending' },
+    { item_type: 'wallet', wallet_type: 'Bifold', wallet_attributes: { has_badge_cutout: true, has_monogram: true }, status: 'cancelled' },
+    { item_type: 'accessory', status: 'pending' },
+  ], catalog, rules), 4);
+});
+
+test('getSlaState gives unclaimed work an extra day of warning', () => {
+  const claimed = [{ status: 'in_progress' }];
+  const unclaimed = [{ status: 'pending' }];
+  const today = '2026-10-19';
+
+  assert.deepEqual(getSlaState('2026-10-21', claimed, { today }), { state: 'on_track', daysLeft: 2 });
+  assert.deepEqual(getSlaState('2026-10-21', unclaimed, { today }), { state: 'at_risk', daysLeft: 2 });
+  assert.deepEqual(getSlaState('2026-10-20', claimed, { today }), { state: 'at_risk', daysLeft: 1 });
+  assert.deepEqual(getSlaState('2026-10-16', claimed, { today }), { state: 'overdue', daysLeft: -1 });
+});
+
+test('validateLeadTimeRule requires whole extra days', () => {
+  assert.deepEqual(validateLeadTimeRule({ name: ' Badge ', attribute: 'has_badge_cutout', extra_days: '2' }), {
+    rule: { name: 'Badge', attribute: 'has_badge_cutout', extra_days: 2 },
+    errors: [],
+  });
+  assert.deepEqual(validateLeadTimeRule({ extra_days: 1.5 }, { partial: true }).errors, ['extra_days must be an integer >= 0']);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractWalletAttributes,
+  resolvePropertySchema,
+  validateWalletAttributes,
+  getValidationReviewFields,
+  INVALID_PERSONALIZATION_REASON,
+} from '../src/lib/walletAttributes.js';
+
+test('extractWalletAttributes maps property names however they are written', () => {
+  const attributes = extractWalletAttributes({
+    properties: [
+      { name: '_Leather-Colour ', value: 'Tan' },
+      { name: 'Stitching', value: 'Natural' },
+      { name: 'Monogram', value: ' ABC ' },
+      { name: 'Add Custom Badge Cutout', value: 'Yes' },
+      { name: 'Gift wrap', value: 'Please' },
+      { name: '_app_ref', value: 'x1' },
+    ],
+  });
+
+  assert.equal(attributes.color, 'Tan');
+  assert.equal(attributes.thread_color, 'Natural');
+  assert.equal(attributes.has_monogram, true);
+  assert.equal(attributes.monogram_text, 'ABC');
+  assert.equal(attributes.has_badge_cutout, true);
+  assert.equal(attributes.badge_type, null);
+  assert.deepEqual(attributes.other_customizations, [{ name: 'Gift wrap', value: 'Please' }]);
+  assert.deepEqual(attributes.hidden_properties, { _app_ref: 'x1' });
+});
+
+test('extractWalletAttributes leaves a "No" add-on unset', () => {
+  const attributes = extractWalletAttributes({ properties: [{ name: 'Custom logo', value: 'No' }] });
+
+  assert.equal(attributes.has_custom_logo, false);
+  assert.equal(attributes.custom_logo_details, null);
+});
+
+test('validateWalletAttributes checks length, characters and allowed values', () => {
+  const errors = validateWalletAttributes({ color: 'tan', thread_color: 'Purple', monogram_text: 'AB1C' });
+
+  assert.deepEqual(errors.map(error => error.message), [
+    'thread_color "Purple" is not an available option',
+    'monogram_text is longer than 3 characters',
+    "monogram_text has characters that can't be made (letters only)",
+  ]);
+  assert.deepEqual(validateWalletAttributes(null), []);
+});
+
+test('validateWalletAttributes follows a wallet type\'s overrides', () => {
+  const catalog = [{ wallet_type: 'Card holder', property_overrides: { monogram_text: { validate: { maxLength: 5 } }, thread_color: null } }];
+  const schema = resolvePropertySchema(catalog, 'Card holder');
+
+  assert.deepEqual(validateWalletAttributes({ monogram_text: 'ABCDE', thread_color: 'Purple' }, schema), []);
+  assert.equal(schema.monogram_text.validate.pattern, '^[A-Za-z]*$');
+});
+
+test('getValidationReviewFields only clears its own review reason', () => {
+  const errors = [{ attribute: 'monogram_text', value: 'AB1', message: 'bad' }];
+
+  assert.deepEqual(getValidationReviewFields(errors), {
+    validation_errors: errors,
+    needs_review: true,
+    review_reason: `${INVALID_PERSONALIZATION_REASON}: bad`,
+  });
+  assert.deepEqual(getValidationReviewFields([], `${INVALID_PERSONALIZATION_REASON}: bad`), { validation_errors: [], needs_review: false, review_reason: null });
+  assert.deepEqual(getValidationReviewFields([], 'low classification confidence'), { validation_errors: [] });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCatalogEntry } from '../src/lib/walletCatalog.js';
+
+test('validateCatalogEntry normalizes a new entry', () => {
+  const { entry, errors } = validateCatalogEntry({
+    wallet_type: ' Bifold ',
+    points: '3',
+    keywords: ['Bifold', ' bifold', ''],
+    skus: [1001, '1001 '],
+    ignored: true,
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(entry, {
+    wallet_type: 'Bifold',
+    points: 3,
+    keywords: ['bifold'],
+    skus: ['1001'],
+  });
+});
+
+test('validateCatalogEntry requires a type, points and a way to match products', () => {
+  const { errors } = validateCatalogEntry({ points: -1 });
+
+  assert.deepEqual(errors, [
+    'wallet_type is required',
+    'points must be a number >= 0',
+    'at least one keyword, product id, variant id or SKU is required',
+  ]);
+});
+
+test('validateCatalogEntry checks only the fields of a partial patch', () => {
+  assert.deepEqual(validateCatalogEntry({ points: 4 }, { partial: true }), {
+    entry: { points: 4 },
+    errors: [],
+  });
+  assert.deepEqual(validateCatalogEntry({ points: 'lots' }, { partial: true }).errors, [
+    'points must be a number >= 0',
+  ]);
+});
+
+test('validateCatalogEntry rejects malformed property overrides', () => {
+  const { errors } = validateCatalogEntry({
+    property_overrides: { color: { names: 'Color' }, thread_color: null, monogram: [] },
+  }, { partial: true });
+
+  assert.deepEqual(errors, [
+    'property_overrides.color.names must be an array',
+    'property_overrides.monogram must be an object or null',
+  ]);
+});
+
+test('validateCatalogEntry checks the lead time', () => {
+  assert.deepEqual(validateCatalogEntry({ lead_time_days: '5' }, { partial: true }), {
+    entry: { lead_time_days: 5 },
+    errors: [],
+  });
+  assert.deepEqual(validateCatalogEntry({ lead_time_days: 1.5 }, { partial: true }).errors, [
+    'lead_time_days must be an integer >= 0',
+  ]);
+});
+
+test('validateCatalogEntry checks the standard minutes', () => {
+  assert.deepEqual(validateCatalogEntry({ standard_minutes: 45 }, { partial: true }), {
+    entry: { standard_minutes: 45 },
+    errors: [],
+  });
+  assert.deepEqual(validateCatalogEntry({ standard_minutes: 0 }, { partial: true }).errors, [
+    'standard_minutes must be a number > 0',
+  ]);
+});
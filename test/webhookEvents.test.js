@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { beginWebhookEvent, finishWebhookEvent } from '../src/lib/webhookEvents.js';
+import { routeWebhook } from '../src/lib/shopifyOrders.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+const event = (webhookId, status, updatedAt, attempts = 1) => ({
+  webhook_id: webhookId,
+  topic: 'orders/create',
+  status,
+  attempts,
+  updated_at: updatedAt,
+});
+
+const shopifyOrder = {
+  id: 5001,
+  order_number: 1001,
+  created_at: '2026-10-19T09:00:00Z',
+  customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+  line_items: [
+    { id: 71, product_id: 9, variant_id: 91, sku: 'BF-1', title: 'Bifold Wallet', quantity: 2, price: '80.00', properties: [] },
+  ],
+};
+
+function createShop() {
+  return createFakeSupabase({
+    wallet_catalog: [{ id: 1, wallet_type: 'Bifold', points: 3, keywords: ['bifold'], skus: ['BF-1'], active: true }],
+    known_accessories: [],
+    points_rules: [],
+    lead_time_rules: [],
+    shop_holidays: [],
+  });
+}
+
+/**
+ * What api/webhooks/shopify.js does with a verified delivery
+ */
+async function deliver(supabase, webhookId, topic, payload) {
+  const event = await beginWebhookEvent(supabase, { webhookId, topic, shopifyOrderId: String(payload.id) });
+  if (!event.proceed) return event;
+
+  const result = await routeWebhook(supabase, topic, payload);
+  await finishWebhookEvent(supabase, webhookId, result?.skipped ? 'ignored' : 'processed');
+  return result;
+}
+
+test('beginWebhookEvent lets the first delivery through and records it', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'w1', topic: 'orders/create' }), { proceed: true });
+  assert.equal(supabase.tables.webhook_events.length, 1);
+  assert.equal(supabase.tables.webhook_events[0].status, 'processing');
+});
+
+test('beginWebhookEvent skips finished deliveries and ones still in flight', async () => {
+  const supabase = createFakeSupabase({
+    webhook_events: [
+      event('done', 'processed', minutesAgo(5)),
+      event('ignored', 'ignored', minutesAgo(5)),
+      event('busy', 'processing', minutesAgo(0.1)),
+    ],
+  });
+
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'done' }), { proceed: false, reason: 'duplicate' });
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'ignored' }), { proceed: false, reason: 'duplicate' });
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'busy' }), { proceed: false, reason: 'in_flight' });
+});
+
+test('beginWebhookEvent takes over failed and abandoned deliveries', async () => {
+  const supabase = createFakeSupabase({
+    webhook_events: [
+      event('failed', 'failed', minutesAgo(0.1)),
+      event('stuck', 'processing', minutesAgo(5), 2),
+    ],
+  });
+
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'failed' }), { proceed: true });
+  assert.deepEqual(await beginWebhookEvent(supabase, { webhookId: 'stuck' }), { proceed: true });
+
+  const [failed, stuck] = supabase.tables.webhook_events;
+  assert.equal(failed.status, 'processing');
+  assert.equal(failed.attempts, 2);
+  assert.equal(stuck.attempts, 3);
+});
+
+test('a redelivered orders/create is acknowledged without touching the order', async () => {
+  const supabase = createShop();
+
+  const first = await deliver(supabase, 'w1', 'orders/create', shopifyOrder);
+  assert.equal(first.success, true);
+  assert.equal(supabase.tables.orders.length, 1);
+  assert.equal(supabase.tables.order_line_items.length, 2);
+  assert.equal(supabase.tables.webhook_events[0].status, 'processed');
+
+  assert.deepEqual(await deliver(supabase, 'w1', 'orders/create', shopifyOrder), { proceed: false, reason: 'duplicate' });
+  assert.equal(supabase.tables.order_line_items.length, 2);
+});
+
+test('a second orders/create for the same order is skipped on the Shopify order id', async () => {
+  const supabase = createShop();
+
+  await deliver(supabase, 'w1', 'orders/create', shopifyOrder);
+  const second = await deliver(supabase, 'w2', 'orders/create', shopifyOrder);
+
+  assert.equal(second.skipped, 'duplicate');
+  assert.equal(supabase.tables.orders.length, 1);
+  assert.equal(supabase.tables.order_line_items.length, 2);
+  assert.equal(supabase.tables.webhook_events.find(row => row.webhook_id === 'w2').status, 'ignored');
+});
+
+test('an orders/create that died after inserting the order finishes on retry', async () => {
+  const supabase = createShop();
+  supabase.tables.orders = [{ id: 1, shopify_order_id: '5001', order_number: '1001', status: 'pending' }];
+
+  const result = await deliver(supabase, 'w1', 'orders/create', shopifyOrder);
+
+  assert.equal(result.skipped, undefined);
+  assert.equal(supabase.tables.orders.length, 1);
+  assert.deepEqual(supabase.tables.order_line_items.map(item => item.order_id), [1, 1]);
+});
@@ -0,0 +1,65 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { getWebhookSecrets, isVerificationDisabled, verifyShopifyWebhook } from '../src/lib/webhookVerification.js';
+
+const ENV_KEYS = ['SHOPIFY_WEBHOOK_SECRETS', 'SHOPIFY_WEBHOOK_SECRET', 'SHOPIFY_WEBHOOK_DEV_MODE', 'VERCEL_ENV', 'NODE_ENV'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+test('getWebhookSecrets reads the rotation list and the single secret without duplicates', () => {
+  process.env.SHOPIFY_WEBHOOK_SECRETS = ' new-secret, old-secret ,,';
+  process.env.SHOPIFY_WEBHOOK_SECRET = 'old-secret ';
+
+  assert.deepEqual(getWebhookSecrets(), ['new-secret', 'old-secret']);
+
+  delete process.env.SHOPIFY_WEBHOOK_SECRETS;
+  delete process.env.SHOPIFY_WEBHOOK_SECRET;
+  assert.deepEqual(getWebhookSecrets(), []);
+});
+
+test('verifyShopifyWebhook accepts a body signed with any active secret', () => {
+  const body = Buffer.from(JSON.stringify({ id: 5001, note: 'Prägung: ÄÖÜ' }));
+  const secrets = ['new-secret', 'old-secret'];
+
+  assert.equal(verifyShopifyWebhook(body, sign(body, 'old-secret'), secrets), true);
+  assert.equal(verifyShopifyWebhook(body, sign(body, 'new-secret'), secrets), true);
+});
+
+test('verifyShopifyWebhook rejects wrong, tampered, truncated and missing signatures', () => {
+  const body = Buffer.from('{"id":5001}');
+  const secrets = ['new-secret'];
+
+  assert.equal(verifyShopifyWebhook(body, sign(body, 'retired-secret'), secrets), false);
+  assert.equal(verifyShopifyWebhook(Buffer.from('{"id":5002}'), sign(body, 'new-secret'), secrets), false);
+  assert.equal(verifyShopifyWebhook(body, sign(body, 'new-secret').slice(0, 20), secrets), false);
+  assert.equal(verifyShopifyWebhook(body, undefined, secrets), false);
+  assert.equal(verifyShopifyWebhook(body, ['a', 'b'], secrets), false);
+  assert.equal(verifyShopifyWebhook(body, sign(body, 'new-secret'), []), false);
+});
+
+test('isVerificationDisabled is only honoured outside production', () => {
+  process.env.SHOPIFY_WEBHOOK_DEV_MODE = 'true';
+  delete process.env.VERCEL_ENV;
+  delete process.env.NODE_ENV;
+  assert.equal(isVerificationDisabled(), true);
+
+  process.env.VERCEL_ENV = 'production';
+  assert.equal(isVerificationDisabled(), false);
+
+  delete process.env.VERCEL_ENV;
+  process.env.NODE_ENV = 'production';
+  assert.equal(isVerificationDisabled(), false);
+
+  delete process.env.NODE_ENV;
+  process.env.SHOPIFY_WEBHOOK_DEV_MODE = '1';
+  assert.equal(isVerificationDisabled(), false);
+});
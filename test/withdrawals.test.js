@@ -0,0 +1,143 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { withdrawLineItems, resolvePointsAdjustment, PointsAdjustmentError } from '../src/lib/withdrawals.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const completedWallet = {
+  id: 1,
+  order_id: 9,
+  order_number: '#1009',
+  product_name: 'Bifold Wallet',
+  item_type: 'wallet',
+  status: 'completed',
+  claimed_by: 's1',
+  claimed_by_name: 'Ana',
+  points: 3,
+  completed_at: '2026-10-18T10:00:00Z',
+};
+
+const pendingWallet = { ...completedWallet, id: 2, status: 'pending', claimed_by: null, claimed_by_name: null, completed_at: null };
+
+/**
+ * A shop whose record_points RPC appends to points_ledger
+ */
+function createShop(lineItems) {
+  const supabase = createFakeSupabase({
+    order_line_items: lineItems,
+    points_ledger: [{ id: 1, line_item_id: 1, sewer_id: 's1', entry_type: 'award', points: 3, work_date: '2026-10-18' }],
+  });
+
+  supabase.rpcs.record_points = (args, tables) => {
+    const entry = {
+      id: tables.points_ledger.length + 1,
+      line_item_id: args.p_line_item_id,
+      sewer_id: args.p_sewer_id,
+      entry_type: args.p_entry_type,
+      points: args.p_points,
+      work_date: args.p_work_date,
+    };
+    tables.points_ledger.push(entry);
+    return { data: entry, error: null };
+  };
+
+  return supabase;
+}
+
+const failCancel = supabase => supabase.failNext({
+  table: 'order_line_items',
+  action: 'update',
+  when: query => query.patch.status === 'cancelled',
+});
+
+const ledgerPoints = supabase => supabase.tables.points_ledger.reduce((sum, entry) => sum + Number(entry.points), 0);
+
+beforeEach(() => {
+  process.env.WITHDRAWN_POINTS_POLICY = 'clawback';
+});
+
+afterEach(() => {
+  delete process.env.WITHDRAWN_POINTS_POLICY;
+});
+
+test('withdrawLineItems cancels a completed wallet and claws back its points on the award day', async () => {
+  const supabase = createShop([completedWallet]);
+
+  const withdrawn = await withdrawLineItems(supabase, [completedWallet], 'order cancelled');
+
+  assert.deepEqual(withdrawn.map(item => item.status), ['cancelled']);
+  assert.equal(supabase.tables.order_line_items[0].cancel_reason, 'order cancelled');
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => [adjustment.status, adjustment.points]), [['applied', -3]]);
+  assert.equal(ledgerPoints(supabase), 0);
+  assert.equal(supabase.tables.points_ledger.at(-1).work_date, '2026-10-18');
+  assert.equal(supabase.tables.sewer_notifications.length, 1);
+});
+
+test('withdrawLineItems queues the reversal for review under the review policy', async () => {
+  process.env.WITHDRAWN_POINTS_POLICY = 'review';
+  const supabase = createShop([completedWallet]);
+
+  await withdrawLineItems(supabase, [completedWallet], 'order cancelled');
+
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => adjustment.status), ['pending_review']);
+  assert.equal(ledgerPoints(supabase), 3);
+
+  const [adjustment] = supabase.tables.points_adjustments;
+  await resolvePointsAdjustment(supabase, adjustment.id, { decision: 'clawback', decidedBy: 'boss' });
+  assert.equal(ledgerPoints(supabase), 0);
+
+  await assert.rejects(
+    resolvePointsAdjustment(supabase, adjustment.id, { decision: 'waive', decidedBy: 'boss' }),
+    error => error instanceof PointsAdjustmentError && error.code === 'not_found'
+  );
+});
+
+test('a withdrawal whose cancel failed gives the points back and reverses them once on retry', async () => {
+  const supabase = createShop([completedWallet]);
+  failCancel(supabase);
+
+  await assert.rejects(withdrawLineItems(supabase, [completedWallet], 'order cancelled'));
+  assert.equal(supabase.tables.order_line_items[0].status, 'completed');
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => adjustment.status), ['waived']);
+  assert.equal(ledgerPoints(supabase), 3);
+
+  await withdrawLineItems(supabase, [completedWallet], 'order cancelled');
+  assert.equal(supabase.tables.order_line_items[0].status, 'cancelled');
+  assert.deepEqual(supabase.tables.points_adjustments.map(adjustment => adjustment.status), ['waived', 'applied']);
+  assert.equal(ledgerPoints(supabase), 0);
+});
+
+test('a retry reuses a reversal left behind by an attempt that never got to cancel', async () => {
+  const supabase = createShop([completedWallet]);
+  supabase.tables.points_adjustments = [{
+    id: 50,
+    line_item_id: 1,
+    sewer_id: 's1',
+    points: -3,
+    status: 'applied',
+    created_at: '2026-10-19T08:00:00Z',
+  }];
+  supabase.tables.points_ledger.push({ id: 2, line_item_id: 1, sewer_id: 's1', entry_type: 'reversal', points: -3 });
+
+  await withdrawLineItems(supabase, [completedWallet], 'order cancelled');
+
+  assert.equal(supabase.tables.order_line_items[0].status, 'cancelled');
+  assert.equal(supabase.tables.points_adjustments.length, 1);
+  assert.equal(ledgerPoints(supabase), 0);
+});
+
+test('withdrawLineItems re-reads a row that was claimed while it was withdrawing', async () => {
+  const supabase = createShop([{ ...pendingWallet, status: 'claimed', claimed_by: 's2', claimed_by_name: 'Bo' }]);
+
+  const withdrawn = await withdrawLineItems(supabase, [pendingWallet], 'refunded');
+
+  assert.deepEqual(withdrawn.map(item => item.status), ['cancelled']);
+  assert.deepEqual(supabase.tables.sewer_notifications.map(notification => notification.sewer_id), ['s2']);
+  assert.equal(supabase.tables.points_adjustments, undefined);
+});
+
+test('withdrawLineItems leaves rows that are already cancelled alone', async () => {
+  const supabase = createShop([{ ...pendingWallet, status: 'cancelled' }]);
+
+  assert.deepEqual(await withdrawLineItems(supabase, [pendingWallet], 'refunded'), []);
+  assert.equal(supabase.tables.order_line_items[0].cancel_reason, undefined);
+});
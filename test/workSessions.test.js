@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWorkSessions, getCalibrationSuggestions } from '../src/lib/workSessions.js';
+import { assertTransition } from '../src/lib/lineItemStatus.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const MINUTE = 60 * 1000;
+
+const catalog = [
+  { id: 1, wallet_type: 'Bifold', points: 3, standard_minutes: 60, active: true },
+  { id: 2, wallet_type: 'Keller', points: 2, standard_minutes: 40, active: true },
+  { id: 3, wallet_type: 'Trifold', points: 4, standard_minutes: null, active: true },
+];
+
+let nextId = 1;
+const completed = (walletType, labourMinutes, completedAt = '2026-10-15T18:00:00Z') => ({
+  id: nextId++,
+  item_type: 'wallet',
+  status: 'completed',
+  wallet_type: walletType,
+  labour_minutes: labourMinutes,
+  completed_at: completedAt,
+});
+
+const suggestionsFor = async (wallets, options = {}) => {
+  const supabase = createFakeSupabase({ wallet_catalog: catalog, order_line_items: wallets });
+  const { wallet_types: walletTypes } = await getCalibrationSuggestions(supabase, { from: '2026-10-01', to: '2026-10-18', ...options });
+  return Object.fromEntries(walletTypes.map(result => [result.wallet_type, result]));
+};
+
+test('pausing and resuming are moves the state machine allows (the trigger times the sessions)', () => {
+  assertTransition('in_progress', 'paused');
+  assertTransition('paused', 'in_progress');
+  assert.throws(() => assertTransition('paused', 'qc'));
+});
+
+test('getWorkSessions adds closed sessions and counts a running one up to now', async () => {
+  const supabase = createFakeSupabase({
+    work_sessions: [
+      { id: 2, line_item_id: 1, started_at: new Date(Date.now() - 10 * MINUTE).toISOString(), ended_at: null },
+      { id: 1, line_item_id: 1, started_at: '2026-10-18T14:00:00Z', ended_at: '2026-10-18T14:25:00Z', minutes: 25 },
+      { id: 3, line_item_id: 2, started_at: '2026-10-18T14:00:00Z', ended_at: '2026-10-18T15:00:00Z', minutes: 60 },
+    ],
+  });
+
+  const { sessions, labour_minutes: labourMinutes, running } = await getWorkSessions(supabase, 1);
+
+  assert.deepEqual(sessions.map(session => session.id), [1, 2]);
+  assert.ok(labourMinutes >= 35 && labourMinutes < 35.1);
+  assert.equal(running, true);
+  assert.deepEqual(await getWorkSessions(supabase, 3), { sessions: [], labour_minutes: 0, running: false });
+});
+
+test('getCalibrationSuggestions suggests points that keep each type\'s points per standard minute', async () => {
+  const { Bifold } = await suggestionsFor([75, 80, 90, 85, 70].map(minutes => completed('Bifold', minutes)));
+
+  assert.deepEqual([Bifold.samples, Bifold.median_minutes, Bifold.average_minutes, Bifold.efficiency], [5, 80, 80, 0.75]);
+  assert.equal(Bifold.points_per_labour_hour, 2.25);
+  assert.equal(Bifold.suggestion.suggested_points, 4);
+  assert.equal(Bifold.suggestion.suggested_standard_minutes, 80);
+  assert.match(Bifold.suggestion.reason, /33% over the 60 min standard/);
+});
+
+test('getCalibrationSuggestions leaves on-target and thinly sampled types alone', async () => {
+  const { Bifold, Keller } = await suggestionsFor([
+    ...[58, 61, 63, 60, 59].map(minutes => completed('Bifold', minutes)),
+    ...[20, 22].map(minutes => completed('Keller', minutes)),
+  ]);
+
+  assert.equal(Bifold.suggestion, null);
+  assert.equal(Keller.samples, 2);
+  assert.equal(Keller.suggestion, null);
+});
+
+test('getCalibrationSuggestions proposes a standard time for types that have none', async () => {
+  const { Trifold } = await suggestionsFor([50, 40, 45, 55].map(minutes => completed('Trifold', minutes)), { minSamples: 4 });
+
+  assert.equal(Trifold.efficiency, null);
+  assert.deepEqual(Trifold.suggestion, {
+    suggested_standard_minutes: 47.5,
+    reason: 'No standard time yet - 4 wallets took a median of 47.5 min',
+  });
+});
+
+test('getCalibrationSuggestions counts wallets by the shop day they were completed', async () => {
+  const result = await suggestionsFor([
+    // 01:00 UTC on the 19th is still the 18th in the shop's timezone
+    completed('Keller', 30, '2026-10-19T01:00:00Z'),
+    completed('Keller', 30, '2026-10-19T15:00:00Z'),
+    completed('Keller', 30, '2026-09-30T15:00:00Z'),
+  ]);
+
+  assert.equal(result.Keller.samples, 1);
+});